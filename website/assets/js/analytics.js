@@ -0,0 +1,307 @@
+// AFHAM Website - Site Analytics
+// One event API for the whole site. Every event is declared in AnalyticsEvents
+// and checked against it, so a contact conversion, a language switch and a
+// search are recorded the same way by every provider:
+//
+//   siteAnalytics.track('contactSubmitted', { inquiry_type: 'technical', has_organization: false });
+//
+// Providers (Plausible, the first-party /api/events collector, the console
+// in development) receive events in batches. Events wait while the visitor
+// hasn't answered the consent banner and are dropped if they decline. The
+// batch left when the page is hidden goes out with navigator.sendBeacon.
+//
+// Shared with server/handlers/events.mjs, which validates batches against
+// the same catalog; nothing at the top level may touch browser globals.
+
+const AnalyticsConfig = {
+  endpoint: '/api/events',
+  batchSize: 10,
+  flushInterval: 5000,
+  // Kept while consent is pending; older events are dropped first
+  maxPendingEvents: 50,
+  // Longest string property value sent to any provider
+  maxStringLength: 200
+};
+
+/**
+ * The event catalog: type -> Plausible-style display name and the allowed
+ * properties with their types. Nothing a visitor typed goes in: search events
+ * carry lengths and counts, not the query, which may hold health information,
+ * and a contact submission says whether an organization was given, not which.
+ */
+const AnalyticsEvents = {
+  pageView: { name: 'pageview', props: {} },
+  buttonClick: { name: 'Button Click', props: { button_text: 'string', button_href: 'string' } },
+  externalLink: { name: 'External Link', props: { url: 'string' } },
+  languageSwitch: { name: 'Language Switch', props: { language: 'string', rtl: 'boolean' } },
+  contactSubmitted: { name: 'Contact Form Submitted', props: { inquiry_type: 'string', has_organization: 'boolean' } },
+  phiWarningShown: { name: 'PHI Warning Shown', props: { matches: 'number' } },
+  newsletterSignup: { name: 'Newsletter Signup', props: { source: 'string' } },
+  newsletterConfirmed: { name: 'Newsletter Confirmed', props: {} },
+  newsletterUnsubscribed: { name: 'Newsletter Unsubscribed', props: {} },
+  search: { name: 'Search', props: { query_length: 'number', results: 'number' } },
+  searchResultSelected: { name: 'Search Result Selected', props: { query_length: 'number', position: 'number' } },
+  calendarExport: { name: 'Calendar Export', props: { event_id: 'string', calendar: 'string' } },
+  discussionFilter: { name: 'Discussion Filter', props: { category: 'string' } },
+  applicationSubmitted: { name: 'Application Submitted', props: { program: 'string' } },
+  demoAnalyzed: { name: 'Document Demo', props: { source: 'string', entities: 'number' } },
+  playgroundValidated: { name: 'NPHIES Playground', props: { source: 'string', valid: 'boolean', errors: 'number', warnings: 'number' } }
+};
+
+/**
+ * Check an event against the catalog. Returns { type, name, props } with
+ * only the declared properties, or throws a TypeError naming the problem.
+ */
+function validateAnalyticsEvent(type, props = {}) {
+  const definition = Object.prototype.hasOwnProperty.call(AnalyticsEvents, type) ? AnalyticsEvents[type] : null;
+  if (!definition) {
+    throw new TypeError(`Unknown analytics event: ${type}`);
+  }
+  if (!props || typeof props !== 'object' || Array.isArray(props)) {
+    throw new TypeError(`Properties of ${type} must be an object`);
+  }
+
+  const clean = {};
+  Object.entries(definition.props).forEach(([key, expected]) => {
+    const value = props[key];
+    if (value === undefined || value === null) return;
+    if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+      throw new TypeError(`${type}.${key} must be a ${expected}`);
+    }
+    clean[key] = expected === 'string' ? value.slice(0, AnalyticsConfig.maxStringLength) : value;
+  });
+
+  return { type, name: definition.name, props: clean };
+}
+
+// Plausible custom events; the script itself loads only after consent
+function createPlausibleProvider({ domain, scriptUrl = 'https://plausible.io/js/script.manual.js' }) {
+  let requested = false;
+
+  return {
+    name: 'plausible',
+    requiresConsent: true,
+
+    enable() {
+      if (requested) return;
+      requested = true;
+
+      // Plausible's documented stub queues calls until its script has loaded
+      window.plausible = window.plausible || function () {
+        (window.plausible.q = window.plausible.q || []).push(arguments);
+      };
+
+      const script = document.createElement('script');
+      script.defer = true;
+      script.setAttribute('data-domain', domain);
+      script.src = scriptUrl;
+      document.head.appendChild(script);
+    },
+
+    send(events) {
+      events.forEach(event => {
+        window.plausible(event.name, { props: event.props });
+      });
+    }
+  };
+}
+
+// First-party collector (server/handlers/events.mjs)
+function createCollectorProvider({ endpoint = AnalyticsConfig.endpoint } = {}) {
+  return {
+    name: 'collector',
+    requiresConsent: true,
+
+    send(events, { beacon = false } = {}) {
+      const body = JSON.stringify({ events });
+
+      if (beacon && typeof navigator.sendBeacon === 'function') {
+        if (navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+          return;
+        }
+      }
+
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(error => {
+        console.warn('Analytics events not delivered:', error);
+      });
+    }
+  };
+}
+
+// Development sink: logs every event, consent or not, and never leaves the page
+function createConsoleProvider() {
+  return {
+    name: 'console',
+    requiresConsent: false,
+
+    send(events) {
+      events.forEach(event => {
+        console.log('Analytics Event:', event.name, event.props);
+      });
+    }
+  };
+}
+
+class SiteAnalytics {
+  constructor(options = {}) {
+    this.batchSize = options.batchSize || AnalyticsConfig.batchSize;
+    this.flushInterval = options.flushInterval || AnalyticsConfig.flushInterval;
+    this.providers = [];
+    this.listeners = new Map();
+    this.consent = null;
+    this.buffer = [];
+    this.pending = [];
+    this.flushTimer = null;
+    this.started = false;
+  }
+
+  /**
+   * Attach providers and the consent manager, and flush with sendBeacon
+   * whenever the page is hidden. Events tracked before this are kept.
+   */
+  configure({ providers = [], consent = null } = {}) {
+    this.providers.push(...providers);
+    this.consent = consent;
+
+    if (!this.started) {
+      this.started = true;
+      document.addEventListener('consentChanged', () => this.applyConsent());
+      window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flush({ beacon: true });
+        }
+      });
+    }
+
+    this.applyConsent();
+  }
+
+  consentStatus() {
+    return this.consent ? this.consent.status('analytics') : 'pending';
+  }
+
+  // Listen for one event type, or '*' for all; returns an unsubscribe function
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type).delete(listener);
+  }
+
+  track(type, props = {}) {
+    let event;
+    try {
+      event = {
+        ...validateAnalyticsEvent(type, props),
+        page: window.location.pathname,
+        language: document.documentElement.lang || 'en',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      // A bad call site must never break the page
+      console.warn(error.message);
+      return null;
+    }
+
+    [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])].forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        this.reportFailure(`listener for ${type}`, error);
+      }
+    });
+
+    this.providers.filter(provider => !provider.requiresConsent).forEach(provider => {
+      try {
+        provider.send([event], { beacon: false });
+      } catch (error) {
+        this.reportFailure(`provider ${provider.name}`, error);
+      }
+    });
+
+    const status = this.consentStatus();
+    if (status === 'granted') {
+      this.buffer.push(event);
+      this.scheduleFlush();
+    } else if (status === 'pending') {
+      this.pending.push(event);
+      this.pending.splice(0, this.pending.length - AnalyticsConfig.maxPendingEvents);
+    }
+
+    return event;
+  }
+
+  // What a listener or provider throws stays out of the code that tracked
+  // the event; it goes to the error reporter when the page has one
+  reportFailure(what, error) {
+    console.warn(`Analytics ${what} failed:`, error);
+    if (typeof errorReporter !== 'undefined') {
+      errorReporter.captureException(error);
+    }
+  }
+
+  applyConsent() {
+    const status = this.consentStatus();
+    if (status === 'granted') {
+      this.consentedProviders().forEach(provider => {
+        if (typeof provider.enable === 'function') provider.enable();
+      });
+      this.buffer.push(...this.pending.splice(0));
+      this.flush();
+    } else if (status === 'denied') {
+      this.pending = [];
+      this.buffer = [];
+    }
+  }
+
+  consentedProviders() {
+    return this.providers.filter(provider => provider.requiresConsent);
+  }
+
+  scheduleFlush() {
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  flush({ beacon = false } = {}) {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const batch = this.buffer.splice(0);
+    if (batch.length === 0) return;
+
+    this.consentedProviders().forEach(provider => {
+      try {
+        provider.send(batch, { beacon });
+      } catch (error) {
+        this.reportFailure(`provider ${provider.name}`, error);
+      }
+    });
+  }
+}
+
+const siteAnalytics = new SiteAnalytics();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AnalyticsConfig,
+    AnalyticsEvents,
+    SiteAnalytics,
+    createCollectorProvider,
+    createConsoleProvider,
+    createPlausibleProvider,
+    siteAnalytics,
+    validateAnalyticsEvent
+  };
+}
@@ -0,0 +1,79 @@
+// AFHAM Website - Community Discussions
+// The community page's featured discussions come from /community/discussions.json,
+// which scripts/build-discussions-feed.mjs writes from GitHub Discussions at
+// build time:
+//
+//   {
+//     "version": 1,
+//     "generatedAt": "2026-10-19T06:00:00Z",
+//     "url": "https://github.com/brainsait/afham/discussions",
+//     "discussions": [{
+//       "id": "D_kwDOK...", "number": 142,
+//       "title": "...", "excerpt": "...", "url": "https://github.com/...",
+//       "category": "nphies",
+//       "author": { "login": "...", "avatarUrl": "https://...", "url": "https://..." },
+//       "createdAt": "...", "updatedAt": "...",
+//       "answered": true,          null outside Q&A categories
+//       "replies": 15, "upvotes": 8
+//     }]
+//   }
+//
+// The last feed is kept in localStorage: it is shown straight away and only
+// fetched again once older than the page's own HTTP cache lifetime.
+// components/discussions.js renders the list and the category filter.
+
+const CommunityDiscussionsConfig = {
+  dataUrl: '/community/discussions.json',
+  repository: 'brainsait/afham',
+  // GitHub discussion category slugs, in filter order
+  categories: ['fhir', 'nphies', 'arabic-nlp', 'ios'],
+  storageKey: 'afham-discussions',
+  // Same as Cache-Control for /community/*
+  maxAge: 30 * 60 * 1000
+};
+
+/**
+ * The cached feed as { feed, fresh }, or null when there is none (or it is
+ * unreadable). `fresh` is false once it is older than maxAge.
+ */
+function readCachedDiscussions(now = Date.now()) {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CommunityDiscussionsConfig.storageKey));
+    if (!cached || !cached.feed || !Array.isArray(cached.feed.discussions)) return null;
+    return { feed: cached.feed, fresh: now - cached.savedAt < CommunityDiscussionsConfig.maxAge };
+  } catch (error) {
+    return null;
+  }
+}
+
+function cacheDiscussions(feed, now = Date.now()) {
+  try {
+    localStorage.setItem(CommunityDiscussionsConfig.storageKey, JSON.stringify({ savedAt: now, feed }));
+  } catch (error) {
+    // Storage full or disabled: the feed is just fetched again next time
+  }
+}
+
+// The known categories that have at least one discussion, in filter order
+function discussionCategories(discussions) {
+  return CommunityDiscussionsConfig.categories
+    .filter(category => discussions.some(discussion => discussion.category === category));
+}
+
+// Most recently active first; 'all' (or no category) keeps every discussion
+function filterDiscussions(discussions, category = 'all') {
+  return discussions
+    .filter(discussion => category === 'all' || discussion.category === category)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CommunityDiscussionsConfig,
+    cacheDiscussions,
+    discussionCategories,
+    filterDiscussions,
+    readCachedDiscussions
+  };
+}
@@ -0,0 +1,185 @@
+// AFHAM Website - Community Events
+// The community page's events come from /community/events.json, one entry per
+// event with English and Arabic text:
+//
+//   {
+//     "id": "nphies-claims-clinic-2026",
+//     "title": { "en": "NPHIES Claims Clinic", "ar": "عيادة مطالبات نفيس" },
+//     "description": { "en": "...", "ar": "..." },
+//     "start": "2026-11-12T16:00:00+03:00",
+//     "end": "2026-11-12T17:00:00+03:00",
+//     "online": true,
+//     "location": { "en": "Online", "ar": "عبر الإنترنت" },
+//     "languages": ["ar"],
+//     "registrationUrl": "https://...",
+//     "recordingUrl": "https://..."          once the event is over
+//   }
+//
+// Times carry their offset; they are published in Riyadh time. This file
+// decides what is upcoming and what is past and builds the calendar exports
+// (.ics, Google Calendar, Outlook); components/events.js renders the lists.
+
+const CommunityEventsConfig = {
+  dataUrl: '/community/events.json',
+  uidDomain: 'afham.brainsait.io',
+  pageUrl: 'https://afham.brainsait.io/community#events',
+  googleCalendarUrl: 'https://calendar.google.com/calendar/render',
+  outlookCalendarUrl: 'https://outlook.live.com/calendar/0/deeplink/compose',
+  // Events published without an end
+  defaultDuration: 60 * 60 * 1000
+};
+
+function eventText(field, language = 'en') {
+  if (!field) return '';
+  if (typeof field === 'string') return field;
+  return field[language] || field.en || '';
+}
+
+function eventStart(event) {
+  return new Date(event.start);
+}
+
+function eventEnd(event) {
+  return event.end ? new Date(event.end) : new Date(eventStart(event).getTime() + CommunityEventsConfig.defaultDuration);
+}
+
+// 'upcoming' until it starts, 'live' while it runs, then 'past'
+function eventStatus(event, now = Date.now()) {
+  if (now < eventStart(event).getTime()) return 'upcoming';
+  if (now < eventEnd(event).getTime()) return 'live';
+  return 'past';
+}
+
+/**
+ * Split events into { upcoming, past }. Upcoming (including ones happening
+ * now) come soonest first, past ones most recent first. Entries without an
+ * id, a title or a valid start are left out.
+ */
+function splitEvents(events, now = Date.now()) {
+  const valid = (Array.isArray(events) ? events : [])
+    .filter(event => event && event.id && event.title && !Number.isNaN(eventStart(event).getTime()));
+  const byStart = (a, b) => eventStart(a) - eventStart(b);
+
+  return {
+    upcoming: valid.filter(event => eventStatus(event, now) !== 'past').sort(byStart),
+    past: valid.filter(event => eventStatus(event, now) === 'past').sort((a, b) => byStart(b, a))
+  };
+}
+
+// 2026-11-12T13:00:00.000Z -> 20261112T130000Z
+function calendarDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function eventDetails(event, language) {
+  const link = event.registrationUrl || CommunityEventsConfig.pageUrl;
+  return [eventText(event.description, language), link].filter(Boolean).join('\n\n');
+}
+
+// RFC 5545 TEXT values: escape \ ; , and newlines
+function escapeICSText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Arabic letters take two octets each, so count bytes, not characters.
+function foldICSLine(line) {
+  const octets = char => {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+  };
+
+  const lines = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const limit = lines.length === 0 ? 75 : 74;
+    if (size + octets(char) > limit) {
+      lines.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += octets(char);
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+}
+
+/**
+ * An iCalendar file for one event, in the given language. Times are written
+ * in UTC, so every calendar app shows them in its own time zone.
+ */
+function eventToICS(event, { language = 'en', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//BrainSAIT//AFHAM Community Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${CommunityEventsConfig.uidDomain}`,
+    `DTSTAMP:${calendarDate(now)}`,
+    `DTSTART:${calendarDate(eventStart(event))}`,
+    `DTEND:${calendarDate(eventEnd(event))}`,
+    `SUMMARY:${escapeICSText(eventText(event.title, language))}`,
+    `DESCRIPTION:${escapeICSText(eventDetails(event, language))}`,
+    `LOCATION:${escapeICSText(eventText(event.location, language))}`
+  ];
+  if (event.registrationUrl) lines.push(`URL:${event.registrationUrl}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// For <a download>: no object URL to create and revoke
+function eventICSUrl(event, options) {
+  return `data:text/calendar;charset=utf-8,${encodeURIComponent(eventToICS(event, options))}`;
+}
+
+function googleCalendarUrl(event, language = 'en') {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: eventText(event.title, language),
+    dates: `${calendarDate(eventStart(event))}/${calendarDate(eventEnd(event))}`,
+    details: eventDetails(event, language),
+    location: eventText(event.location, language)
+  });
+  return `${CommunityEventsConfig.googleCalendarUrl}?${params}`;
+}
+
+function outlookCalendarUrl(event, language = 'en') {
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: eventText(event.title, language),
+    startdt: eventStart(event).toISOString(),
+    enddt: eventEnd(event).toISOString(),
+    body: eventDetails(event, language),
+    location: eventText(event.location, language)
+  });
+  return `${CommunityEventsConfig.outlookCalendarUrl}?${params}`;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CommunityEventsConfig,
+    eventEnd,
+    eventICSUrl,
+    eventStart,
+    eventStatus,
+    eventText,
+    eventToICS,
+    foldICSLine,
+    googleCalendarUrl,
+    outlookCalendarUrl,
+    splitEvents
+  };
+}
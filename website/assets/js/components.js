@@ -0,0 +1,214 @@
+// AFHAM Website - Component Registry
+// Pages declare what they need and only that is loaded:
+//
+//   <section class="contact-form-section" data-component="contact-form">
+//   <span class="stat-number" data-component="counter">99.5%</span>
+//
+// Each name maps to an ES module under /assets/js/components/ whose default
+// export is a class:
+//
+//   export default class CounterComponent {
+//     constructor(element, context) {}
+//     mount() {}                     // may return a promise
+//     unmount() {}                   // element removed from the page
+//     onLanguageChange(detail) {}    // { language, rtl } from LanguageManager
+//   }
+//
+// Modules are imported the first time a page contains their name, and
+// components are mounted and unmounted as matching elements come and go.
+// The context (built in main.js) carries the site-wide state and services
+// main.js owns: the current language and its settings, analytics,
+// notifications and the error reporter. Everything else a component uses
+// (translation, form schemas and validation, spam protection, the submission
+// queue, PHI detection, formatters, page data) comes from the classic
+// scripts its page loads, and each component lists those names in a
+// `/* global */` comment at its top, so nothing is picked up unannounced.
+//
+// components/package.json only tells Node these files are ES modules, so the
+// test suite (tests/) can import them; browsers go by the import itself.
+
+const ComponentConfig = {
+  basePath: '/assets/js/components',
+  modules: {
+    search: 'search.js',
+    'contact-form': 'contact-form.js',
+    'newsletter-form': 'newsletter-form.js',
+    counter: 'counter.js',
+    events: 'events.js',
+    discussions: 'discussions.js',
+    'application-wizard': 'application-wizard.js',
+    'document-demo': 'document-demo.js',
+    'fhir-playground': 'fhir-playground.js'
+  }
+};
+
+// "search counter" -> ['search', 'counter']
+function componentNames(element) {
+  return (element.getAttribute('data-component') || '').split(/\s+/).filter(Boolean);
+}
+
+class ComponentRegistry {
+  /**
+   * @param {object} context handed to every component
+   * @param {object} [options]
+   * @param {object} [options.modules] name -> file, instead of ComponentConfig.modules
+   * @param {function} [options.load] name -> promise of the module; tests pass their own
+   */
+  constructor(context = {}, options = {}) {
+    this.context = context;
+    this.files = options.modules || ComponentConfig.modules;
+    this.load = options.load || (name => import(`${ComponentConfig.basePath}/${this.files[name]}`));
+    this.modules = new Map();
+    // element -> Map(name -> component)
+    this.mounted = new Map();
+    this.observer = null;
+    this.listeners = null;
+  }
+
+  // Mount everything on the page now, then follow DOM and language changes
+  start(root = document.body) {
+    this.listeners = new AbortController();
+    document.addEventListener('languageChanged', (e) => this.languageChanged(e.detail), {
+      signal: this.listeners.signal
+    });
+
+    if (typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver(records => this.handleMutations(records));
+      this.observer.observe(root, { childList: true, subtree: true });
+    }
+
+    return this.mountAll(root);
+  }
+
+  stop() {
+    if (this.listeners) {
+      this.listeners.abort();
+      this.listeners = null;
+    }
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    [...this.mounted.keys()].forEach(element => this.unmount(element));
+  }
+
+  // The element itself and every descendant with data-component
+  hosts(root) {
+    const hosts = [...root.querySelectorAll('[data-component]')];
+    if (root.matches && root.matches('[data-component]')) hosts.unshift(root);
+    return hosts;
+  }
+
+  mountAll(root = document.body) {
+    return Promise.all(this.hosts(root).map(element => this.mount(element)));
+  }
+
+  unmountAll(root) {
+    this.hosts(root).forEach(element => this.unmount(element));
+  }
+
+  async mount(element) {
+    const names = componentNames(element);
+    await Promise.all(names.map(name => this.mountComponent(element, name)));
+  }
+
+  async mountComponent(element, name) {
+    if (this.mounted.has(element) && this.mounted.get(element).has(name)) return;
+    if (!this.files[name]) {
+      console.warn(`Unknown component: ${name}`);
+      return;
+    }
+
+    // Claim the slot before the import, so a second call can't mount twice
+    if (!this.mounted.has(element)) this.mounted.set(element, new Map());
+    const slots = this.mounted.get(element);
+    slots.set(name, null);
+
+    try {
+      const module = await this.loadModule(name);
+      // Unmounted or removed while its module was loading
+      if (this.mounted.get(element) !== slots || !element.isConnected) return;
+
+      const component = new module.default(element, this.context);
+      slots.set(name, component);
+      if (typeof component.mount === 'function') {
+        await component.mount();
+      }
+    } catch (error) {
+      slots.delete(name);
+      console.error(`Component ${name} failed to mount:`, error);
+      if (this.context.reportError) this.context.reportError(error);
+    }
+  }
+
+  // One import per module, however many elements use it
+  loadModule(name) {
+    if (!this.modules.has(name)) {
+      const loading = Promise.resolve(this.load(name)).catch(error => {
+        // Let a later mount try again, e.g. once back online
+        this.modules.delete(name);
+        throw error;
+      });
+      this.modules.set(name, loading);
+    }
+    return this.modules.get(name);
+  }
+
+  unmount(element) {
+    const slots = this.mounted.get(element);
+    if (!slots) return;
+    this.mounted.delete(element);
+
+    slots.forEach((component, name) => {
+      if (component && typeof component.unmount === 'function') {
+        try {
+          component.unmount();
+        } catch (error) {
+          console.error(`Component ${name} failed to unmount:`, error);
+        }
+      }
+    });
+  }
+
+  // The component instances on an element, by name
+  get(element, name) {
+    const slots = this.mounted.get(element);
+    return slots ? slots.get(name) || null : null;
+  }
+
+  languageChanged(detail) {
+    this.mounted.forEach(slots => {
+      slots.forEach((component, name) => {
+        if (!component || typeof component.onLanguageChange !== 'function') return;
+        try {
+          component.onLanguageChange(detail);
+        } catch (error) {
+          console.error(`Component ${name} failed to change language:`, error);
+        }
+      });
+    });
+  }
+
+  handleMutations(records) {
+    records.forEach(record => {
+      record.removedNodes.forEach(node => {
+        if (node.nodeType !== 1 || node.isConnected) return;
+        [...this.mounted.keys()]
+          .filter(element => element === node || node.contains(element))
+          .forEach(element => this.unmount(element));
+      });
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === 1) this.mountAll(node);
+      });
+    });
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ComponentConfig,
+    ComponentRegistry,
+    componentNames
+  };
+}
@@ -0,0 +1,179 @@
+// AFHAM Website - Program Application Component
+// The community page's program cards open one application form, set up for
+// the chosen program and posted to /api/applications/<program>:
+//
+//   <section class="community-programs" data-component="application-wizard">
+//     <a href="#apply-academy" data-apply="academy">
+//     <div class="program-application" hidden>
+//       <h3 class="program-application-title"></h3>
+//       <p class="wizard-draft-notice" hidden>... <button data-wizard-discard>
+//       <form><ol class="wizard-progress"></ol> ... <input type="hidden" name="program"> ...</form>
+//       <div class="form-success" hidden>
+//
+// Steps, validation, review and drafts are FormWizard's; each program keeps
+// its own draft. #apply-<program> in the address opens that application.
+
+/* global SpamGuard, formatRelativeTime, setTranslatedText, t */
+
+import { postJSON, responseErrorMessage } from './form-submission.js';
+import { FormWizard } from './form-wizard.js';
+
+const APPLICATION_PROGRAMS = ['academy', 'ambassador', 'partnership'];
+const DRAFT_KEY_PREFIX = 'afham-application-';
+
+export default class ApplicationWizardComponent {
+    constructor(element, context) {
+        this.element = element;
+        this.context = context;
+        this.panel = element.querySelector('.program-application');
+        this.form = this.panel.querySelector('form');
+        this.title = this.panel.querySelector('.program-application-title');
+        this.draftNotice = this.panel.querySelector('.wizard-draft-notice');
+        this.success = this.panel.querySelector('.form-success');
+        this.wizard = new FormWizard(this.form, {
+            context,
+            progress: this.panel.querySelector('.wizard-progress'),
+            onSubmit: (values) => this.submit(values)
+        });
+        this.guard = typeof SpamGuard !== 'undefined' ? new SpamGuard() : null;
+        this.program = null;
+        this.draft = null;
+        this.listeners = new AbortController();
+    }
+
+    mount() {
+        const { signal } = this.listeners;
+        this.wizard.bind();
+
+        this.element.addEventListener('click', (e) => {
+            const apply = e.target.closest('[data-apply]');
+            if (apply) {
+                e.preventDefault();
+                this.open(apply.dataset.apply);
+            } else if (e.target.closest('[data-wizard-discard]')) {
+                this.startOver();
+            } else if (e.target.closest('[data-application-close]')) {
+                this.close();
+            }
+        }, { signal });
+
+        const linked = /^#apply-(.+)$/.exec(window.location.hash);
+        if (linked && APPLICATION_PROGRAMS.includes(linked[1])) {
+            this.open(linked[1], { focus: false });
+        }
+    }
+
+    unmount() {
+        this.listeners.abort();
+        this.wizard.unbind();
+    }
+
+    onLanguageChange() {
+        this.wizard.onLanguageChange();
+        this.renderDraftNotice();
+    }
+
+    open(program, { focus = true } = {}) {
+        if (!APPLICATION_PROGRAMS.includes(program)) return;
+
+        this.program = program;
+        this.form.elements.namedItem('program').value = program;
+        setTranslatedText(this.title, `community.apply.title.${program}`);
+
+        this.panel.hidden = false;
+        this.form.hidden = false;
+        this.success.hidden = true;
+        this.draft = this.wizard.start({
+            schema: `${program}Application`,
+            draftKey: `${DRAFT_KEY_PREFIX}${program}`
+        });
+        this.renderDraftNotice();
+
+        if (focus) {
+            this.panel.scrollIntoView({ behavior: 'smooth' });
+            this.title.focus();
+        }
+    }
+
+    close() {
+        this.panel.hidden = true;
+        this.program = null;
+        const link = this.element.querySelector('[data-apply]');
+        if (link) link.focus();
+    }
+
+    // Throw the draft away and begin again from the first step
+    startOver() {
+        this.wizard.clearDraft();
+        this.draft = null;
+        this.wizard.start({
+            schema: `${this.program}Application`,
+            draftKey: `${DRAFT_KEY_PREFIX}${this.program}`
+        });
+        this.renderDraftNotice();
+    }
+
+    renderDraftNotice() {
+        if (!this.draftNotice) return;
+
+        this.draftNotice.hidden = !this.draft;
+        if (!this.draft) return;
+
+        const message = this.draftNotice.querySelector('.wizard-draft-message');
+        setTranslatedText(message, 'common.wizard.draftRestored', {
+            time: formatRelativeTime(this.draft.savedAt, { language: this.context.language, now: Date.now() })
+        });
+    }
+
+    async submit(values) {
+        const submitBtn = this.wizard.submitButton;
+        const originalText = submitBtn.innerHTML;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> <span data-i18n="common.sending"></span>';
+        submitBtn.querySelector('[data-i18n]').textContent = t('common.sending');
+        submitBtn.disabled = true;
+
+        // Whether this attempt used up the spam-protection token
+        let tokenSpent = false;
+
+        try {
+            const antiSpam = this.guard ? await this.guard.token() : null;
+            tokenSpent = true;
+            const response = await postJSON(`/api/applications/${this.program}`, {
+                ...values,
+                language: this.context.language,
+                antiSpam
+            });
+
+            if (response.success) {
+                this.showSuccess();
+            } else {
+                this.wizard.showErrors(response.errors);
+                throw new Error(responseErrorMessage(response, t('community.apply.submitFailed'), this.context.language));
+            }
+        } catch (error) {
+            console.error('Application error:', error);
+            this.context.notifications.show(error.message, { type: 'error' });
+        } finally {
+            // Each spam-protection challenge is good for one submission; one
+            // that was never sent stays valid
+            if (this.guard && tokenSpent) {
+                this.guard.reset();
+            }
+
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    showSuccess() {
+        this.wizard.clearDraft();
+        this.draft = null;
+        this.renderDraftNotice();
+
+        this.form.hidden = true;
+        this.success.hidden = false;
+        this.success.scrollIntoView({ behavior: 'smooth' });
+
+        this.context.analytics.track('applicationSubmitted', { program: this.program });
+    }
+}
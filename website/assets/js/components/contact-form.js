@@ -0,0 +1,706 @@
+// AFHAM Website - Contact Form Component
+// The contact form with its success message and offline submission queue:
+//
+//   <section class="contact-form-section" data-component="contact-form">
+//     <form class="contact-form">...</form>
+//     <div class="form-success" hidden>... <button data-contact-reset>
+//     <div class="submission-queue" hidden>...
+//
+// Validation follows the shared schema (form-schema.js); messages that can't
+// be sent are kept in IndexedDB and retried (submission-queue.js). Subject
+// and message are checked for patient details (phi-detection.js) and the
+// visitor has to acknowledge the [data-phi-warning] panel before sending.
+
+/* global FormFormats, FormSchemas, PhiKinds, SpamGuard,
+    SubmissionNetworkError, SubmissionQueue, detectPhi, setTranslatedText, t,
+    validateForm, validateFormField */
+
+import {
+    clearFieldError,
+    invalidFormMessage,
+    postJSON,
+    responseErrorMessage,
+    showFieldError,
+    translateFieldErrors
+} from './form-submission.js';
+
+// Free text where people paste patient details; the API redacts the same fields
+const PHI_FIELDS = ['subject', 'message'];
+
+export default class ContactFormComponent {
+    constructor(element, context) {
+        this.element = element;
+        this.context = context;
+        this.contactForm = element.querySelector('form.contact-form');
+        this.formSuccess = element.querySelector('.form-success');
+        this.queuePanel = element.querySelector('.submission-queue');
+        this.submissionQueue = typeof SubmissionQueue !== 'undefined' ? new SubmissionQueue() : null;
+        this.queueTimer = null;
+        this.contactGuard = this.contactForm && typeof SpamGuard !== 'undefined' ? new SpamGuard() : null;
+        this.phiWarning = element.querySelector('[data-phi-warning]');
+        // The matches the visitor last acknowledged (or was warned about)
+        this.phiKey = null;
+        this.listeners = new AbortController();
+    }
+
+    mount() {
+        if (!this.contactForm) return;
+
+        const { signal } = this.listeners;
+        this.bindContactFormEvents();
+        new TextareaAutoResize(this.contactForm, { signal });
+        new FormAnimations(this.contactForm, { signal });
+        new CharacterCounter(this.contactForm, { signal });
+
+        if (this.submissionQueue && this.submissionQueue.isSupported()) {
+            this.bindSubmissionQueueEvents();
+            this.replaySubmissionQueue();
+        }
+    }
+
+    unmount() {
+        this.listeners.abort();
+        clearTimeout(this.queueTimer);
+    }
+
+    // Errors are stored as keys, so they can follow a language switch
+    onLanguageChange() {
+        this.translateFieldErrors();
+    }
+
+    bindContactFormEvents() {
+        const { signal } = this.listeners;
+
+        this.contactForm.addEventListener('submit', (e) => {
+            this.handleContactFormSubmit(e);
+        }, { signal });
+
+        // Real-time validation for every field the schema knows about
+        Object.keys(FormSchemas.contact).forEach(name => {
+            const field = this.contactForm.elements.namedItem(name);
+            if (!field) return;
+
+            field.addEventListener('blur', () => {
+                // Don't nag about empty fields the visitor just tabbed through
+                if (field.type === 'checkbox' || field.value.trim()) {
+                    this.validateField(field);
+                }
+            }, { signal });
+            
+            field.addEventListener('input', () => {
+                this.clearFieldError(field);
+            }, { signal });
+        });
+
+        // Keep an open PHI warning in step with what is being edited
+        if (this.phiWarning) {
+            PHI_FIELDS.forEach(name => {
+                this.contactForm.elements.namedItem(name).addEventListener('input', () => {
+                    if (!this.phiWarning.hidden) this.checkForPhi(this.collectContactFormData());
+                }, { signal });
+            });
+            this.phiWarning.querySelector('[data-phi-acknowledge]').addEventListener('change', (e) => {
+                this.clearFieldError(e.target);
+            }, { signal });
+        }
+
+        const reset = this.element.querySelector('[data-contact-reset]');
+        if (reset) {
+            reset.addEventListener('click', () => {
+                this.showContactForm();
+            }, { signal });
+        }
+
+        // Phone number formatting
+        const phoneField = this.contactForm.elements.namedItem('phone');
+        if (phoneField) {
+            phoneField.addEventListener('input', (e) => {
+                this.formatPhoneNumber(e.target);
+            }, { signal });
+        }
+    }
+
+    bindSubmissionQueueEvents() {
+        const { signal } = this.listeners;
+
+        window.addEventListener('online', () => {
+            this.replaySubmissionQueue();
+        }, { signal });
+
+        // The service worker replays the queue with Background Sync and
+        // tells open pages when it has done so
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'submission-queue-updated') {
+                    this.notifyQueueSummary(e.data.summary);
+                    this.renderSubmissionQueue();
+                }
+            }, { signal });
+        }
+
+        if (this.queuePanel) {
+            this.queuePanel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-queue-action]');
+                if (button) {
+                    this.handleQueueAction(button.dataset.queueAction, button.dataset.queueId);
+                }
+            }, { signal });
+        }
+    }
+
+    async handleContactFormSubmit(e) {
+        e.preventDefault();
+        
+        // Show loading state
+        const submitBtn = this.contactForm.querySelector('button[type="submit"]');
+        const originalText = submitBtn.innerHTML;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> <span data-i18n="common.sending"></span>';
+        submitBtn.querySelector('[data-i18n]').textContent = t('common.sending');
+        submitBtn.disabled = true;
+
+        // Whether this attempt used up the spam-protection token
+        let tokenSpent = false;
+
+        try {
+            // Validate form
+            if (!this.validateContactForm()) {
+                throw new Error(invalidFormMessage(this.context.language));
+            }
+
+            // Collect form data
+            const formData = this.collectContactFormData();
+
+            // Patient details need an explicit "send anyway"
+            if (!this.checkForPhi(formData, { submitting: true })) {
+                return;
+            }
+
+            formData.submissionId = SubmissionQueue.createId();
+            formData.antiSpam = await this.spamToken(this.contactGuard);
+            
+            let response;
+            try {
+                if (navigator.onLine === false) {
+                    throw new SubmissionNetworkError('Browser is offline');
+                }
+                tokenSpent = true;
+                response = await this.submitContactForm(formData);
+            } catch (error) {
+                if (error instanceof SubmissionNetworkError && await this.queueSubmission('/api/contact', formData)) {
+                    tokenSpent = true;
+                    return;
+                }
+                throw error;
+            }
+            
+            if (response.success) {
+                this.showSuccessMessage();
+                this.resetContactForm();
+                
+                // Track form submission
+                this.context.analytics.track('contactSubmitted', {
+                    inquiry_type: formData.inquiryType,
+                    has_organization: Boolean(formData.organization && formData.organization.trim())
+                });
+            } else {
+                this.showServerErrors(response.errors);
+                throw new Error(responseErrorMessage(response, t('contact.errors.sendFailed'), this.context.language));
+            }
+        } catch (error) {
+            console.error('Contact form error:', error);
+            this.showErrorMessage(error.message);
+        } finally {
+            // Each spam-protection challenge is good for one submission. One
+            // that was never sent stays valid, and fetching another would
+            // restart the time-to-submit clock.
+            if (this.contactGuard && tokenSpent) {
+                this.contactGuard.reset();
+            }
+
+            // Restore button
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    validateContactForm() {
+        const { valid, errors } = validateForm('contact', this.collectContactFormData());
+
+        Object.keys(FormSchemas.contact).forEach(name => {
+            const field = this.contactForm.elements.namedItem(name);
+            if (!field) return;
+
+            if (errors[name]) {
+                this.showFieldError(field, errors[name]);
+            } else {
+                this.clearFieldError(field);
+            }
+        });
+
+        return valid;
+    }
+
+    // Validate a single field against the schema. Conditional rules look at
+    // the rest of the form, so the whole form's values are passed in.
+    validateField(field) {
+        const error = validateFormField('contact', field.name, this.collectContactFormData());
+
+        if (error) {
+            this.showFieldError(field, error);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    validateEmail(email) {
+        return FormFormats.email.test(email);
+    }
+
+    showFieldError(field, error) {
+        showFieldError(field, error, this.context.language);
+    }
+
+    clearFieldError(field) {
+        clearFieldError(field);
+    }
+
+    // Re-render visible validation errors in the newly selected language
+    translateFieldErrors() {
+        translateFieldErrors(this.element, this.context.language);
+    }
+
+    async spamToken(guard) {
+        return guard ? guard.token() : null;
+    }
+
+    // Field errors returned by /api/contact: { field: { key, params } }
+    showServerErrors(errors) {
+        Object.entries(errors || {}).forEach(([name, error]) => {
+            const field = this.contactForm.elements.namedItem(name);
+            if (field && error && error.key) {
+                this.showFieldError(field, error);
+            }
+        });
+    }
+
+    collectContactFormData() {
+        const formData = new FormData(this.contactForm);
+        const data = {};
+        
+        for (let [key, value] of formData.entries()) {
+            data[key] = value;
+        }
+
+        data.language = this.context.language;
+        
+        return data;
+    }
+
+    async submitContactForm(data) {
+        return postJSON('/api/contact', data);
+    }
+
+    // Save a submission that could not be sent. Resolves false when the
+    // browser has no IndexedDB, so the caller reports the original error.
+    async queueSubmission(endpoint, data) {
+        if (!this.submissionQueue || !this.submissionQueue.isSupported()) {
+            return false;
+        }
+
+        try {
+            await this.submissionQueue.enqueue(endpoint, data, { subject: data.subject || '' });
+        } catch (error) {
+            console.error('Could not queue submission:', error);
+            return false;
+        }
+
+        this.resetContactForm();
+        this.showNotification({ key: 'contact.queue.saved' }, 'info');
+
+        const backgroundSync = await SubmissionQueue.requestBackgroundSync();
+        if (!backgroundSync) {
+            this.scheduleQueueReplay();
+        }
+        await this.renderSubmissionQueue();
+        return true;
+    }
+
+    async replaySubmissionQueue() {
+        clearTimeout(this.queueTimer);
+
+        try {
+            const summary = await this.submissionQueue.replay();
+            this.notifyQueueSummary(summary);
+        } catch (error) {
+            console.error('Submission queue replay failed:', error);
+        }
+
+        await this.renderSubmissionQueue();
+        this.scheduleQueueReplay();
+    }
+
+    // While the page stays open, wake up when the next pending item is due
+    async scheduleQueueReplay() {
+        clearTimeout(this.queueTimer);
+
+        const items = await this.submissionQueue.getAll();
+        const due = items
+            .filter(item => item.status !== 'failed')
+            .map(item => item.nextAttemptAt);
+
+        if (due.length > 0) {
+            const delay = Math.max(0, Math.min(...due) - Date.now());
+            this.queueTimer = setTimeout(() => this.replaySubmissionQueue(), delay);
+        }
+    }
+
+    notifyQueueSummary(summary) {
+        if (summary && summary.sent > 0) {
+            this.showNotification({ key: 'contact.queue.sent', params: { count: summary.sent } }, 'success');
+        }
+    }
+
+    async handleQueueAction(action, id) {
+        if (action === 'retry') {
+            await this.submissionQueue.retry(id);
+            await this.replaySubmissionQueue();
+        } else if (action === 'discard') {
+            await this.submissionQueue.remove(id);
+            await this.renderSubmissionQueue();
+        }
+    }
+
+    // List pending and failed submissions under the form
+    async renderSubmissionQueue() {
+        if (!this.queuePanel) return;
+
+        const items = await this.submissionQueue.getAll();
+        const list = this.queuePanel.querySelector('.submission-queue-list');
+        list.innerHTML = '';
+
+        items.forEach(item => {
+            list.appendChild(this.createQueueItem(item));
+        });
+
+        const title = this.queuePanel.querySelector('.submission-queue-title');
+        if (title) {
+            setTranslatedText(title, 'contact.queue.title', { count: items.length });
+        }
+
+        this.queuePanel.hidden = items.length === 0;
+    }
+
+    createQueueItem(item) {
+        const failed = item.status === 'failed';
+        const li = document.createElement('li');
+        li.className = `submission-queue-item ${failed ? 'failed' : 'pending'}`;
+
+        const subject = document.createElement('span');
+        subject.className = 'submission-queue-subject';
+        subject.textContent = (item.meta && item.meta.subject) || item.endpoint;
+        li.appendChild(subject);
+
+        const status = document.createElement('span');
+        status.className = 'submission-queue-status';
+        if (failed) {
+            setTranslatedText(status, 'contact.queue.failed', { error: item.lastError });
+        } else {
+            const time = new Date(item.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            setTranslatedText(status, 'contact.queue.waiting', { time });
+        }
+        li.appendChild(status);
+
+        if (failed) {
+            const actions = document.createElement('span');
+            actions.className = 'submission-queue-actions';
+            actions.appendChild(this.createQueueButton('retry', item.id));
+            actions.appendChild(this.createQueueButton('discard', item.id));
+            li.appendChild(actions);
+        }
+
+        return li;
+    }
+
+    createQueueButton(action, id) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-outline btn-sm';
+        button.dataset.queueAction = action;
+        button.dataset.queueId = id;
+        setTranslatedText(button, `contact.queue.${action}`);
+        return button;
+    }
+
+    showSuccessMessage() {
+        this.contactForm.style.display = 'none';
+        this.formSuccess.style.display = 'block';
+        
+        // Scroll to success message
+        this.formSuccess.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // "Send another message" from the success view
+    showContactForm() {
+        this.formSuccess.style.display = 'none';
+        this.contactForm.style.display = 'block';
+        this.resetContactForm();
+
+        // Scroll back to form
+        this.contactForm.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    showErrorMessage(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showNotification(message, type = 'info') {
+        this.context.notifications.show(message, { type });
+    }
+
+    resetContactForm() {
+        this.contactForm.reset();
+        this.clearAllFieldErrors();
+        this.hidePhiWarning();
+    }
+
+    // Scan subject and message and show what was found. Returns true when
+    // the form may be sent: nothing found, or the visitor acknowledged
+    // exactly these matches.
+    checkForPhi(data, { submitting = false } = {}) {
+        if (!this.phiWarning || typeof detectPhi !== 'function') return true;
+
+        const findings = PHI_FIELDS
+            .map(name => ({ name, text: data[name] || '', matches: detectPhi(data[name] || '') }))
+            .filter(finding => finding.matches.length > 0);
+
+        if (findings.length === 0) {
+            this.hidePhiWarning();
+            return true;
+        }
+
+        const acknowledge = this.phiWarning.querySelector('[data-phi-acknowledge]');
+        const key = JSON.stringify(findings.map(finding => finding.matches.map(match => match.text)));
+        if (key !== this.phiKey) {
+            // New details need a new acknowledgement
+            acknowledge.checked = false;
+            this.phiKey = key;
+        }
+
+        if (this.phiWarning.hidden) {
+            this.context.analytics.track('phiWarningShown', {
+                matches: findings.reduce((total, finding) => total + finding.matches.length, 0)
+            });
+        }
+        this.renderPhiWarning(findings);
+        if (!submitting || acknowledge.checked) return true;
+
+        this.showFieldError(acknowledge, { key: 'phiAcknowledged' });
+        this.phiWarning.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.phiWarning.focus();
+        return false;
+    }
+
+    // The scanned text with every match marked, per field
+    renderPhiWarning(findings) {
+        const preview = this.phiWarning.querySelector('[data-phi-preview]');
+        preview.textContent = '';
+
+        const count = findings.reduce((total, finding) => total + finding.matches.length, 0);
+        setTranslatedText(this.phiWarning.querySelector('[data-phi-summary]'), 'contact.phi.found', { count });
+
+        findings.forEach(({ name, text, matches }) => {
+            const field = document.createElement('div');
+            field.className = 'phi-preview-field';
+
+            const label = document.createElement('span');
+            label.className = 'phi-preview-label';
+            setTranslatedText(label, `contact.phi.fields.${name}`);
+
+            const body = document.createElement('p');
+            body.className = 'phi-preview-text';
+            body.dir = 'auto';
+            let position = 0;
+            matches.forEach(match => {
+                if (match.start > position) {
+                    body.appendChild(document.createTextNode(text.slice(position, match.start)));
+                }
+                const mark = document.createElement('mark');
+                mark.className = 'phi-match';
+                mark.dataset.phiKind = match.kind;
+                mark.textContent = match.text;
+                mark.title = t(`contact.phi.kinds.${match.kind}`);
+                mark.setAttribute('data-i18n-attr', `title:contact.phi.kinds.${match.kind}`);
+                body.appendChild(mark);
+                position = match.end;
+            });
+            body.appendChild(document.createTextNode(text.slice(position)));
+
+            field.append(label, body);
+            preview.appendChild(field);
+        });
+
+        const kinds = this.phiWarning.querySelector('[data-phi-kinds]');
+        kinds.textContent = '';
+        const found = new Set(findings.flatMap(finding => finding.matches.map(match => match.kind)));
+        PhiKinds.filter(kind => found.has(kind)).forEach(kind => {
+            const item = document.createElement('li');
+            setTranslatedText(item, `contact.phi.kinds.${kind}`);
+            kinds.appendChild(item);
+        });
+
+        this.phiWarning.hidden = false;
+    }
+
+    hidePhiWarning() {
+        if (!this.phiWarning) return;
+        this.phiWarning.hidden = true;
+        this.phiKey = null;
+        const acknowledge = this.phiWarning.querySelector('[data-phi-acknowledge]');
+        acknowledge.checked = false;
+        this.clearFieldError(acknowledge);
+    }
+
+    clearAllFieldErrors() {
+        const errorFields = this.contactForm.querySelectorAll('.error');
+        const errorMessages = this.contactForm.querySelectorAll('.field-error');
+        
+        errorFields.forEach(field => field.classList.remove('error'));
+        errorMessages.forEach(error => error.remove());
+    }
+
+    formatPhoneNumber(phoneField) {
+        let value = phoneField.value.replace(/\D/g, '');
+        
+        // Format for Saudi Arabia (+966): nine digits, e.g. +966 50 123 4567
+        if (value.startsWith('966')) {
+            value = value.replace(/^966(\d{2})(\d{3})(\d{4})/, '+966 $1 $2 $3');
+        }
+        // Format for other international numbers
+        else if (value.length >= 10) {
+            value = value.replace(/(\d{3})(\d{3})(\d{4})/, '$1 $2 $3');
+        }
+        
+        phoneField.value = value;
+    }
+}
+
+// Auto-resize textarea
+class TextareaAutoResize {
+    constructor(root, { signal } = {}) {
+        this.root = root;
+        this.signal = signal;
+        this.init();
+    }
+
+    init() {
+        const textareas = this.root.querySelectorAll('textarea');
+        textareas.forEach(textarea => {
+            textarea.addEventListener('input', () => {
+                this.autoResize(textarea);
+            }, { signal: this.signal });
+            
+            // Initial resize
+            this.autoResize(textarea);
+        });
+    }
+
+    autoResize(textarea) {
+        textarea.style.height = 'auto';
+        textarea.style.height = textarea.scrollHeight + 'px';
+    }
+}
+
+// Form field animations
+class FormAnimations {
+    constructor(root, { signal } = {}) {
+        this.root = root;
+        this.signal = signal;
+        this.init();
+    }
+
+    init() {
+        this.addFocusAnimations();
+        this.addFieldValidationAnimations();
+    }
+
+    addFocusAnimations() {
+        const formFields = this.root.querySelectorAll('input, select, textarea');
+        
+        formFields.forEach(field => {
+            field.addEventListener('focus', () => {
+                field.parentNode.classList.add('focused');
+            }, { signal: this.signal });
+            
+            field.addEventListener('blur', () => {
+                if (!field.value) {
+                    field.parentNode.classList.remove('focused');
+                }
+            }, { signal: this.signal });
+            
+            // Check if field has value on load
+            if (field.value) {
+                field.parentNode.classList.add('focused');
+            }
+        });
+    }
+
+    addFieldValidationAnimations() {
+        const formFields = this.root.querySelectorAll('input[required], select[required], textarea[required]');
+        
+        formFields.forEach(field => {
+            field.addEventListener('invalid', (e) => {
+                e.target.classList.add('shake');
+                setTimeout(() => {
+                    e.target.classList.remove('shake');
+                }, 500);
+            }, { signal: this.signal });
+        });
+    }
+}
+
+// Character counter for textarea
+export class CharacterCounter {
+    constructor(root, { signal } = {}) {
+        this.root = root;
+        this.signal = signal;
+        this.init();
+    }
+
+    init() {
+        const textareas = this.root.querySelectorAll('textarea');
+        textareas.forEach(textarea => {
+            if (textarea.hasAttribute('maxlength')) {
+                this.addCounter(textarea);
+            }
+        });
+    }
+
+    addCounter(textarea) {
+        const maxLength = textarea.getAttribute('maxlength');
+        const counter = document.createElement('div');
+        counter.className = 'character-counter';
+        
+        const updateCounter = () => {
+            const currentLength = textarea.value.length;
+            counter.textContent = `${currentLength}/${maxLength}`;
+            
+            if (currentLength > maxLength * 0.9) {
+                counter.classList.add('warning');
+            } else {
+                counter.classList.remove('warning');
+            }
+        };
+        
+        textarea.addEventListener('input', updateCounter, { signal: this.signal });
+        textarea.parentNode.appendChild(counter);
+        updateCounter();
+
+        // Unmounting takes the counter away with the listener, so a remount
+        // does not add a second one
+        if (this.signal) {
+            this.signal.addEventListener('abort', () => counter.remove(), { once: true });
+        }
+    }
+}
@@ -0,0 +1,71 @@
+// AFHAM Website - Counter Component
+// Counts a stat up to its value when it scrolls into view, in the active
+// language's digits (see locale-format.js):
+//
+//   <span class="stat-number" data-component="counter">2,500+</span>
+//
+// Visitors who prefer reduced motion just see the final value.
+
+/* global numberSource, renderLocalizedNumber */
+
+const DURATION = 2000;
+const STEPS = 60;
+
+export default class CounterComponent {
+  constructor(element, context) {
+    this.element = element;
+    this.context = context;
+    this.observer = null;
+    this.timer = null;
+    this.current = undefined;
+  }
+
+  mount() {
+    if (this.context.reducedMotion || !numberSource(this.element) || typeof IntersectionObserver === 'undefined') {
+      return;
+    }
+
+    this.observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.observer.disconnect();
+        this.observer = null;
+        this.animate();
+      }
+    }, { threshold: 0.5 });
+    this.observer.observe(this.element);
+  }
+
+  unmount() {
+    if (this.observer) this.observer.disconnect();
+    clearInterval(this.timer);
+  }
+
+  // LocaleFormatManager redraws the final value on a switch; keep counting
+  // from where the animation was instead
+  onLanguageChange() {
+    if (this.timer) this.render();
+  }
+
+  animate() {
+    const { value, fractionDigits } = numberSource(this.element);
+    const factor = Math.pow(10, fractionDigits);
+    let step = 0;
+
+    this.timer = setInterval(() => {
+      step++;
+
+      if (step >= STEPS) {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.current = undefined;
+      } else {
+        this.current = Math.floor((value * step / STEPS) * factor) / factor;
+      }
+      this.render();
+    }, DURATION / STEPS);
+  }
+
+  render() {
+    renderLocalizedNumber(this.element, this.context.language, this.current);
+  }
+}
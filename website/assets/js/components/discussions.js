@@ -0,0 +1,213 @@
+// AFHAM Website - Featured Discussions Component
+// The latest GitHub Discussions from /community/discussions.json (see
+// community-discussions.js), filtered by category:
+//
+//   <section data-component="discussions">
+//     <div class="discussion-filters" role="group"></div>
+//     <p class="discussions-status" role="status"></p>
+//     <div data-discussions></div>
+//
+// A cached feed is shown at once and refreshed in the background once stale.
+// Each card shows its category, whether it has an answer, the reply count and
+// how long ago it was last active, in the page language.
+
+/* global CommunityDiscussionsConfig, cacheDiscussions, discussionCategories,
+    filterDiscussions, formatRelativeTime, readCachedDiscussions,
+    setTranslatedText */
+
+export default class DiscussionsComponent {
+  constructor(element, context) {
+    this.element = element;
+    this.context = context;
+    this.src = element.dataset.src || CommunityDiscussionsConfig.dataUrl;
+    this.filters = element.querySelector('.discussion-filters');
+    this.status = element.querySelector('.discussions-status');
+    this.list = element.querySelector('[data-discussions]');
+    this.discussions = [];
+    this.category = 'all';
+    this.onFilterClick = (e) => this.handleFilterClick(e);
+  }
+
+  async mount() {
+    this.filters.addEventListener('click', this.onFilterClick);
+
+    const cached = readCachedDiscussions(Date.now());
+    if (cached) this.show(cached.feed);
+    if (cached && cached.fresh) return;
+
+    try {
+      const feed = await this.load();
+      cacheDiscussions(feed, Date.now());
+      this.show(feed);
+    } catch (error) {
+      console.warn('Community discussions unavailable:', error);
+      // An older copy is better than an error
+      if (!cached) setTranslatedText(this.status, 'community.discussions.loadFailed');
+    }
+  }
+
+  unmount() {
+    this.filters.removeEventListener('click', this.onFilterClick);
+  }
+
+  onLanguageChange() {
+    if (this.discussions.length > 0) this.render();
+  }
+
+  async load() {
+    const response = await fetch(this.src);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const feed = await response.json();
+    if (!Array.isArray(feed.discussions)) throw new Error('Malformed discussions feed');
+    return feed;
+  }
+
+  show(feed) {
+    this.discussions = feed.discussions;
+    // The chosen category may be gone from a refreshed feed
+    if (!discussionCategories(this.discussions).includes(this.category)) this.category = 'all';
+    this.render();
+  }
+
+  render() {
+    this.renderFilters();
+    this.renderList();
+  }
+
+  renderFilters() {
+    const categories = discussionCategories(this.discussions);
+    this.filters.textContent = '';
+    this.filters.hidden = categories.length < 2;
+
+    ['all', ...categories].forEach(category => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'discussion-filter';
+      button.dataset.category = category;
+      button.setAttribute('aria-pressed', String(category === this.category));
+      setTranslatedText(button, category === 'all' ? 'community.discussions.all' : `community.discussions.categories.${category}`);
+      this.filters.appendChild(button);
+    });
+  }
+
+  renderList() {
+    const shown = filterDiscussions(this.discussions, this.category);
+    this.list.textContent = '';
+
+    if (shown.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'discussions-empty';
+      setTranslatedText(empty, 'community.discussions.empty');
+      this.list.appendChild(empty);
+    } else {
+      const now = Date.now();
+      shown.forEach(discussion => this.list.appendChild(this.renderDiscussion(discussion, now)));
+    }
+
+    setTranslatedText(this.status, 'community.discussions.showing', { count: shown.length });
+  }
+
+  renderDiscussion(discussion, now) {
+    const titleId = `discussion-${discussion.number}-title`;
+
+    const card = document.createElement('article');
+    card.className = 'discussion-card';
+    card.setAttribute('aria-labelledby', titleId);
+
+    const header = document.createElement('div');
+    header.className = 'discussion-header';
+    const author = discussion.author || {};
+    if (author.avatarUrl) {
+      const avatar = document.createElement('div');
+      avatar.className = 'user-avatar';
+      const image = document.createElement('img');
+      image.src = author.avatarUrl;
+      // The login is right next to it
+      image.alt = '';
+      image.width = 50;
+      image.height = 50;
+      image.loading = 'lazy';
+      avatar.appendChild(image);
+      header.appendChild(avatar);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'discussion-meta';
+
+    const title = document.createElement('h3');
+    title.id = titleId;
+    title.textContent = discussion.title;
+
+    const login = document.createElement('span');
+    login.className = 'discussion-author';
+    login.textContent = author.login || '';
+
+    const time = document.createElement('time');
+    time.className = 'discussion-time';
+    time.setAttribute('datetime', discussion.updatedAt);
+    time.textContent = formatRelativeTime(discussion.updatedAt, { language: this.context.language, now });
+
+    meta.append(title, login, time);
+    header.appendChild(meta);
+
+    const excerpt = document.createElement('p');
+    excerpt.textContent = discussion.excerpt || '';
+
+    const link = document.createElement('a');
+    link.className = 'discussion-link';
+    link.href = discussion.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.setAttribute('aria-describedby', titleId);
+    setTranslatedText(link, 'community.discussions.join');
+
+    card.append(header, excerpt, this.renderStats(discussion), link);
+    return card;
+  }
+
+  renderStats(discussion) {
+    const stats = document.createElement('div');
+    stats.className = 'discussion-stats';
+
+    // Only Q&A categories can have an answer
+    if (typeof discussion.answered === 'boolean') {
+      const answer = discussion.answered
+        ? this.stat('fa-check-circle', 'community.discussions.answered')
+        : this.stat('fa-question-circle', 'community.discussions.unanswered');
+      answer.className = `discussion-answer discussion-${discussion.answered ? 'answered' : 'unanswered'}`;
+      stats.appendChild(answer);
+    }
+
+    stats.appendChild(this.stat('fa-comments', 'community.discussions.replies', { count: discussion.replies || 0 }));
+    stats.appendChild(this.stat('fa-thumbs-up', 'community.discussions.upvotes', { count: discussion.upvotes || 0 }));
+
+    if (CommunityDiscussionsConfig.categories.includes(discussion.category)) {
+      const tag = document.createElement('span');
+      tag.className = 'discussion-tag';
+      setTranslatedText(tag, `community.discussions.categories.${discussion.category}`);
+      stats.appendChild(tag);
+    }
+    return stats;
+  }
+
+  stat(icon, key, params) {
+    const item = document.createElement('span');
+    item.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+    const label = document.createElement('span');
+    setTranslatedText(label, key, params);
+    item.appendChild(label);
+    return item;
+  }
+
+  handleFilterClick(e) {
+    const button = e.target.closest('[data-category]');
+    if (!button || button.dataset.category === this.category) return;
+
+    this.category = button.dataset.category;
+    this.filters.querySelectorAll('[data-category]').forEach(filter => {
+      filter.setAttribute('aria-pressed', String(filter === button));
+    });
+    this.renderList();
+    this.context.analytics.track('discussionFilter', { category: this.category });
+  }
+}
@@ -0,0 +1,311 @@
+// AFHAM Website - Document Analysis Demo Component
+// Tag a sample document, or a PDF or image the visitor picks, and show what
+// was found (document-analysis.js):
+//
+//   <section data-component="document-demo">
+//     <div data-demo-samples></div>
+//     <input type="file" data-demo-file>
+//     <p class="demo-status" role="status"></p>
+//     <div data-demo-document></div>
+//     <div data-demo-summary></div>
+//
+// Files are read in the page, PDFs with pdf.js (imported from cdnjs the
+// first time one is picked) and images with tesseract.js text recognition
+// (from jsDelivr, likewise). Only counts go to analytics, never content.
+
+/* global DocumentAnalysisConfig, DocumentAnalysisSamples, extractPdfText,
+    setTranslatedText, summarizeEntities, t, tagMedicalEntities,
+    textDirection */
+
+let pdfjsLoading = null;
+let tesseractLoading = null;
+
+// pdf.js, once per page; a failed import is tried again next time
+function loadPdfjs() {
+  if (!pdfjsLoading) {
+    pdfjsLoading = import(DocumentAnalysisConfig.pdfjsUrl).then(pdfjs => {
+      pdfjs.GlobalWorkerOptions.workerSrc = DocumentAnalysisConfig.pdfjsWorkerUrl;
+      return pdfjs;
+    });
+    pdfjsLoading.catch(() => { pdfjsLoading = null; });
+  }
+  return pdfjsLoading;
+}
+
+// tesseract.js, the same way
+function loadTesseract() {
+  if (!tesseractLoading) {
+    tesseractLoading = import(DocumentAnalysisConfig.tesseractUrl).then(module => module.default);
+    tesseractLoading.catch(() => { tesseractLoading = null; });
+  }
+  return tesseractLoading;
+}
+
+// FileReader rather than Blob#arrayBuffer, which older Safari lacks
+function readFile(file, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](file);
+  });
+}
+
+function isPdf(file) {
+  return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+export default class DocumentDemoComponent {
+  constructor(element, context) {
+    this.element = element;
+    this.context = context;
+    this.samples = element.querySelector('[data-demo-samples]');
+    this.fileInput = element.querySelector('[data-demo-file]');
+    this.status = element.querySelector('.demo-status');
+    this.documentView = element.querySelector('[data-demo-document]');
+    this.summaryView = element.querySelector('[data-demo-summary]');
+    this.loadPdfjs = loadPdfjs;
+    this.loadTesseract = loadTesseract;
+    this.result = null;
+    this.listeners = new AbortController();
+  }
+
+  mount() {
+    const { signal } = this.listeners;
+    this.renderSamples();
+
+    this.samples.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-sample]');
+      if (button) this.showSample(button.dataset.sample);
+    }, { signal });
+
+    this.fileInput.addEventListener('change', () => {
+      const [file] = this.fileInput.files;
+      if (file) this.analyzeFile(file);
+      // Picking the same file again should analyze it again
+      this.fileInput.value = '';
+    }, { signal });
+  }
+
+  unmount() {
+    this.listeners.abort();
+  }
+
+  onLanguageChange() {
+    if (this.result) this.renderSummary(this.result.summary);
+  }
+
+  renderSamples() {
+    this.samples.textContent = '';
+    DocumentAnalysisSamples.forEach(sample => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-outline btn-sm demo-sample';
+      button.dataset.sample = sample.id;
+      button.setAttribute('aria-pressed', 'false');
+      setTranslatedText(button, `demo.samples.${sample.id}`);
+      this.samples.appendChild(button);
+    });
+  }
+
+  showSample(id) {
+    const sample = DocumentAnalysisSamples.find(item => item.id === id);
+    if (!sample) return;
+
+    this.samples.querySelectorAll('[data-sample]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.sample === id));
+    });
+    this.analyze(sample.text, { source: 'sample', language: sample.language });
+  }
+
+  async analyzeFile(file) {
+    this.samples.querySelectorAll('[data-sample]').forEach(button => button.setAttribute('aria-pressed', 'false'));
+
+    if (file.size > DocumentAnalysisConfig.maxFileSize) {
+      this.setStatus('demo.status.tooLarge', { size: Math.round(DocumentAnalysisConfig.maxFileSize / (1024 * 1024)) }, 'error');
+      return;
+    }
+
+    if (file.type.startsWith('image/')) {
+      await this.analyzeImage(file);
+      return;
+    }
+
+    if (!isPdf(file)) {
+      this.setStatus('demo.status.unsupported', null, 'error');
+      return;
+    }
+
+    this.setStatus('demo.status.reading', { name: file.name });
+    let text;
+    try {
+      text = await this.readPdf(file);
+    } catch (error) {
+      console.warn('Could not read PDF:', error);
+      this.setStatus('demo.status.readFailed', null, 'error');
+      return;
+    }
+
+    if (!text.trim()) {
+      this.clearResult();
+      this.setStatus('demo.status.noText', null, 'error');
+      return;
+    }
+    this.analyze(text, { source: 'pdf' });
+  }
+
+  async analyzeImage(file) {
+    this.setStatus('demo.status.recognizing', { name: file.name });
+    let text;
+    try {
+      text = await this.recognizeImage(file);
+    } catch (error) {
+      console.warn('Could not recognize text in image:', error);
+      this.setStatus('demo.status.recognitionFailed', null, 'error');
+      return;
+    }
+
+    if (!text.trim()) {
+      this.clearResult();
+      this.setStatus('demo.status.noImageText', null, 'error');
+      return;
+    }
+    this.analyze(text, { source: 'image' });
+  }
+
+  async readPdf(file) {
+    const pdfjs = await this.loadPdfjs();
+    const data = new Uint8Array(await readFile(file, 'readAsArrayBuffer'));
+    const pdf = await pdfjs.getDocument({
+      data,
+      isEvalSupported: false,
+      cMapUrl: DocumentAnalysisConfig.cMapUrl,
+      cMapPacked: true
+    }).promise;
+
+    try {
+      return await extractPdfText(pdf);
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  // One recognition worker per image, so nothing stays running afterwards
+  async recognizeImage(file) {
+    const Tesseract = await this.loadTesseract();
+    const worker = await Tesseract.createWorker(DocumentAnalysisConfig.ocrLanguages, Tesseract.OEM.LSTM_ONLY, {
+      workerPath: DocumentAnalysisConfig.tesseractWorkerUrl,
+      corePath: DocumentAnalysisConfig.tesseractCoreUrl
+    });
+
+    try {
+      const { data } = await worker.recognize(file);
+      return data.text;
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  analyze(text, { source, language = null }) {
+    const entities = tagMedicalEntities(text);
+    const summary = summarizeEntities(entities);
+    this.result = { text, entities, summary };
+
+    this.renderDocument(text, entities, language);
+    this.renderSummary(summary);
+    this.setStatus('demo.status.found', { count: entities.length });
+
+    this.context.analytics.track('demoAnalyzed', { source, entities: entities.length });
+  }
+
+  clearResult() {
+    this.result = null;
+    this.documentView.textContent = '';
+    this.summaryView.textContent = '';
+  }
+
+  // The text as written, entities wrapped in <mark>
+  renderDocument(text, entities, language) {
+    this.documentView.textContent = '';
+    this.documentView.setAttribute('dir', textDirection(text));
+    if (language) {
+      this.documentView.setAttribute('lang', language);
+    } else {
+      this.documentView.removeAttribute('lang');
+    }
+
+    let position = 0;
+    entities.forEach(entity => {
+      if (entity.start > position) {
+        this.documentView.appendChild(document.createTextNode(text.slice(position, entity.start)));
+      }
+      const mark = document.createElement('mark');
+      mark.className = `entity entity-${entity.type}`;
+      mark.dataset.entity = entity.type;
+      mark.textContent = entity.text;
+      mark.title = t(`demo.types.${entity.type}`);
+      mark.setAttribute('data-i18n-attr', `title:demo.types.${entity.type}`);
+      this.documentView.appendChild(mark);
+      position = entity.end;
+    });
+    if (position < text.length) {
+      this.documentView.appendChild(document.createTextNode(text.slice(position)));
+    }
+  }
+
+  renderSummary(summary) {
+    const { language } = this.context;
+    this.summaryView.textContent = '';
+
+    const found = DocumentAnalysisConfig.entityTypes.filter(type => summary[type].length > 0);
+    if (found.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'demo-summary-empty';
+      setTranslatedText(empty, 'demo.summary.empty');
+      this.summaryView.appendChild(empty);
+      return;
+    }
+
+    found.forEach(type => {
+      const group = document.createElement('section');
+      group.className = `demo-summary-group demo-summary-${type}`;
+
+      const heading = document.createElement('h4');
+      setTranslatedText(heading, `demo.summary.${type}`, { count: summary[type].length });
+
+      const list = document.createElement('ul');
+      summary[type].forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = this.describe(type, item, language);
+        list.appendChild(li);
+      });
+
+      group.append(heading, list);
+      this.summaryView.appendChild(group);
+    });
+  }
+
+  // One summary line; lexicon names follow the page language
+  describe(type, item, language) {
+    const label = item.label ? (item.label[language] || item.label.en) : null;
+
+    if (type === 'medication') {
+      return item.dose ? `${label} ${item.dose}` : label;
+    }
+    if (type === 'diagnosis') {
+      return label ? `${label} (${item.icd10})` : item.icd10;
+    }
+    if (type === 'vital') {
+      return t(`demo.vitals.${item.kind}`, { reading: item.reading, unit: item.unit });
+    }
+    if (type === 'date') {
+      return item.calendar === 'hijri' ? t('demo.summary.hijriDate', { date: item.text }) : item.text;
+    }
+    return t(`demo.identifiers.${item.kind}`, { id: item.masked });
+  }
+
+  setStatus(key, params, type = 'success') {
+    setTranslatedText(this.status, key, params || undefined);
+    this.status.dataset.state = type;
+  }
+}
@@ -0,0 +1,292 @@
+// AFHAM Website - Community Events Component
+// Upcoming and past events from /community/events.json (see community.js):
+//
+//   <section id="events" data-component="events">
+//     <div data-events="upcoming"></div>
+//     <div data-events="past"></div>
+//
+// Upcoming events count down to their start and show both the visitor's
+// local time and Riyadh time, with calendar exports; past events link to
+// their recording. Events move from one list to the other on their own.
+
+/* global CommunityEventsConfig, LocaleFormatConfig, eventEnd, eventICSUrl,
+    eventStart, eventStatus, eventText, formatDuration, googleCalendarUrl,
+    outlookCalendarUrl, renderLocalizedContent, setTranslatedText,
+    splitEvents, t, viewerTimeZone */
+
+const MINUTE = 60 * 1000;
+
+export default class EventsComponent {
+  constructor(element, context) {
+    this.element = element;
+    this.context = context;
+    this.src = element.dataset.src || CommunityEventsConfig.dataUrl;
+    this.lists = {
+      upcoming: element.querySelector('[data-events="upcoming"]'),
+      past: element.querySelector('[data-events="past"]')
+    };
+    this.status = element.querySelector('.events-status');
+    this.events = [];
+    this.statuses = new Map();
+    this.timer = null;
+    this.onClick = (e) => this.handleClick(e);
+  }
+
+  async mount() {
+    this.element.addEventListener('click', this.onClick);
+
+    try {
+      this.events = await this.load();
+    } catch (error) {
+      console.warn('Community events unavailable:', error);
+      setTranslatedText(this.status, 'community.events.loadFailed');
+      return;
+    }
+
+    this.status.hidden = true;
+    this.render();
+    this.scheduleTick();
+  }
+
+  unmount() {
+    this.element.removeEventListener('click', this.onClick);
+    clearTimeout(this.timer);
+  }
+
+  onLanguageChange() {
+    if (this.events.length > 0) this.render();
+  }
+
+  async load() {
+    const response = await fetch(this.src);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    return Array.isArray(data.events) ? data.events : [];
+  }
+
+  render() {
+    const now = Date.now();
+    const { upcoming, past } = splitEvents(this.events, now);
+    this.statuses = new Map([...upcoming, ...past].map(event => [event.id, eventStatus(event, now)]));
+
+    this.renderList(this.lists.upcoming, upcoming, 'community.events.noUpcoming');
+    this.renderList(this.lists.past, past, 'community.events.noPast');
+
+    renderLocalizedContent(this.element, this.context.language, this.context.calendar);
+    this.updateCountdowns(now);
+  }
+
+  renderList(list, events, emptyKey) {
+    list.textContent = '';
+
+    if (events.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'events-empty';
+      setTranslatedText(empty, emptyKey);
+      list.appendChild(empty);
+      return;
+    }
+
+    events.forEach(event => list.appendChild(this.renderEvent(event)));
+  }
+
+  renderEvent(event) {
+    const language = this.context.language;
+    const status = this.statuses.get(event.id);
+    const titleId = `event-${event.id}-title`;
+
+    const card = document.createElement('article');
+    card.className = `event-card event-${status}`;
+    card.id = `event-${event.id}`;
+    card.setAttribute('aria-labelledby', titleId);
+
+    const badge = document.createElement('time');
+    badge.className = 'event-date';
+    badge.setAttribute('datetime', event.start);
+    badge.append(this.dateElement('span', 'month', 'month'), this.dateElement('span', 'day', 'day'));
+
+    const content = document.createElement('div');
+    content.className = 'event-content';
+
+    const title = document.createElement('h3');
+    title.id = titleId;
+    title.textContent = eventText(event.title, language);
+
+    const description = document.createElement('p');
+    description.textContent = eventText(event.description, language);
+
+    content.append(title, description, this.renderDetails(event));
+
+    if (status !== 'past') {
+      const countdown = document.createElement('p');
+      countdown.className = 'event-countdown';
+      countdown.setAttribute('role', 'timer');
+      countdown.dataset.eventId = event.id;
+      content.appendChild(countdown);
+    }
+
+    content.appendChild(status === 'past' ? this.renderRecording(event) : this.renderActions(event));
+    card.append(badge, content);
+    return card;
+  }
+
+  // When, where and in which languages
+  renderDetails(event) {
+    const details = document.createElement('div');
+    details.className = 'event-details';
+
+    // Visitors outside Saudi Arabia see their own time first
+    if (viewerTimeZone() !== LocaleFormatConfig.timeZone) {
+      details.appendChild(this.renderTime(event, 'community.events.yourTime', 'local'));
+    }
+    details.appendChild(this.renderTime(event, 'community.events.riyadhTime', null));
+    details.appendChild(this.detail(event.online ? 'fa-globe' : 'fa-map-marker-alt', eventText(event.location, this.context.language)));
+
+    if (Array.isArray(event.languages) && event.languages.length > 0) {
+      details.appendChild(this.detail('fa-language', this.languageNames(event.languages)));
+    }
+    return details;
+  }
+
+  renderTime(event, labelKey, timeZone) {
+    const item = document.createElement('span');
+    item.className = 'event-time';
+    item.innerHTML = '<i class="fas fa-clock" aria-hidden="true"></i>';
+
+    const label = document.createElement('span');
+    label.className = 'event-time-label';
+    setTranslatedText(label, labelKey);
+
+    const time = this.dateElement('time', 'event-time-value', 'dateTime');
+    time.setAttribute('datetime', event.start);
+    time.setAttribute('data-date-end', eventEnd(event).toISOString());
+    if (timeZone) time.dataset.timeZone = timeZone;
+
+    item.append(label, time);
+    return item;
+  }
+
+  detail(icon, text) {
+    const item = document.createElement('span');
+    item.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+    item.appendChild(document.createTextNode(text));
+    return item;
+  }
+
+  dateElement(tag, className, format) {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.dataset.dateFormat = format;
+    return element;
+  }
+
+  // ['ar', 'en'] -> "Arabic and English" / "العربية والإنجليزية"
+  languageNames(codes) {
+    const locale = LocaleFormatConfig.locales[this.context.language] || LocaleFormatConfig.locales.en;
+    const names = new Intl.DisplayNames(locale, { type: 'language' });
+    return new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format(codes.map(code => names.of(code)));
+  }
+
+  renderActions(event) {
+    const language = this.context.language;
+    const actions = document.createElement('div');
+    actions.className = 'event-actions';
+
+    if (event.registrationUrl) {
+      actions.appendChild(this.link(event.registrationUrl, 'community.events.register', 'btn btn-primary btn-sm'));
+    }
+
+    const calendars = document.createElement('div');
+    calendars.className = 'event-calendar-links';
+    calendars.setAttribute('role', 'group');
+    calendars.setAttribute('data-i18n-attr', 'aria-label:community.events.addToCalendar');
+    calendars.setAttribute('aria-label', t('community.events.addToCalendar'));
+
+    const ics = this.link(eventICSUrl(event, { language }), 'community.events.downloadIcs', 'btn btn-outline btn-sm');
+    ics.setAttribute('download', `${event.id}.ics`);
+    ics.dataset.calendarExport = 'ics';
+
+    const google = this.link(googleCalendarUrl(event, language), 'community.events.googleCalendar', 'btn btn-outline btn-sm', true);
+    google.dataset.calendarExport = 'google';
+
+    const outlook = this.link(outlookCalendarUrl(event, language), 'community.events.outlookCalendar', 'btn btn-outline btn-sm', true);
+    outlook.dataset.calendarExport = 'outlook';
+
+    [ics, google, outlook].forEach(link => {
+      link.dataset.eventId = event.id;
+      calendars.appendChild(link);
+    });
+    actions.appendChild(calendars);
+    return actions;
+  }
+
+  renderRecording(event) {
+    const actions = document.createElement('div');
+    actions.className = 'event-actions';
+
+    if (event.recordingUrl) {
+      const recording = this.link(event.recordingUrl, 'community.events.recording', 'btn btn-primary btn-sm', true);
+      recording.insertAdjacentHTML('afterbegin', '<i class="fas fa-play-circle" aria-hidden="true"></i> ');
+      actions.appendChild(recording);
+    } else {
+      const none = document.createElement('span');
+      none.className = 'event-no-recording';
+      setTranslatedText(none, 'community.events.noRecording');
+      actions.appendChild(none);
+    }
+    return actions;
+  }
+
+  link(href, labelKey, className, external = false) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.className = className;
+    const label = document.createElement('span');
+    setTranslatedText(label, labelKey);
+    link.appendChild(label);
+    if (external) {
+      link.target = '_blank';
+      link.rel = 'noopener';
+    }
+    return link;
+  }
+
+  updateCountdowns(now = Date.now()) {
+    this.element.querySelectorAll('.event-countdown').forEach(countdown => {
+      const event = this.events.find(item => item.id === countdown.dataset.eventId);
+      if (!event) return;
+
+      if (eventStatus(event, now) === 'live') {
+        setTranslatedText(countdown, 'community.events.live');
+      } else {
+        const time = formatDuration(eventStart(event).getTime() - now, { language: this.context.language });
+        setTranslatedText(countdown, 'community.events.startsIn', { time });
+      }
+    });
+  }
+
+  // Once a minute, on the minute; re-render when an event starts or ends
+  scheduleTick() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const now = Date.now();
+      const changed = this.events.some(event => this.statuses.has(event.id) && this.statuses.get(event.id) !== eventStatus(event, now));
+      if (changed) {
+        this.render();
+      } else {
+        this.updateCountdowns(now);
+      }
+      this.scheduleTick();
+    }, MINUTE - (Date.now() % MINUTE));
+  }
+
+  handleClick(e) {
+    const link = e.target.closest('[data-calendar-export]');
+    if (link) {
+      this.context.analytics.track('calendarExport', {
+        event_id: link.dataset.eventId,
+        calendar: link.dataset.calendarExport
+      });
+    }
+  }
+}
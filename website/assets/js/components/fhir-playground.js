@@ -0,0 +1,206 @@
+// AFHAM Website - NPHIES Playground Component
+// Paste or open a FHIR R4 Bundle and check it against the NPHIES rules in
+// fhir-validation.js; picking an issue selects its value in the editor:
+//
+//   <div data-component="fhir-playground">
+//     <div data-playground-samples></div>
+//     <input type="file" data-playground-file>
+//     <textarea data-playground-editor></textarea>
+//     <button data-playground-validate></button>
+//     <p class="playground-status" role="status"></p>
+//     <ol data-playground-issues></ol>
+//
+// Bundles are checked in the page and never sent anywhere; analytics only
+// hears how many issues there were.
+
+/* global NphiesPlaygroundConfig, NphiesSampleBundles, setTranslatedText, t,
+    validateNphiesBundle */
+
+export default class FhirPlaygroundComponent {
+  constructor(element, context) {
+    this.element = element;
+    this.context = context;
+    this.samples = element.querySelector('[data-playground-samples]');
+    this.fileInput = element.querySelector('[data-playground-file]');
+    this.editor = element.querySelector('[data-playground-editor]');
+    this.validateButton = element.querySelector('[data-playground-validate]');
+    this.status = element.querySelector('.playground-status');
+    this.issueList = element.querySelector('[data-playground-issues]');
+    this.result = null;
+    this.listeners = new AbortController();
+  }
+
+  mount() {
+    const { signal } = this.listeners;
+    this.renderSamples();
+
+    this.samples.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-sample]');
+      if (button) this.loadSample(button.dataset.sample);
+    }, { signal });
+
+    this.fileInput.addEventListener('change', () => {
+      const [file] = this.fileInput.files;
+      if (file) this.openFile(file);
+      this.fileInput.value = '';
+    }, { signal });
+
+    this.validateButton.addEventListener('click', () => this.validate('editor'), { signal });
+
+    // Ctrl/Cmd+Enter validates without leaving the editor
+    this.editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.validate('editor');
+      }
+    }, { signal });
+
+    this.issueList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-issue]');
+      if (button) this.highlight(Number(button.dataset.issue));
+    }, { signal });
+  }
+
+  unmount() {
+    this.listeners.abort();
+  }
+
+  onLanguageChange() {
+    if (this.result) this.render();
+  }
+
+  renderSamples() {
+    this.samples.textContent = '';
+    NphiesSampleBundles.forEach(sample => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-outline btn-sm';
+      button.dataset.sample = sample.id;
+      setTranslatedText(button, `playground.samples.${sample.id}`);
+      this.samples.appendChild(button);
+    });
+  }
+
+  loadSample(id) {
+    const sample = NphiesSampleBundles.find(item => item.id === id);
+    if (!sample) return;
+
+    this.editor.value = JSON.stringify(sample.bundle, null, 2);
+    this.validate('sample');
+  }
+
+  async openFile(file) {
+    if (file.size > NphiesPlaygroundConfig.maxFileSize) {
+      this.setStatus('playground.status.tooLarge', { size: Math.round(NphiesPlaygroundConfig.maxFileSize / 1024) }, 'error');
+      return;
+    }
+
+    try {
+      this.editor.value = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+      });
+    } catch (error) {
+      console.warn('Could not read bundle:', error);
+      this.setStatus('playground.status.readFailed', null, 'error');
+      return;
+    }
+    this.validate('file');
+  }
+
+  validate(source) {
+    const text = this.editor.value;
+    if (!text.trim()) {
+      this.result = null;
+      this.issueList.textContent = '';
+      this.setStatus('playground.status.empty', null, 'error');
+      return;
+    }
+
+    // Issue offsets belong to this text; editing makes them stale
+    this.result = { text, ...validateNphiesBundle(text) };
+    this.render();
+
+    const count = severity => this.result.issues.filter(issue => issue.severity === severity).length;
+    this.context.analytics.track('playgroundValidated', {
+      source,
+      valid: this.result.valid,
+      errors: count('error'),
+      warnings: count('warning')
+    });
+  }
+
+  render() {
+    const { valid, issues } = this.result;
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const warnings = issues.filter(issue => issue.severity === 'warning').length;
+
+    if (valid) {
+      this.setStatus('playground.status.valid', { warnings }, 'success');
+    } else {
+      this.setStatus('playground.status.invalid', { errors, warnings }, 'error');
+    }
+
+    this.issueList.textContent = '';
+    issues.forEach((issue, index) => this.issueList.appendChild(this.renderIssue(issue, index)));
+  }
+
+  renderIssue(issue, index) {
+    const item = document.createElement('li');
+    item.className = `playground-issue playground-issue-${issue.severity}`;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'playground-issue-button';
+    button.dataset.issue = String(index);
+
+    const severity = document.createElement('span');
+    severity.className = 'playground-issue-severity';
+    severity.textContent = t(`playground.severity.${issue.severity}`);
+
+    const message = document.createElement('span');
+    message.className = 'playground-issue-message';
+    message.textContent = t(`playground.issues.${issue.code}`, issue.params);
+
+    // Pointers and element paths are FHIR, left to right in any language
+    const pointer = document.createElement('code');
+    pointer.className = 'playground-issue-pointer';
+    pointer.dir = 'ltr';
+    pointer.textContent = issue.pointer === null ? '' : (issue.pointer || '/');
+
+    const location = document.createElement('span');
+    location.className = 'playground-issue-location';
+    location.textContent = t('playground.location', { line: issue.line, column: issue.column });
+
+    button.append(severity, message, pointer, location);
+    item.appendChild(button);
+    return item;
+  }
+
+  // Select the issue's value in the editor and scroll it into view
+  highlight(index) {
+    const issue = this.result && this.result.issues[index];
+    if (!issue) return;
+
+    if (this.editor.value !== this.result.text) {
+      this.setStatus('playground.status.stale', null, 'info');
+      return;
+    }
+
+    this.issueList.querySelectorAll('[data-issue]').forEach(button => {
+      button.setAttribute('aria-current', String(Number(button.dataset.issue) === index));
+    });
+
+    this.editor.focus();
+    this.editor.setSelectionRange(issue.start, issue.end);
+    const lineHeight = parseFloat(window.getComputedStyle(this.editor).lineHeight) || 20;
+    this.editor.scrollTop = Math.max(0, (issue.line - 3) * lineHeight);
+  }
+
+  setStatus(key, params, type = 'success') {
+    setTranslatedText(this.status, key, params || undefined);
+    this.status.dataset.state = type;
+  }
+}
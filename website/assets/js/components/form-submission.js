@@ -0,0 +1,103 @@
+// AFHAM Website - Form Submission Helpers
+// Shared by the site's form components: posting to the site's API routes,
+// turning its error bodies into messages and showing field errors.
+
+/* global SpamGuard, SubmissionNetworkError, formatValidationError, t */
+
+// POST to one of the site's API routes. Resolves with the server's
+// { success, message, errors } body, including for validation failures,
+// and throws only when no usable response came back.
+export async function postJSON(endpoint, data) {
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(data)
+        });
+    } catch (error) {
+        throw new SubmissionNetworkError(t('contact.errors.network'));
+    }
+
+    let result = null;
+    try {
+        result = await response.json();
+    } catch (error) {
+        // Non-JSON body (proxy error page, etc.)
+    }
+
+    if (!result || typeof result.success !== 'boolean') {
+        throw new Error(t('contact.errors.unexpected', { status: response.status }));
+    }
+
+    return result;
+}
+
+export function invalidFormMessage(language) {
+    return formatValidationError({ key: 'invalidForm' }, language);
+}
+
+// Spam-protection rejections and validation failures carry keys that
+// get a friendly, localized message; anything else uses the server's
+export function responseErrorMessage(response, fallback, language) {
+    const errors = response.errors || {};
+    if (errors.antiSpam && typeof SpamGuard !== 'undefined') {
+        return SpamGuard.message(errors.antiSpam);
+    }
+
+    const fieldError = Object.values(errors).find(error => error && error.key);
+    if (fieldError) {
+        return Object.keys(errors).length === 1
+            ? formatValidationError(fieldError, language)
+            : invalidFormMessage(language);
+    }
+
+    return response.message || fallback;
+}
+
+// `error` is a { key, params } validation error from the shared schema.
+// The key is kept on the element so the message can be re-rendered when
+// the language changes; plain strings are shown as-is.
+export function showFieldError(field, error, language) {
+    clearFieldError(field);
+
+    const errorElement = document.createElement('span');
+    errorElement.className = 'field-error';
+    errorElement.id = `${field.id || field.name}-error`;
+    errorElement.setAttribute('role', 'alert');
+
+    if (typeof error === 'string') {
+        errorElement.textContent = error;
+    } else {
+        errorElement.dataset.errorKey = error.key;
+        errorElement.dataset.errorParams = JSON.stringify(error.params || {});
+        errorElement.textContent = formatValidationError(error, language);
+    }
+
+    field.classList.add('error');
+    field.setAttribute('aria-invalid', 'true');
+    field.setAttribute('aria-describedby', errorElement.id);
+    field.parentNode.appendChild(errorElement);
+}
+
+export function clearFieldError(field) {
+    field.classList.remove('error');
+    field.removeAttribute('aria-invalid');
+    field.removeAttribute('aria-describedby');
+    const existingError = field.parentNode.querySelector('.field-error');
+    if (existingError) {
+        existingError.remove();
+    }
+}
+
+// Re-render visible validation errors under root in another language
+export function translateFieldErrors(root, language) {
+    root.querySelectorAll('.field-error[data-error-key]').forEach(el => {
+        el.textContent = formatValidationError({
+            key: el.dataset.errorKey,
+            params: JSON.parse(el.dataset.errorParams || '{}')
+        }, language);
+    });
+}
@@ -0,0 +1,448 @@
+// AFHAM Website - Multi-step Form Wizard
+// Splits a form into steps validated one at a time against a shared schema
+// (form-schema.js), with a progress list, a review step and a draft kept in
+// localStorage:
+//
+//   <ol class="wizard-progress"></ol>
+//   <form>
+//     <fieldset data-step="applicant">
+//       <legend class="wizard-step-title" tabindex="-1" data-i18n="..."></legend>
+//       ... form-groups ...
+//     </fieldset>
+//     <fieldset data-step="facility" data-show-if="program=partnership">
+//       ...
+//       <div class="form-group" data-show-if="nphiesStatus=onboarded">...</div>
+//     </fieldset>
+//     <fieldset data-step="review"><div data-wizard-review></div></fieldset>
+//     <button type="button" data-wizard-back> <button type="button" data-wizard-next>
+//     <button type="submit">
+//
+// data-show-if="field=value1,value2" shows a step (or part of one) only
+// while that field has one of the values; hidden parts are neither
+// validated, reviewed nor submitted. Used by components/application-wizard.js.
+
+/* global FormSchemas, setTranslatedText, validateFormField */
+
+import { clearFieldError, showFieldError, translateFieldErrors } from './form-submission.js';
+
+// Never written to a draft: the spam trap, and consent is given afresh
+const DRAFT_EXCLUDED_FIELDS = ['website', 'privacy'];
+
+export class FormWizard {
+    /**
+     * @param {HTMLFormElement} form
+     * @param {object} options
+     * @param {object} options.context the component context (language)
+     * @param {HTMLElement} [options.progress] list the step titles go in
+     * @param {function} options.onSubmit values -> promise, once every step is valid
+     * @param {string[]} [options.exclude] fields left out of drafts
+     */
+    constructor(form, { context, progress = null, onSubmit, exclude = DRAFT_EXCLUDED_FIELDS }) {
+        this.form = form;
+        this.context = context;
+        this.progress = progress;
+        this.onSubmit = onSubmit;
+        this.exclude = exclude;
+        this.steps = [...form.querySelectorAll('fieldset[data-step]')];
+        this.review = form.querySelector('[data-wizard-review]');
+        this.backButton = form.querySelector('[data-wizard-back]');
+        this.nextButton = form.querySelector('[data-wizard-next]');
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.schema = null;
+        this.draftKey = null;
+        this.current = 0;
+        this.listeners = new AbortController();
+    }
+
+    bind() {
+        const { signal } = this.listeners;
+
+        this.form.addEventListener('click', (e) => {
+            if (e.target.closest('[data-wizard-next]')) {
+                this.next();
+            } else if (e.target.closest('[data-wizard-back]')) {
+                this.back();
+            } else {
+                const edit = e.target.closest('[data-wizard-edit]');
+                if (edit) this.goTo(edit.dataset.wizardEdit);
+            }
+        }, { signal });
+
+        // Enter in a text field moves on rather than submitting early
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.isLastStep()) {
+                this.submit();
+            } else {
+                this.next();
+            }
+        }, { signal });
+
+        this.form.addEventListener('focusout', (e) => {
+            const field = e.target;
+            // Don't nag about empty fields the visitor just tabbed through
+            if (this.isValidated(field) && (field.type === 'checkbox' || field.value.trim())) {
+                this.validateField(field);
+            }
+        }, { signal });
+
+        this.form.addEventListener('input', (e) => {
+            if (e.target.name) {
+                clearFieldError(e.target);
+                this.saveDraft();
+            }
+        }, { signal });
+
+        this.form.addEventListener('change', (e) => {
+            if (!e.target.name) return;
+            this.updateConditions();
+            this.saveDraft();
+        }, { signal });
+    }
+
+    unbind() {
+        this.listeners.abort();
+    }
+
+    /**
+     * Begin a new round with the given schema (a FormSchemas name or the
+     * schema itself). A saved draft under
+     * draftKey is restored, including the step it was left on, and
+     * returned ({ savedAt, step, values }) so the caller can mention it.
+     */
+    start({ schema, draftKey = null }) {
+        this.schema = typeof schema === 'string' ? FormSchemas[schema] : schema;
+        this.draftKey = draftKey;
+        this.reset();
+
+        const draft = this.restoreDraft();
+        const step = draft ? this.visibleSteps().findIndex(fieldset => fieldset.dataset.step === draft.step) : -1;
+        this.show(Math.max(step, 0), { focus: false });
+        return draft;
+    }
+
+    // Empty every field the wizard owns; hidden inputs (the program) stay
+    reset() {
+        [...this.form.elements].forEach(field => {
+            if (!field.name || field.type === 'hidden') return;
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                field.checked = false;
+            } else {
+                field.value = '';
+            }
+            clearFieldError(field);
+        });
+        this.updateConditions();
+    }
+
+    // Every field value, hidden steps and spam trap included
+    values() {
+        const values = {};
+        [...this.form.elements].forEach(field => {
+            if (!field.name) return;
+            if (field.type === 'checkbox') {
+                values[field.name] = field.checked;
+            } else if (field.type !== 'radio' || field.checked) {
+                values[field.name] = field.value;
+            }
+        });
+        return values;
+    }
+
+    // What gets submitted: only fields the visitor can currently see
+    submittedValues() {
+        const values = this.values();
+        [...this.form.elements].forEach(field => {
+            if (field.name && field.type !== 'hidden' && this.isHidden(field)) {
+                delete values[field.name];
+            }
+        });
+        return values;
+    }
+
+    // --- Steps -----------------------------------------------------------
+
+    visibleSteps() {
+        return this.steps.filter(step => !step.hidden);
+    }
+
+    currentStep() {
+        return this.visibleSteps()[this.current];
+    }
+
+    isLastStep() {
+        return this.current === this.visibleSteps().length - 1;
+    }
+
+    show(index, { focus = true } = {}) {
+        const visible = this.visibleSteps();
+        this.current = Math.min(Math.max(index, 0), visible.length - 1);
+        const step = visible[this.current];
+
+        this.steps.forEach(fieldset => {
+            fieldset.classList.toggle('active', fieldset === step);
+        });
+        if (step.querySelector('[data-wizard-review]')) {
+            this.renderReview();
+        }
+
+        if (this.backButton) this.backButton.hidden = this.current === 0;
+        if (this.nextButton) this.nextButton.hidden = this.isLastStep();
+        if (this.submitButton) this.submitButton.hidden = !this.isLastStep();
+
+        this.renderProgress();
+
+        if (focus) {
+            const title = step.querySelector('.wizard-step-title');
+            if (title) title.focus();
+        }
+    }
+
+    next() {
+        if (!this.validateStep(this.currentStep())) return false;
+        this.show(this.current + 1);
+        this.saveDraft();
+        return true;
+    }
+
+    back() {
+        this.show(this.current - 1);
+        this.saveDraft();
+    }
+
+    // Jump to an earlier step by name, from the review
+    goTo(name) {
+        const index = this.visibleSteps().findIndex(step => step.dataset.step === name);
+        if (index !== -1) this.show(index);
+    }
+
+    // data-show-if="field=value1,value2"
+    updateConditions() {
+        const values = this.values();
+        const currentStep = this.steps.length > 0 ? this.currentStep() : null;
+
+        this.form.querySelectorAll('[data-show-if]').forEach(element => {
+            const [field, expected] = element.dataset.showIf.split('=');
+            element.hidden = !expected.split(',').includes(String(values[field] || ''));
+        });
+
+        // Steps before the current one may have come or gone
+        const index = this.visibleSteps().indexOf(currentStep);
+        if (index !== -1) this.current = index;
+        this.renderProgress();
+    }
+
+    isHidden(element) {
+        return Boolean(element.closest('[hidden]'));
+    }
+
+    // --- Validation --------------------------------------------------------
+
+    isValidated(field) {
+        return Boolean(this.schema && field.name && this.schema[field.name] && !this.isHidden(field));
+    }
+
+    stepFields(step) {
+        return [...step.querySelectorAll('input, select, textarea')].filter(field => this.isValidated(field));
+    }
+
+    validateField(field) {
+        const error = validateFormField(this.schema, field.name, this.values());
+        if (error) {
+            showFieldError(field, error, this.context.language);
+            return false;
+        }
+        clearFieldError(field);
+        return true;
+    }
+
+    // Every field of the step is checked so all its errors show at once
+    validateStep(step) {
+        const invalid = this.stepFields(step).filter(field => !this.validateField(field));
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return false;
+        }
+        return true;
+    }
+
+    // Shows the first step with an error; returns whether all are valid
+    validateAll() {
+        const visible = this.visibleSteps();
+        const index = visible.findIndex(step => !this.validateStep(step));
+        if (index === -1) return true;
+
+        this.show(index, { focus: false });
+        const field = visible[index].querySelector('.error');
+        if (field) field.focus();
+        return false;
+    }
+
+    // Field errors from the server, { field: { key, params } }
+    showErrors(errors) {
+        const fields = Object.entries(errors || {})
+            .map(([name, error]) => [this.form.elements.namedItem(name), error])
+            .filter(([field, error]) => field && field.name && error && error.key);
+        fields.forEach(([field, error]) => showFieldError(field, error, this.context.language));
+
+        if (fields.length > 0) {
+            const step = fields[0][0].closest('fieldset[data-step]');
+            const index = this.visibleSteps().indexOf(step);
+            if (index !== -1) this.show(index, { focus: false });
+            fields[0][0].focus();
+        }
+    }
+
+    async submit() {
+        if (!this.validateAll()) return;
+        await this.onSubmit(this.submittedValues());
+    }
+
+    // --- Progress and review -------------------------------------------------
+
+    renderProgress() {
+        if (!this.progress) return;
+
+        this.progress.textContent = '';
+        this.visibleSteps().forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'wizard-progress-step';
+            if (index < this.current) item.classList.add('complete');
+            if (index === this.current) item.setAttribute('aria-current', 'step');
+
+            const title = step.querySelector('.wizard-step-title');
+            if (title && title.dataset.i18n) {
+                setTranslatedText(item, title.dataset.i18n);
+            } else if (title) {
+                item.textContent = title.textContent;
+            }
+            this.progress.appendChild(item);
+        });
+    }
+
+    // One list per step of what was entered, with a link back to change it
+    renderReview() {
+        if (!this.review) return;
+        this.review.textContent = '';
+
+        this.visibleSteps().forEach(step => {
+            if (step.contains(this.review)) return;
+
+            const entries = this.stepFields(step)
+                .filter(field => field.type !== 'checkbox')
+                .map(field => [this.fieldLabel(field), this.displayValue(field)])
+                .filter(([, value]) => value);
+            if (entries.length === 0) return;
+
+            const section = document.createElement('section');
+            section.className = 'wizard-review-step';
+
+            const header = document.createElement('div');
+            header.className = 'wizard-review-header';
+            const title = document.createElement('h4');
+            const legend = step.querySelector('.wizard-step-title');
+            if (legend && legend.dataset.i18n) {
+                setTranslatedText(title, legend.dataset.i18n);
+            } else if (legend) {
+                title.textContent = legend.textContent;
+            }
+
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'btn btn-outline btn-sm';
+            edit.dataset.wizardEdit = step.dataset.step;
+            setTranslatedText(edit, 'common.wizard.edit');
+            header.append(title, edit);
+
+            const list = document.createElement('dl');
+            entries.forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const description = document.createElement('dd');
+                description.textContent = value;
+                list.append(term, description);
+            });
+
+            section.append(header, list);
+            this.review.appendChild(section);
+        });
+    }
+
+    // The field's visible label, without the "required" asterisk
+    fieldLabel(field) {
+        const label = field.id ? this.form.querySelector(`label[for="${field.id}"]`) : null;
+        if (!label) return field.name;
+
+        const copy = label.cloneNode(true);
+        copy.querySelectorAll('[hidden]').forEach(element => element.remove());
+        return copy.textContent.replace(/\s*\*\s*$/, '').replace(/\s+/g, ' ').trim();
+    }
+
+    displayValue(field) {
+        if (field.tagName === 'SELECT') {
+            const option = field.selectedOptions[0];
+            return option && option.value ? option.textContent.trim() : '';
+        }
+        return field.value.trim();
+    }
+
+    // --- Drafts ---------------------------------------------------------------
+
+    saveDraft() {
+        if (!this.draftKey) return;
+
+        const values = this.values();
+        this.exclude.forEach(name => delete values[name]);
+        const step = this.currentStep();
+
+        try {
+            localStorage.setItem(this.draftKey, JSON.stringify({
+                savedAt: Date.now(),
+                step: step ? step.dataset.step : null,
+                values
+            }));
+        } catch (error) {
+            // Storage full or disabled: the form still works, just without a draft
+        }
+    }
+
+    restoreDraft() {
+        if (!this.draftKey) return null;
+
+        let draft;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.draftKey));
+        } catch (error) {
+            return null;
+        }
+        if (!draft || !draft.values) return null;
+
+        Object.entries(draft.values).forEach(([name, value]) => {
+            const field = this.form.elements.namedItem(name);
+            if (!field || field.type === 'hidden' || this.exclude.includes(name)) return;
+            if (field.type === 'checkbox') {
+                field.checked = Boolean(value);
+            } else {
+                field.value = value;
+            }
+        });
+        this.updateConditions();
+        return draft;
+    }
+
+    clearDraft() {
+        if (!this.draftKey) return;
+        try {
+            localStorage.removeItem(this.draftKey);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+
+    onLanguageChange() {
+        translateFieldErrors(this.form, this.context.language);
+        if (this.steps.length > 0 && this.currentStep().contains(this.review)) {
+            this.renderReview();
+        }
+    }
+}
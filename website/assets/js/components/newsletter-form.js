@@ -0,0 +1,86 @@
+// AFHAM Website - Newsletter Form Component
+// Double opt-in signup: /api/newsletter emails a confirmation link and
+// nothing is active until it is followed (see newsletter.js).
+//
+//   <form class="newsletter-form" data-component="newsletter-form" data-source="contact_page">
+
+/* global SpamGuard, formatValidationError, t, validateFormField */
+
+import { postJSON, responseErrorMessage } from './form-submission.js';
+
+export default class NewsletterFormComponent {
+    constructor(element, context) {
+        this.form = element;
+        this.context = context;
+        this.source = element.dataset.source || 'website';
+        this.guard = typeof SpamGuard !== 'undefined' ? new SpamGuard() : null;
+        this.onSubmit = (e) => this.handleSubmit(e);
+    }
+
+    mount() {
+        this.form.addEventListener('submit', this.onSubmit);
+    }
+
+    unmount() {
+        this.form.removeEventListener('submit', this.onSubmit);
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        const emailField = this.form.elements.namedItem('email');
+        const originalText = submitBtn.innerHTML;
+        
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+        submitBtn.disabled = true;
+
+        // Whether this attempt used up the spam-protection token
+        let tokenSpent = false;
+
+        try {
+            const email = emailField.value.trim();
+            const emailError = validateFormField('newsletter', 'email', { email });
+            
+            if (emailError) {
+                throw new Error(formatValidationError(emailError, this.context.language));
+            }
+
+            const honeypot = this.form.querySelector('[name="website"]');
+            const antiSpam = this.guard ? await this.guard.token() : null;
+            tokenSpent = true;
+            const response = await postJSON('/api/newsletter', {
+                email,
+                language: this.context.language,
+                source: this.source,
+                website: honeypot ? honeypot.value : '',
+                antiSpam
+            });
+            
+            if (response.success) {
+                // Double opt-in: nothing is active until the emailed link is confirmed
+                this.context.notifications.show({ key: 'contact.newsletter.pending' }, { type: 'success' });
+                emailField.value = '';
+                
+                this.context.analytics.track('newsletterSignup', {
+                    source: this.source
+                });
+            } else {
+                throw new Error(responseErrorMessage(response, t('contact.errors.subscribeFailed'), this.context.language));
+            }
+        } catch (error) {
+            console.error('Newsletter error:', error);
+            this.context.notifications.show(error.message, { type: 'error' });
+        } finally {
+            // Each spam-protection challenge is good for one submission; one
+            // that was never sent stays valid, and fetching another would
+            // restart the time-to-submit clock.
+            if (this.guard && tokenSpent) {
+                this.guard.reset();
+            }
+
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+}
@@ -0,0 +1,408 @@
+// AFHAM Website - Search Component
+// Site search as a WAI-ARIA combobox: the input owns a listbox popup of
+// results (or recent searches while empty), navigated with the arrow keys
+// and announced through a polite live region. "/" focuses it from anywhere.
+//
+//   <div class="search-box"><input type="search" id="docs-search" data-component="search"></div>
+//
+// The listbox and option ids derive from the input's id (docs-search-results,
+// docs-search-results-option-0), so several search boxes can share a page.
+
+/* global SiteSearchIndex, rankSearchResults, t */
+
+// Numbers search inputs that have no id of their own
+let instanceCount = 0;
+
+export default class SearchComponent {
+  constructor(element, context) {
+    this.context = context;
+    this.searchInput = element.matches('input') ? element : element.querySelector('input');
+    this.searchResults = null;
+    this.searchStatus = null;
+    this.listId = null;
+    this.searchIndex = null;
+    this.siteIndex = new SiteSearchIndex();
+    this.useSiteIndex = true;
+    this.options = [];
+    this.activeIndex = -1;
+    this.trackTimer = null;
+    this.listeners = null;
+  }
+
+  mount() {
+    if (!this.searchInput) return;
+
+    this.createSearchResults();
+    this.bindEvents();
+  }
+
+  unmount() {
+    if (!this.searchResults) return;
+
+    this.listeners.abort();
+    clearTimeout(this.trackTimer);
+    this.searchResults.remove();
+    this.searchStatus.remove();
+  }
+
+  onLanguageChange() {
+    if (this.searchResults && !this.searchResults.hidden) {
+      this.update();
+    }
+  }
+
+  createSearchResults() {
+    instanceCount++;
+    this.listId = `${this.searchInput.id || `search-${instanceCount}`}-results`;
+
+    this.searchResults = document.createElement('ul');
+    this.searchResults.className = 'search-results';
+    this.searchResults.id = this.listId;
+    this.searchResults.setAttribute('role', 'listbox');
+    this.searchResults.hidden = true;
+
+    this.searchStatus = document.createElement('div');
+    this.searchStatus.className = 'search-status';
+    this.searchStatus.setAttribute('role', 'status');
+    this.searchStatus.setAttribute('aria-live', 'polite');
+
+    this.searchInput.setAttribute('role', 'combobox');
+    this.searchInput.setAttribute('aria-autocomplete', 'list');
+    this.searchInput.setAttribute('aria-expanded', 'false');
+    this.searchInput.setAttribute('aria-controls', this.listId);
+    this.searchInput.setAttribute('aria-keyshortcuts', '/');
+    this.searchInput.setAttribute('autocomplete', 'off');
+    this.searchInput.setAttribute('data-i18n-attr', 'aria-label:search.label');
+    this.searchInput.setAttribute('aria-label', t('search.label'));
+    this.searchResults.setAttribute('data-i18n-attr', 'aria-label:search.resultsLabel');
+    this.searchResults.setAttribute('aria-label', t('search.resultsLabel'));
+    
+    this.searchInput.parentNode.appendChild(this.searchResults);
+    this.searchInput.parentNode.appendChild(this.searchStatus);
+  }
+
+  bindEvents() {
+    // Every listener goes away with the component
+    this.listeners = new AbortController();
+    const { signal } = this.listeners;
+
+    this.searchInput.addEventListener('input', () => {
+      this.update();
+    }, { signal });
+
+    this.searchInput.addEventListener('focus', () => {
+      // Fetch the site-wide index only once search is actually used
+      this.loadIndex();
+      this.update();
+    }, { signal });
+
+    this.searchInput.addEventListener('keydown', (e) => {
+      this.handleKeydown(e);
+    }, { signal });
+
+    // mousedown rather than click, so the input keeps focus
+    this.searchResults.addEventListener('mousedown', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) {
+        e.preventDefault();
+        this.selectOption(this.options[Number(option.dataset.index)]);
+      }
+    }, { signal });
+
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('.search-box')) {
+        this.hideResults();
+      }
+    }, { signal });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isTyping(e.target)) {
+        e.preventDefault();
+        this.searchInput.focus();
+        this.searchInput.select();
+      }
+    }, { signal });
+  }
+
+  isTyping(target) {
+    return Boolean(target.closest && target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+  }
+
+  handleKeydown(e) {
+    const open = !this.searchResults.hidden;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!open) {
+          this.update();
+        } else {
+          this.setActive(this.activeIndex + 1);
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (open) {
+          this.setActive(this.activeIndex <= 0 ? this.options.length - 1 : this.activeIndex - 1);
+        }
+        break;
+      case 'Enter':
+        if (open && this.activeIndex >= 0) {
+          e.preventDefault();
+          this.selectOption(this.options[this.activeIndex]);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        if (open) {
+          this.hideResults();
+        } else {
+          this.searchInput.value = '';
+        }
+        break;
+      case 'Tab':
+        this.hideResults();
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Search for at least two characters; otherwise offer recent searches
+  update() {
+    const query = this.searchInput.value.trim();
+    if (query.length >= 2) {
+      this.performSearch(query);
+    } else if (query.length === 0) {
+      this.renderRecentSearches();
+    } else {
+      this.hideResults();
+    }
+  }
+
+  // Load the prebuilt index (scripts/build-search-index.mjs); without it,
+  // fall back to searching the current page
+  async loadIndex() {
+    if (!this.useSiteIndex) return;
+
+    try {
+      await this.siteIndex.load();
+    } catch (error) {
+      console.warn('Search index unavailable, searching this page only:', error);
+      this.useSiteIndex = false;
+      this.buildSearchIndex();
+    }
+  }
+
+  // Index the current page in the same shape as the prebuilt index, so both
+  // go through rankSearchResults
+  buildSearchIndex() {
+    const headings = document.querySelectorAll('h1, h2, h3, h4');
+    const paragraphs = document.querySelectorAll('p');
+    const sections = new Map();
+    
+    headings.forEach(heading => {
+      if (!heading.id) return;
+      sections.set(heading, { p: 0, id: heading.id, t: { en: heading.textContent.trim() }, b: { en: '' } });
+    });
+
+    paragraphs.forEach(p => {
+      const section = sections.get(this.findNearestHeading(p));
+      if (section) {
+        section.b.en = `${section.b.en} ${p.textContent.trim()}`.trim();
+      }
+    });
+
+    this.searchIndex = {
+      pages: [{ url: window.location.pathname, title: { en: document.title } }],
+      sections: [...sections.values()]
+    };
+  }
+
+  findNearestHeading(element) {
+    let current = element.previousElementSibling;
+    while (current) {
+      if (/^H[1-6]$/.test(current.tagName)) {
+        return current;
+      }
+      current = current.previousElementSibling;
+    }
+    return null;
+  }
+
+  async performSearch(query) {
+    await this.loadIndex();
+
+    // Ignore answers to queries the visitor has already typed past
+    if (this.searchInput.value.trim() !== query) return;
+
+    const results = this.useSiteIndex
+      ? this.siteIndex.search(query, this.context.language)
+      : rankSearchResults(this.searchIndex, query, this.context.language);
+
+    this.renderResults(results, query);
+    this.trackSearch(query, results.length);
+  }
+
+  // One event per settled query, not one per keystroke
+  trackSearch(query, resultCount) {
+    clearTimeout(this.trackTimer);
+    this.trackTimer = setTimeout(() => {
+      this.context.analytics.track('search', { query_length: query.length, results: resultCount });
+    }, 1000);
+  }
+
+  renderResults(results, query) {
+    this.options = results.map(result => ({ type: 'result', query, ...result }));
+    this.renderOptions(null);
+
+    if (results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'search-empty';
+      empty.setAttribute('role', 'presentation');
+      empty.textContent = t('search.noResults', { query });
+      this.searchResults.appendChild(empty);
+    }
+
+    this.announce(t('search.resultCount', { count: results.length }));
+    this.showResults();
+  }
+
+  renderRecentSearches() {
+    const recent = this.getRecentSearches();
+    if (recent.length === 0) {
+      this.hideResults();
+      return;
+    }
+
+    this.options = recent.map(query => ({ type: 'recent', query, title: query }));
+    this.renderOptions(t('search.recent'));
+    this.announce(t('search.recentCount', { count: recent.length }));
+    this.showResults();
+  }
+
+  // Rebuild the listbox from this.options. Everything is inserted as text
+  // nodes, so queries and page text can never become markup.
+  renderOptions(heading) {
+    this.searchResults.textContent = '';
+    this.activeIndex = -1;
+    this.searchInput.removeAttribute('aria-activedescendant');
+
+    if (heading) {
+      const label = document.createElement('li');
+      label.className = 'search-group-label';
+      label.setAttribute('role', 'presentation');
+      label.textContent = heading;
+      this.searchResults.appendChild(label);
+    }
+
+    this.options.forEach((option, index) => {
+      const item = document.createElement('li');
+      item.id = `${this.listId}-option-${index}`;
+      item.className = `search-option search-option-${option.type}`;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', 'false');
+      item.dataset.index = index;
+
+      const title = document.createElement('span');
+      title.className = 'search-option-title';
+      title.appendChild(this.highlightRanges(option.title, option.titleRanges));
+      item.appendChild(title);
+
+      if (option.type === 'result') {
+        const detail = document.createElement('span');
+        detail.className = 'search-option-snippet';
+        detail.appendChild(option.snippet
+          ? this.highlightRanges(option.snippet, option.snippetRanges)
+          : document.createTextNode(option.pageTitle));
+        item.appendChild(detail);
+      }
+
+      this.searchResults.appendChild(item);
+    });
+  }
+
+  setActive(index) {
+    if (this.options.length === 0) return;
+
+    const next = index >= this.options.length ? 0 : index;
+    this.searchResults.querySelectorAll('[role="option"]').forEach(item => {
+      item.setAttribute('aria-selected', String(Number(item.dataset.index) === next));
+    });
+
+    this.activeIndex = next;
+    const active = document.getElementById(`${this.listId}-option-${next}`);
+    this.searchInput.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  }
+
+  selectOption(option) {
+    if (!option) return;
+
+    if (option.type === 'recent') {
+      this.searchInput.value = option.query;
+      this.performSearch(option.query);
+      return;
+    }
+
+    clearTimeout(this.trackTimer);
+    this.context.analytics.track('searchResultSelected', {
+      query_length: option.query.length,
+      position: this.options.indexOf(option) + 1
+    });
+    this.saveRecentSearch(option.query);
+    this.hideResults();
+    window.location.href = option.url;
+  }
+
+  getRecentSearches() {
+    try {
+      const stored = JSON.parse(localStorage.getItem('afham-recent-searches') || '[]');
+      return Array.isArray(stored) ? stored.filter(query => typeof query === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveRecentSearch(query) {
+    const recent = [query, ...this.getRecentSearches().filter(item => item !== query)].slice(0, 5);
+    localStorage.setItem('afham-recent-searches', JSON.stringify(recent));
+  }
+
+  announce(message) {
+    this.searchStatus.textContent = message;
+  }
+
+  // Wrap matched [start, end) ranges of the original text in <mark>
+  highlightRanges(text, ranges = []) {
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+
+    ranges.forEach(([start, end]) => {
+      if (start > position) {
+        fragment.appendChild(document.createTextNode(text.slice(position, start)));
+      }
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      fragment.appendChild(mark);
+      position = end;
+    });
+
+    if (position < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(position)));
+    }
+    return fragment;
+  }
+
+  showResults() {
+    this.searchResults.hidden = false;
+    this.searchInput.setAttribute('aria-expanded', 'true');
+  }
+
+  hideResults() {
+    this.searchResults.hidden = true;
+    this.searchInput.setAttribute('aria-expanded', 'false');
+    this.searchInput.removeAttribute('aria-activedescendant');
+    this.activeIndex = -1;
+  }
+}
@@ -0,0 +1,266 @@
+// AFHAM Website - Consent Management
+// Records the visitor's cookie and analytics choices as required by the PDPL
+// and announces them with a consentChanged event on document. Essential
+// storage (language, calendar, recent searches, the offline contact queue)
+// needs no consent. Analytics and marketing stay off until the visitor opts
+// in, and always stay off while the browser sends Do Not Track or Global
+// Privacy Control.
+//
+// Any element with [data-consent-open] opens the preferences dialog.
+
+const ConsentConfig = {
+  storageKey: 'afham-consent',
+  // Bump when categories or their wording change, so everyone is asked again
+  version: 1,
+  categories: ['essential', 'analytics', 'marketing'],
+  // Categories a browser privacy signal answers "no" for
+  signalledCategories: ['analytics', 'marketing']
+};
+
+// Do Not Track ("1", or "yes" in old Firefox) or Global Privacy Control
+function hasPrivacySignal(nav = navigator) {
+  return nav.globalPrivacyControl === true || nav.doNotTrack === '1' || nav.doNotTrack === 'yes';
+}
+
+/**
+ * The stored record for a choice: which categories were allowed, under which
+ * version of the categories, and when. Essential is always allowed.
+ */
+function createConsentRecord(choices = {}, now = new Date()) {
+  const categories = {};
+  ConsentConfig.categories.forEach(category => {
+    categories[category] = category === 'essential' || choices[category] === true;
+  });
+  return { version: ConsentConfig.version, timestamp: now.toISOString(), categories };
+}
+
+// A record from another version, or one that doesn't parse, counts as no choice
+function parseConsentRecord(raw) {
+  if (!raw) return null;
+  try {
+    const record = JSON.parse(raw);
+    if (record && record.version === ConsentConfig.version && record.categories) {
+      return record;
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable consent record:', error);
+  }
+  return null;
+}
+
+const CONSENT_BANNER_HTML = `
+  <div class="consent-banner-text">
+    <p class="consent-title" id="consent-banner-title" data-i18n="consent.banner.title">Your privacy choices</p>
+    <p data-i18n="consent.banner.text">We use essential storage to remember your language and settings. With your permission we also use privacy-friendly analytics to improve AFHAM.</p>
+    <a href="/privacy#cookies-and-analytics" data-i18n="consent.banner.policy">Read our Privacy Policy</a>
+  </div>
+  <div class="consent-actions">
+    <button type="button" class="btn btn-secondary btn-sm" data-consent-action="reject" data-i18n="consent.actions.reject">Reject all</button>
+    <button type="button" class="btn btn-outline btn-sm" data-consent-open data-i18n="consent.actions.manage">Manage cookies</button>
+    <button type="button" class="btn btn-primary btn-sm" data-consent-action="accept" data-i18n="consent.actions.accept">Accept all</button>
+  </div>
+`;
+
+const CONSENT_DIALOG_HTML = `
+  <div class="consent-form">
+    <p class="consent-dialog-title" id="consent-dialog-title" data-i18n="consent.dialog.title">Cookie preferences</p>
+    <p data-i18n="consent.dialog.intro">Choose which kinds of storage and measurement AFHAM may use. You can change this at any time from the Privacy Policy page.</p>
+    <p class="consent-signal" hidden data-i18n="consent.dialog.signal">Your browser asks sites not to track you (Do Not Track or Global Privacy Control), so analytics and marketing stay off.</p>
+    <div class="consent-categories">
+      <label class="consent-category">
+        <input type="checkbox" name="essential" checked disabled>
+        <span class="consent-category-text">
+          <strong data-i18n="consent.categories.essential.label">Essential</strong>
+          <span data-i18n="consent.categories.essential.description">Remembers your language, calendar and unsent messages. Always on.</span>
+        </span>
+      </label>
+      <label class="consent-category">
+        <input type="checkbox" name="analytics">
+        <span class="consent-category-text">
+          <strong data-i18n="consent.categories.analytics.label">Analytics</strong>
+          <span data-i18n="consent.categories.analytics.description">Anonymous page views and clicks, recorded by our own collector and by Plausible. Neither sets cookies.</span>
+        </span>
+      </label>
+      <label class="consent-category">
+        <input type="checkbox" name="marketing">
+        <span class="consent-category-text">
+          <strong data-i18n="consent.categories.marketing.label">Marketing</strong>
+          <span data-i18n="consent.categories.marketing.description">Measuring newsletter and campaign reach.</span>
+        </span>
+      </label>
+    </div>
+    <div class="consent-actions">
+      <button type="button" class="btn btn-secondary btn-sm" data-consent-action="reject" data-i18n="consent.actions.reject">Reject all</button>
+      <button type="button" class="btn btn-outline btn-sm" data-consent-action="save" data-i18n="consent.actions.save">Save choices</button>
+      <button type="button" class="btn btn-primary btn-sm" data-consent-action="accept" data-i18n="consent.actions.accept">Accept all</button>
+    </div>
+  </div>
+`;
+
+class ConsentManager {
+  constructor(options = {}) {
+    this.storage = options.storage || localStorage;
+    this.privacySignal = hasPrivacySignal(options.navigator || navigator);
+    this.record = parseConsentRecord(this.readStoredRecord());
+    this.banner = null;
+    this.dialog = null;
+    this.init();
+  }
+
+  init() {
+    document.addEventListener('click', (e) => {
+      const opener = e.target.closest('[data-consent-open]');
+      if (opener) {
+        e.preventDefault();
+        this.openPreferences();
+        return;
+      }
+
+      const action = e.target.closest('[data-consent-action]');
+      if (action && (this.banner?.contains(action) || this.dialog?.contains(action))) {
+        this.handleAction(action.getAttribute('data-consent-action'));
+      }
+    });
+
+    if (this.needsChoice()) {
+      this.showBanner();
+    }
+  }
+
+  readStoredRecord() {
+    try {
+      return this.storage.getItem(ConsentConfig.storageKey);
+    } catch (error) {
+      // Storage blocked: ask again on every page
+      return null;
+    }
+  }
+
+  // Nothing stored yet, and no browser signal already answering for us
+  needsChoice() {
+    return !this.record && !this.privacySignal;
+  }
+
+  allows(category) {
+    if (category === 'essential') return true;
+    if (this.privacySignal && ConsentConfig.signalledCategories.includes(category)) return false;
+    return Boolean(this.record && this.record.categories[category]);
+  }
+
+  // 'granted', 'denied', or 'pending' while the visitor hasn't chosen
+  status(category) {
+    if (this.allows(category)) return 'granted';
+    return this.needsChoice() ? 'pending' : 'denied';
+  }
+
+  save(choices) {
+    this.record = createConsentRecord(choices);
+    try {
+      this.storage.setItem(ConsentConfig.storageKey, JSON.stringify(this.record));
+    } catch (error) {
+      console.warn('Could not store consent choice:', error);
+    }
+
+    this.hideBanner();
+    this.closePreferences();
+
+    const categories = Object.fromEntries(ConsentConfig.categories.map(category => [category, this.allows(category)]));
+    document.dispatchEvent(new CustomEvent('consentChanged', {
+      detail: { categories, timestamp: this.record.timestamp }
+    }));
+  }
+
+  acceptAll() {
+    this.save(Object.fromEntries(ConsentConfig.categories.map(category => [category, true])));
+  }
+
+  rejectAll() {
+    this.save({});
+  }
+
+  handleAction(action) {
+    if (action === 'accept') {
+      this.acceptAll();
+    } else if (action === 'reject') {
+      this.rejectAll();
+    } else if (action === 'save') {
+      const choices = {};
+      this.dialog.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        choices[input.name] = input.checked;
+      });
+      this.save(choices);
+    }
+  }
+
+  showBanner() {
+    if (!this.banner) {
+      this.banner = document.createElement('section');
+      this.banner.className = 'consent-banner';
+      this.banner.setAttribute('aria-labelledby', 'consent-banner-title');
+      this.banner.innerHTML = CONSENT_BANNER_HTML;
+      document.body.appendChild(this.banner);
+      this.translate(this.banner);
+    }
+    this.banner.hidden = false;
+  }
+
+  hideBanner() {
+    if (this.banner) {
+      this.banner.hidden = true;
+    }
+  }
+
+  openPreferences() {
+    if (!this.dialog) {
+      this.dialog = document.createElement('dialog');
+      this.dialog.className = 'consent-dialog';
+      this.dialog.setAttribute('aria-labelledby', 'consent-dialog-title');
+      this.dialog.innerHTML = CONSENT_DIALOG_HTML;
+      document.body.appendChild(this.dialog);
+      this.translate(this.dialog);
+    }
+
+    // Show the stored choice, or what a signal forces
+    this.dialog.querySelector('.consent-signal').hidden = !this.privacySignal;
+    this.dialog.querySelectorAll('input[type="checkbox"]:not([name="essential"])').forEach(input => {
+      const forcedOff = this.privacySignal && ConsentConfig.signalledCategories.includes(input.name);
+      input.checked = this.allows(input.name);
+      input.disabled = forcedOff;
+    });
+
+    if (typeof this.dialog.showModal === 'function') {
+      this.dialog.showModal();
+    } else {
+      this.dialog.setAttribute('open', '');
+    }
+    this.dialog.querySelector('input:not([disabled]), button').focus();
+  }
+
+  closePreferences() {
+    if (!this.dialog || !this.dialog.hasAttribute('open')) return;
+    if (typeof this.dialog.close === 'function') {
+      this.dialog.close();
+    } else {
+      this.dialog.removeAttribute('open');
+    }
+  }
+
+  // The markup carries English; later language switches go through
+  // LanguageManager's translatePage like the rest of the page
+  translate(root) {
+    if (typeof i18n !== 'undefined') {
+      i18n.translatePage(root);
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ConsentConfig,
+    ConsentManager,
+    createConsentRecord,
+    hasPrivacySignal,
+    parseConsentRecord
+  };
+}
@@ -0,0 +1,405 @@
+// AFHAM Website - Document Analysis Demo
+// The landing page's "try it" demo: a rule-based tagger that finds
+// medications, diagnoses, vital signs, dates and Saudi identifiers in
+// Arabic or English text, plus the sample documents it ships with.
+// components/document-demo.js renders the result; PDFs are read with pdf.js
+// and images with tesseract.js, each loaded from a CDN on first use. Nothing
+// is sent anywhere: the file and its text never leave the page.
+//
+//   tagMedicalEntities('Metformin 500 mg, BP 150/95 mmHg')
+//   // [{ type: 'medication', start: 0, end: 16, text: 'Metformin 500 mg', value: { name: 'metformin', dose: '500 mg' } },
+//   //  { type: 'vital', start: 18, end: 32, text: 'BP 150/95 mmHg', value: { kind: 'bloodPressure', reading: '150/95', unit: 'mmHg' } }]
+//
+// This is a demonstration, not the AFHAM models: word lists and patterns,
+// no understanding of context.
+
+const DocumentAnalysisConfig = {
+  pdfjsUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.4.168/pdf.min.mjs',
+  pdfjsWorkerUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.4.168/pdf.worker.min.mjs',
+  cMapUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.4.168/cmaps/',
+  // Text recognition for images; the Arabic and English language data comes
+  // from tesseract.js's default jsDelivr location
+  tesseractUrl: 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.esm.min.js',
+  tesseractWorkerUrl: 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/worker.min.js',
+  tesseractCoreUrl: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.1',
+  ocrLanguages: ['ara', 'eng'],
+  maxFileSize: 10 * 1024 * 1024,
+  maxPages: 20,
+  // Entity types in legend and summary order
+  entityTypes: ['medication', 'diagnosis', 'vital', 'date', 'identifier']
+};
+
+// Generic names with common Saudi brand names, in English and Arabic
+const MedicalLexicon = {
+  medications: [
+    { name: 'metformin', labels: { en: 'Metformin', ar: 'ميتفورمين' }, terms: ['metformin', 'glucophage', 'ميتفورمين', 'ميتفورمن', 'جلوكوفاج'] },
+    { name: 'amlodipine', labels: { en: 'Amlodipine', ar: 'أملوديبين' }, terms: ['amlodipine', 'norvasc', 'أملوديبين', 'املوديبين', 'نورفاسك'] },
+    { name: 'atorvastatin', labels: { en: 'Atorvastatin', ar: 'أتورفاستاتين' }, terms: ['atorvastatin', 'lipitor', 'أتورفاستاتين', 'اتورفاستاتين', 'ليبيتور'] },
+    { name: 'insulin glargine', labels: { en: 'Insulin glargine', ar: 'إنسولين جلارجين' }, terms: ['insulin glargine', 'lantus', 'إنسولين جلارجين', 'انسولين جلارجين', 'لانتوس'] },
+    { name: 'aspirin', labels: { en: 'Aspirin', ar: 'أسبرين' }, terms: ['aspirin', 'أسبرين', 'اسبرين'] },
+    { name: 'paracetamol', labels: { en: 'Paracetamol', ar: 'باراسيتامول' }, terms: ['paracetamol', 'acetaminophen', 'panadol', 'باراسيتامول', 'بنادول'] },
+    { name: 'amoxicillin', labels: { en: 'Amoxicillin', ar: 'أموكسيسيلين' }, terms: ['amoxicillin', 'augmentin', 'أموكسيسيلين', 'اموكسيسيلين', 'أوجمنتين'] },
+    { name: 'omeprazole', labels: { en: 'Omeprazole', ar: 'أوميبرازول' }, terms: ['omeprazole', 'أوميبرازول', 'اوميبرازول'] },
+    { name: 'lisinopril', labels: { en: 'Lisinopril', ar: 'ليزينوبريل' }, terms: ['lisinopril', 'ليزينوبريل'] },
+    { name: 'salbutamol', labels: { en: 'Salbutamol', ar: 'سالبوتامول' }, terms: ['salbutamol', 'albuterol', 'ventolin', 'سالبوتامول', 'فنتولين'] },
+    { name: 'clopidogrel', labels: { en: 'Clopidogrel', ar: 'كلوبيدوجريل' }, terms: ['clopidogrel', 'plavix', 'كلوبيدوجريل', 'بلافيكس'] },
+    { name: 'furosemide', labels: { en: 'Furosemide', ar: 'فوروسيميد' }, terms: ['furosemide', 'lasix', 'فوروسيميد', 'لازكس'] },
+    { name: 'bisoprolol', labels: { en: 'Bisoprolol', ar: 'بيسوبرولول' }, terms: ['bisoprolol', 'concor', 'بيسوبرولول', 'كونكور'] },
+    { name: 'enoxaparin', labels: { en: 'Enoxaparin', ar: 'إينوكسابارين' }, terms: ['enoxaparin', 'clexane', 'إينوكسابارين', 'كليكسان'] }
+  ],
+
+  // icd10 is the category; a code written next to the diagnosis wins
+  diagnoses: [
+    {
+      name: 'type 2 diabetes mellitus', icd10: 'E11',
+      labels: { en: 'Type 2 diabetes mellitus', ar: 'داء السكري من النوع الثاني' },
+      terms: ['type 2 diabetes mellitus', 'type 2 diabetes', 'T2DM', 'داء السكري من النوع الثاني', 'السكري من النوع الثاني', 'السكري النوع الثاني']
+    },
+    { name: 'hypertension', icd10: 'I10', labels: { en: 'Hypertension', ar: 'ارتفاع ضغط الدم' }, terms: ['hypertension', 'ارتفاع ضغط الدم'] },
+    {
+      name: 'pneumonia', icd10: 'J18',
+      labels: { en: 'Pneumonia', ar: 'الالتهاب الرئوي' },
+      terms: ['community-acquired pneumonia', 'pneumonia', 'الالتهاب الرئوي', 'التهاب رئوي', 'ذات الرئة']
+    },
+    { name: 'asthma', icd10: 'J45', labels: { en: 'Asthma', ar: 'الربو' }, terms: ['asthma', 'الربو'] },
+    { name: 'chronic kidney disease', icd10: 'N18', labels: { en: 'Chronic kidney disease', ar: 'مرض الكلى المزمن' }, terms: ['chronic kidney disease', 'CKD', 'مرض الكلى المزمن', 'القصور الكلوي المزمن'] },
+    { name: 'hyperlipidemia', icd10: 'E78.5', labels: { en: 'Hyperlipidemia', ar: 'ارتفاع الدهون في الدم' }, terms: ['hyperlipidemia', 'dyslipidemia', 'ارتفاع الدهون في الدم', 'ارتفاع الكوليسترول'] },
+    { name: 'myocardial infarction', icd10: 'I21', labels: { en: 'Myocardial infarction', ar: 'احتشاء عضلة القلب' }, terms: ['acute myocardial infarction', 'myocardial infarction', 'احتشاء عضلة القلب', 'جلطة قلبية'] },
+    { name: 'heart failure', icd10: 'I50', labels: { en: 'Heart failure', ar: 'قصور القلب' }, terms: ['heart failure', 'قصور القلب', 'فشل القلب'] },
+    { name: 'iron deficiency anemia', icd10: 'D50', labels: { en: 'Iron deficiency anemia', ar: 'فقر الدم بعوز الحديد' }, terms: ['iron deficiency anemia', 'فقر الدم بعوز الحديد', 'أنيميا نقص الحديد'] },
+    { name: 'gastroesophageal reflux disease', icd10: 'K21', labels: { en: 'Gastroesophageal reflux disease', ar: 'الارتجاع المريئي' }, terms: ['gastroesophageal reflux disease', 'GERD', 'الارتجاع المريئي', 'ارتجاع المريء'] }
+  ]
+};
+
+// Arabic-Indic and Persian digits, one for one, so offsets are unchanged
+const DIGIT_FORMS = /[٠-٩۰-۹٫]/g;
+
+function normalizeDigits(text) {
+  return String(text).replace(DIGIT_FORMS, char => {
+    if (char === '٫') return '.';
+    const code = char.charCodeAt(0);
+    return String(code - (code >= 0x06F0 ? 0x06F0 : 0x0660));
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// \b only knows ASCII words; these work for Arabic too
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+// و / ب / ف / ل written onto an Arabic word ("وارتفاع ضغط الدم")
+const ARABIC_PREFIX = '(?:[وبفل](?=\\p{Script=Arabic}))?';
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const DOSE_UNIT = '(mg|mcg|µg|g|ml|mL|units?|IU|ملغم?|مجم|ميكروغرام|غ|مل|وحدات|وحدة)';
+const ICD10_CODE = '([A-TV-Z]\\d{2}(?:\\.\\d{1,4})?)';
+
+const MONTHS = {
+  en: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+  enShort: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Sept', 'Oct', 'Nov', 'Dec'],
+  ar: ['يناير', 'فبراير', 'مارس', 'أبريل', 'ابريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس', 'اغسطس', 'سبتمبر', 'أكتوبر', 'اكتوبر', 'نوفمبر', 'ديسمبر']
+};
+const MONTH_NAMES = `(?:${[...MONTHS.en, ...MONTHS.enShort, ...MONTHS.ar].join('|')})`;
+
+function lexiconPattern(terms, suffix = '') {
+  const alternatives = [...terms]
+    // Longest first, so "type 2 diabetes mellitus" beats "type 2 diabetes"
+    .sort((a, b) => b.length - a.length)
+    .map(term => escapeRegExp(term).replace(/\s+/g, '\\s+'))
+    .join('|');
+  return new RegExp(`${WORD_START}${ARABIC_PREFIX}(${alternatives})${WORD_END}${suffix}`, 'giud');
+}
+
+/**
+ * The tagger's rules. Each finds one entity type; `group` is the capture
+ * group to highlight (0 for the whole match), `from` an optional group it
+ * starts at instead (leaving out an Arabic prefix), and `value` turns a
+ * match into the entity's structured value, or null to drop it.
+ */
+const EntityRules = [
+  ...MedicalLexicon.medications.map(drug => ({
+    type: 'medication',
+    pattern: lexiconPattern(drug.terms, `(?:\\s*${NUMBER}\\s*${DOSE_UNIT}${WORD_END})?`),
+    group: 0,
+    from: 1,
+    value: match => ({ name: drug.name, dose: match[2] ? `${match[2]} ${match[3]}` : null })
+  })),
+
+  ...MedicalLexicon.diagnoses.map(diagnosis => ({
+    type: 'diagnosis',
+    pattern: lexiconPattern(diagnosis.terms, `(?:\\s*\\(${ICD10_CODE}\\))?`),
+    group: 0,
+    from: 1,
+    value: match => ({ name: diagnosis.name, icd10: match[2] || diagnosis.icd10 })
+  })),
+
+  // A bare code with its label: "ICD-10: J45.909"
+  {
+    type: 'diagnosis',
+    pattern: new RegExp(`ICD-?10\\s*:?\\s*${ICD10_CODE}${WORD_END}`, 'giud'),
+    group: 1,
+    value: match => ({ name: null, icd10: match[1] })
+  },
+
+  {
+    type: 'vital',
+    pattern: new RegExp(`(?:${WORD_START}(BP|blood pressure|ضغط الدم)\\s*:?\\s*)?(\\d{2,3}\\s*/\\s*\\d{2,3})\\s*(mmHg|mm Hg|ملم زئبق|مم زئبق)?`, 'giud'),
+    group: 0,
+    // "150/95" alone is only a reading when labelled or given a unit
+    value: match => (match[1] || match[3]
+      ? { kind: 'bloodPressure', reading: match[2].replace(/\s+/g, ''), unit: 'mmHg' }
+      : null)
+  },
+  {
+    type: 'vital',
+    pattern: new RegExp(`${WORD_START}(?:HR|pulse|heart rate|النبض|معدل النبض)\\s*:?\\s*(\\d{2,3})\\s*(bpm|/min|beats/min|نبضة\\s*/\\s*دقيقة|نبضة)?`, 'giud'),
+    group: 0,
+    value: match => ({ kind: 'heartRate', reading: match[1], unit: 'bpm' })
+  },
+  {
+    type: 'vital',
+    pattern: new RegExp(`(?:${WORD_START}(?:temp|temperature|الحرارة|درجة الحرارة)\\s*:?\\s*)?(\\d{2}(?:\\.\\d)?)\\s*°\\s*([CFمس])`, 'giud'),
+    group: 0,
+    value: match => ({ kind: 'temperature', reading: match[1], unit: /f/i.test(match[2]) ? '°F' : '°C' })
+  },
+  {
+    type: 'vital',
+    pattern: new RegExp(`${WORD_START}(?:SpO2|SpO₂|O2 sat|oxygen saturation|تشبع الأكسجين|تشبع الاكسجين)\\s*:?\\s*(\\d{2,3})\\s*[%٪]`, 'giud'),
+    group: 0,
+    value: match => ({ kind: 'oxygenSaturation', reading: match[1], unit: '%' })
+  },
+  {
+    type: 'vital',
+    pattern: new RegExp(`${WORD_START}(?:RR|respiratory rate|معدل التنفس)\\s*:?\\s*(\\d{1,2})(?:\\s*(?:/min|breaths/min|نفس\\s*/\\s*دقيقة))?`, 'giud'),
+    group: 0,
+    value: match => ({ kind: 'respiratoryRate', reading: match[1], unit: '/min' })
+  },
+
+  {
+    type: 'date',
+    pattern: new RegExp(`${WORD_START}\\d{4}-\\d{2}-\\d{2}${WORD_END}`, 'gud'),
+    group: 0,
+    value: () => ({ calendar: 'gregorian' })
+  },
+  {
+    type: 'date',
+    // Years 13xx-14xx are Hijri: 21/03/1448 هـ
+    pattern: new RegExp(`${WORD_START}\\d{1,2}/\\d{1,2}/(\\d{4})(?:\\s*(هـ|ه|AH)${WORD_END})?`, 'gud'),
+    group: 0,
+    value: match => ({ calendar: (match[2] || /^1[34]/.test(match[1])) ? 'hijri' : 'gregorian' })
+  },
+  {
+    type: 'date',
+    pattern: new RegExp(`${WORD_START}(?:\\d{1,2}\\s+${MONTH_NAMES}\\.?,?\\s+\\d{4}|${MONTH_NAMES}\\.?\\s+\\d{1,2},?\\s+\\d{4})${WORD_END}`, 'giud'),
+    group: 0,
+    value: () => ({ calendar: 'gregorian' })
+  },
+
+  // Ten digits passing the check digit: 1... citizens, 2... residents (Iqama)
+  {
+    type: 'identifier',
+    pattern: new RegExp(`${WORD_START}[12]\\d{9}${WORD_END}`, 'gud'),
+    group: 0,
+    value: match => (isValidSaudiId(match[0])
+      ? { kind: match[0][0] === '1' ? 'nationalId' : 'iqama', id: match[0] }
+      : null)
+  },
+  // Medical record numbers only count with their label: "MRN: KFH-00482913"
+  {
+    type: 'identifier',
+    pattern: new RegExp(`${WORD_START}(?:MRN|medical record (?:no\\.?|number)|file (?:no\\.?|number)|رقم الملف الطبي|الرقم الطبي|رقم الملف)\\s*[:#]?\\s*([A-Z]{0,4}-?\\d{5,12})${WORD_END}`, 'giud'),
+    group: 1,
+    value: match => ({ kind: 'mrn', id: match[1] })
+  }
+];
+
+// Luhn check digit, as used by Saudi national ID and Iqama numbers
+function isValidSaudiId(value) {
+  const digits = normalizeDigits(value);
+  if (!/^[12]\d{9}$/.test(digits)) return false;
+
+  const sum = [...digits].reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+  return sum % 10 === 0;
+}
+
+// "1056789124" -> "••••••9124"
+function maskIdentifier(value) {
+  const text = String(value);
+  const visible = Math.min(4, Math.floor(text.length / 2));
+  return '•'.repeat(text.length - visible) + text.slice(text.length - visible);
+}
+
+/**
+ * Find every entity in text. Entities never overlap: where two rules match
+ * the same words the longer match (then the earlier rule) wins. Offsets are
+ * into the original text, whatever digits it uses.
+ */
+function tagMedicalEntities(text) {
+  const source = String(text || '');
+  const normalized = normalizeDigits(source);
+  const found = [];
+
+  EntityRules.forEach((rule, order) => {
+    for (const match of normalized.matchAll(rule.pattern)) {
+      const value = rule.value(match);
+      const indices = match.indices && match.indices[rule.group];
+      if (!value || !indices) continue;
+
+      const start = rule.from ? match.indices[rule.from][0] : indices[0];
+      const end = indices[1];
+      found.push({ type: rule.type, start, end, text: source.slice(start, end), value, order });
+    }
+  });
+
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || a.order - b.order);
+
+  const entities = [];
+  let lastEnd = 0;
+  found.forEach(({ order, ...entity }) => {
+    if (entity.start >= lastEnd) {
+      entities.push(entity);
+      lastEnd = entity.end;
+    }
+  });
+  return entities;
+}
+
+function lexiconEntry(list, name) {
+  return MedicalLexicon[list].find(entry => entry.name === name);
+}
+
+/**
+ * Group entities for the summary panel, each item once:
+ *
+ *   { medication: [{ name, label: { en, ar }, dose }], diagnosis: [{ name, label, icd10 }],
+ *     vital: [{ kind, reading, unit }], date: [{ text, calendar }],
+ *     identifier: [{ kind, masked }] }
+ */
+function summarizeEntities(entities) {
+  const summary = Object.fromEntries(DocumentAnalysisConfig.entityTypes.map(type => [type, []]));
+  const seen = new Set();
+
+  entities.forEach(({ type, text, value }) => {
+    let item;
+    if (type === 'medication') {
+      item = { name: value.name, label: lexiconEntry('medications', value.name).labels, dose: value.dose };
+    } else if (type === 'diagnosis') {
+      const entry = value.name ? lexiconEntry('diagnoses', value.name) : null;
+      item = { name: value.name, label: entry ? entry.labels : null, icd10: value.icd10 };
+    } else if (type === 'vital') {
+      item = { kind: value.kind, reading: normalizeDigits(value.reading), unit: value.unit };
+    } else if (type === 'date') {
+      item = { text: text.replace(/\s+/g, ' '), calendar: value.calendar };
+    } else {
+      item = { kind: value.kind, masked: maskIdentifier(normalizeDigits(value.id)) };
+    }
+
+    const key = `${type}|${JSON.stringify(item)}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      summary[type].push(item);
+    }
+  });
+  return summary;
+}
+
+// Mostly Arabic letters -> 'rtl'
+function textDirection(text) {
+  const arabic = (String(text).match(/\p{Script=Arabic}/gu) || []).length;
+  const latin = (String(text).match(/\p{Script=Latin}/gu) || []).length;
+  return arabic > latin ? 'rtl' : 'ltr';
+}
+
+/**
+ * Plain text of a pdf.js document, one line per text line and a blank line
+ * between pages. Scanned pages without a text layer come back empty.
+ */
+async function extractPdfText(pdf, { maxPages = DocumentAnalysisConfig.maxPages } = {}) {
+  const pages = [];
+  const count = Math.min(pdf.numPages, maxPages);
+
+  for (let number = 1; number <= count; number++) {
+    const page = await pdf.getPage(number);
+    const content = await page.getTextContent();
+    pages.push(content.items
+      .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+      .join('')
+      .replace(/[ \t]+\n/g, '\n')
+      .trim());
+  }
+  return pages.filter(Boolean).join('\n\n');
+}
+
+// Made-up patients and numbers, in the shape of real Saudi documents
+const DocumentAnalysisSamples = [
+  {
+    id: 'discharge-en',
+    language: 'en',
+    text: [
+      'DISCHARGE SUMMARY',
+      'Patient: Khalid Al-Otaibi        MRN: KFH-00482913',
+      'National ID: 1056789124',
+      'Admitted: 2026-09-28        Discharged: 02/10/2026',
+      '',
+      'Diagnoses: Community-acquired pneumonia (J18.9); type 2 diabetes mellitus (E11.9); hypertension.',
+      '',
+      'On admission: BP 150/95 mmHg, HR 104 bpm, temperature 38.6 °C, SpO2 91%, RR 24/min.',
+      'Treated with IV antibiotics and oxygen; afebrile from day 3.',
+      '',
+      'Discharge medications:',
+      '- Amoxicillin 1 g three times daily for 5 days',
+      '- Metformin 500 mg twice daily',
+      '- Amlodipine 5 mg once daily',
+      '- Paracetamol 500 mg as needed for fever',
+      '',
+      'Follow-up: internal medicine clinic on 16 October 2026.'
+    ].join('\n')
+  },
+  {
+    id: 'referral-ar',
+    language: 'ar',
+    text: [
+      'خطاب إحالة إلى عيادة الغدد الصماء',
+      'اسم المريضة: نورة القحطاني',
+      'رقم الإقامة: ٢٤٥٦٧٨٩٠١١        الرقم الطبي: ٧٧٣٢١٠٤',
+      'تاريخ الزيارة: ٢١/٠٣/١٤٤٨ هـ الموافق 3 سبتمبر 2026',
+      '',
+      'التشخيص: داء السكري من النوع الثاني (E11.65) غير منضبط، وارتفاع ضغط الدم، وارتفاع الدهون في الدم.',
+      '',
+      'العلامات الحيوية: ضغط الدم ١٦٠/١٠٠ ملم زئبق، النبض ٨٨ نبضة/دقيقة، الحرارة ٣٧٫١ °م، تشبع الأكسجين ٩٧٪.',
+      '',
+      'الأدوية الحالية:',
+      '- ميتفورمين 1000 ملغ مرتين يومياً',
+      '- أملوديبين 10 ملغ مرة يومياً',
+      '- أتورفاستاتين 20 ملغ مساءً',
+      '',
+      'نرجو تقييم الحاجة إلى إضافة إنسولين جلارجين.'
+    ].join('\n')
+  }
+];
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DocumentAnalysisConfig,
+    DocumentAnalysisSamples,
+    EntityRules,
+    MedicalLexicon,
+    extractPdfText,
+    isValidSaudiId,
+    maskIdentifier,
+    normalizeDigits,
+    summarizeEntities,
+    tagMedicalEntities,
+    textDirection
+  };
+}
@@ -0,0 +1,275 @@
+// AFHAM Website - Client Error Reporting
+// Sends uncaught errors, unhandled promise rejections, scripts and styles
+// that fail to load, and CSP violations to /api/errors. Each report carries
+// a short trail of breadcrumbs (pages visited in this tab, language switches,
+// form submissions) so a failure can be traced back to what led to it.
+//
+// Loaded before every other site script so their failures are caught too.
+// The error itself is always reported; the page, the browser's user agent and
+// the breadcrumbs go with it only once the visitor has allowed analytics
+// (main.js hands over the ConsentManager with configure()). Until then the
+// trail stays in this tab's sessionStorage.
+// Anything that might hold what a visitor typed is scrubbed before sending:
+// the current values of form fields, email addresses, phone and ID numbers,
+// and URL query strings (newsletter links carry tokens).
+//
+// Starts itself in the browser. server/handlers/errors.mjs imports only the
+// scrubbing helpers, to scrub reports again on arrival.
+
+const ErrorReporterConfig = {
+  endpoint: '/api/errors',
+  maxBreadcrumbs: 20,
+  // Per page view; repeats of an already reported error don't count
+  maxReports: 10,
+  maxMessageLength: 500,
+  maxStackLength: 4000,
+  breadcrumbStorageKey: 'afham-breadcrumbs',
+  redacted: '[redacted]'
+};
+
+const SCRUB_PATTERNS = [
+  // Email addresses
+  /[^\s@<>()[\]"',;:]+@[^\s@<>()[\]"',;:]+\.[a-z]{2,}/gi,
+  // Phone numbers, national and iqama IDs, MRNs: any run of 7+ digits,
+  // allowing the separators people type
+  /\+?\d(?:[\s\-().]?\d){6,}/g
+];
+
+/**
+ * Remove anything in `text` that may be personal or health information:
+ * each of `values` (what is typed into the page's form fields), then emails
+ * and long digit sequences.
+ */
+function scrubText(text, values = []) {
+  if (typeof text !== 'string' || text === '') return text;
+
+  let scrubbed = text;
+  values
+    .filter(value => typeof value === 'string' && value.trim().length >= 3)
+    .sort((a, b) => b.length - a.length)
+    .forEach(value => {
+      scrubbed = scrubbed.split(value.trim()).join(ErrorReporterConfig.redacted);
+    });
+
+  SCRUB_PATTERNS.forEach(pattern => {
+    scrubbed = scrubbed.replace(pattern, ErrorReporterConfig.redacted);
+  });
+  return scrubbed;
+}
+
+// Drop query strings and fragments; keep origin and path
+function scrubUrl(url) {
+  if (typeof url !== 'string') return url;
+  return url.replace(/[?#].*$/, '');
+}
+
+// Stable key for deduplication: kind, message and where it happened
+function errorFingerprint(report) {
+  return [report.kind, report.message, report.source || '', report.line || 0, report.column || 0].join('|');
+}
+
+class ErrorReporter {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || ErrorReporterConfig.endpoint;
+    this.maxReports = options.maxReports || ErrorReporterConfig.maxReports;
+    this.breadcrumbs = [];
+    this.reported = new Set();
+    this.sentCount = 0;
+    this.started = false;
+    this.consent = options.consent || null;
+  }
+
+  configure({ consent = null } = {}) {
+    this.consent = consent;
+    return this;
+  }
+
+  // Nothing that describes the visit before the consent manager says so
+  allowsContext() {
+    return Boolean(this.consent && this.consent.allows('analytics'));
+  }
+
+  start() {
+    if (this.started) return this;
+    this.started = true;
+
+    this.breadcrumbs = this.loadBreadcrumbs();
+    this.addBreadcrumb('navigation', scrubUrl(window.location.pathname));
+
+    // Capture phase: load errors of <script>, <link> and <img> don't bubble
+    window.addEventListener('error', (e) => this.handleErrorEvent(e), true);
+    window.addEventListener('unhandledrejection', (e) => this.handleRejection(e));
+    document.addEventListener('securitypolicyviolation', (e) => this.handleViolation(e));
+
+    window.addEventListener('hashchange', () => {
+      this.addBreadcrumb('navigation', window.location.hash ? '#' + window.location.hash.slice(1, 80) : '#');
+    });
+    window.addEventListener('popstate', () => {
+      this.addBreadcrumb('navigation', `back/forward to ${scrubUrl(window.location.pathname)}`);
+    });
+    document.addEventListener('languageChanged', (e) => {
+      this.addBreadcrumb('language', e.detail.language);
+    });
+    document.addEventListener('submit', (e) => {
+      this.addBreadcrumb('form', `submit ${this.describeForm(e.target)}`);
+    }, true);
+    document.addEventListener('reset', (e) => {
+      this.addBreadcrumb('form', `reset ${this.describeForm(e.target)}`);
+    }, true);
+
+    return this;
+  }
+
+  // Never a field value: only which form it was
+  describeForm(form) {
+    if (!form || form.tagName !== 'FORM') return 'form';
+    return form.id ? `#${form.id}` : (form.getAttribute('name') || 'form');
+  }
+
+  // The trail continues across pages within a tab
+  loadBreadcrumbs() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(ErrorReporterConfig.breadcrumbStorageKey) || '[]');
+      return Array.isArray(stored) ? stored.slice(-ErrorReporterConfig.maxBreadcrumbs) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  addBreadcrumb(category, message) {
+    this.breadcrumbs.push({ category, message: String(message).slice(0, 200), timestamp: new Date().toISOString() });
+    this.breadcrumbs.splice(0, this.breadcrumbs.length - ErrorReporterConfig.maxBreadcrumbs);
+
+    try {
+      sessionStorage.setItem(ErrorReporterConfig.breadcrumbStorageKey, JSON.stringify(this.breadcrumbs));
+    } catch (error) {
+      // Storage unavailable: the trail just covers this page
+    }
+  }
+
+  handleErrorEvent(e) {
+    const target = e.target;
+    if (target && target !== window && target.tagName) {
+      const url = target.src || target.href || '';
+      this.report({
+        kind: 'resource',
+        message: `Failed to load ${target.tagName.toLowerCase()} ${scrubUrl(url)}`,
+        source: scrubUrl(url)
+      });
+      return;
+    }
+
+    this.report({
+      kind: 'error',
+      message: e.message || (e.error && e.error.message) || 'Unknown error',
+      stack: e.error && e.error.stack,
+      source: scrubUrl(e.filename),
+      line: e.lineno,
+      column: e.colno
+    });
+  }
+
+  handleRejection(e) {
+    const reason = e.reason;
+    this.report({
+      kind: 'unhandledrejection',
+      message: reason instanceof Error ? reason.message : String(reason),
+      stack: reason instanceof Error ? reason.stack : undefined
+    });
+  }
+
+  handleViolation(e) {
+    this.report({
+      kind: 'csp',
+      message: `${e.effectiveDirective || e.violatedDirective} blocked ${scrubUrl(e.blockedURI) || 'inline'}`,
+      source: scrubUrl(e.sourceFile),
+      line: e.lineNumber,
+      column: e.columnNumber
+    });
+  }
+
+  // Errors caught by the site's own code that are still worth knowing about
+  captureException(error) {
+    return this.report({
+      kind: 'error',
+      message: error instanceof Error ? error.message : String(error),
+      stack: error instanceof Error ? error.stack : undefined
+    });
+  }
+
+  // What visitors have typed into the page right now
+  fieldValues() {
+    return [...document.querySelectorAll('input, textarea, select')]
+      .filter(field => !['checkbox', 'radio', 'submit', 'button', 'hidden'].includes(field.type))
+      .map(field => field.value);
+  }
+
+  report(details) {
+    const fingerprint = errorFingerprint(details);
+    if (this.reported.has(fingerprint) || this.sentCount >= this.maxReports) return null;
+    this.reported.add(fingerprint);
+    this.sentCount++;
+
+    const values = this.fieldValues();
+    const scrub = text => scrubText(text, values);
+    const payload = {
+      kind: details.kind,
+      message: scrub(String(details.message).slice(0, ErrorReporterConfig.maxMessageLength)),
+      stack: details.stack ? scrub(String(details.stack).slice(0, ErrorReporterConfig.maxStackLength)) : undefined,
+      source: details.source || undefined,
+      line: details.line || undefined,
+      column: details.column || undefined,
+      language: document.documentElement.lang || 'en',
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.allowsContext()) {
+      Object.assign(payload, {
+        page: scrubUrl(window.location.pathname),
+        userAgent: navigator.userAgent,
+        breadcrumbs: this.breadcrumbs.map(crumb => ({ ...crumb, message: scrub(crumb.message) }))
+      });
+    }
+
+    this.send(payload);
+    return payload;
+  }
+
+  // Reporting must never cause errors of its own
+  send(payload) {
+    const body = JSON.stringify(payload);
+    try {
+      if (typeof navigator.sendBeacon === 'function' &&
+          navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+
+      fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(() => {});
+    } catch (error) {
+      console.warn('Could not send error report:', error);
+    }
+  }
+}
+
+const errorReporter = new ErrorReporter();
+
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+  errorReporter.start();
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ErrorReporter,
+    ErrorReporterConfig,
+    errorFingerprint,
+    errorReporter,
+    scrubText,
+    scrubUrl
+  };
+}
@@ -0,0 +1,767 @@
+// AFHAM Website - NPHIES Bundle Validation
+// The Healthcare section's developer playground: checks a FHIR R4 message
+// Bundle (claims, eligibility requests and the Patient, Coverage and
+// Organization resources they point to) against a subset of the NPHIES
+// profile rules: required elements, cardinality, code systems and Saudi
+// identifier formats. components/fhir-playground.js renders the issues.
+//
+//   validateNphiesBundle('{"resourceType": "Bundle", "type": "collection"}')
+//   // { valid: false, issues: [{ severity: 'error', code: 'invalidCode', pointer: '/type',
+//   //   params: { element: 'Bundle.type', code: 'collection', expected: 'message' }, start: 35, end: 47, line: 1, column: 36 }, ...] }
+//
+// Every issue carries a JSON pointer and the offsets of that value in the
+// text, so the editor can select it. Saudi ID check digits come from
+// isValidSaudiId (document-analysis.js).
+//
+// A teaching aid, not the NPHIES conformance suite: the official validator
+// checks far more (extensions, value sets, business rules).
+
+// Browsers load document-analysis.js before this file; Node requires it
+const saudiIds = typeof isValidSaudiId === 'function'
+  ? { isValidSaudiId }
+  : require('./document-analysis.js');
+
+const NphiesPlaygroundConfig = {
+  maxFileSize: 1024 * 1024,
+  severities: ['error', 'warning', 'information']
+};
+
+const NPHIES_PROFILE = 'http://nphies.sa/fhir/ksa/nphies-fs/StructureDefinition/';
+
+const NphiesSystems = {
+  nationalId: 'http://nphies.sa/identifier/nationalid',
+  iqama: 'http://nphies.sa/identifier/iqama',
+  passport: 'http://nphies.sa/identifier/passportnumber',
+  providerLicense: 'http://nphies.sa/license/provider-license',
+  payerLicense: 'http://nphies.sa/license/payer-license',
+  messageEvents: 'http://nphies.sa/terminology/CodeSystem/ksa-message-events',
+  coverageType: 'http://nphies.sa/terminology/CodeSystem/coverage-type',
+  claimSubType: 'http://nphies.sa/terminology/CodeSystem/claim-subtype',
+  claimType: 'http://terminology.hl7.org/CodeSystem/claim-type',
+  processPriority: 'http://terminology.hl7.org/CodeSystem/processpriority',
+  subscriberRelationship: 'http://terminology.hl7.org/CodeSystem/subscriber-relationship',
+  icd10: 'http://hl7.org/fhir/sid/icd-10-am'
+};
+
+/*
+ * Rules per resource type. Each element rule names a dotted path from the
+ * resource, its cardinality (max 1 means a single value, '*' a list) and
+ * at most one kind of value check:
+ *   codes       a FHIR code from a fixed list
+ *   binding     a CodeableConcept with a coding from `system` (and `codes`)
+ *   coding      a Coding from `system` (and `codes`)
+ *   reference   a Reference to one of these resource types
+ *   format      'date' or 'dateTime'
+ *   identifier  an Identifier; Saudi national IDs and Iqamas are checked
+ *   money       a Money amount in SAR
+ * Rules for a nested path only run where its parent is present.
+ */
+const NphiesProfiles = {
+  Bundle: {
+    profiles: ['bundle'],
+    elements: [
+      { path: 'type', min: 1, max: 1, codes: ['message'] },
+      { path: 'timestamp', min: 1, max: 1, format: 'dateTime' },
+      { path: 'entry', min: 1, max: '*' },
+      { path: 'entry.fullUrl', min: 1, max: 1 },
+      { path: 'entry.resource', min: 1, max: 1 }
+    ]
+  },
+
+  MessageHeader: {
+    profiles: ['message-header'],
+    elements: [
+      {
+        path: 'eventCoding', min: 1, max: 1,
+        coding: { system: NphiesSystems.messageEvents, codes: ['eligibility-request', 'claim-request', 'priorauth-request'] }
+      },
+      { path: 'destination', min: 1, max: '*' },
+      { path: 'source', min: 1, max: 1 },
+      { path: 'source.endpoint', min: 1, max: 1 },
+      { path: 'focus', min: 1, max: '*', reference: ['Claim', 'CoverageEligibilityRequest'] }
+    ]
+  },
+
+  Patient: {
+    profiles: ['patient'],
+    elements: [
+      { path: 'identifier', min: 1, max: '*', identifier: true },
+      { path: 'name', min: 1, max: '*' },
+      { path: 'gender', min: 1, max: 1, codes: ['male', 'female', 'other', 'unknown'] },
+      { path: 'birthDate', min: 1, max: 1, format: 'date' }
+    ]
+  },
+
+  Organization: {
+    profiles: ['provider-organization', 'insurer-organization'],
+    elements: [
+      { path: 'identifier', min: 1, max: '*', identifier: true },
+      { path: 'name', min: 1, max: 1 }
+    ]
+  },
+
+  Coverage: {
+    profiles: ['coverage'],
+    elements: [
+      { path: 'identifier', min: 1, max: '*', identifier: true },
+      { path: 'status', min: 1, max: 1, codes: ['active', 'cancelled', 'draft', 'entered-in-error'] },
+      { path: 'type', min: 1, max: 1, binding: { system: NphiesSystems.coverageType, codes: ['EHCPOL', 'PUBLICPOL'] } },
+      { path: 'beneficiary', min: 1, max: 1, reference: ['Patient'] },
+      { path: 'relationship', min: 1, max: 1, binding: { system: NphiesSystems.subscriberRelationship, codes: ['self', 'spouse', 'child', 'parent', 'common', 'other'] } },
+      { path: 'payor', min: 1, max: '*', reference: ['Organization'] }
+    ]
+  },
+
+  CoverageEligibilityRequest: {
+    profiles: ['eligibility-request'],
+    elements: [
+      { path: 'identifier', min: 1, max: '*', identifier: true },
+      { path: 'status', min: 1, max: 1, codes: ['active', 'cancelled', 'draft', 'entered-in-error'] },
+      { path: 'priority', min: 1, max: 1, binding: { system: NphiesSystems.processPriority, codes: ['stat', 'normal', 'deferred'] } },
+      { path: 'purpose', min: 1, max: '*', codes: ['auth-requirements', 'benefits', 'discovery', 'validation'] },
+      { path: 'patient', min: 1, max: 1, reference: ['Patient'] },
+      { path: 'servicedDate', min: 0, max: 1, format: 'date' },
+      { path: 'created', min: 1, max: 1, format: 'dateTime' },
+      { path: 'provider', min: 1, max: 1, reference: ['Organization'] },
+      { path: 'insurer', min: 1, max: 1, reference: ['Organization'] },
+      { path: 'insurance', min: 0, max: '*' },
+      { path: 'insurance.coverage', min: 1, max: 1, reference: ['Coverage'] }
+    ]
+  },
+
+  Claim: {
+    profiles: ['institutional-claim', 'professional-claim', 'pharmacy-claim', 'oral-claim', 'vision-claim'],
+    elements: [
+      { path: 'identifier', min: 1, max: '*', identifier: true },
+      { path: 'status', min: 1, max: 1, codes: ['active', 'cancelled', 'draft', 'entered-in-error'] },
+      { path: 'type', min: 1, max: 1, binding: { system: NphiesSystems.claimType, codes: ['institutional', 'oral', 'pharmacy', 'professional', 'vision'] } },
+      { path: 'subType', min: 1, max: 1, binding: { system: NphiesSystems.claimSubType, codes: ['ip', 'op', 'emr'] } },
+      { path: 'use', min: 1, max: 1, codes: ['claim', 'preauthorization', 'predetermination'] },
+      { path: 'patient', min: 1, max: 1, reference: ['Patient'] },
+      { path: 'created', min: 1, max: 1, format: 'dateTime' },
+      { path: 'insurer', min: 1, max: 1, reference: ['Organization'] },
+      { path: 'provider', min: 1, max: 1, reference: ['Organization'] },
+      { path: 'priority', min: 1, max: 1, binding: { system: NphiesSystems.processPriority, codes: ['stat', 'normal', 'deferred'] } },
+      { path: 'diagnosis', min: 1, max: '*' },
+      { path: 'diagnosis.sequence', min: 1, max: 1 },
+      { path: 'diagnosis.diagnosisCodeableConcept', min: 1, max: 1, binding: { system: NphiesSystems.icd10 } },
+      { path: 'insurance', min: 1, max: '*' },
+      { path: 'insurance.sequence', min: 1, max: 1 },
+      { path: 'insurance.focal', min: 1, max: 1 },
+      { path: 'insurance.coverage', min: 1, max: 1, reference: ['Coverage'] },
+      { path: 'item', min: 1, max: '*' },
+      { path: 'item.sequence', min: 1, max: 1 },
+      { path: 'item.productOrService', min: 1, max: 1 },
+      { path: 'item.net', min: 0, max: 1, money: true },
+      { path: 'total', min: 1, max: 1, money: true }
+    ]
+  }
+};
+
+// Message events and the resource each one is about
+const NphiesMessageFocus = {
+  'eligibility-request': 'CoverageEligibilityRequest',
+  'claim-request': 'Claim',
+  'priorauth-request': 'Claim'
+};
+
+const FHIR_DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const FHIR_DATE_TIME = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Thrown by parseJsonWithPointers with the offset it stopped at
+class JsonSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'JsonSyntaxError';
+    this.position = position;
+  }
+}
+
+// RFC 6901: "~" and "/" in member names
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+const JSON_STRING = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const JSON_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * JSON.parse that also reports where every value is: a Map from JSON
+ * pointer ('' for the root, '/entry/0/resource') to { start, end } offsets.
+ */
+function parseJsonWithPointers(text) {
+  const locations = new Map();
+  let index = 0;
+
+  const fail = message => {
+    throw new JsonSyntaxError(message, Math.min(index, text.length));
+  };
+  const skipWhitespace = () => {
+    while (index < text.length && ' \t\n\r'.includes(text[index])) index++;
+  };
+  const expect = char => {
+    skipWhitespace();
+    if (text[index] !== char) fail(`Expected "${char}"`);
+    index++;
+  };
+  const token = pattern => {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) fail('Unexpected token');
+    index = pattern.lastIndex;
+    return match[0];
+  };
+
+  function parseValue(pointer) {
+    skipWhitespace();
+    const start = index;
+    const char = text[index];
+    let value;
+
+    if (char === '{') {
+      value = parseObject(pointer);
+    } else if (char === '[') {
+      value = parseArray(pointer);
+    } else if (char === '"') {
+      value = JSON.parse(token(JSON_STRING));
+    } else if (char === '-' || (char >= '0' && char <= '9')) {
+      value = Number(token(JSON_NUMBER));
+    } else if (text.startsWith('true', index)) {
+      index += 4;
+      value = true;
+    } else if (text.startsWith('false', index)) {
+      index += 5;
+      value = false;
+    } else if (text.startsWith('null', index)) {
+      index += 4;
+      value = null;
+    } else {
+      fail(index < text.length ? 'Unexpected token' : 'Unexpected end of JSON');
+    }
+
+    locations.set(pointer, { start, end: index });
+    return value;
+  }
+
+  function parseObject(pointer) {
+    const object = {};
+    index++;
+    skipWhitespace();
+    if (text[index] === '}') {
+      index++;
+      return object;
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (text[index] !== '"') fail('Expected a property name');
+      const key = JSON.parse(token(JSON_STRING));
+      expect(':');
+      // defineProperty, so "__proto__" stays an ordinary member
+      Object.defineProperty(object, key, {
+        value: parseValue(`${pointer}/${escapePointer(key)}`),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+
+      skipWhitespace();
+      if (text[index] === ',') {
+        index++;
+      } else if (text[index] === '}') {
+        index++;
+        return object;
+      } else {
+        fail('Expected "," or "}"');
+      }
+    }
+  }
+
+  function parseArray(pointer) {
+    const array = [];
+    index++;
+    skipWhitespace();
+    if (text[index] === ']') {
+      index++;
+      return array;
+    }
+
+    for (;;) {
+      array.push(parseValue(`${pointer}/${array.length}`));
+      skipWhitespace();
+      if (text[index] === ',') {
+        index++;
+      } else if (text[index] === ']') {
+        index++;
+        return array;
+      } else {
+        fail('Expected "," or "]"');
+      }
+    }
+  }
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (index < text.length) fail('Unexpected content after the JSON value');
+  return { value, locations };
+}
+
+// 1-based line and column of an offset
+function textPosition(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function countOf(value) {
+  if (value === undefined || value === null) return 0;
+  return Array.isArray(value) ? value.length : 1;
+}
+
+// Every value at a dotted path, stepping into lists along the way
+function collectPath(node, pointer, segments) {
+  if (segments.length === 0) return [{ value: node, pointer }];
+  if (!isObject(node)) return [];
+
+  const [segment, ...rest] = segments;
+  const value = node[segment];
+  const at = `${pointer}/${escapePointer(segment)}`;
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => collectPath(item, `${at}/${index}`, rest));
+  }
+  return collectPath(value, at, rest);
+}
+
+// Where a reference points inside the bundle: by fullUrl, or Type/id
+function indexBundle(bundle) {
+  const index = new Map();
+  (Array.isArray(bundle.entry) ? bundle.entry : []).forEach(entry => {
+    if (!isObject(entry) || !isObject(entry.resource)) return;
+    const { resource } = entry;
+    if (typeof entry.fullUrl === 'string') index.set(entry.fullUrl, resource);
+    if (resource.resourceType && resource.id) index.set(`${resource.resourceType}/${resource.id}`, resource);
+  });
+  return index;
+}
+
+/**
+ * Check a parsed Bundle. Returns issues without text offsets:
+ * { severity, code, params, pointer }.
+ */
+function validateBundleResource(bundle) {
+  const issues = [];
+  const report = (severity, code, pointer, params = {}) => issues.push({ severity, code, pointer, params });
+
+  if (!isObject(bundle) || bundle.resourceType !== 'Bundle') {
+    report('error', 'notBundle', '');
+    return issues;
+  }
+
+  const references = indexBundle(bundle);
+  checkResource(bundle, '', references, report);
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  entries.forEach((entry, index) => {
+    const resource = isObject(entry) ? entry.resource : null;
+    if (!isObject(resource)) return;
+    const pointer = `/entry/${index}/resource`;
+
+    if (!NphiesProfiles[resource.resourceType]) {
+      report('information', 'unsupportedResource', pointer, { type: String(resource.resourceType) });
+      return;
+    }
+    checkResource(resource, pointer, references, report);
+  });
+
+  // A message starts with its header, whose focus is what the event is about
+  const first = isObject(entries[0]) ? entries[0].resource : null;
+  if (bundle.type === 'message' && entries.length > 0) {
+    if (!isObject(first) || first.resourceType !== 'MessageHeader') {
+      report('error', 'messageHeaderFirst', '/entry/0');
+    } else if (isObject(first.eventCoding) && NphiesMessageFocus[first.eventCoding.code]) {
+      const expected = NphiesMessageFocus[first.eventCoding.code];
+      const focus = (Array.isArray(first.focus) ? first.focus : [])
+        .map(item => isObject(item) && references.get(item.reference))
+        .filter(Boolean);
+      if (!focus.some(resource => resource.resourceType === expected)) {
+        report('error', 'messageFocus', '/entry/0/resource/eventCoding', { event: first.eventCoding.code, type: expected });
+      }
+    }
+  }
+
+  return issues;
+}
+
+function checkResource(resource, pointer, references, report) {
+  const type = resource.resourceType;
+  const { profiles, elements } = NphiesProfiles[type];
+
+  const declared = isObject(resource.meta) && Array.isArray(resource.meta.profile) ? resource.meta.profile : [];
+  if (!declared.some(url => profiles.some(profile => url === NPHIES_PROFILE + profile))) {
+    report('warning', 'profile', pointer, { type, profile: NPHIES_PROFILE + profiles[0] });
+  }
+
+  elements.forEach(rule => {
+    const segments = rule.path.split('.');
+    const name = segments.pop();
+    const element = `${type}.${rule.path}`;
+
+    collectPath(resource, pointer, segments).forEach(parent => {
+      if (!isObject(parent.value)) return;
+      const value = parent.value[name];
+      const at = `${parent.pointer}/${escapePointer(name)}`;
+      const count = countOf(value);
+
+      if (count < rule.min) {
+        report('error', 'required', parent.pointer, { element });
+        return;
+      }
+      if (count === 0) return;
+      if (rule.max === 1 && Array.isArray(value)) {
+        report('error', 'notSingle', at, { element });
+        return;
+      }
+      if (rule.max === '*' && !Array.isArray(value)) {
+        report('error', 'notList', at, { element });
+        return;
+      }
+
+      const values = Array.isArray(value) ? value.map((item, index) => [item, `${at}/${index}`]) : [[value, at]];
+      values.forEach(([item, itemPointer]) => checkValue(rule, element, item, itemPointer, references, report));
+    });
+  });
+}
+
+function checkValue(rule, element, value, pointer, references, report) {
+  if (rule.codes) {
+    if (!rule.codes.includes(value)) {
+      report('error', 'invalidCode', pointer, { element, code: String(value), expected: rule.codes.join(', ') });
+    }
+  } else if (rule.binding) {
+    const codings = isObject(value) && Array.isArray(value.coding) ? value.coding : [];
+    checkCoding(rule.binding, element, codings, `${pointer}/coding`, pointer, report);
+  } else if (rule.coding) {
+    checkCoding(rule.coding, element, isObject(value) ? [value] : [], null, pointer, report);
+  } else if (rule.format) {
+    const pattern = rule.format === 'date' ? FHIR_DATE : FHIR_DATE_TIME;
+    if (typeof value !== 'string' || !pattern.test(value)) {
+      report('error', rule.format === 'date' ? 'invalidDate' : 'invalidDateTime', pointer, { element, value: String(value) });
+    }
+  } else if (rule.reference) {
+    checkReference(rule.reference, element, value, pointer, references, report);
+  } else if (rule.identifier) {
+    checkIdentifier(element, value, pointer, report);
+  } else if (rule.money) {
+    if (!isObject(value) || typeof value.value !== 'number') {
+      report('error', 'invalidMoney', pointer, { element });
+    } else if (value.currency !== 'SAR') {
+      report('error', 'currency', value.currency === undefined ? pointer : `${pointer}/currency`, { element, currency: String(value.currency ?? '') });
+    }
+  }
+}
+
+// One of the codings must come from the system; listPointer is where the
+// codings are, if value is a CodeableConcept
+function checkCoding(binding, element, codings, listPointer, pointer, report) {
+  const index = codings.findIndex(coding => isObject(coding) && coding.system === binding.system);
+  if (index === -1) {
+    report('error', 'codeSystem', pointer, { element, system: binding.system });
+    return;
+  }
+
+  const coding = codings[index];
+  const codingPointer = listPointer === null ? pointer : `${listPointer}/${index}`;
+  if (typeof coding.code !== 'string' || coding.code === '') {
+    report('error', 'required', codingPointer, { element: `${element}.code` });
+  } else if (binding.codes && !binding.codes.includes(coding.code)) {
+    report('error', 'invalidCode', `${codingPointer}/code`, { element, code: coding.code, expected: binding.codes.join(', ') });
+  }
+}
+
+function checkReference(types, element, value, pointer, references, report) {
+  if (!isObject(value) || (typeof value.reference !== 'string' && !isObject(value.identifier))) {
+    report('error', 'invalidReference', pointer, { element });
+    return;
+  }
+  // A logical reference by identifier points outside the bundle
+  if (typeof value.reference !== 'string') return;
+
+  const target = references.get(value.reference);
+  if (!target) {
+    report('warning', 'unresolvedReference', `${pointer}/reference`, { element, reference: value.reference });
+  } else if (!types.includes(target.resourceType)) {
+    report('error', 'referenceType', `${pointer}/reference`, { element, type: String(target.resourceType), expected: types.join(', ') });
+  }
+}
+
+function checkIdentifier(element, value, pointer, report) {
+  if (!isObject(value) || typeof value.value !== 'string' || value.value === '') {
+    report('error', 'required', pointer, { element: `${element}.value` });
+    return;
+  }
+  if (typeof value.system !== 'string' || value.system === '') {
+    report('error', 'required', pointer, { element: `${element}.system` });
+    return;
+  }
+
+  // National IDs start with 1, Iqamas with 2; both end in a check digit
+  const lead = { [NphiesSystems.nationalId]: '1', [NphiesSystems.iqama]: '2' }[value.system];
+  if (lead && !(value.value.startsWith(lead) && saudiIds.isValidSaudiId(value.value))) {
+    const code = value.system === NphiesSystems.nationalId ? 'nationalIdFormat' : 'iqamaFormat';
+    report('error', code, `${pointer}/value`, { element, value: value.value });
+  }
+}
+
+/**
+ * Parse and check a bundle as typed in the editor. Issues are sorted by
+ * where they are in the text and carry start/end offsets, line and column.
+ */
+function validateNphiesBundle(text) {
+  let parsed;
+  try {
+    parsed = parseJsonWithPointers(text);
+  } catch (error) {
+    if (!(error instanceof JsonSyntaxError)) throw error;
+    const position = textPosition(text, error.position);
+    return {
+      valid: false,
+      bundle: null,
+      issues: [{
+        severity: 'error',
+        code: 'invalidJson',
+        pointer: null,
+        params: position,
+        start: error.position,
+        end: Math.min(error.position + 1, text.length),
+        ...position
+      }]
+    };
+  }
+
+  const issues = validateBundleResource(parsed.value)
+    .map(issue => {
+      const { start, end } = parsed.locations.get(issue.pointer);
+      return { ...issue, start, end, ...textPosition(text, start) };
+    })
+    .sort((a, b) => a.start - b.start || NphiesPlaygroundConfig.severities.indexOf(a.severity) - NphiesPlaygroundConfig.severities.indexOf(b.severity));
+
+  return {
+    valid: !issues.some(issue => issue.severity === 'error'),
+    bundle: parsed.value,
+    issues
+  };
+}
+
+// Sample messages for the playground: one that passes, one with mistakes
+const NphiesSampleBundles = [
+  {
+    id: 'claim',
+    bundle: {
+      resourceType: 'Bundle',
+      id: 'b7c1f0a2-claim',
+      meta: { profile: [`${NPHIES_PROFILE}bundle`] },
+      type: 'message',
+      timestamp: '2026-10-12T09:30:00+03:00',
+      entry: [
+        {
+          fullUrl: 'urn:uuid:0b5c8a3e-message-header',
+          resource: {
+            resourceType: 'MessageHeader',
+            id: 'message-header',
+            meta: { profile: [`${NPHIES_PROFILE}message-header`] },
+            eventCoding: { system: NphiesSystems.messageEvents, code: 'claim-request' },
+            destination: [{ endpoint: 'http://nphies.sa/license/payer-license/7000911508', receiver: { type: 'Organization', identifier: { system: NphiesSystems.payerLicense, value: '7000911508' } } }],
+            sender: { type: 'Organization', identifier: { system: NphiesSystems.providerLicense, value: '10000000046108' } },
+            source: { endpoint: 'http://provider.example.sa' },
+            focus: [{ reference: 'urn:uuid:4d2e6f10-claim' }]
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:4d2e6f10-claim',
+          resource: {
+            resourceType: 'Claim',
+            id: 'claim',
+            meta: { profile: [`${NPHIES_PROFILE}institutional-claim`] },
+            identifier: [{ system: 'http://provider.example.sa/claim', value: 'CLM-2026-004812' }],
+            status: 'active',
+            type: { coding: [{ system: NphiesSystems.claimType, code: 'institutional' }] },
+            subType: { coding: [{ system: NphiesSystems.claimSubType, code: 'ip' }] },
+            use: 'claim',
+            patient: { reference: 'urn:uuid:8f3a9c21-patient' },
+            created: '2026-10-12T09:25:00+03:00',
+            insurer: { reference: 'urn:uuid:c1e7d4b8-insurer' },
+            provider: { reference: 'urn:uuid:a9f2b6c3-provider' },
+            priority: { coding: [{ system: NphiesSystems.processPriority, code: 'normal' }] },
+            diagnosis: [
+              { sequence: 1, diagnosisCodeableConcept: { coding: [{ system: NphiesSystems.icd10, code: 'J18.9', display: 'Pneumonia, unspecified organism' }] } },
+              { sequence: 2, diagnosisCodeableConcept: { coding: [{ system: NphiesSystems.icd10, code: 'E11.9', display: 'Type 2 diabetes mellitus without complications' }] } }
+            ],
+            insurance: [{ sequence: 1, focal: true, coverage: { reference: 'urn:uuid:5b8e2d47-coverage' } }],
+            item: [
+              {
+                sequence: 1,
+                productOrService: { coding: [{ system: 'http://nphies.sa/terminology/CodeSystem/services', code: '83600-00-10', display: 'Inpatient room and board' }] },
+                quantity: { value: 4 },
+                net: { value: 3200, currency: 'SAR' }
+              },
+              {
+                sequence: 2,
+                productOrService: { coding: [{ system: 'http://nphies.sa/terminology/CodeSystem/medication-codes', code: '0517221190', display: 'Amoxicillin 1 g' }] },
+                quantity: { value: 12 },
+                net: { value: 186.5, currency: 'SAR' }
+              }
+            ],
+            total: { value: 3386.5, currency: 'SAR' }
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:8f3a9c21-patient',
+          resource: {
+            resourceType: 'Patient',
+            id: 'patient',
+            meta: { profile: [`${NPHIES_PROFILE}patient`] },
+            identifier: [{
+              type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'NI' }] },
+              system: NphiesSystems.nationalId,
+              value: '1056789124'
+            }],
+            name: [{ use: 'official', text: 'Khalid Al-Otaibi', family: 'Al-Otaibi', given: ['Khalid'] }],
+            gender: 'male',
+            birthDate: '1968-04-02'
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:5b8e2d47-coverage',
+          resource: {
+            resourceType: 'Coverage',
+            id: 'coverage',
+            meta: { profile: [`${NPHIES_PROFILE}coverage`] },
+            identifier: [{ system: 'http://payer.example.sa/memberid', value: 'TAW-3391027' }],
+            status: 'active',
+            type: { coding: [{ system: NphiesSystems.coverageType, code: 'EHCPOL' }] },
+            beneficiary: { reference: 'urn:uuid:8f3a9c21-patient' },
+            relationship: { coding: [{ system: NphiesSystems.subscriberRelationship, code: 'self' }] },
+            payor: [{ reference: 'urn:uuid:c1e7d4b8-insurer' }]
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:a9f2b6c3-provider',
+          resource: {
+            resourceType: 'Organization',
+            id: 'provider',
+            meta: { profile: [`${NPHIES_PROFILE}provider-organization`] },
+            identifier: [{ system: NphiesSystems.providerLicense, value: '10000000046108' }],
+            name: 'King Fahad Hospital'
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:c1e7d4b8-insurer',
+          resource: {
+            resourceType: 'Organization',
+            id: 'insurer',
+            meta: { profile: [`${NPHIES_PROFILE}insurer-organization`] },
+            identifier: [{ system: NphiesSystems.payerLicense, value: '7000911508' }],
+            name: 'Tawuniya'
+          }
+        }
+      ]
+    }
+  },
+  {
+    id: 'eligibility',
+    bundle: {
+      resourceType: 'Bundle',
+      id: 'e42d9b61-eligibility',
+      meta: { profile: [`${NPHIES_PROFILE}bundle`] },
+      type: 'message',
+      timestamp: '2026-10-12 10:05',
+      entry: [
+        {
+          fullUrl: 'urn:uuid:71c3e5a0-message-header',
+          resource: {
+            resourceType: 'MessageHeader',
+            id: 'message-header',
+            meta: { profile: [`${NPHIES_PROFILE}message-header`] },
+            eventCoding: { system: NphiesSystems.messageEvents, code: 'eligibility-request' },
+            destination: [{ endpoint: 'http://nphies.sa/license/payer-license/7000911508' }],
+            source: { endpoint: 'http://provider.example.sa' },
+            focus: [{ reference: 'urn:uuid:2fa8c7d9-eligibility' }]
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:2fa8c7d9-eligibility',
+          resource: {
+            resourceType: 'CoverageEligibilityRequest',
+            id: 'eligibility',
+            meta: { profile: [`${NPHIES_PROFILE}eligibility-request`] },
+            identifier: [{ system: 'http://provider.example.sa/eligibility', value: 'ELG-2026-1187' }],
+            status: 'active',
+            priority: { coding: [{ system: NphiesSystems.processPriority, code: 'normal' }] },
+            purpose: ['validation', 'coverage'],
+            patient: { reference: 'urn:uuid:93b1e4f6-patient' },
+            servicedDate: '2026-10-14',
+            created: '2026-10-12T10:05:00+03:00',
+            provider: { reference: 'urn:uuid:a9f2b6c3-provider' },
+            insurance: [{ coverage: { reference: 'urn:uuid:6c0d8a52-coverage' } }]
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:93b1e4f6-patient',
+          resource: {
+            resourceType: 'Patient',
+            id: 'patient',
+            meta: { profile: [`${NPHIES_PROFILE}patient`] },
+            identifier: [{
+              type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'PRC' }] },
+              system: NphiesSystems.iqama,
+              value: '2456789012'
+            }],
+            name: [{ text: 'Fatima Al-Zahrani' }],
+            gender: 'F',
+            birthDate: '1991-11-23'
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:6c0d8a52-coverage',
+          resource: {
+            resourceType: 'Coverage',
+            id: 'coverage',
+            identifier: [{ system: 'http://payer.example.sa/memberid', value: 'BUP-55201984' }],
+            status: 'active',
+            type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'EHCPOL' }] },
+            beneficiary: { reference: 'urn:uuid:93b1e4f6-patient' },
+            relationship: { coding: [{ system: NphiesSystems.subscriberRelationship, code: 'self' }] },
+            payor: [{ reference: 'urn:uuid:c1e7d4b8-insurer' }]
+          }
+        },
+        {
+          fullUrl: 'urn:uuid:a9f2b6c3-provider',
+          resource: {
+            resourceType: 'Organization',
+            id: 'provider',
+            meta: { profile: [`${NPHIES_PROFILE}provider-organization`] },
+            identifier: [{ system: NphiesSystems.providerLicense, value: '10000000046108' }],
+            name: 'King Fahad Hospital'
+          }
+        }
+      ]
+    }
+  }
+];
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    JsonSyntaxError,
+    NphiesPlaygroundConfig,
+    NphiesProfiles,
+    NphiesSampleBundles,
+    NphiesSystems,
+    parseJsonWithPointers,
+    validateNphiesBundle
+  };
+}
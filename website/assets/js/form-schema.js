@@ -0,0 +1,248 @@
+// AFHAM Website - Declarative Form Validation
+// One schema per form, shared by the browser (components/contact-form.js,
+// components/form-wizard.js) and the API handlers
+// (server/lib/submission-rules.mjs). Validation produces
+// error keys with parameters; formatValidationError turns them into English
+// or Arabic.
+
+const FormValidationMessages = {
+  en: {
+    required: 'This field is required',
+    email: 'Please enter a valid email address',
+    phone: 'Please enter a valid phone number',
+    url: 'Please enter a full web address, starting with https://',
+    minLength: 'Please enter at least {min} characters',
+    maxLength: 'Please keep this under {max} characters',
+    oneOf: 'Please select one of the available options',
+    accepted: 'You must agree to the Privacy Policy',
+    requiredFor: 'This field is required for {reason}',
+    invalidForm: 'Please fix the highlighted fields and try again',
+    phiAcknowledged: 'Please remove the patient details, or confirm that they may be sent with them removed'
+  },
+  ar: {
+    required: 'هذا الحقل مطلوب',
+    email: 'يرجى إدخال عنوان بريد إلكتروني صالح',
+    phone: 'يرجى إدخال رقم هاتف صالح',
+    url: 'يرجى إدخال عنوان ويب كامل يبدأ بـ https://',
+    minLength: 'يرجى إدخال {min} أحرف على الأقل',
+    maxLength: 'يرجى ألا يتجاوز النص {max} حرفاً',
+    oneOf: 'يرجى اختيار أحد الخيارات المتاحة',
+    accepted: 'يجب الموافقة على سياسة الخصوصية',
+    requiredFor: 'هذا الحقل مطلوب لـ{reason}',
+    invalidForm: 'يرجى تصحيح الحقول المحددة والمحاولة مرة أخرى',
+    phiAcknowledged: 'يرجى حذف بيانات المريض، أو تأكيد الإرسال مع إزالتها'
+  }
+};
+
+// Human-readable names for values referenced by conditional rules
+const FormValueLabels = {
+  partnership: { en: 'partnership inquiries', ar: 'استفسارات الشراكة' },
+  onboarded: { en: 'facilities already on NPHIES', ar: 'المنشآت المسجلة في نفيس' }
+};
+
+const FormFormats = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  phone: /^\+?[\d\s().-]{7,20}$/,
+  url: /^https?:\/\/[^\s/?#]+\.[^\s]+$/i
+};
+
+// Every program application starts with the applicant and ends with their
+// statement and consent; see FormSchemas.*Application
+const ApplicantFields = {
+  firstName: { required: true, maxLength: 100 },
+  lastName: { required: true, maxLength: 100 },
+  email: { required: true, format: 'email', maxLength: 320 },
+  phone: { format: 'phone' },
+  organization: { maxLength: 200 },
+  jobTitle: { required: true, maxLength: 120 }
+};
+
+const ApplicationStatementFields = {
+  motivation: { required: true, minLength: 30, maxLength: 3000 },
+  privacy: { accepted: true }
+};
+
+/**
+ * Field rules:
+ *   required   - value must be non-empty
+ *   requiredIf - { field, in: [...] } required only when another field matches
+ *   format     - key of FormFormats
+ *   minLength / maxLength
+ *   oneOf      - allowed values
+ *   accepted   - checkbox that must be ticked
+ */
+const FormSchemas = {
+  contact: {
+    firstName: { required: true, maxLength: 100 },
+    lastName: { required: true, maxLength: 100 },
+    email: { required: true, format: 'email', maxLength: 320 },
+    phone: { format: 'phone' },
+    organization: {
+      maxLength: 200,
+      requiredIf: { field: 'inquiryType', in: ['partnership'] }
+    },
+    inquiryType: {
+      required: true,
+      oneOf: ['technical', 'business', 'partnership', 'compliance', 'general']
+    },
+    subject: { required: true, maxLength: 200 },
+    message: { required: true, minLength: 10, maxLength: 5000 },
+    privacy: { accepted: true }
+  },
+
+  newsletter: {
+    email: { required: true, format: 'email', maxLength: 320 }
+  },
+
+  // Community programs, one per /api/applications/<program>
+  academyApplication: {
+    ...ApplicantFields,
+    profession: {
+      required: true,
+      oneOf: ['physician', 'nurse', 'pharmacist', 'medical-records', 'administrator', 'other']
+    },
+    sessionLanguage: { required: true, oneOf: ['ar', 'en', 'both'] },
+    ...ApplicationStatementFields
+  },
+
+  ambassadorApplication: {
+    ...ApplicantFields,
+    githubProfile: { required: true, format: 'url', maxLength: 200 },
+    developerFocus: { required: true, oneOf: ['ios', 'web', 'backend', 'data-ai', 'integration'] },
+    ...ApplicationStatementFields
+  },
+
+  partnershipApplication: {
+    ...ApplicantFields,
+    organization: { required: true, maxLength: 200 },
+    facilityType: {
+      required: true,
+      oneOf: ['hospital', 'clinic', 'polyclinic', 'laboratory', 'pharmacy', 'other']
+    },
+    nphiesStatus: { required: true, oneOf: ['onboarded', 'in-progress', 'not-started'] },
+    nphiesProviderId: {
+      maxLength: 50,
+      requiredIf: { field: 'nphiesStatus', in: ['onboarded'] }
+    },
+    ...ApplicationStatementFields
+  }
+};
+
+function isAccepted(value) {
+  return value === true || value === 'on' || value === 'true';
+}
+
+function normalizeValue(value) {
+  if (typeof value === 'string') return value.trim();
+  if (value === undefined || value === null) return '';
+  return value;
+}
+
+function resolveSchema(schema) {
+  if (typeof schema === 'string') {
+    if (!FormSchemas[schema]) {
+      throw new Error(`Unknown form schema: ${schema}`);
+    }
+    return FormSchemas[schema];
+  }
+  return schema;
+}
+
+function isRequired(rules, data) {
+  if (rules.required) return true;
+  if (rules.requiredIf) {
+    const other = normalizeValue(data[rules.requiredIf.field]);
+    return rules.requiredIf.in.includes(other);
+  }
+  return false;
+}
+
+/**
+ * Validate one field against its rules. Returns null when valid, otherwise
+ * { key, params } for formatValidationError.
+ */
+function validateFormField(schema, name, data) {
+  const rules = resolveSchema(schema)[name];
+  if (!rules) return null;
+
+  const value = normalizeValue(data[name]);
+
+  if (rules.accepted) {
+    return isAccepted(data[name]) ? null : { key: 'accepted', params: {} };
+  }
+
+  if (value === '') {
+    if (rules.required) {
+      return { key: 'required', params: {} };
+    }
+    if (isRequired(rules, data)) {
+      const reason = normalizeValue(data[rules.requiredIf.field]);
+      return { key: 'requiredFor', params: { reason } };
+    }
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    return { key: 'oneOf', params: {} };
+  }
+
+  if (rules.maxLength && value.length > rules.maxLength) {
+    return { key: 'maxLength', params: { max: rules.maxLength } };
+  }
+
+  if (rules.minLength && value.length < rules.minLength) {
+    return { key: 'minLength', params: { min: rules.minLength } };
+  }
+
+  if (rules.format && !FormFormats[rules.format].test(value)) {
+    return { key: rules.format, params: {} };
+  }
+
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    return { key: 'oneOf', params: {} };
+  }
+
+  return null;
+}
+
+/**
+ * Validate every field in a schema. Returns { valid, errors } where errors
+ * maps field name to { key, params }.
+ */
+function validateForm(schema, data) {
+  const fields = resolveSchema(schema);
+  const errors = {};
+
+  Object.keys(fields).forEach(name => {
+    const error = validateFormField(fields, name, data);
+    if (error) {
+      errors[name] = error;
+    }
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+function formatValidationError(error, language = 'en') {
+  const catalog = FormValidationMessages[language] || FormValidationMessages.en;
+  const template = catalog[error.key] || FormValidationMessages.en[error.key] || error.key;
+
+  return template.replace(/\{(\w+)\}/g, (match, param) => {
+    const value = error.params ? error.params[param] : undefined;
+    if (value === undefined) return match;
+    const label = FormValueLabels[value];
+    return label ? (label[language] || label.en) : String(value);
+  });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FormSchemas,
+    FormFormats,
+    FormValidationMessages,
+    validateForm,
+    validateFormField,
+    formatValidationError
+  };
+}
@@ -0,0 +1,300 @@
+// AFHAM Website - Translation Catalogs
+// Loads /assets/i18n/<locale>.json and formats ICU-style messages:
+//
+//   "Hello {name}"
+//   "{count, plural, =0 {No results} one {# result} other {# results}}"
+//   "{role, select, doctor {Doctor} other {Visitor}}"
+//
+// Arabic plurals use all six CLDR categories (zero, one, two, few, many,
+// other) through Intl.PluralRules. Keys are dot paths into the catalog.
+//
+// Markup binds to keys with:
+//
+//   <h2 data-i18n="contact.queue.title" data-i18n-params='{"count": 2}'>
+//   <input data-i18n-attr="placeholder:contact.form.newsletterPlaceholder;aria-label:contact.form.newsletterLabel">
+
+const I18nConfig = {
+  defaultLocale: 'en',
+  supportedLocales: ['en', 'ar'],
+  catalogPath: '/assets/i18n',
+  // og:locale values (language_TERRITORY) for each supported locale
+  ogLocales: { en: 'en_US', ar: 'ar_SA' },
+  // <meta name> the edge function uses to pass on the Accept-Language choice
+  hintMeta: 'afham-accept-language'
+};
+
+// Reduce "ar-SA", "AR", "en_GB" to a supported locale. Anything else,
+// including "lang-xx" style ids, gives null.
+function matchLocale(value) {
+  if (typeof value !== 'string') return null;
+  const base = value.trim().toLowerCase().split(/[-_]/)[0];
+  return I18nConfig.supportedLocales.includes(base) ? base : null;
+}
+
+/**
+ * Pick the page locale from, in order: an explicit ?lang= value, the stored
+ * preference, the browser's languages, and the edge Accept-Language hint.
+ * Resolves { locale, source } where source names the winning input.
+ */
+function resolveLocale({ query, stored, languages = [], hint } = {}) {
+  const candidates = [
+    ['query', [query]],
+    ['stored', [stored]],
+    ['browser', languages || []],
+    ['edge', [hint]]
+  ];
+
+  for (const [source, values] of candidates) {
+    for (const value of values) {
+      const locale = matchLocale(value);
+      if (locale) return { locale, source };
+    }
+  }
+
+  return { locale: I18nConfig.defaultLocale, source: 'default' };
+}
+
+// Split "a {b} {c, plural, one {x} other {y}}" into literal text and
+// top-level {...} placeholders, honouring nested braces
+function splitMessage(message) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < message.length; i++) {
+    const char = message[i];
+    if (char === '{') {
+      if (depth === 0) {
+        if (i > start) parts.push({ text: message.slice(start, i) });
+        start = i + 1;
+      }
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        parts.push({ placeholder: message.slice(start, i) });
+        start = i + 1;
+      }
+    }
+  }
+
+  if (start < message.length) parts.push({ text: message.slice(start) });
+  return parts;
+}
+
+// Parse "=0 {..} one {..} other {..}" into { '=0': '..', one: '..', other: '..' }
+function parseOptions(body) {
+  const options = {};
+  const pattern = /\s*(=?[\w-]+)\s*\{/g;
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    let depth = 1;
+    let i = pattern.lastIndex;
+    for (; i < body.length && depth > 0; i++) {
+      if (body[i] === '{') depth++;
+      else if (body[i] === '}') depth--;
+    }
+    options[match[1]] = body.slice(pattern.lastIndex, i - 1);
+    pattern.lastIndex = i;
+  }
+
+  return options;
+}
+
+function formatMessage(message, params = {}, locale = I18nConfig.defaultLocale) {
+  return splitMessage(message).map(part => {
+    if (part.text !== undefined) return part.text;
+
+    const [name, type, ...rest] = part.placeholder.split(',');
+    const key = name.trim();
+    const value = params[key];
+    const format = type ? type.trim() : '';
+
+    if (format === 'plural') {
+      const options = parseOptions(rest.join(','));
+      const count = Number(value);
+      const exact = options[`=${count}`];
+      const category = new Intl.PluralRules(locale).select(count);
+      const branch = exact !== undefined ? exact : (options[category] !== undefined ? options[category] : options.other || '');
+      const formatted = new Intl.NumberFormat(locale).format(count);
+      return formatMessage(branch.replace(/#/g, formatted), params, locale);
+    }
+
+    if (format === 'select') {
+      const options = parseOptions(rest.join(','));
+      const branch = options[value] !== undefined ? options[value] : options.other || '';
+      return formatMessage(branch, params, locale);
+    }
+
+    if (format === 'number') {
+      return new Intl.NumberFormat(locale).format(Number(value));
+    }
+
+    return value === undefined || value === null ? `{${key}}` : String(value);
+  }).join('');
+}
+
+class I18n {
+  constructor() {
+    this.locale = I18nConfig.defaultLocale;
+    this.catalogs = {};
+    this.loading = {};
+  }
+
+  isSupported(locale) {
+    return I18nConfig.supportedLocales.includes(locale);
+  }
+
+  // Fetch a locale's catalog once; failures leave t() on the fallbacks
+  load(locale) {
+    if (this.catalogs[locale]) return Promise.resolve(this.catalogs[locale]);
+
+    if (!this.loading[locale]) {
+      this.loading[locale] = fetch(`${I18nConfig.catalogPath}/${locale}.json`)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(catalog => {
+          this.catalogs[locale] = catalog;
+          return catalog;
+        })
+        .catch(error => {
+          console.warn(`Could not load ${locale} translations:`, error);
+          delete this.loading[locale];
+          return {};
+        });
+    }
+
+    return this.loading[locale];
+  }
+
+  async setLocale(locale) {
+    if (!this.isSupported(locale)) {
+      throw new Error(`Unsupported locale: ${locale}`);
+    }
+
+    this.locale = locale;
+    await Promise.all([this.load(locale), this.load(I18nConfig.defaultLocale)]);
+  }
+
+  // Register a catalog directly (tests, inline bootstrapping)
+  addCatalog(locale, catalog) {
+    this.catalogs[locale] = { ...(this.catalogs[locale] || {}), ...catalog };
+  }
+
+  lookup(locale, key) {
+    const catalog = this.catalogs[locale];
+    if (!catalog) return undefined;
+    if (typeof catalog[key] === 'string') return catalog[key];
+
+    const value = key.split('.').reduce((node, segment) => (
+      node && typeof node === 'object' ? node[segment] : undefined
+    ), catalog);
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  has(key, locale = this.locale) {
+    return this.lookup(locale, key) !== undefined;
+  }
+
+  /**
+   * Translate a key in the current locale, falling back to English and then
+   * to the key itself so a missing string is visible but never breaks a page.
+   */
+  t(key, params = {}) {
+    const message = this.lookup(this.locale, key);
+    if (message !== undefined) {
+      return formatMessage(message, params, this.locale);
+    }
+
+    const fallback = this.lookup(I18nConfig.defaultLocale, key);
+    if (fallback !== undefined) {
+      return formatMessage(fallback, params, I18nConfig.defaultLocale);
+    }
+
+    return key;
+  }
+
+  // Parse "placeholder:key;aria-label:other.key" into [[attr, key], ...]
+  static parseAttributeBindings(value) {
+    return (value || '').split(';')
+      .map(binding => binding.trim())
+      .filter(Boolean)
+      .map(binding => {
+        const index = binding.indexOf(':');
+        return [binding.slice(0, index).trim(), binding.slice(index + 1).trim()];
+      })
+      .filter(([attr, key]) => attr && key);
+  }
+
+  static readParams(element) {
+    const raw = element.getAttribute('data-i18n-params');
+    if (!raw) return {};
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('Invalid data-i18n-params:', raw);
+      return {};
+    }
+  }
+
+  /**
+   * Apply the current locale to every [data-i18n] and [data-i18n-attr]
+   * element under root. Text is always set with textContent, never as HTML.
+   * Keys missing from every loaded catalog (e.g. the fetch failed) leave the
+   * markup's own text in place rather than showing the raw key.
+   */
+  translatePage(root = document) {
+    const translatable = key => this.has(key) || this.has(key, I18nConfig.defaultLocale);
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      const key = element.getAttribute('data-i18n');
+      if (translatable(key)) {
+        element.textContent = this.t(key, I18n.readParams(element));
+      }
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      const params = I18n.readParams(element);
+      I18n.parseAttributeBindings(element.getAttribute('data-i18n-attr')).forEach(([attr, key]) => {
+        if (translatable(key)) {
+          element.setAttribute(attr, this.t(key, params));
+        }
+      });
+    });
+  }
+}
+
+const i18n = new I18n();
+
+function t(key, params) {
+  return i18n.t(key, params);
+}
+
+// Text for dynamically created elements that should follow later language
+// switches (LanguageManager re-translates [data-i18n] on every change)
+function setTranslatedText(element, key, params) {
+  element.setAttribute('data-i18n', key);
+  if (params && Object.keys(params).length > 0) {
+    element.setAttribute('data-i18n-params', JSON.stringify(params));
+  } else {
+    element.removeAttribute('data-i18n-params');
+  }
+  element.textContent = t(key, params);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    I18n,
+    I18nConfig,
+    formatMessage,
+    i18n,
+    matchLocale,
+    resolveLocale,
+    setTranslatedText,
+    t
+  };
+}
@@ -0,0 +1,234 @@
+// AFHAM Website - Locale-aware Number and Date Formatting
+// A thin layer over Intl.NumberFormat and Intl.DateTimeFormat keyed by the
+// site language. Arabic asks for Arabic-Indic digits (٠١٢٣) explicitly: plain
+// "ar" uses Latin digits in current CLDR data.
+//
+// Markup:
+//
+//   <span class="stat-number">99.5%</span>              parsed once, then localized
+//   <time datetime="2025-11-15T14:00:00+03:00" data-date-format="date">
+//   <time datetime="..." data-date-end="..." data-date-format="day">   ranges
+//   <time datetime="..." data-date-format="time" data-time-zone="local">  viewer's clock
+//   <div data-calendar="hijri">                           per-section calendar
+
+const LocaleFormatConfig = {
+  locales: { en: 'en-US', ar: 'ar-SA' },
+  numberingSystems: { en: 'latn', ar: 'arab' },
+  calendars: { gregorian: 'gregory', hijri: 'islamic-umalqura' },
+  // Event times are published in Saudi time
+  timeZone: 'Asia/Riyadh'
+};
+
+// Named Intl.DateTimeFormat options for data-date-format
+const DateFormats = {
+  month: { month: 'short' },
+  day: { day: '2-digit' },
+  date: { year: 'numeric', month: 'long', day: 'numeric' },
+  shortDate: { month: 'short', day: 'numeric' },
+  time: { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' },
+  dateTime: { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }
+};
+
+const formatterCache = new Map();
+
+// Largest units first; durations show at most two of them
+const DurationUnits = [
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000]
+];
+
+// For relative times: the largest unit the difference reaches
+const RelativeTimeUnits = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['week', 7 * 24 * 60 * 60 * 1000],
+  ...DurationUnits
+];
+
+// "ar" + hijri -> "ar-SA-u-ca-islamic-umalqura-nu-arab"
+function intlLocale(language, calendar) {
+  const base = LocaleFormatConfig.locales[language] || LocaleFormatConfig.locales.en;
+  const numbering = LocaleFormatConfig.numberingSystems[language] || 'latn';
+  const calendarId = LocaleFormatConfig.calendars[calendar];
+  return `${base}-u-${calendarId ? `ca-${calendarId}-` : ''}nu-${numbering}`;
+}
+
+// Counters format the same value sixty times a second; build each formatter once
+function cachedFormatter(Formatter, locale, options) {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatterCache.has(key)) {
+    formatterCache.set(key, new Formatter(locale, options));
+  }
+  return formatterCache.get(key);
+}
+
+/**
+ * Split display text such as "99.5%", "2,500+" or "150+" into its number and
+ * decoration. Returns null when the text has no number ("NPHIES").
+ */
+function parseNumericText(text) {
+  const match = /^(\D*?)(\d[\d,]*(?:\.\d+)?)(\s*%)?(.*)$/.exec(String(text).trim());
+  if (!match) return null;
+
+  const [, prefix, digits, percent, suffix] = match;
+  const fraction = digits.split('.')[1];
+  return {
+    prefix,
+    value: Number(digits.replace(/,/g, '')),
+    fractionDigits: fraction ? fraction.length : 0,
+    style: percent ? 'percent' : 'decimal',
+    suffix
+  };
+}
+
+/**
+ * Format a number for a site language. Percent values are given as shown
+ * (99.5, not 0.995) and keep exactly `fractionDigits` decimals.
+ */
+function formatNumber(value, { language = 'en', style = 'decimal', fractionDigits = 0 } = {}) {
+  const formatter = cachedFormatter(Intl.NumberFormat, intlLocale(language), {
+    style,
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  });
+  return formatter.format(style === 'percent' ? value / 100 : value);
+}
+
+/**
+ * Format a date (or a start/end range) for a site language. `format` is a
+ * DateFormats name or an Intl options object; calendar is 'gregorian' or
+ * 'hijri'; timeZone defaults to Riyadh.
+ */
+function formatDate(date, { language = 'en', format = 'date', calendar = 'gregorian', timeZone = LocaleFormatConfig.timeZone, end = null } = {}) {
+  const options = { ...(typeof format === 'string' ? DateFormats[format] || DateFormats.date : format), timeZone };
+  const formatter = cachedFormatter(Intl.DateTimeFormat, intlLocale(language, calendar), options);
+  const start = new Date(date);
+
+  if (end && typeof formatter.formatRange === 'function') {
+    return formatter.formatRange(start, new Date(end));
+  }
+  return formatter.format(start);
+}
+
+/**
+ * Format a length of time as words, e.g. "3 days, 4 hours" or "٢٠ دقيقة".
+ * Shows the two largest non-zero units, rounded down to whole minutes;
+ * anything under a minute counts as one.
+ */
+function formatDuration(ms, { language = 'en' } = {}) {
+  const minute = DurationUnits[DurationUnits.length - 1][1];
+  let remaining = Math.max(1, Math.floor(ms / minute)) * minute;
+  const counts = DurationUnits.map(([unit, size]) => {
+    const count = Math.floor(remaining / size);
+    remaining -= count * size;
+    return [unit, count];
+  });
+
+  // "3 days, 4 hours", "2 hours", but never "3 days, 20 minutes"
+  const first = counts.findIndex(([, count]) => count > 0);
+  const shown = counts.slice(first, first + 2).filter(([, count]) => count > 0);
+
+  const parts = shown.map(([unit, count]) => cachedFormatter(Intl.NumberFormat, intlLocale(language), {
+    style: 'unit',
+    unit,
+    unitDisplay: 'long'
+  }).format(count));
+  return cachedFormatter(Intl.ListFormat, intlLocale(language), { style: 'long', type: 'unit' }).format(parts);
+}
+
+/**
+ * How long ago (or how far ahead) a date is, e.g. "3 hours ago", "yesterday"
+ * or "قبل ٣ ساعات". Counts whole units of the largest unit reached; anything
+ * under a minute is "now".
+ */
+function formatRelativeTime(date, { language = 'en', now = Date.now() } = {}) {
+  const difference = new Date(date).getTime() - now;
+  const formatter = cachedFormatter(Intl.RelativeTimeFormat, intlLocale(language), { numeric: 'auto' });
+  const match = RelativeTimeUnits.find(([, size]) => Math.abs(difference) >= size);
+
+  if (!match) return formatter.format(0, 'second');
+  const [unit, size] = match;
+  return formatter.format(Math.trunc(difference / size), unit);
+}
+
+// The visitor's own IANA time zone, e.g. "Europe/London"
+function viewerTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || LocaleFormatConfig.timeZone;
+}
+
+// The element's number as first written in the markup, cached in data-*
+// attributes so later renders don't re-parse already localized digits
+function numberSource(element) {
+  const data = element.dataset;
+  if (data.number === undefined) {
+    const parsed = parseNumericText(element.textContent);
+    if (!parsed) return null;
+
+    data.number = String(parsed.value);
+    data.numberStyle = parsed.style;
+    data.fractionDigits = String(parsed.fractionDigits);
+    data.numberPrefix = parsed.prefix;
+    data.numberSuffix = parsed.suffix;
+  }
+
+  return {
+    value: Number(data.number),
+    style: data.numberStyle || 'decimal',
+    fractionDigits: Number(data.fractionDigits) || 0,
+    prefix: data.numberPrefix || '',
+    suffix: data.numberSuffix || ''
+  };
+}
+
+// Write `value` (defaults to the element's own number) in the given language
+function renderLocalizedNumber(element, language, value) {
+  const source = numberSource(element);
+  if (!source) return;
+
+  const shown = value === undefined ? source.value : value;
+  element.textContent = source.prefix + formatNumber(shown, { language, ...source }) + source.suffix;
+}
+
+function renderLocalizedDate(element, language, calendar = 'gregorian') {
+  const holder = element.closest('[datetime]');
+  if (!holder) return;
+
+  const section = element.closest('[data-calendar]');
+  element.textContent = formatDate(holder.getAttribute('datetime'), {
+    language,
+    format: element.dataset.dateFormat,
+    calendar: section ? section.dataset.calendar : calendar,
+    timeZone: element.dataset.timeZone === 'local' ? viewerTimeZone() : LocaleFormatConfig.timeZone,
+    end: holder.getAttribute('data-date-end')
+  });
+}
+
+// Localize every stat counter and date under root
+function renderLocalizedContent(root, language, calendar) {
+  root.querySelectorAll('.stat-number, [data-format-number]').forEach(element => {
+    renderLocalizedNumber(element, language);
+  });
+
+  root.querySelectorAll('[data-date-format]').forEach(element => {
+    renderLocalizedDate(element, language, calendar);
+  });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DateFormats,
+    LocaleFormatConfig,
+    formatDate,
+    formatDuration,
+    formatNumber,
+    formatRelativeTime,
+    numberSource,
+    parseNumericText,
+    renderLocalizedContent,
+    renderLocalizedDate,
+    renderLocalizedNumber,
+    viewerTimeZone
+  };
+}
@@ -4,6 +4,7 @@
 const AFHAMWebsite = {
   language: 'en',
   rtl: false,
+  calendar: 'gregorian',
   animations: {
     enabled: true,
     reducedMotion: false
@@ -19,9 +20,10 @@ class LanguageManager {
   }
 
   init() {
-    // Check for saved language preference
-    const savedLang = localStorage.getItem('afham-language') || 'en';
-    this.setLanguage(savedLang);
+    // ?lang= beats a saved preference, which beats browser and edge hints.
+    // Only explicit choices are saved, so detection keeps tracking the browser.
+    const { locale, source } = this.detectLanguage();
+    this.setLanguage(locale, { persist: source === 'query' });
     
     // Check for reduced motion preference
     const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
@@ -31,17 +33,33 @@ class LanguageManager {
     this.bindEvents();
   }
 
+  detectLanguage() {
+    const hint = document.querySelector(`meta[name="${I18nConfig.hintMeta}"]`);
+    return resolveLocale({
+      query: new URLSearchParams(window.location.search).get('lang'),
+      stored: localStorage.getItem('afham-language'),
+      languages: navigator.languages || [navigator.language],
+      hint: hint ? hint.getAttribute('content') : null
+    });
+  }
+
   bindEvents() {
     const langButtons = document.querySelectorAll('.lang-btn');
     langButtons.forEach(btn => {
       btn.addEventListener('click', (e) => {
-        const lang = e.target.id.split('-')[1];
+        const lang = e.currentTarget.id.replace(/^lang-/, '');
         this.setLanguage(lang);
       });
     });
   }
 
-  setLanguage(lang) {
+  setLanguage(lang, options = {}) {
+    // Never write an unsupported value such as "xx" into <html lang>
+    if (matchLocale(lang) !== lang) {
+      console.warn(`Ignoring unsupported language: ${lang}`);
+      return Promise.resolve();
+    }
+
     this.currentLanguage = lang;
     AFHAMWebsite.language = lang;
     AFHAMWebsite.rtl = lang === 'ar';
@@ -51,13 +69,32 @@ class LanguageManager {
     this.updateContent();
     this.updateDirection();
     
+    this.updateLocaleMetadata();
+    
     // Save preference
-    localStorage.setItem('afham-language', lang);
+    if (options.persist !== false) {
+      localStorage.setItem('afham-language', lang);
+      this.updateLanguageParam();
+    }
     
-    // Dispatch event for other components
-    document.dispatchEvent(new CustomEvent('languageChanged', { 
-      detail: { language: lang, rtl: AFHAMWebsite.rtl }
-    }));
+    // Catalog strings follow once the locale's JSON has loaded; listeners
+    // run after that so anything they render with t() is already translated
+    return this.loadTranslations(lang).then(() => {
+      if (this.currentLanguage !== lang) return;
+      this.updateTranslations();
+
+      // Dispatch event for other components
+      document.dispatchEvent(new CustomEvent('languageChanged', { 
+        detail: { language: lang, rtl: AFHAMWebsite.rtl }
+      }));
+    });
+  }
+
+  loadTranslations(lang) {
+    if (typeof i18n === 'undefined' || !i18n.isSupported(lang)) {
+      return Promise.resolve();
+    }
+    return i18n.setLocale(lang);
   }
 
   updateLanguageButtons() {
@@ -72,11 +109,79 @@ class LanguageManager {
     elements.forEach(el => {
       const text = el.getAttribute(`data-${this.currentLanguage}`);
       if (text) {
-        el.textContent = text;
+        // Form controls carry their bilingual text as a placeholder
+        if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') {
+          el.setAttribute('placeholder', text);
+        } else {
+          el.textContent = text;
+        }
       }
     });
   }
 
+  // Catalog-backed [data-i18n] text and [data-i18n-attr] attributes
+  updateTranslations() {
+    if (typeof i18n !== 'undefined') {
+      i18n.translatePage(document);
+    }
+  }
+
+  // Keep a shared ?lang= link in step with a language switch, so reloading
+  // doesn't flip the page back
+  updateLanguageParam() {
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('lang') && url.searchParams.get('lang') !== this.currentLanguage) {
+      url.searchParams.set('lang', this.currentLanguage);
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  // hreflang alternates for each supported language plus og:locale
+  updateLocaleMetadata() {
+    const head = document.head;
+    const alternates = [...I18nConfig.supportedLocales, 'x-default'];
+
+    alternates.forEach(hreflang => {
+      let link = head.querySelector(`link[rel="alternate"][hreflang="${hreflang}"]`);
+      if (!link) {
+        link = document.createElement('link');
+        link.rel = 'alternate';
+        link.hreflang = hreflang;
+        head.appendChild(link);
+      }
+
+      const url = new URL(window.location.href);
+      url.hash = '';
+      if (hreflang === 'x-default') {
+        url.searchParams.delete('lang');
+      } else {
+        url.searchParams.set('lang', hreflang);
+      }
+      link.href = url.toString();
+    });
+
+    this.setMetaProperty('og:locale', I18nConfig.ogLocales[this.currentLanguage]);
+    head.querySelectorAll('meta[property="og:locale:alternate"]').forEach(meta => meta.remove());
+    I18nConfig.supportedLocales
+      .filter(locale => locale !== this.currentLanguage)
+      .forEach(locale => {
+        const meta = document.createElement('meta');
+        meta.setAttribute('property', 'og:locale:alternate');
+        meta.setAttribute('content', I18nConfig.ogLocales[locale]);
+        head.appendChild(meta);
+      });
+  }
+
+  setMetaProperty(property, content) {
+    let meta = document.head.querySelector(`meta[property="${property}"]`);
+    if (!meta) {
+      meta = document.createElement('meta');
+      meta.setAttribute('property', property);
+      document.head.appendChild(meta);
+    }
+    meta.setAttribute('content', content);
+  }
+
   updateDirection() {
     document.documentElement.setAttribute('dir', AFHAMWebsite.rtl ? 'rtl' : 'ltr');
     document.documentElement.setAttribute('lang', this.currentLanguage);
@@ -235,16 +340,6 @@ class AnimationManager {
       threshold: 0.1,
       rootMargin: '0px 0px -50px 0px'
     }));
-
-    // Counter animation observer
-    this.observers.set('counter', new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          this.animateCounter(entry.target);
-          this.observers.get('counter').unobserve(entry.target);
-        }
-      });
-    }, { threshold: 0.5 }));
   }
 
   observeElements() {
@@ -253,38 +348,42 @@ class AnimationManager {
     fadeElements.forEach(el => {
       this.observers.get('fadeIn').observe(el);
     });
+  }
+}
 
-    // Observe stat numbers for counter animation
-    const statNumbers = document.querySelectorAll('.stat-number');
-    statNumbers.forEach(el => {
-      this.observers.get('counter').observe(el);
+// Locale-aware numbers and dates (see locale-format.js), redrawn whenever
+// the language or the Gregorian/Hijri calendar choice changes
+class LocaleFormatManager {
+  constructor() {
+    this.calendarToggle = document.getElementById('hijriToggle');
+    this.init();
+  }
+
+  init() {
+    AFHAMWebsite.calendar = localStorage.getItem('afham-calendar') === 'hijri' ? 'hijri' : 'gregorian';
+
+    if (this.calendarToggle) {
+      this.calendarToggle.checked = AFHAMWebsite.calendar === 'hijri';
+      this.calendarToggle.addEventListener('change', () => {
+        this.setCalendar(this.calendarToggle.checked ? 'hijri' : 'gregorian');
+      });
+    }
+
+    document.addEventListener('languageChanged', () => {
+      this.render();
     });
+
+    this.render();
   }
 
-  animateCounter(element) {
-    const text = element.textContent;
-    const number = parseInt(text.replace(/\D/g, ''));
-    
-    if (isNaN(number)) return;
+  setCalendar(calendar) {
+    AFHAMWebsite.calendar = calendar;
+    localStorage.setItem('afham-calendar', calendar);
+    this.render();
+  }
 
-    const duration = 2000;
-    const steps = 60;
-    const increment = number / steps;
-    const stepDuration = duration / steps;
-    
-    let currentNumber = 0;
-    
-    const timer = setInterval(() => {
-      currentNumber += increment;
-      
-      if (currentNumber >= number) {
-        element.textContent = text;
-        clearInterval(timer);
-      } else {
-        const displayNumber = Math.floor(currentNumber);
-        element.textContent = text.replace(number.toString(), displayNumber.toString());
-      }
-    }, stepDuration);
+  render(root = document) {
+    renderLocalizedContent(root, AFHAMWebsite.language, AFHAMWebsite.calendar);
   }
 }
 
@@ -297,7 +396,7 @@ function copyCode(elementId) {
   
   if (navigator.clipboard) {
     navigator.clipboard.writeText(text).then(() => {
-      showNotification('Code copied to clipboard!', 'success');
+      showNotification({ key: 'common.codeCopied' }, 'success');
     }).catch(() => {
       fallbackCopyToClipboard(text);
     });
@@ -318,218 +417,32 @@ function fallbackCopyToClipboard(text) {
   
   try {
     document.execCommand('copy');
-    showNotification('Code copied to clipboard!', 'success');
+    showNotification({ key: 'common.codeCopied' }, 'success');
   } catch (err) {
-    showNotification('Failed to copy code', 'error');
+    showNotification({ key: 'common.copyFailed' }, 'error');
   }
   
   document.body.removeChild(textArea);
 }
 
 // Notification System
-function showNotification(message, type = 'info') {
-  const notification = document.createElement('div');
-  notification.className = `notification notification-${type}`;
-  notification.textContent = message;
-  
-  notification.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    padding: 12px 24px;
-    background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : '#3b82f6'};
-    color: white;
-    border-radius: 8px;
-    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-    z-index: 10000;
-    transform: translateX(100%);
-    transition: transform 0.3s ease;
-    font-weight: 500;
-  `;
-  
-  document.body.appendChild(notification);
-  
-  // Animate in
-  setTimeout(() => {
-    notification.style.transform = 'translateX(0)';
-  }, 100);
-  
-  // Animate out and remove
-  setTimeout(() => {
-    notification.style.transform = 'translateX(100%)';
-    setTimeout(() => {
-      document.body.removeChild(notification);
-    }, 300);
-  }, 3000);
-}
-
-// Search Functionality (for docs)
-class SearchManager {
-  constructor() {
-    this.searchInput = document.getElementById('docs-search');
-    this.searchResults = null;
-    this.searchIndex = [];
-    
-    if (this.searchInput) {
-      this.init();
-    }
-  }
-
-  init() {
-    this.createSearchResults();
-    this.bindEvents();
-    this.buildSearchIndex();
-  }
-
-  createSearchResults() {
-    this.searchResults = document.createElement('div');
-    this.searchResults.className = 'search-results';
-    this.searchResults.style.cssText = `
-      position: absolute;
-      top: 100%;
-      left: 0;
-      right: 0;
-      background: white;
-      border: 1px solid var(--gray-200);
-      border-top: none;
-      border-radius: 0 0 8px 8px;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
-      max-height: 400px;
-      overflow-y: auto;
-      z-index: 1000;
-      display: none;
-    `;
-    
-    this.searchInput.parentNode.appendChild(this.searchResults);
-  }
-
-  bindEvents() {
-    this.searchInput.addEventListener('input', (e) => {
-      const query = e.target.value.trim();
-      if (query.length >= 2) {
-        this.performSearch(query);
-      } else {
-        this.hideResults();
-      }
-    });
-
-    this.searchInput.addEventListener('focus', () => {
-      if (this.searchInput.value.trim().length >= 2) {
-        this.showResults();
-      }
-    });
-
-    document.addEventListener('click', (e) => {
-      if (!e.target.closest('.search-box')) {
-        this.hideResults();
-      }
-    });
-  }
-
-  buildSearchIndex() {
-    // Build search index from page content
-    const headings = document.querySelectorAll('h1, h2, h3, h4');
-    const paragraphs = document.querySelectorAll('p');
-    
-    headings.forEach(heading => {
-      this.searchIndex.push({
-        title: heading.textContent,
-        content: heading.textContent,
-        url: `#${heading.id || ''}`,
-        type: 'heading'
-      });
-    });
-
-    paragraphs.forEach(p => {
-      const heading = this.findNearestHeading(p);
-      this.searchIndex.push({
-        title: heading ? heading.textContent : 'Content',
-        content: p.textContent,
-        url: heading ? `#${heading.id || ''}` : '#',
-        type: 'content'
-      });
-    });
-  }
-
-  findNearestHeading(element) {
-    let current = element.previousElementSibling;
-    while (current) {
-      if (/^H[1-6]$/.test(current.tagName)) {
-        return current;
-      }
-      current = current.previousElementSibling;
-    }
-    return null;
-  }
-
-  performSearch(query) {
-    const results = this.searchIndex
-      .filter(item => 
-        item.title.toLowerCase().includes(query.toLowerCase()) ||
-        item.content.toLowerCase().includes(query.toLowerCase())
-      )
-      .slice(0, 5);
-
-    this.renderResults(results, query);
-    this.showResults();
-  }
-
-  renderResults(results, query) {
-    if (results.length === 0) {
-      this.searchResults.innerHTML = `
-        <div style="padding: 16px; text-align: center; color: var(--gray-500);">
-          No results found for "${query}"
-        </div>
-      `;
-      return;
-    }
-
-    this.searchResults.innerHTML = results.map(result => `
-      <a href="${result.url}" style="
-        display: block;
-        padding: 12px 16px;
-        border-bottom: 1px solid var(--gray-100);
-        color: var(--gray-700);
-        text-decoration: none;
-        transition: background-color 0.15s ease;
-      " onmouseover="this.style.backgroundColor='var(--gray-50)'" 
-         onmouseout="this.style.backgroundColor='transparent'">
-        <div style="font-weight: 500; margin-bottom: 4px;">
-          ${this.highlightQuery(result.title, query)}
-        </div>
-        <div style="font-size: 14px; color: var(--gray-500);">
-          ${this.highlightQuery(this.truncateText(result.content, 100), query)}
-        </div>
-      </a>
-    `).join('');
-  }
-
-  highlightQuery(text, query) {
-    const regex = new RegExp(`(${query})`, 'gi');
-    return text.replace(regex, '<mark style="background-color: #fef3c7; padding: 1px 2px; border-radius: 2px;">$1</mark>');
-  }
-
-  truncateText(text, maxLength) {
-    if (text.length <= maxLength) return text;
-    return text.substring(0, maxLength).trim() + '...';
-  }
-
-  showResults() {
-    this.searchResults.style.display = 'block';
-  }
-
-  hideResults() {
-    this.searchResults.style.display = 'none';
-  }
+// Kept for existing callers; toasts are managed by NotificationManager
+// (notifications.js). `message` may be a string or { key, params }.
+function showNotification(message, type = 'info', options = {}) {
+  return notifications.show(message, { ...options, type }).element;
 }
 
-// Analytics Integration
+// Wires the site's providers into siteAnalytics (analytics.js) and records
+// page-level interactions. Providers that send data anywhere wait for consent.
 class AnalyticsManager {
-  constructor() {
+  constructor(consent = null) {
+    this.consent = consent;
     this.init();
   }
 
   init() {
+    siteAnalytics.configure({ providers: this.createProviders(), consent: this.consent });
+
     // Track page views
     this.trackPageView();
     
@@ -537,31 +450,34 @@ class AnalyticsManager {
     this.bindInteractionEvents();
   }
 
-  trackPageView() {
-    if (typeof plausible !== 'undefined') {
-      plausible('pageview');
-    }
-  }
+  createProviders() {
+    const providers = [createCollectorProvider()];
 
-  trackEvent(eventName, properties = {}) {
-    if (typeof plausible !== 'undefined') {
-      plausible(eventName, { props: properties });
-    }
-    
-    // Also send to console in development
     if (window.location.hostname === 'localhost') {
-      console.log('Analytics Event:', eventName, properties);
+      providers.push(createConsoleProvider());
+    } else {
+      providers.push(createPlausibleProvider({ domain: 'afham.brainsait.io' }));
     }
+    return providers;
+  }
+
+  trackPageView() {
+    this.trackEvent('pageView');
+  }
+
+  trackEvent(type, properties = {}) {
+    return siteAnalytics.track(type, properties);
   }
 
   bindInteractionEvents() {
-    // Track button clicks
+    // Track button clicks; the consent controls themselves are not tracked
     document.querySelectorAll('.btn').forEach(btn => {
+      if (btn.closest('.consent-banner, .consent-dialog')) return;
       btn.addEventListener('click', () => {
         const text = btn.textContent.trim();
         const href = btn.getAttribute('href');
         
-        this.trackEvent('Button Click', {
+        this.trackEvent('buttonClick', {
           button_text: text,
           button_href: href || 'none'
         });
@@ -572,13 +488,16 @@ class AnalyticsManager {
     document.querySelectorAll('a[href^="http"]').forEach(link => {
       link.addEventListener('click', () => {
         const url = link.getAttribute('href');
-        this.trackEvent('External Link', { url });
+        this.trackEvent('externalLink', { url });
       });
     });
 
-    // Track language switches
+    // Track language switches, not the initial language of each page
+    let language = AFHAMWebsite.language;
     document.addEventListener('languageChanged', (e) => {
-      this.trackEvent('Language Switch', {
+      if (e.detail.language === language) return;
+      language = e.detail.language;
+      this.trackEvent('languageSwitch', {
         language: e.detail.language,
         rtl: e.detail.rtl
       });
@@ -587,9 +506,13 @@ class AnalyticsManager {
 }
 
 // Performance Monitoring
+// Core Web Vitals come from web-vitals.js, which reports a sample of page
+// views to /api/vitals when the visitor has allowed analytics
 class PerformanceMonitor {
-  constructor() {
+  constructor(consent = null) {
+    this.consent = consent;
     this.metrics = {};
+    this.vitals = null;
     this.init();
   }
 
@@ -601,12 +524,13 @@ class PerformanceMonitor {
   measurePageLoad() {
     window.addEventListener('load', () => {
       const perfData = performance.getEntriesByType('navigation')[0];
+      if (!perfData) return;
       
-      this.metrics = {
+      Object.assign(this.metrics, {
         pageLoadTime: perfData.loadEventEnd - perfData.fetchStart,
         domContentLoaded: perfData.domContentLoadedEventEnd - perfData.fetchStart,
         firstPaint: performance.getEntriesByType('paint')[0]?.startTime || 0
-      };
+      });
 
       // Log metrics in development
       if (window.location.hostname === 'localhost') {
@@ -616,20 +540,17 @@ class PerformanceMonitor {
   }
 
   observeWebVitals() {
-    // Observe Largest Contentful Paint (LCP)
-    if ('PerformanceObserver' in window) {
-      const observer = new PerformanceObserver((list) => {
-        const entries = list.getEntries();
-        const lastEntry = entries[entries.length - 1];
-        this.metrics.lcp = lastEntry.startTime;
-      });
-      
-      try {
-        observer.observe({ entryTypes: ['largest-contentful-paint'] });
-      } catch (e) {
-        // LCP not supported
+    const isLocal = window.location.hostname === 'localhost';
+
+    this.vitals = new WebVitalsCollector({
+      shouldReport: () => !this.consent || this.consent.allows('analytics'),
+      onMetric: (metric) => {
+        this.metrics[metric.name.toLowerCase()] = metric.value;
+        if (isLocal) {
+          console.log(`Web Vital ${metric.name}:`, metric.value, metric.rating, metric.attribution);
+        }
       }
-    }
+    }).start();
   }
 
   getMetrics() {
@@ -637,16 +558,117 @@ class PerformanceMonitor {
   }
 }
 
+// Service Worker Registration
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    return Promise.resolve(null);
+  }
+
+  return navigator.serviceWorker.register('/sw.js')
+    .then(registration => {
+      watchForServiceWorkerUpdate(registration);
+      return registration;
+    })
+    .catch(error => {
+      console.warn('Service worker registration failed:', error);
+      return null;
+    });
+}
+
+// A deploy installs a new worker that waits until every tab is closed;
+// offer to switch to it now instead
+function watchForServiceWorkerUpdate(registration) {
+  // Without a controlling worker this is the first install, not an update
+  const isUpdate = () => Boolean(navigator.serviceWorker.controller);
+
+  if (registration.waiting && isUpdate()) {
+    promptServiceWorkerUpdate(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && isUpdate()) {
+        promptServiceWorkerUpdate(worker);
+      }
+    });
+  });
+}
+
+function promptServiceWorkerUpdate(worker) {
+  // The prompt can race LanguageManager's catalog fetch on page load
+  i18n.load(i18n.locale).catch(() => {}).then(() => {
+    showNotification({ key: 'update.available' }, 'info', {
+      action: {
+        label: { key: 'update.reload' },
+        onClick: () => {
+          navigator.serviceWorker.addEventListener('controllerchange', () => {
+            window.location.reload();
+          }, { once: true });
+          worker.postMessage({ type: 'skip-waiting' });
+        }
+      }
+    });
+  });
+}
+
+// The service worker answers pages it has never cached with 404.html flagged
+// by <meta name="afham-offline">; switch it to its offline wording before
+// the page is translated
+function applyOfflineVariant(root = document) {
+  if (!root.querySelector('meta[name="afham-offline"]')) return false;
+
+  document.documentElement.setAttribute('data-offline', '');
+  root.querySelectorAll('[data-offline-i18n]').forEach(el => {
+    el.removeAttribute('data-en');
+    el.removeAttribute('data-ar');
+    el.setAttribute('data-i18n', el.getAttribute('data-offline-i18n'));
+  });
+  root.querySelectorAll('[data-offline-only]').forEach(el => {
+    el.hidden = false;
+  });
+  return true;
+}
+
+// The site-wide state and services page components (components.js) get;
+// helpers from the page's other scripts they name in their own header
+function createComponentContext() {
+  return Object.freeze({
+    get language() { return AFHAMWebsite.language; },
+    get rtl() { return AFHAMWebsite.rtl; },
+    get calendar() { return AFHAMWebsite.calendar; },
+    get reducedMotion() { return AFHAMWebsite.animations.reducedMotion; },
+    analytics: siteAnalytics,
+    notifications,
+    reportError: error => errorReporter.captureException(error)
+  });
+}
+
 // Initialize everything when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
+  // Section ids the search index links to; before translation, since they
+  // are derived from the English headings
+  assignSectionIds(document);
+  revealSectionFromHash();
+  applyOfflineVariant(document);
+
   // Initialize core managers
   const languageManager = new LanguageManager();
   const navigationManager = new NavigationManager();
   const smoothScrollManager = new SmoothScrollManager();
   const animationManager = new AnimationManager();
-  const searchManager = new SearchManager();
-  const analyticsManager = new AnalyticsManager();
-  const performanceMonitor = new PerformanceMonitor();
+  const localeFormatManager = new LocaleFormatManager();
+  const consentManager = new ConsentManager();
+  errorReporter.configure({ consent: consentManager });
+  const analyticsManager = new AnalyticsManager(consentManager);
+  const performanceMonitor = new PerformanceMonitor(consentManager);
+  registerServiceWorker();
+
+  // Page-specific parts (search, forms, counters) load only where declared
+  const componentRegistry = new ComponentRegistry(createComponentContext());
+  componentRegistry.start();
 
   // Make managers globally accessible for debugging
   if (window.location.hostname === 'localhost') {
@@ -655,9 +677,11 @@ document.addEventListener('DOMContentLoaded', () => {
       navigationManager,
       smoothScrollManager,
       animationManager,
-      searchManager,
+      localeFormatManager,
+      consentManager,
       analyticsManager,
-      performanceMonitor
+      performanceMonitor,
+      componentRegistry
     };
   }
 
@@ -669,9 +693,11 @@ document.addEventListener('DOMContentLoaded', () => {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     AFHAMWebsite,
+    AnimationManager,
     LanguageManager,
     NavigationManager,
     copyCode,
-    showNotification
+    showNotification,
+    registerServiceWorker
   };
 }
\ No newline at end of file
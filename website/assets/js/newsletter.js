@@ -0,0 +1,71 @@
+// AFHAM Website - Newsletter confirmation and unsubscribe page
+// Links in the confirmation email land here (?action=confirm|unsubscribe&token=...).
+// The state change only happens on an explicit click, so mail scanners that
+// prefetch links cannot confirm or cancel a subscription by themselves.
+
+class NewsletterActionManager {
+  constructor() {
+    this.container = document.getElementById('newsletterAction');
+    const params = new URLSearchParams(window.location.search);
+    this.action = params.get('action');
+    this.token = params.get('token');
+
+    if (this.container) {
+      this.init();
+    }
+  }
+
+  init() {
+    if (['confirm', 'unsubscribe'].includes(this.action) && this.token) {
+      this.showStep(this.action);
+    } else {
+      this.showStep('error');
+    }
+
+    this.container.querySelectorAll('[data-newsletter-submit]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.submit(button.dataset.newsletterSubmit, button);
+      });
+    });
+  }
+
+  showStep(step) {
+    this.container.querySelectorAll('.newsletter-step').forEach(el => {
+      el.hidden = el.dataset.step !== step;
+    });
+  }
+
+  async submit(action, button) {
+    button.disabled = true;
+
+    try {
+      const response = await fetch(`/api/newsletter/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: this.token, language: AFHAMWebsite.language })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+
+      this.showStep(action === 'confirm' ? 'confirmed' : 'unsubscribed');
+      siteAnalytics.track(action === 'confirm' ? 'newsletterConfirmed' : 'newsletterUnsubscribed');
+    } catch (error) {
+      console.error('Newsletter action failed:', error);
+      this.showStep('error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new NewsletterActionManager();
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { NewsletterActionManager };
+}
@@ -0,0 +1,271 @@
+// AFHAM Website - Toast Notifications
+// Short status messages ("Code copied", "Message saved offline", "A new
+// version is available") shown in one stack at the inline end of the top of
+// the viewport: the right in English, the left in Arabic.
+//
+// At most a few toasts are visible at once; the rest wait in a queue. Each
+// is read out by screen readers through a live region, politely for info
+// and success, assertively for warnings and errors. Timers pause while a
+// toast is hovered or focused, and Escape dismisses the focused toast.
+//
+// Messages given as { key, params } are catalog keys and follow later
+// language switches like the rest of the page:
+//
+//   notifications.show({ key: 'contact.queue.sent', params: { count: 2 } }, { type: 'success' });
+
+const NotificationConfig = {
+  maxVisible: 3,
+  // How long each type stays, in ms; 0 keeps it until dismissed
+  durations: { info: 5000, success: 5000, warning: 8000, error: 8000 },
+  // Must match the .toast transition in main.css
+  exitDuration: 300,
+  icons: {
+    info: 'fa-circle-info',
+    success: 'fa-circle-check',
+    warning: 'fa-triangle-exclamation',
+    error: 'fa-circle-exclamation'
+  }
+};
+
+// Errors and warnings interrupt the screen reader; everything else waits
+function notificationPoliteness(type) {
+  return type === 'error' || type === 'warning' ? 'assertive' : 'polite';
+}
+
+// Fill `element` with a plain string, or a catalog key that stays translated
+function setNotificationText(element, text) {
+  if (text && typeof text === 'object' && text.key) {
+    setTranslatedText(element, text.key, text.params);
+  } else {
+    element.textContent = String(text);
+  }
+}
+
+function notificationText(text) {
+  return text && typeof text === 'object' && text.key ? t(text.key, text.params) : String(text);
+}
+
+class NotificationManager {
+  constructor(options = {}) {
+    this.maxVisible = options.maxVisible || NotificationConfig.maxVisible;
+    this.visible = [];
+    this.queue = [];
+    this.stack = null;
+    this.announcers = {};
+    this.nextId = 1;
+  }
+
+  // The stack and live regions are created on first use
+  ensureContainer() {
+    if (this.stack && this.stack.isConnected) return;
+
+    this.stack = document.createElement('section');
+    this.stack.className = 'toast-stack';
+    this.stack.setAttribute('data-i18n-attr', 'aria-label:notifications.region');
+    this.stack.setAttribute('aria-label', notificationText({ key: 'notifications.region' }));
+    document.body.appendChild(this.stack);
+
+    ['polite', 'assertive'].forEach(politeness => {
+      const announcer = document.createElement('div');
+      announcer.className = 'toast-announcer';
+      announcer.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+      announcer.setAttribute('aria-live', politeness);
+      announcer.setAttribute('aria-atomic', 'true');
+      document.body.appendChild(announcer);
+      this.announcers[politeness] = announcer;
+    });
+  }
+
+  /**
+   * Show a toast, or queue it while the stack is full.
+   *
+   * @param {string|{key: string, params?: object}} message
+   * @param {object} [options]
+   * @param {'info'|'success'|'warning'|'error'} [options.type]
+   * @param {number} [options.duration] ms before it leaves; 0 keeps it
+   * @param {{label: string|object, onClick: function}} [options.action]
+   * @returns {object} the toast: { id, type, element, dismiss() }
+   */
+  show(message, options = {}) {
+    const type = NotificationConfig.durations[options.type] !== undefined ? options.type : 'info';
+    const action = options.action || null;
+    const duration = options.duration !== undefined
+      ? options.duration
+      : (action ? 0 : NotificationConfig.durations[type]);
+
+    // The same message again restarts the one already showing
+    const text = notificationText(message);
+    const existing = [...this.visible, ...this.queue].find(item => item.type === type && item.text === text);
+    if (existing) {
+      existing.remaining = existing.duration;
+      if (this.visible.includes(existing)) this.startTimer(existing);
+      return existing;
+    }
+
+    const toast = {
+      id: this.nextId++,
+      type,
+      text,
+      message,
+      action,
+      duration,
+      remaining: duration,
+      timer: null,
+      startedAt: 0,
+      paused: new Set(),
+      element: null,
+      dismiss: () => this.dismiss(toast)
+    };
+    toast.element = this.render(toast);
+
+    if (this.visible.length < this.maxVisible) {
+      this.display(toast);
+    } else {
+      this.queue.push(toast);
+    }
+    return toast;
+  }
+
+  render(toast) {
+    const element = document.createElement('div');
+    element.className = `toast toast-${toast.type}`;
+    element.setAttribute('data-toast-id', String(toast.id));
+
+    const icon = document.createElement('i');
+    icon.className = `fas ${NotificationConfig.icons[toast.type]} toast-icon`;
+    icon.setAttribute('aria-hidden', 'true');
+
+    const message = document.createElement('p');
+    message.className = 'toast-message';
+    setNotificationText(message, toast.message);
+
+    element.append(icon, message);
+
+    if (toast.action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'toast-action';
+      setNotificationText(button, toast.action.label);
+      button.addEventListener('click', () => {
+        toast.action.onClick();
+        this.dismiss(toast);
+      });
+      element.appendChild(button);
+    }
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-dismiss';
+    close.setAttribute('data-i18n-attr', 'aria-label:notifications.dismiss');
+    close.setAttribute('aria-label', notificationText({ key: 'notifications.dismiss' }));
+    close.innerHTML = '<i class="fas fa-xmark" aria-hidden="true"></i>';
+    close.addEventListener('click', () => this.dismiss(toast));
+    element.appendChild(close);
+
+    element.addEventListener('mouseenter', () => this.pause(toast, 'hover'));
+    element.addEventListener('mouseleave', () => this.resume(toast, 'hover'));
+    element.addEventListener('focusin', () => this.pause(toast, 'focus'));
+    element.addEventListener('focusout', (e) => {
+      if (!element.contains(e.relatedTarget)) this.resume(toast, 'focus');
+    });
+    element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.dismiss(toast);
+      }
+    });
+
+    return element;
+  }
+
+  display(toast) {
+    this.ensureContainer();
+    this.visible.push(toast);
+    this.stack.appendChild(toast.element);
+    this.announce(toast);
+
+    // Next frame, so the entry transition runs from the off-screen state
+    requestAnimationFrame(() => toast.element.classList.add('toast-visible'));
+    this.startTimer(toast);
+  }
+
+  // Clearing first makes a repeated message count as a change
+  announce(toast) {
+    const announcer = this.announcers[notificationPoliteness(toast.type)];
+    announcer.textContent = '';
+    setTimeout(() => {
+      announcer.textContent = notificationText(toast.message);
+    }, 100);
+  }
+
+  startTimer(toast) {
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    if (toast.duration <= 0 || toast.paused.size > 0) return;
+
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => this.dismiss(toast), toast.remaining);
+  }
+
+  // Hover and focus pause independently; the timer runs again once neither holds
+  pause(toast, reason) {
+    if (toast.paused.size === 0 && toast.timer) {
+      clearTimeout(toast.timer);
+      toast.timer = null;
+      toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+    }
+    toast.paused.add(reason);
+  }
+
+  resume(toast, reason) {
+    toast.paused.delete(reason);
+    if (toast.paused.size === 0 && this.visible.includes(toast)) {
+      // Leave a moment to finish reading after the pointer moves away
+      toast.remaining = Math.max(toast.remaining, 1000);
+      this.startTimer(toast);
+    }
+  }
+
+  dismiss(toast) {
+    clearTimeout(toast.timer);
+    toast.timer = null;
+
+    const queued = this.queue.indexOf(toast);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      return;
+    }
+
+    const index = this.visible.indexOf(toast);
+    if (index === -1) return;
+    this.visible.splice(index, 1);
+
+    // Keep keyboard users inside the stack rather than dropping them on <body>
+    const hadFocus = toast.element.contains(document.activeElement);
+    toast.element.classList.remove('toast-visible');
+    setTimeout(() => toast.element.remove(), NotificationConfig.exitDuration);
+
+    if (this.queue.length > 0) {
+      this.display(this.queue.shift());
+    }
+    if (hadFocus && this.visible.length > 0) {
+      this.visible[this.visible.length - 1].element.querySelector('button').focus();
+    }
+  }
+
+  dismissAll() {
+    [...this.queue, ...this.visible].forEach(toast => this.dismiss(toast));
+  }
+}
+
+const notifications = new NotificationManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NotificationConfig,
+    NotificationManager,
+    notificationPoliteness,
+    notifications
+  };
+}
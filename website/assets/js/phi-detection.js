@@ -0,0 +1,143 @@
+// AFHAM Website - PHI Detection
+// Finds patient details people paste into the contact form: Saudi national
+// ID and Iqama numbers (check digit included), medical record numbers,
+// dates of birth, phone numbers and names written after "patient" or
+// "اسم المريض". The contact form component warns before sending; the
+// /api/contact handler redacts whatever is still there before storing it.
+//
+//   detectPhi('Patient: Khalid Al-Otaibi, ID 1056789124')
+//   // [{ kind: 'patientName', start: 9, end: 25, text: 'Khalid Al-Otaibi' },
+//   //  { kind: 'nationalId', start: 30, end: 40, text: '1056789124' }]
+//
+//   redactPhi('Patient: Khalid Al-Otaibi, ID 1056789124').text
+//   // 'Patient: [patient name removed], ID [national ID removed]'
+//
+// Identifiers and dates come from the document demo's tagger. Like it, this
+// is patterns and cue words: it errs on the side of warning.
+
+// Browsers load document-analysis.js before this file; Node requires it
+const documentAnalysis = typeof tagMedicalEntities === 'function'
+  ? { tagMedicalEntities, normalizeDigits }
+  : require('./document-analysis.js');
+
+// In the order the warning lists them
+const PhiKinds = ['patientName', 'nationalId', 'iqama', 'mrn', 'dateOfBirth', 'phone'];
+
+// What redactPhi leaves in place of each kind; the inbox reads English
+const PhiRedactionLabels = {
+  patientName: 'patient name',
+  nationalId: 'national ID',
+  iqama: 'Iqama number',
+  mrn: 'medical record number',
+  dateOfBirth: 'date of birth',
+  phone: 'phone number'
+};
+
+// Words right before a date that make it a date of birth
+const BIRTH_CUE = /(?:\b(?:DOB|D\.O\.B\.?|date of birth|birth ?date|born(?: on)?)|تاريخ (?:الميلاد|ميلاده|ميلادها)|مواليد|المولودة?|ولدت?)[ \t]*[:\-–]?[ \t]*(?:(?:on|في)[ \t]+)?$/iu;
+
+const NAME_WORD = "\\p{Lu}[\\p{L}'’-]*";
+const ARABIC_WORD = '(?:(?!\\p{N})\\p{Script=Arabic})+';
+
+const PhiRules = [
+  {
+    // Saudi mobile (05x) and landline (01x) numbers, local or international
+    kind: 'phone',
+    pattern: /(?<![\d+])(?:(?:\+|00)966[ \t-]?0?|0)(?:5\d|1[1-7])(?:[ \t-]?\d){7}(?!\d)/gu,
+    group: 0
+  },
+  {
+    // "Patient: Khalid Al-Otaibi", "patient name - Sara bint Ali"; names
+    // are capitalized words, so "patient: stable" is left alone
+    kind: 'patientName',
+    pattern: new RegExp(
+      '(?:\\b[Pp]atient(?:[\'’]s)?[ \\t]+[Nn]ame|\\b[Nn]ame[ \\t]+of[ \\t]+(?:the[ \\t]+)?[Pp]atient|\\b[Pp]atient(?=[ \\t]*[:\\-–])|\\b(?:[Pp]atient|[Pp]t\\.?)[ \\t]+(?:named|called))' +
+      `[ \\t]*[:\\-–]?[ \\t]*(${NAME_WORD}(?:[ \\t]+(?:(?:bin|bint|ibn|al|el)[ \\t]+)?${NAME_WORD}){0,3})`,
+      'gu'
+    ),
+    group: 1
+  },
+  {
+    // "اسم المريض: محمد العتيبي", "المريضة: نورة", "المريض المدعو ..."
+    kind: 'patientName',
+    pattern: new RegExp(
+      '(?:اسم[ \\t]+(?:المريضة|المريض)|(?:المريضة|المريض|للمريضة|للمريض)(?=[ \\t]*:)|(?:المريضة|المريض)[ \\t]+(?:المدعوة|المدعو|واسمها|واسمه))' +
+      `[ \\t]*:?[ \\t]*(${ARABIC_WORD}(?:[ \\t]+${ARABIC_WORD}){0,3})`,
+      'gu'
+    ),
+    group: 1
+  }
+];
+
+function matchRules(text) {
+  const matches = [];
+  PhiRules.forEach(rule => {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(text)) !== null) {
+      const value = match[rule.group];
+      const start = match.index + match[0].lastIndexOf(value);
+      matches.push({ kind: rule.kind, start, end: start + value.length });
+    }
+  });
+  return matches;
+}
+
+/**
+ * Every likely piece of PHI in text, in order and never overlapping.
+ * Offsets are into the original text, whatever digits it uses.
+ */
+function detectPhi(text) {
+  const source = String(text || '');
+  const normalized = documentAnalysis.normalizeDigits(source);
+
+  const candidates = matchRules(normalized);
+  documentAnalysis.tagMedicalEntities(source).forEach(entity => {
+    if (entity.type === 'identifier') {
+      candidates.push({ kind: entity.value.kind, start: entity.start, end: entity.end });
+    } else if (entity.type === 'date' && BIRTH_CUE.test(normalized.slice(Math.max(0, entity.start - 40), entity.start))) {
+      candidates.push({ kind: 'dateOfBirth', start: entity.start, end: entity.end });
+    }
+  });
+
+  // Earliest first, then longest
+  candidates.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const matches = [];
+  let position = 0;
+  candidates.forEach(candidate => {
+    if (candidate.start < position) return;
+    matches.push({ ...candidate, text: source.slice(candidate.start, candidate.end) });
+    position = candidate.end;
+  });
+  return matches;
+}
+
+/**
+ * Replace every match with a placeholder such as "[national ID removed]".
+ * Returns the text and how many of each kind were removed.
+ */
+function redactPhi(text) {
+  const source = String(text || '');
+  const counts = {};
+  let result = '';
+  let position = 0;
+
+  detectPhi(source).forEach(match => {
+    result += `${source.slice(position, match.start)}[${PhiRedactionLabels[match.kind]} removed]`;
+    counts[match.kind] = (counts[match.kind] || 0) + 1;
+    position = match.end;
+  });
+
+  return { text: result + source.slice(position), counts };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PhiKinds,
+    PhiRedactionLabels,
+    detectPhi,
+    redactPhi
+  };
+}
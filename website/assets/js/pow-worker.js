@@ -0,0 +1,15 @@
+// AFHAM Website - Web Worker that solves spam-protection challenges
+// off the main thread so typing in the form never stutters.
+
+importScripts('/assets/js/proof-of-work.js');
+
+self.addEventListener('message', async (e) => {
+  const { challenge, difficulty } = e.data;
+
+  try {
+    const nonce = await solveProofOfWork(challenge, difficulty);
+    self.postMessage({ challenge, nonce });
+  } catch (error) {
+    self.postMessage({ challenge, error: error.message });
+  }
+});
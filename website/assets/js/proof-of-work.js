@@ -0,0 +1,37 @@
+// AFHAM Website - Proof-of-work solver for form spam protection
+// Finds a nonce so that SHA-256(`${challenge}:${nonce}`) starts with
+// `difficulty` zero bits. Worker-safe: used by pow-worker.js and, where Web
+// Workers are unavailable, by SpamGuard on the main thread.
+
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+async function solveProofOfWork(challenge, difficulty) {
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; ; nonce++) {
+    const candidate = nonce.toString(36);
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${candidate}`));
+    if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      return candidate;
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    countLeadingZeroBits,
+    solveProofOfWork
+  };
+}
@@ -0,0 +1,235 @@
+// AFHAM Website - Search Text Processing
+// Normalization, tokenization, a light Arabic stemmer and typo-tolerant
+// matching for site search. Normalizing keeps a map from every normalized
+// character back to the original string, so matches can be highlighted in
+// the text as written (with its tashkeel, hamza forms and capitals).
+
+// Tashkeel (fathatan..sukun), superscript alef and tatweel are dropped
+const ARABIC_IGNORED = /[\u064B-\u0652\u0670\u0640]/;
+
+const ARABIC_LETTER_FORMS = {
+  'أ': 'ا',
+  'إ': 'ا',
+  'آ': 'ا',
+  'ٱ': 'ا',
+  'ة': 'ه',
+  'ى': 'ي',
+  'ؤ': 'و',
+  'ئ': 'ي'
+};
+
+const SearchTextConfig = {
+  minStemLength: 3,
+  // Longest first; stripped once each, after an optional leading و
+  arabicPrefixes: ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'],
+  arabicSuffixes: ['ها', 'ان', 'ات', 'ون', 'ين', 'يه', 'ه', 'ي'],
+  // Allowed edit distance by token length
+  fuzzyDistance(length) {
+    if (length <= 3) return 0;
+    if (length <= 7) return 1;
+    return 2;
+  },
+  scores: { exact: 1, stem: 0.85, prefix: 0.8, fuzzy: 0.6 }
+};
+
+function normalizeChar(char) {
+  if (ARABIC_IGNORED.test(char)) return '';
+  if (ARABIC_LETTER_FORMS[char]) return ARABIC_LETTER_FORMS[char];
+
+  // Arabic-Indic and Eastern Arabic-Indic digits to ASCII
+  const code = char.codePointAt(0);
+  if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);
+  if (code >= 0x06F0 && code <= 0x06F9) return String(code - 0x06F0);
+
+  // Latin accents: é -> e; ligatures: ﬁ -> fi
+  return char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Normalize text for matching. Returns { text, map } where map[i] is the
+ * index in the original string of normalized character i.
+ */
+function normalizeSearchText(original) {
+  let text = '';
+  const map = [];
+  let index = 0;
+
+  for (const char of String(original)) {
+    const normalized = normalizeChar(char);
+    for (let i = 0; i < normalized.length; i++) {
+      map.push(index);
+    }
+    text += normalized;
+    index += char.length;
+  }
+
+  return { text, map };
+}
+
+/**
+ * Strip one leading و, a definite article form, and one common suffix, as
+ * long as at least minStemLength letters remain. Expects normalized text.
+ */
+function stemArabic(token) {
+  const { minStemLength, arabicPrefixes, arabicSuffixes } = SearchTextConfig;
+  let stem = token;
+
+  if (stem.startsWith('و') && stem.length - 1 >= minStemLength && !stem.startsWith('وال')) {
+    stem = stem.slice(1);
+  }
+
+  const prefix = arabicPrefixes.find(p => stem.startsWith(p) && stem.length - p.length >= minStemLength);
+  if (prefix) stem = stem.slice(prefix.length);
+
+  const suffix = arabicSuffixes.find(s => stem.endsWith(s) && stem.length - s.length >= minStemLength);
+  if (suffix) stem = stem.slice(0, -suffix.length);
+
+  return stem;
+}
+
+function isArabic(token) {
+  return /[\u0600-\u06FF]/.test(token);
+}
+
+function stemToken(token) {
+  return isArabic(token) ? stemArabic(token) : token;
+}
+
+/**
+ * Split text into tokens: { token, stem, start, end } with start/end as
+ * offsets into the original (unnormalized) string.
+ */
+function tokenizeSearchText(original) {
+  const source = String(original);
+  const { text, map } = normalizeSearchText(source);
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const last = map[match.index + match[0].length - 1];
+    let end = last + (source.codePointAt(last) > 0xFFFF ? 2 : 1);
+    // Keep trailing tashkeel inside the highlighted word
+    while (end < source.length && ARABIC_IGNORED.test(source[end])) end++;
+
+    tokens.push({
+      token: match[0],
+      stem: stemToken(match[0]),
+      start: map[match.index],
+      end
+    });
+  }
+
+  return tokens;
+}
+
+// Damerau-Levenshtein (optimal string alignment) distance, giving up once
+// it is certain to exceed max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * How well a query term matches a text token, from 0 (no match) to 1.
+ * The last term of a query also matches as a prefix, for search-as-you-type.
+ */
+function matchToken(term, token, { allowPrefix = false } = {}) {
+  const { scores } = SearchTextConfig;
+
+  if (term.token === token.token) return scores.exact;
+  if (term.stem === token.stem && term.stem.length >= SearchTextConfig.minStemLength) return scores.stem;
+  if (allowPrefix && term.token.length >= 2 && (token.token.startsWith(term.token) || token.stem.startsWith(term.stem))) {
+    return scores.prefix;
+  }
+
+  const max = SearchTextConfig.fuzzyDistance(term.token.length);
+  if (max > 0) {
+    const distance = Math.min(editDistance(term.token, token.token, max), editDistance(term.stem, token.stem, max));
+    if (distance <= max) return scores.fuzzy - (distance - 1) * 0.1;
+  }
+
+  return 0;
+}
+
+// Query string -> terms; only the final term is still being typed
+function parseSearchQuery(query) {
+  const terms = tokenizeSearchText(query);
+  return terms.map((term, index) => ({ ...term, allowPrefix: index === terms.length - 1 }));
+}
+
+/**
+ * Best score of a term against pre-tokenized text, plus the original-text
+ * ranges of the tokens that matched it.
+ */
+function scoreTerm(term, tokens) {
+  let best = 0;
+  const ranges = [];
+
+  tokens.forEach(token => {
+    const score = matchToken(term, token, term);
+    if (score > 0) {
+      best = Math.max(best, score);
+      ranges.push([token.start, token.end]);
+    }
+  });
+
+  return { score: best, ranges };
+}
+
+// Original-text ranges in `text` matched by any query term, merged and sorted
+function findMatchRanges(text, terms) {
+  const tokens = tokenizeSearchText(text);
+  const ranges = terms.flatMap(term => scoreTerm(term, tokens).ranges);
+  return mergeRanges(ranges);
+}
+
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  return sorted.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range.slice());
+    }
+    return merged;
+  }, []);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SearchTextConfig,
+    editDistance,
+    findMatchRanges,
+    matchToken,
+    mergeRanges,
+    normalizeSearchText,
+    parseSearchQuery,
+    scoreTerm,
+    stemArabic,
+    tokenizeSearchText
+  };
+}
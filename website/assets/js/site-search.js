@@ -0,0 +1,214 @@
+// AFHAM Website - Site Search
+// Shared by the search component (components/search.js) in the browser and
+// by scripts/build-search-index.mjs, which crawls every page and writes the
+// JSON index this file loads and ranks.
+//
+// Headings without an id get one derived from their English text, in document
+// order, by the same allocator on both sides, so an index entry can link to
+// /page#section-id even though the HTML never spells the id out.
+
+// Browsers load search-text.js before this file; Node requires it
+const searchText = typeof tokenizeSearchText === 'function'
+  ? { tokenizeSearchText, parseSearchQuery, scoreTerm, findMatchRanges }
+  : require('./search-text.js');
+
+const SiteSearchConfig = {
+  indexPath: '/assets/search-index.json',
+  headingSelector: 'h1, h2, h3, h4',
+  // Site chrome repeated on every page is neither indexed nor given ids
+  excludedAncestors: 'nav, footer',
+  weights: { section: 5, page: 2, body: 1 },
+  maxResults: 8,
+  snippetLength: 120
+};
+
+/**
+ * Turn heading text into an id fragment. Letters from any script are kept,
+ * so Arabic-only headings still get a readable id.
+ */
+function slugifyHeading(text) {
+  const slug = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'section';
+}
+
+// Returns next(text), which hands out slugs not yet present in usedIds
+function createSectionIdAllocator(usedIds) {
+  const used = new Set(usedIds);
+  return text => {
+    const base = slugifyHeading(text);
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    used.add(id);
+    return id;
+  };
+}
+
+// Give every indexable heading an id, exactly as the index build does
+function assignSectionIds(root = document) {
+  const usedIds = [...root.querySelectorAll('[id]')].map(el => el.id);
+  const nextId = createSectionIdAllocator(usedIds);
+
+  root.querySelectorAll(SiteSearchConfig.headingSelector).forEach(heading => {
+    if (heading.id || heading.closest(SiteSearchConfig.excludedAncestors)) return;
+    heading.id = nextId(heading.getAttribute('data-en') || heading.textContent.trim());
+  });
+}
+
+// Generated ids don't exist when the browser first looks for #fragment
+function revealSectionFromHash() {
+  if (!window.location.hash) return;
+
+  // A malformed escape such as #%E0 must not stop the page from starting
+  const fragment = window.location.hash.slice(1);
+  let id = fragment;
+  try {
+    id = decodeURIComponent(fragment);
+  } catch (error) {
+    // Look the fragment up as written
+  }
+
+  const target = document.getElementById(id);
+  if (target) {
+    target.scrollIntoView();
+  }
+}
+
+function localizedField(field, language) {
+  if (!field) return '';
+  return field[language] || field.en || '';
+}
+
+// Tokens for every field of every section, computed once per index
+const preparedIndexes = new WeakMap();
+
+function prepareIndex(index) {
+  if (!preparedIndexes.has(index)) {
+    const tokens = field => [field.en, field.ar].filter(Boolean).flatMap(text => searchText.tokenizeSearchText(text));
+    preparedIndexes.set(index, {
+      pages: index.pages.map(page => tokens(page.title)),
+      sections: index.sections.map(section => ({ title: tokens(section.t), body: tokens(section.b) }))
+    });
+  }
+  return preparedIndexes.get(index);
+}
+
+/**
+ * Cut a snippet of body text around its first match. Returns the snippet and
+ * the match ranges shifted into snippet coordinates.
+ */
+function snippetAround(text, terms) {
+  const length = SiteSearchConfig.snippetLength;
+  const ranges = searchText.findMatchRanges(text, terms);
+  const first = ranges.length > 0 ? ranges[0][0] : 0;
+  const start = Math.max(0, first - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+  const prefix = start > 0 ? '...' : '';
+
+  return {
+    text: prefix + text.slice(start, end) + (end < text.length ? '...' : ''),
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+}
+
+/**
+ * Rank index sections for a query. Text is compared after Arabic/Latin
+ * normalization and light stemming, with typo tolerance (search-text.js).
+ * Every term must match somewhere in the section, in either language;
+ * matches in headings outweigh page titles, which outweigh body text.
+ * Results carry match ranges into their original title and snippet text.
+ */
+function rankSearchResults(index, query, language = 'en') {
+  const terms = searchText.parseSearchQuery(query);
+  if (terms.length === 0 || !index) return [];
+
+  const { weights } = SiteSearchConfig;
+  const prepared = prepareIndex(index);
+  const results = [];
+
+  index.sections.forEach((section, i) => {
+    const page = index.pages[section.p];
+    const fields = [
+      [weights.section, prepared.sections[i].title],
+      [weights.page, prepared.pages[section.p]],
+      [weights.body, prepared.sections[i].body]
+    ];
+
+    let score = 0;
+    const matchedAll = terms.every(term => {
+      const termScore = fields.reduce((sum, [weight, tokens]) => sum + weight * searchText.scoreTerm(term, tokens).score, 0);
+      score += termScore;
+      return termScore > 0;
+    });
+    if (!matchedAll) return;
+
+    const title = localizedField(section.t, language);
+    const snippet = snippetAround(localizedField(section.b, language), terms);
+    results.push({
+      url: `${page.url}#${section.id}`,
+      title,
+      titleRanges: searchText.findMatchRanges(title, terms),
+      pageTitle: localizedField(page.title, language),
+      snippet: snippet.text,
+      snippetRanges: snippet.ranges,
+      score
+    });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SiteSearchConfig.maxResults);
+}
+
+// Lazily fetched prebuilt index; load() is safe to call repeatedly
+class SiteSearchIndex {
+  constructor(path = SiteSearchConfig.indexPath) {
+    this.path = path;
+    this.data = null;
+    this.loading = null;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = fetch(this.path)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(data => {
+          this.data = data;
+          return data;
+        })
+        .catch(error => {
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  search(query, language) {
+    return rankSearchResults(this.data, query, language);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SiteSearchConfig,
+    SiteSearchIndex,
+    assignSectionIds,
+    createSectionIdAllocator,
+    rankSearchResults,
+    revealSectionFromHash,
+    slugifyHeading
+  };
+}
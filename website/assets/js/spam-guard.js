@@ -0,0 +1,90 @@
+// AFHAM Website - Form Spam Protection (client side)
+// Fetches a signed challenge from /api/challenge as soon as the form loads,
+// solves its proof of work in a Web Worker, and hands the solution to the
+// form on submit. See server/lib/anti-spam.mjs for the checks.
+
+class SpamGuard {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || '/api/challenge';
+    this.timeout = options.timeout || 15000;
+    this.solution = null;
+
+    this.reset();
+  }
+
+  // Start on a fresh challenge; each one is good for a single submission
+  reset() {
+    this.solution = this.fetchAndSolve();
+    // Failures surface when token() is awaited
+    this.solution.catch(() => {});
+  }
+
+  async fetchAndSolve() {
+    const response = await fetch(this.endpoint, { headers: { Accept: 'application/json' } });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.message || 'Could not load challenge');
+    }
+
+    const nonce = await this.solve(result.challenge, result.difficulty);
+    return { challenge: result.challenge, nonce };
+  }
+
+  solve(challenge, difficulty) {
+    if (typeof Worker === 'undefined') {
+      return solveProofOfWork(challenge, difficulty);
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker('/assets/js/pow-worker.js');
+      worker.addEventListener('message', (e) => {
+        worker.terminate();
+        if (e.data.error) {
+          reject(new Error(e.data.error));
+        } else {
+          resolve(e.data.nonce);
+        }
+      });
+      worker.addEventListener('error', (e) => {
+        worker.terminate();
+        reject(new Error(e.message || 'Proof-of-work worker failed'));
+      });
+      worker.postMessage({ challenge, difficulty });
+    });
+  }
+
+  /**
+   * Resolve with { challenge, nonce } for the next submission, or null if no
+   * solution is ready in time (the server will then reject with a reason
+   * code and the user sees a friendly message).
+   */
+  async token() {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), this.timeout);
+    });
+
+    try {
+      return await Promise.race([this.solution, timeout]);
+    } catch (error) {
+      console.warn('Spam protection challenge failed:', error);
+      this.reset();
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Localized text for a rejection reason code returned by the API
+  static message(reason) {
+    const key = `antiSpam.${reason}`;
+    return i18n.has(key) || i18n.has(key, I18nConfig.defaultLocale) ? t(key) : t('antiSpam.default');
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SpamGuard
+  };
+}
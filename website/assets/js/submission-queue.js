@@ -0,0 +1,295 @@
+// AFHAM Website - Offline Submission Queue
+// IndexedDB outbox for form submissions that could not reach the server.
+// Loaded by contact pages and by the service worker (importScripts), so it
+// must not touch the DOM. Every attempt answers a fresh spam-protection
+// challenge with solveProofOfWork (proof-of-work.js, loaded alongside).
+
+const SUBMISSION_QUEUE_DB = 'afham-outbox';
+const SUBMISSION_QUEUE_STORE = 'submissions';
+const SUBMISSION_QUEUE_SYNC_TAG = 'afham-submission-queue';
+
+const SubmissionQueueConfig = {
+  maxAttempts: 6,
+  baseDelay: 30 * 1000,
+  maxDelay: 60 * 60 * 1000,
+  // How long a sender may hold an item before another context may retry it
+  claimTimeout: 60 * 1000,
+  challengeEndpoint: '/api/challenge',
+  // The API turns away answers to a challenge younger than 3 s
+  challengeMinAge: 3500
+};
+
+// Spam-protection rejections a new challenge fixes; a filled-in honeypot
+// is the only one that stays rejected
+const RETRYABLE_ANTI_SPAM_REASONS = [
+  'challenge_missing',
+  'challenge_invalid',
+  'challenge_expired',
+  'challenge_reused',
+  'too_fast',
+  'pow_invalid'
+];
+
+// Raised when a submission never reached the server (offline, captive
+// portal, DNS failure). Anything else is a real answer from the API.
+class SubmissionNetworkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SubmissionNetworkError';
+  }
+}
+
+class SubmissionQueue {
+  constructor(options = {}) {
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.now = options.now || (() => Date.now());
+    this.solve = options.solve || ((challenge, difficulty) => solveProofOfWork(challenge, difficulty));
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return Boolean(this.indexedDB);
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(SUBMISSION_QUEUE_DB, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(SUBMISSION_QUEUE_STORE, { keyPath: 'id' });
+          store.createIndex('status', 'status');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run fn(store) inside a transaction and resolve with its request result
+  async transaction(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(SUBMISSION_QUEUE_STORE, mode);
+      let result;
+      const request = fn(tx.objectStore(SUBMISSION_QUEUE_STORE), tx);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async enqueue(endpoint, payload, meta = {}) {
+    const item = {
+      id: payload.submissionId || SubmissionQueue.createId(),
+      endpoint,
+      payload,
+      meta,
+      status: 'pending',
+      attempts: 0,
+      createdAt: this.now(),
+      nextAttemptAt: this.now(),
+      lastError: null
+    };
+
+    await this.transaction('readwrite', store => store.put(item));
+    return item;
+  }
+
+  async getAll() {
+    const items = await this.transaction('readonly', store => store.getAll());
+    return (items || []).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async remove(id) {
+    await this.transaction('readwrite', store => store.delete(id));
+  }
+
+  // Put a failed item back in line for an immediate retry
+  async retry(id) {
+    await this.transaction('readwrite', store => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const item = request.result;
+        if (item) {
+          store.put({ ...item, status: 'pending', attempts: 0, nextAttemptAt: this.now() });
+        }
+      };
+    });
+  }
+
+  // Atomically mark an item as being sent so the page and the service
+  // worker never post the same submission at the same time.
+  async claim(id) {
+    let claimed = null;
+    await this.transaction('readwrite', store => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const item = request.result;
+        const now = this.now();
+        if (!item || item.status === 'failed') return;
+        if (item.status === 'sending' && item.claimedUntil > now) return;
+        if (item.nextAttemptAt > now) return;
+
+        claimed = { ...item, status: 'sending', claimedUntil: now + SubmissionQueueConfig.claimTimeout };
+        store.put(claimed);
+      };
+    });
+    return claimed;
+  }
+
+  async update(item) {
+    await this.transaction('readwrite', store => store.put(item));
+  }
+
+  /**
+   * Send every due item. Items that still cannot reach the server are
+   * rescheduled with exponential backoff; items the server rejects, or that
+   * run out of attempts, are marked failed for the user to retry or discard.
+   * Resolves with { sent, failed, pending } counts.
+   */
+  async replay() {
+    const summary = { sent: 0, failed: 0, pending: 0 };
+    const items = await this.getAll();
+
+    for (const queued of items) {
+      const item = await this.claim(queued.id);
+      if (!item) {
+        if (queued.status === 'failed') summary.failed++;
+        else summary.pending++;
+        continue;
+      }
+
+      const outcome = await this.send(item);
+      if (outcome.sent) {
+        await this.remove(item.id);
+        summary.sent++;
+        continue;
+      }
+
+      const attempts = item.attempts + 1;
+      const exhausted = attempts >= SubmissionQueueConfig.maxAttempts;
+      const failed = outcome.rejected || exhausted;
+
+      await this.update({
+        ...item,
+        attempts,
+        status: failed ? 'failed' : 'pending',
+        claimedUntil: 0,
+        nextAttemptAt: this.now() + SubmissionQueue.backoff(attempts),
+        lastError: outcome.message
+      });
+
+      if (failed) summary.failed++;
+      else summary.pending++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Fetch and solve a new challenge, then wait out the minimum age. The
+   * token the form solved is missing when it was filled in offline, and
+   * spent or expired by the time a retry goes out.
+   */
+  async antiSpamToken() {
+    const response = await this.fetch(SubmissionQueueConfig.challengeEndpoint, {
+      headers: { Accept: 'application/json' }
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+
+    // Issued before it arrived here, so waiting from now is always enough
+    const receivedAt = this.now();
+    const nonce = await this.solve(result.challenge, result.difficulty);
+    const wait = receivedAt + SubmissionQueueConfig.challengeMinAge - this.now();
+    if (wait > 0) await this.sleep(wait);
+
+    return { challenge: result.challenge, nonce };
+  }
+
+  async send(item) {
+    let response;
+    try {
+      const antiSpam = await this.antiSpamToken();
+      response = await this.fetch(item.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...item.payload, antiSpam })
+      });
+    } catch (error) {
+      return { sent: false, rejected: false, message: 'Network unavailable' };
+    }
+
+    if (response.ok) {
+      return { sent: true };
+    }
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Keep the status-based message
+    }
+    const message = (body && body.message) || `HTTP ${response.status}`;
+    const antiSpamReason = body && body.errors && body.errors.antiSpam;
+
+    // 4xx means the server looked at it and said no; retrying won't help.
+    // 408/429, 5xx and stale spam-protection tokens are worth another try.
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429 ||
+      (response.status === 403 && RETRYABLE_ANTI_SPAM_REASONS.includes(antiSpamReason));
+    return { sent: false, rejected: !retryable, message };
+  }
+
+  static backoff(attempts) {
+    const delay = SubmissionQueueConfig.baseDelay * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, SubmissionQueueConfig.maxDelay);
+  }
+
+  static createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.random() * 16 | 0;
+      return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+  }
+
+  // Ask the service worker to replay the queue when connectivity returns.
+  // Resolves false where Background Sync is unavailable (Safari, Firefox);
+  // the page then falls back to replaying on load and on `online`.
+  static async requestBackgroundSync() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+      return false;
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (!registration || !registration.sync) return false;
+      await registration.sync.register(SUBMISSION_QUEUE_SYNC_TAG);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SubmissionQueue,
+    SubmissionQueueConfig,
+    SubmissionNetworkError,
+    SUBMISSION_QUEUE_SYNC_TAG
+  };
+}
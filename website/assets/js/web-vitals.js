@@ -0,0 +1,274 @@
+// AFHAM Website - Core Web Vitals
+// Measures LCP, CLS, INP, FCP and TTFB with PerformanceObserver, following
+// the web.dev definitions, and keeps what caused each value: the LCP element,
+// the element that shifted most, the target of the slowest interaction.
+//
+// A sampled share of page views sends its values to /api/vitals when the page
+// is hidden, tagged with page, language and direction so the Arabic RTL
+// layout can be compared with English. A page hidden twice reports again;
+// the view id lets the server keep only the latest value of each metric. scripts/vitals-report.mjs computes
+// p75 per page from what the endpoint stored.
+//
+// Shared with server/handlers/vitals.mjs; nothing at the top level may touch
+// browser globals.
+
+const VitalsConfig = {
+  endpoint: '/api/vitals',
+  sampleRate: 0.25,
+  // [good up to, needs improvement up to]; above that is poor
+  thresholds: {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+  },
+  // Interactions kept for INP; only the slowest ones can ever be reported
+  maxInteractions: 10
+};
+
+function rateMetric(name, value) {
+  const [good, poor] = VitalsConfig.thresholds[name];
+  if (value <= good) return 'good';
+  if (value <= poor) return 'needs-improvement';
+  return 'poor';
+}
+
+// Nearest-rank percentile, e.g. percentile(values, 75) for p75
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+function roundMetric(name, value) {
+  return name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+}
+
+// Short selector for attribution: "section.hero > div.hero-visual > img"
+function describeElement(node, depth = 3) {
+  let element = node && node.nodeType !== 1 ? node.parentElement : node;
+  const parts = [];
+
+  while (element && element.nodeType === 1 && parts.length < depth) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id) {
+      parts.unshift(`${tag}#${element.id}`);
+      break;
+    }
+    const classes = [...element.classList].slice(0, 2);
+    parts.unshift(classes.length > 0 ? `${tag}.${classes.join('.')}` : tag);
+    element = element.parentElement;
+  }
+
+  return parts.join(' > ') || null;
+}
+
+function createViewId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function sendVitalsReport(payload, endpoint = VitalsConfig.endpoint) {
+  const body = JSON.stringify(payload);
+  if (typeof navigator.sendBeacon === 'function' &&
+      navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+    return;
+  }
+
+  fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    keepalive: true
+  }).catch(() => {
+    // Lost measurements are not worth bothering anyone about
+  });
+}
+
+class WebVitalsCollector {
+  /**
+   * @param {object} options
+   * @param {function} [options.onMetric] called with { name, value, rating, attribution } on every update
+   * @param {function} [options.shouldReport] checked before sending, e.g. for consent
+   * @param {boolean} [options.sampled] whether this page view reports at all
+   * @param {string} [options.viewId] identifies this page view in every report
+   */
+  constructor(options = {}) {
+    this.onMetric = options.onMetric || null;
+    this.shouldReport = options.shouldReport || (() => true);
+    this.sampled = options.sampled !== undefined ? options.sampled : Math.random() < VitalsConfig.sampleRate;
+    this.viewId = options.viewId || createViewId();
+    this.metrics = {};
+    this.reported = {};
+    this.activationStart = 0;
+    this.navigationType = 'navigate';
+    this.clsSession = { value: 0, entries: [] };
+    this.clsMax = 0;
+    this.interactions = [];
+    this.interactionCount = 0;
+  }
+
+  start() {
+    this.measureTTFB();
+    this.observe('paint', entry => this.handlePaint(entry));
+    this.observe('largest-contentful-paint', entry => this.handleLCP(entry));
+    this.observe('layout-shift', entry => this.handleLayoutShift(entry));
+    this.observe('event', entry => this.handleEventTiming(entry), { durationThreshold: 40 });
+    this.observe('first-input', entry => this.handleEventTiming(entry));
+
+    // LCP, CLS and INP are only final once the visitor leaves
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.report();
+    });
+    window.addEventListener('pagehide', () => this.report());
+    return this;
+  }
+
+  observe(type, callback, options = {}) {
+    if (typeof PerformanceObserver === 'undefined' ||
+        !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+      return;
+    }
+
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true, ...options });
+    } catch (error) {
+      console.warn(`Cannot observe ${type}:`, error);
+    }
+  }
+
+  record(name, value, attribution = {}) {
+    const metric = {
+      name,
+      value: roundMetric(name, Math.max(0, value)),
+      rating: rateMetric(name, value),
+      attribution
+    };
+    this.metrics[name] = metric;
+    if (this.onMetric) this.onMetric(metric);
+  }
+
+  measureTTFB() {
+    const [navigation] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+    if (!navigation) return;
+
+    // Prerendered pages count from when the visitor actually opened them
+    this.activationStart = navigation.activationStart || 0;
+    this.navigationType = navigation.type || 'navigate';
+    this.record('TTFB', navigation.responseStart - this.activationStart, {
+      dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+      connection: Math.round(navigation.connectEnd - navigation.connectStart),
+      request: Math.round(navigation.responseStart - navigation.requestStart)
+    });
+  }
+
+  handlePaint(entry) {
+    if (entry.name === 'first-contentful-paint') {
+      this.record('FCP', entry.startTime - this.activationStart);
+    }
+  }
+
+  handleLCP(entry) {
+    this.record('LCP', entry.startTime - this.activationStart, {
+      element: describeElement(entry.element),
+      url: entry.url ? entry.url.slice(0, 200) : null
+    });
+  }
+
+  // CLS is the largest burst of shifts: 1s gaps at most, 5s in total
+  handleLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+
+    const { entries } = this.clsSession;
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+      this.clsSession.value += entry.value;
+      entries.push(entry);
+    } else {
+      this.clsSession = { value: entry.value, entries: [entry] };
+    }
+
+    if (this.clsSession.value > this.clsMax) {
+      this.clsMax = this.clsSession.value;
+      const largest = this.clsSession.entries.reduce((a, b) => (b.value > a.value ? b : a));
+      const source = (largest.sources || []).find(item => item.node);
+      this.record('CLS', this.clsMax, {
+        element: source ? describeElement(source.node) : null,
+        time: Math.round(largest.startTime)
+      });
+    }
+  }
+
+  // INP is the slowest interaction, skipping one outlier per 50 interactions
+  handleEventTiming(entry) {
+    if (!entry.interactionId) return;
+
+    const existing = this.interactions.find(item => item.id === entry.interactionId);
+    if (existing) {
+      if (entry.duration <= existing.duration) return;
+      Object.assign(existing, { duration: entry.duration, type: entry.name, target: describeElement(entry.target) });
+    } else {
+      this.interactionCount++;
+      this.interactions.push({
+        id: entry.interactionId,
+        duration: entry.duration,
+        type: entry.name,
+        target: describeElement(entry.target),
+        time: entry.startTime
+      });
+    }
+
+    this.interactions.sort((a, b) => b.duration - a.duration);
+    this.interactions.length = Math.min(this.interactions.length, VitalsConfig.maxInteractions);
+
+    const candidate = this.interactions[Math.min(this.interactions.length - 1, Math.floor(this.interactionCount / 50))];
+    this.record('INP', candidate.duration, {
+      target: candidate.target,
+      type: candidate.type,
+      time: Math.round(candidate.time)
+    });
+  }
+
+  // Send metrics that changed since the last report
+  report() {
+    // A page that never shifted has a CLS of 0, not a missing one
+    if (!this.metrics.CLS && typeof PerformanceObserver !== 'undefined' &&
+        (PerformanceObserver.supportedEntryTypes || []).includes('layout-shift')) {
+      this.record('CLS', 0);
+    }
+
+    const changed = Object.values(this.metrics).filter(metric => this.reported[metric.name] !== metric.value);
+    if (changed.length === 0 || !this.sampled || !this.shouldReport()) return;
+
+    changed.forEach(metric => {
+      this.reported[metric.name] = metric.value;
+    });
+
+    sendVitalsReport({
+      viewId: this.viewId,
+      page: window.location.pathname,
+      language: document.documentElement.lang || 'en',
+      dir: document.documentElement.dir || 'ltr',
+      navigationType: this.navigationType,
+      metrics: changed
+    });
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VitalsConfig,
+    WebVitalsCollector,
+    describeElement,
+    percentile,
+    rateMetric,
+    sendVitalsReport
+  };
+}
@@ -82,6 +82,10 @@ prepare_build() {
     # Copy website files
     cp -r "$SOURCE_DIR"/* "$BUILD_DIR"/
     
+    # Stamp the service worker so browsers pick up the new cache and prompt
+    sed -i.bak "s/^const BUILD_ID = 'dev';/const BUILD_ID = '$(date -u +%Y%m%d%H%M%S)';/" "$BUILD_DIR/sw.js"
+    rm -f "$BUILD_DIR/sw.js.bak"
+    
     # Optimize images (if imageoptim-cli is available)
     if command -v imageoptim &> /dev/null; then
         echo "Optimizing images..."
@@ -169,13 +173,19 @@ EOF
   X-Content-Type-Options: nosniff
   X-XSS-Protection: 1; mode=block
   Referrer-Policy: strict-origin-when-cross-origin
-  Content-Security-Policy: default-src 'self'; script-src 'self' 'unsafe-inline' https://plausible.io https://cdnjs.cloudflare.com; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdnjs.cloudflare.com; font-src 'self' https://fonts.gstatic.com; img-src 'self' data: https:; connect-src 'self' https://api.afham.brainsait.io https://plausible.io; frame-ancestors 'none';
+  Content-Security-Policy: default-src 'self'; script-src 'self' 'unsafe-inline' 'wasm-unsafe-eval' https://plausible.io https://cdnjs.cloudflare.com https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdnjs.cloudflare.com; font-src 'self' https://fonts.gstatic.com; img-src 'self' data: https:; worker-src 'self' blob:; connect-src 'self' https://api.afham.brainsait.io https://plausible.io https://fonts.googleapis.com https://fonts.gstatic.com https://cdnjs.cloudflare.com https://cdn.jsdelivr.net; frame-ancestors 'none';
   Permissions-Policy: camera=(), microphone=(), geolocation=()
   Strict-Transport-Security: max-age=31536000; includeSubDomains; preload
 
 /assets/*
   Cache-Control: public, max-age=31536000, immutable
 
+/sw.js
+  Cache-Control: no-cache
+
+/manifest.webmanifest
+  Content-Type: application/manifest+json
+
 /docs/*
   Cache-Control: public, max-age=3600
 
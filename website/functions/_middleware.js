@@ -0,0 +1,30 @@
+// AFHAM Website - Cloudflare Pages middleware
+// Adds the visitor's Accept-Language choice to HTML pages as a hint for
+// LanguageManager, so first-time Arabic-speaking visitors get Arabic.
+
+import { localeHintTag, negotiateLocale } from '../server/lib/locale.mjs';
+
+export async function onRequest({ request, next }) {
+  const response = await next();
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!contentType.includes('text/html')) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.append('Vary', 'Accept-Language');
+  const varied = new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+
+  const locale = negotiateLocale(request.headers.get('Accept-Language'));
+  if (!locale) {
+    return varied;
+  }
+
+  return new HTMLRewriter()
+    .on('head', {
+      element(head) {
+        head.append(localeHintTag(locale), { html: true });
+      }
+    })
+    .transform(varied);
+}
@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/applications/<program>
+
+import { createPagesContext } from '../../../server/env.mjs';
+import { handleApplication } from '../../../server/handlers/applications.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleApplication(request, createPagesContext(env));
+}
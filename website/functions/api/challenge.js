@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/challenge
+
+import { createPagesContext } from '../../server/env.mjs';
+import { handleChallenge } from '../../server/handlers/challenge.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleChallenge(request, createPagesContext(env));
+}
@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/contact
+
+import { createPagesContext } from '../../server/env.mjs';
+import { handleContact } from '../../server/handlers/contact.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleContact(request, createPagesContext(env));
+}
@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/errors
+
+import { createPagesContext } from '../../server/env.mjs';
+import { handleErrors } from '../../server/handlers/errors.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleErrors(request, createPagesContext(env));
+}
@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/events
+
+import { createPagesContext } from '../../server/env.mjs';
+import { handleEvents } from '../../server/handlers/events.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleEvents(request, createPagesContext(env));
+}
@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/newsletter/confirm
+
+import { createPagesContext } from '../../../server/env.mjs';
+import { handleNewsletterConfirm } from '../../../server/handlers/newsletter.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleNewsletterConfirm(request, createPagesContext(env));
+}
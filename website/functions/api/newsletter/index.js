@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/newsletter
+
+import { createPagesContext } from '../../../server/env.mjs';
+import { handleNewsletter } from '../../../server/handlers/newsletter.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleNewsletter(request, createPagesContext(env));
+}
@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/newsletter/unsubscribe
+
+import { createPagesContext } from '../../../server/env.mjs';
+import { handleNewsletterUnsubscribe } from '../../../server/handlers/newsletter.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleNewsletterUnsubscribe(request, createPagesContext(env));
+}
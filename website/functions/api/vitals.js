@@ -0,0 +1,8 @@
+// AFHAM Website - Cloudflare Pages Function for /api/vitals
+
+import { createPagesContext } from '../../server/env.mjs';
+import { handleVitals } from '../../server/handlers/vitals.mjs';
+
+export async function onRequest({ request, env }) {
+  return handleVitals(request, createPagesContext(env));
+}
@@ -0,0 +1,149 @@
+// AFHAM Website - GitHub Discussions feed builder
+// Writes community/discussions.json, the feed behind the community page's
+// featured discussions, from the GitHub Discussions GraphQL API:
+//
+//   GITHUB_TOKEN=... node scripts/build-discussions-feed.mjs    (npm run build:discussions)
+//   node scripts/build-discussions-feed.mjs --fixture            from tests/fixtures instead
+//
+// The token only needs read access to the repository's discussions
+// (DISCUSSIONS_REPOSITORY, defaults to CommunityDiscussionsConfig.repository).
+// Without one the feed is left as it is, so local builds still work; the
+// page then points visitors to GitHub.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import CommunityDiscussions from '../assets/js/community-discussions.js';
+
+const { CommunityDiscussionsConfig } = CommunityDiscussions;
+
+const SITE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = path.join(SITE_ROOT, CommunityDiscussionsConfig.dataUrl);
+const FIXTURE = path.join(SITE_ROOT, 'tests', 'fixtures', 'github-discussions.json');
+const GRAPHQL_URL = 'https://api.github.com/graphql';
+
+// The most recently active discussions of each category
+const PER_CATEGORY = 5;
+const MAX_EXCERPT_LENGTH = 180;
+
+const DISCUSSIONS_QUERY = `
+  query FeaturedDiscussions($owner: String!, $name: String!) {
+    repository(owner: $owner, name: $name) {
+      url
+      discussions(first: 100, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        nodes {
+          id
+          number
+          title
+          url
+          bodyText
+          createdAt
+          updatedAt
+          upvoteCount
+          isAnswered
+          category { slug isAnswerable }
+          author { login avatarUrl url }
+          comments { totalCount }
+        }
+      }
+    }
+  }
+`;
+
+// First words of the body, cut at a word boundary
+export function excerpt(text) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= MAX_EXCERPT_LENGTH) return flat;
+
+  const cut = flat.slice(0, MAX_EXCERPT_LENGTH);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > 0 ? cut.slice(0, space) : cut).replace(/[\s.,;:!?،؛]+$/, '')}…`;
+}
+
+function toDiscussion(node) {
+  const author = node.author || { login: 'ghost', avatarUrl: null, url: null };
+  return {
+    id: node.id,
+    number: node.number,
+    title: node.title,
+    excerpt: excerpt(node.bodyText),
+    url: node.url,
+    category: node.category.slug,
+    author: { login: author.login, avatarUrl: author.avatarUrl, url: author.url },
+    createdAt: node.createdAt,
+    updatedAt: node.updatedAt,
+    answered: node.category.isAnswerable ? Boolean(node.isAnswered) : null,
+    replies: node.comments ? node.comments.totalCount : 0,
+    upvotes: node.upvoteCount || 0
+  };
+}
+
+/**
+ * Turn a DISCUSSIONS_QUERY response into the page's feed: discussions of the
+ * site's categories only, at most PER_CATEGORY each, most recently active first.
+ */
+export function toDiscussionsFeed(response, { generatedAt = new Date() } = {}) {
+  if (response.errors && response.errors.length > 0) {
+    throw new Error(`GitHub GraphQL: ${response.errors.map(error => error.message).join('; ')}`);
+  }
+  const repository = response.data && response.data.repository;
+  if (!repository) throw new Error('GitHub GraphQL: repository not found');
+
+  const perCategory = new Map();
+  const discussions = repository.discussions.nodes
+    .filter(node => {
+      const slug = node.category && node.category.slug;
+      if (!CommunityDiscussionsConfig.categories.includes(slug)) return false;
+      perCategory.set(slug, (perCategory.get(slug) || 0) + 1);
+      return perCategory.get(slug) <= PER_CATEGORY;
+    })
+    .map(toDiscussion)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+
+  return {
+    version: 1,
+    generatedAt: new Date(generatedAt).toISOString(),
+    url: `${repository.url}/discussions`,
+    discussions
+  };
+}
+
+export async function fetchDiscussions(token, repository = CommunityDiscussionsConfig.repository) {
+  const [owner, name] = repository.split('/');
+  const response = await fetch(GRAPHQL_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'User-Agent': 'afham-website'
+    },
+    body: JSON.stringify({ query: DISCUSSIONS_QUERY, variables: { owner, name } })
+  });
+  if (!response.ok) throw new Error(`GitHub GraphQL: HTTP ${response.status}`);
+  return response.json();
+}
+
+function parseArgs(argv) {
+  const options = { fixture: null };
+  argv.forEach(arg => {
+    const fixture = /^--fixture(?:=(.+))?$/.exec(arg);
+    if (fixture) options.fixture = fixture[1] ? path.resolve(fixture[1]) : FIXTURE;
+  });
+  return options;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { fixture } = parseArgs(process.argv.slice(2));
+  const token = process.env.GITHUB_TOKEN;
+
+  if (!fixture && !token) {
+    console.warn(`GITHUB_TOKEN is not set; leaving ${path.relative(SITE_ROOT, OUTPUT)} as it is`);
+  } else {
+    const response = fixture
+      ? JSON.parse(await readFile(fixture, 'utf8'))
+      : await fetchDiscussions(token, process.env.DISCUSSIONS_REPOSITORY);
+    const feed = toDiscussionsFeed(response);
+    await writeFile(OUTPUT, `${JSON.stringify(feed, null, 2)}\n`);
+    console.log(`Discussions feed: ${feed.discussions.length} discussions -> ${path.relative(SITE_ROOT, OUTPUT)}`);
+  }
+}
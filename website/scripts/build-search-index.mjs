@@ -0,0 +1,244 @@
+// AFHAM Website - Search index builder
+// Crawls every HTML page under website/ and writes assets/search-index.json
+// for the search component: one entry per heading, with English and Arabic text.
+//
+//   node scripts/build-search-index.mjs    (npm run build:search-index)
+//
+// Arabic text comes from data-ar attributes and data-i18n catalog keys. Pages
+// marked <meta name="robots" content="noindex"> are skipped.
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import SiteSearch from '../assets/js/site-search.js';
+
+const { SiteSearchConfig, createSectionIdAllocator } = SiteSearch;
+
+const SITE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = path.join(SITE_ROOT, SiteSearchConfig.indexPath);
+const LANGUAGES = ['en', 'ar'];
+
+// Source, tooling and build output directories, never pages
+const SKIPPED_DIRS = new Set(['assets', 'deploy', 'functions', 'node_modules', 'public', 'dist', 'resources', 'scripts', 'server', 'tests']);
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'template', 'svg']);
+const HEADINGS = new Set(SiteSearchConfig.headingSelector.split(',').map(tag => tag.trim()));
+const EXCLUDED = new Set(SiteSearchConfig.excludedAncestors.split(',').map(tag => tag.trim()));
+const TEXT_BLOCKS = new Set(['p', 'li', 'dt', 'dd', 'td', 'th', 'blockquote', 'figcaption', 'summary']);
+const MAX_BODY_LENGTH = 1000;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', mdash: '—', ndash: '–', hellip: '…' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Minimal, forgiving HTML parser for the site's own hand-written pages:
+ * builds { tag, attrs, children } nodes, with text nodes as strings.
+ */
+export function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+|<)/g;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const [, closing, opening, attrSource, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      parent.children.push(decodeEntities(text));
+    } else if (opening) {
+      const tag = opening.toLowerCase();
+      const node = { tag, attrs: parseAttributes(attrSource), children: [] };
+      parent.children.push(node);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = html.toLowerCase().indexOf(`</${tag}`, pattern.lastIndex);
+        pattern.lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1;
+      } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+        stack.push(node);
+      }
+    } else if (closing) {
+      const tag = closing.toLowerCase();
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+    }
+  }
+
+  return root;
+}
+
+function walk(node, visit, ancestors = []) {
+  if (typeof node === 'string') return;
+  if (visit(node, ancestors) === false) return;
+  node.children.forEach(child => walk(child, visit, [...ancestors, node]));
+}
+
+function findFirst(root, predicate) {
+  let found = null;
+  walk(root, node => {
+    if (found) return false;
+    if (predicate(node)) {
+      found = node;
+      return false;
+    }
+    return true;
+  });
+  return found;
+}
+
+function lookup(catalog, key) {
+  const value = key.split('.').reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), catalog);
+  return typeof value === 'string' ? value : undefined;
+}
+
+// Text of a node as LanguageManager would show it in `language`
+function textOf(node, language, catalogs) {
+  if (typeof node === 'string') return node;
+  if (RAW_TEXT_ELEMENTS.has(node.tag)) return '';
+  if (node.tag === 'br') return ' ';
+
+  if (node.attrs[`data-${language}`] !== undefined && node.attrs['data-en'] !== undefined) {
+    return node.attrs[`data-${language}`];
+  }
+  if (node.attrs['data-i18n']) {
+    const translated = lookup(catalogs[language], node.attrs['data-i18n']);
+    if (translated !== undefined) return translated;
+  }
+
+  return node.children.map(child => textOf(child, language, catalogs)).join('');
+}
+
+function clean(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function localized(node, catalogs) {
+  const values = Object.fromEntries(LANGUAGES.map(language => [language, clean(textOf(node, language, catalogs))]));
+  // Arabic identical to English (untranslated page) only bloats the index
+  if (values.ar === values.en) delete values.ar;
+  return values;
+}
+
+function pageUrl(file) {
+  const relative = path.relative(SITE_ROOT, file).split(path.sep).join('/');
+  const url = `/${relative.replace(/\.html$/, '').replace(/(^|\/)index$/, '')}`;
+  return url.length > 1 ? url.replace(/\/$/, '') : '/';
+}
+
+/**
+ * Sections of one page: each heading outside nav/footer, its id (existing or
+ * allocated like assignSectionIds does in the browser) and the text blocks
+ * that follow it up to the next heading.
+ */
+export function indexPage(html, catalogs) {
+  const root = parseHtml(html);
+
+  const robots = findFirst(root, node => node.tag === 'meta' && node.attrs.name === 'robots');
+  if (robots && /noindex/i.test(robots.attrs.content || '')) return null;
+
+  const usedIds = [];
+  walk(root, node => {
+    if (node.attrs.id) usedIds.push(node.attrs.id);
+  });
+  const nextId = createSectionIdAllocator(usedIds);
+
+  const title = findFirst(root, node => node.tag === 'title');
+  const sections = [];
+  let current = null;
+
+  walk(root, (node, ancestors) => {
+    if (EXCLUDED.has(node.tag)) return false;
+
+    if (HEADINGS.has(node.tag)) {
+      const text = localized(node, catalogs);
+      const id = node.attrs.id || nextId(node.attrs['data-en'] || clean(textOf(node, 'en', {})));
+      current = { id, t: text, b: { en: '', ar: '' } };
+      sections.push(current);
+      return false;
+    }
+
+    if (TEXT_BLOCKS.has(node.tag) && current && !ancestors.some(ancestor => TEXT_BLOCKS.has(ancestor.tag))) {
+      LANGUAGES.forEach(language => {
+        const text = clean(textOf(node, language, catalogs));
+        if (text && current.b[language].length < MAX_BODY_LENGTH) {
+          current.b[language] = clean(`${current.b[language]} ${text}`).slice(0, MAX_BODY_LENGTH);
+        }
+      });
+      return false;
+    }
+
+    return true;
+  });
+
+  return {
+    title: title ? localized(title, catalogs) : { en: '' },
+    sections: sections.map(section => {
+      if (section.b.ar === section.b.en) delete section.b.ar;
+      return section;
+    })
+  };
+}
+
+async function findPages(dir) {
+  const pages = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!(dir === SITE_ROOT && SKIPPED_DIRS.has(entry.name))) {
+        pages.push(...await findPages(full));
+      }
+    } else if (entry.name.endsWith('.html')) {
+      pages.push(full);
+    }
+  }
+  return pages.sort();
+}
+
+export async function buildSearchIndex() {
+  const catalogs = {};
+  for (const language of LANGUAGES) {
+    catalogs[language] = JSON.parse(await readFile(path.join(SITE_ROOT, 'assets', 'i18n', `${language}.json`), 'utf8'));
+  }
+
+  const index = { version: 1, pages: [], sections: [] };
+
+  for (const file of await findPages(SITE_ROOT)) {
+    const page = indexPage(await readFile(file, 'utf8'), catalogs);
+    if (!page) continue;
+
+    const p = index.pages.push({ url: pageUrl(file), title: page.title }) - 1;
+    page.sections.forEach(section => {
+      index.sections.push({ p, ...section });
+    });
+  }
+
+  return index;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const index = await buildSearchIndex();
+  await writeFile(OUTPUT, JSON.stringify(index));
+  console.log(`Search index: ${index.pages.length} pages, ${index.sections.length} sections -> ${path.relative(SITE_ROOT, OUTPUT)}`);
+}
@@ -0,0 +1,64 @@
+// AFHAM Website - Core Web Vitals report
+// Prints p75 of each metric per page and language from the reports stored by
+// /api/vitals in a file store (the dev server's data directory, or a KV
+// export written into the same layout).
+//
+//   node scripts/vitals-report.mjs [data-dir] [--days=7]    (npm run vitals:report)
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { summarizeVitals, VITALS_COLLECTION } from '../server/lib/vitals.mjs';
+import { createFileStore } from '../server/stores/file-store.mjs';
+
+const SITE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { dataDir: process.env.AFHAM_DATA_DIR || path.join(SITE_ROOT, '.data'), days: null };
+  argv.forEach(arg => {
+    const days = /^--days=(\d+)$/.exec(arg);
+    if (days) {
+      options.days = Number(days[1]);
+    } else if (!arg.startsWith('--')) {
+      options.dataDir = path.resolve(arg);
+    }
+  });
+  return options;
+}
+
+function formatValue(metric, value) {
+  return metric === 'CLS' ? value.toFixed(3) : `${value} ms`;
+}
+
+export function formatReport(rows) {
+  const header = ['Page', 'Lang', 'Metric', 'Samples', 'p75', 'Rating'];
+  const lines = rows.map(row => [
+    row.page,
+    row.language,
+    row.metric,
+    String(row.count),
+    formatValue(row.metric, row.p75),
+    row.rating === 'good' ? row.rating : row.rating.toUpperCase()
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map(line => line[i].length)));
+  return [header, ...lines]
+    .map(line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { dataDir, days } = parseArgs(process.argv.slice(2));
+  let records = await createFileStore(dataDir).list(VITALS_COLLECTION);
+
+  if (days !== null) {
+    const since = Date.now() - days * DAY_MS;
+    records = records.filter(record => Date.parse(record.receivedAt) >= since);
+  }
+
+  if (records.length === 0) {
+    console.log(`No vitals reports in ${path.join(dataDir, VITALS_COLLECTION)}`);
+  } else {
+    console.log(`${records.length} reports from ${dataDir}\n`);
+    console.log(formatReport(summarizeVitals(records)));
+  }
+}
@@ -0,0 +1,155 @@
+// AFHAM Website - Local Node server
+// Serves the static site and runs the same API handlers as the Pages Functions,
+// backed by a file store instead of KV and a file mailer that writes emails to
+// <data dir>/outbox instead of sending them.
+//
+//   node server/dev-server.mjs    (PORT, AFHAM_DATA_DIR, CHALLENGE_SECRET to override)
+
+import { randomBytes, webcrypto } from 'node:crypto';
+import { createServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { apiRoutes } from './routes.mjs';
+import { injectLocaleHint, negotiateLocale } from './lib/locale.mjs';
+import { createFileMailer } from './mailers/file-mailer.mjs';
+import { createFileStore } from './stores/file-store.mjs';
+
+// Node 18 only exposes Web Crypto on the crypto module; handlers use the global
+if (!globalThis.crypto) {
+  globalThis.crypto = webcrypto;
+}
+
+const SITE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Adapt a Node request to a fetch Request, run the handler, and write the
+ * fetch Response back out.
+ */
+export function createNodeHandler(handler, context) {
+  return async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const hasBody = !['GET', 'HEAD'].includes(req.method);
+    const request = new Request(url, {
+      method: req.method,
+      headers: req.headers,
+      body: hasBody ? await readBody(req) : undefined
+    });
+
+    const response = await handler(request, context);
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  };
+}
+
+async function resolveStaticFile(pathname) {
+  const decoded = decodeURIComponent(pathname);
+  const candidate = path.normalize(path.join(SITE_ROOT, decoded));
+  if (!candidate.startsWith(SITE_ROOT)) return null;
+
+  const options = [candidate, path.join(candidate, 'index.html'), `${candidate}.html`];
+  for (const option of options) {
+    try {
+      if ((await stat(option)).isFile()) return option;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+// Mirror functions/_middleware.js: HTML pages get the Accept-Language hint
+async function readPage(file, req) {
+  const html = await readFile(file, 'utf8');
+  return injectLocaleHint(html, negotiateLocale(req.headers['accept-language']));
+}
+
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const file = await resolveStaticFile(pathname);
+
+  if (!file || file.includes(`${path.sep}server${path.sep}`) || file.includes(`${path.sep}.data${path.sep}`)) {
+    res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.html'], Vary: 'Accept-Language' });
+    res.end(await readPage(path.join(SITE_ROOT, '404.html'), req));
+    return;
+  }
+
+  const isPage = path.extname(file) === '.html';
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+    'Cache-Control': 'no-cache',
+    ...(isPage ? { Vary: 'Accept-Language' } : {})
+  });
+  res.end(isPage ? await readPage(file, req) : await readFile(file));
+}
+
+export function createDevServer({ routes = apiRoutes, ...context } = {}) {
+  const handlers = Object.fromEntries(Object.entries(routes)
+    .map(([route, handler]) => [route, createNodeHandler(handler, context)]));
+
+  return createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const handler = handlers[pathname.replace(/\/$/, '')];
+
+      if (handler) {
+        await handler(req, res);
+      } else {
+        await serveStatic(req, res);
+      }
+    } catch (error) {
+      console.error('Dev server error:', error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      }
+      res.end(JSON.stringify({ success: false, message: 'Internal server error', errors: {} }));
+    }
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8080;
+  const dataDir = process.env.AFHAM_DATA_DIR || path.join(SITE_ROOT, '.data');
+  const server = createDevServer({
+    store: createFileStore(dataDir),
+    mailer: createFileMailer(path.join(dataDir, 'outbox')),
+    challengeSecret: process.env.CHALLENGE_SECRET || randomBytes(32).toString('hex')
+  });
+
+  server.listen(port, () => {
+    console.log(`AFHAM dev server running at http://localhost:${port} (data: ${dataDir})`);
+  });
+}
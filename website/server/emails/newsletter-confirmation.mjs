@@ -0,0 +1,68 @@
+// AFHAM Website - Bilingual newsletter confirmation email
+// The subscriber's chosen language comes first, the other one below it.
+
+const COPY = {
+  en: {
+    dir: 'ltr',
+    subject: 'Confirm your AFHAM newsletter subscription',
+    greeting: 'Thanks for your interest in AFHAM!',
+    body: 'Please confirm that you want to receive news and updates about AFHAM and healthcare AI at this address.',
+    confirm: 'Confirm subscription',
+    ignore: 'If you did not request this, you can ignore this email and you will not be subscribed.',
+    unsubscribe: 'Unsubscribe'
+  },
+  ar: {
+    dir: 'rtl',
+    subject: 'أكّدوا اشتراككم في النشرة الإخبارية لأفهم',
+    greeting: 'شكراً لاهتمامكم بأفهم!',
+    body: 'يرجى تأكيد رغبتكم في تلقي الأخبار والتحديثات حول أفهم والذكاء الاصطناعي في الرعاية الصحية على هذا العنوان.',
+    confirm: 'تأكيد الاشتراك',
+    ignore: 'إذا لم تطلبوا ذلك، يمكنكم تجاهل هذه الرسالة ولن يتم اشتراككم.',
+    unsubscribe: 'إلغاء الاشتراك'
+  }
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function textSection(copy, confirmUrl) {
+  return [copy.greeting, '', copy.body, '', `${copy.confirm}: ${confirmUrl}`, '', copy.ignore].join('\n');
+}
+
+function htmlSection(copy, lang, confirmUrl) {
+  return `
+    <div lang="${lang}" dir="${copy.dir}" style="margin-bottom: 32px;">
+      <h2 style="color: #0f172a;">${escapeHtml(copy.greeting)}</h2>
+      <p style="color: #475569;">${escapeHtml(copy.body)}</p>
+      <p><a href="${escapeHtml(confirmUrl)}" style="display: inline-block; padding: 12px 24px; background: #2563eb; color: #ffffff; border-radius: 8px; text-decoration: none;">${escapeHtml(copy.confirm)}</a></p>
+      <p style="color: #64748b; font-size: 14px;">${escapeHtml(copy.ignore)}</p>
+    </div>`;
+}
+
+export function buildConfirmationEmail({ language, confirmUrl, unsubscribeUrl }) {
+  const primary = language === 'ar' ? 'ar' : 'en';
+  const order = primary === 'ar' ? ['ar', 'en'] : ['en', 'ar'];
+
+  const subject = `${COPY[order[0]].subject} | ${COPY[order[1]].subject}`;
+  const text = [
+    ...order.map(lang => textSection(COPY[lang], confirmUrl)),
+    order.map(lang => `${COPY[lang].unsubscribe}: ${unsubscribeUrl}`).join('\n')
+  ].join('\n\n----------\n\n');
+
+  const html = `<!DOCTYPE html>
+<html lang="${primary}">
+  <body style="font-family: Inter, Tajawal, Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 24px;">
+    ${order.map(lang => htmlSection(COPY[lang], lang, confirmUrl)).join('\n    <hr style="border: none; border-top: 1px solid #e2e8f0;">')}
+    <p style="color: #94a3b8; font-size: 12px;">
+      ${order.map(lang => `<a href="${escapeHtml(unsubscribeUrl)}" style="color: #94a3b8;">${escapeHtml(COPY[lang].unsubscribe)}</a>`).join(' | ')}
+    </p>
+  </body>
+</html>`;
+
+  return { subject, text, html };
+}
@@ -0,0 +1,19 @@
+// AFHAM Website - Handler context for Cloudflare Pages Functions
+// Maps Pages bindings and environment variables to the { store, mailer, ... }
+// services the handlers expect. The Node dev server builds its own.
+
+import { createHttpMailer } from './mailers/http-mailer.mjs';
+import { createKVStore } from './stores/kv-store.mjs';
+
+export function createPagesContext(env) {
+  return {
+    store: createKVStore(env.AFHAM_SUBMISSIONS),
+    mailer: createHttpMailer({
+      endpoint: env.MAIL_API_URL,
+      token: env.MAIL_API_TOKEN,
+      from: env.MAIL_FROM || 'AFHAM <newsletter@brainsait.io>'
+    }),
+    siteUrl: env.SITE_URL,
+    challengeSecret: env.CHALLENGE_SECRET
+  };
+}
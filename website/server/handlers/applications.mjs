@@ -0,0 +1,53 @@
+// AFHAM Website - POST /api/applications/<program>
+
+import {
+  HttpError,
+  failure,
+  methodNotAllowed,
+  readJson,
+  success,
+  withErrorHandling
+} from '../lib/http.mjs';
+import { verifySubmission } from '../lib/anti-spam.mjs';
+import { APPLICATION_PROGRAMS, validateApplicationSubmission } from '../lib/submission-rules.mjs';
+
+export const APPLICATION_COLLECTION = 'applications';
+
+/**
+ * Validate and store an application to a community program. The program is
+ * the last path segment: /api/applications/partnership.
+ *
+ * @param {Request} request
+ * @param {{ store: object, challengeSecret: string }} context
+ */
+export const handleApplication = withErrorHandling(async (request, context) => {
+  const { store } = context;
+
+  if (request.method !== 'POST') {
+    return methodNotAllowed(['POST']);
+  }
+
+  const program = new URL(request.url).pathname.replace(/\/$/, '').split('/').pop();
+  if (!APPLICATION_PROGRAMS.includes(program)) {
+    throw new HttpError(404, 'Unknown program');
+  }
+
+  const data = await readJson(request);
+  const { submission, errors } = validateApplicationSubmission(program, data);
+
+  if (Object.keys(errors).length > 0) {
+    return failure(422, 'Please fix the validation errors', errors);
+  }
+
+  await verifySubmission(context, data, { route: `applications/${program}`, request });
+
+  const id = crypto.randomUUID();
+  await store.put(APPLICATION_COLLECTION, id, {
+    id,
+    program,
+    ...submission,
+    receivedAt: new Date().toISOString()
+  });
+
+  return success('Application received', { id }, 201);
+});
@@ -0,0 +1,14 @@
+// AFHAM Website - GET /api/challenge
+// Issues a signed proof-of-work challenge for the contact and newsletter forms.
+
+import { methodNotAllowed, success, withErrorHandling } from '../lib/http.mjs';
+import { issueChallenge } from '../lib/anti-spam.mjs';
+
+export const handleChallenge = withErrorHandling(async (request, { challengeSecret }) => {
+  if (request.method !== 'GET') {
+    return methodNotAllowed(['GET']);
+  }
+
+  const { challenge, difficulty } = await issueChallenge(challengeSecret);
+  return success('Challenge issued', { challenge, difficulty });
+});
@@ -0,0 +1,64 @@
+// AFHAM Website - POST /api/contact
+
+import {
+  failure,
+  methodNotAllowed,
+  readJson,
+  success,
+  withErrorHandling
+} from '../lib/http.mjs';
+import { submissionIdOf, verifySubmission } from '../lib/anti-spam.mjs';
+import { requestSubscription } from '../lib/newsletter.mjs';
+import { redactContactSubmission, validateContactSubmission } from '../lib/submission-rules.mjs';
+import { siteUrlFor } from './newsletter.mjs';
+
+export const CONTACT_COLLECTION = 'contact';
+
+/**
+ * Validate and store a contact form submission.
+ *
+ * @param {Request} request
+ * @param {{ store: object, mailer: object, challengeSecret: string }} context
+ */
+export const handleContact = withErrorHandling(async (request, context) => {
+  const { store } = context;
+
+  if (request.method !== 'POST') {
+    return methodNotAllowed(['POST']);
+  }
+
+  const data = await readJson(request);
+  const { submission: validated, errors } = validateContactSubmission(data);
+
+  if (Object.keys(errors).length > 0) {
+    return failure(422, 'Please fix the validation errors', errors);
+  }
+
+  await verifySubmission(context, data, { route: 'contact', request, replayCollection: CONTACT_COLLECTION });
+
+  // The form warns about patient details; anything sent anyway is removed
+  // here so it never reaches storage or the inbox
+  const { submission, counts: phiRedacted } = redactContactSubmission(validated);
+
+  // Queued submissions carry a client-generated id so a replay after a
+  // lost response overwrites the first copy instead of duplicating it
+  const id = submissionIdOf(data) || crypto.randomUUID();
+  await store.put(CONTACT_COLLECTION, id, {
+    id,
+    ...submission,
+    phiRedacted,
+    receivedAt: new Date().toISOString()
+  });
+
+  // Ticking "Subscribe to our newsletter" starts the same double opt-in as
+  // the newsletter form; it is not consent on its own
+  if (submission.newsletter) {
+    await requestSubscription({ ...context, siteUrl: siteUrlFor(request, context) }, {
+      email: submission.email,
+      language: submission.language,
+      source: 'contact_form'
+    });
+  }
+
+  return success('Message sent successfully', { id }, 201);
+});
@@ -0,0 +1,96 @@
+// AFHAM Website - POST /api/errors
+// Stores client error reports from ErrorReporter (assets/js/error-reporter.js):
+// uncaught errors, unhandled rejections, failed script and style loads and
+// CSP violations. With the visitor's analytics consent a report also carries
+// the page, user agent and the breadcrumbs that led to it; without, those
+// are left out. Reports are scrubbed again here in case a browser sent one
+// the client didn't clean.
+
+import ErrorReporting from '../../assets/js/error-reporter.js';
+import { failure, methodNotAllowed, readJson, success, withErrorHandling } from '../lib/http.mjs';
+
+const { ErrorReporterConfig, scrubText, scrubUrl } = ErrorReporting;
+
+export const ERRORS_COLLECTION = 'errors';
+export const ERROR_KINDS = ['error', 'resource', 'unhandledrejection', 'csp'];
+
+function cleanString(value, maxLength) {
+  return typeof value === 'string' && value !== '' ? scrubText(value.slice(0, maxLength)) : undefined;
+}
+
+function cleanPosition(value) {
+  return Number.isInteger(value) && value >= 0 ? value : undefined;
+}
+
+function cleanBreadcrumbs(breadcrumbs) {
+  if (!Array.isArray(breadcrumbs)) return [];
+
+  return breadcrumbs
+    .slice(-ErrorReporterConfig.maxBreadcrumbs)
+    .filter(crumb => crumb && typeof crumb.category === 'string' && typeof crumb.message === 'string')
+    .map(crumb => ({
+      category: crumb.category.slice(0, 20),
+      message: scrubText(crumb.message.slice(0, 200)),
+      timestamp: typeof crumb.timestamp === 'string' ? crumb.timestamp.slice(0, 30) : undefined
+    }));
+}
+
+/**
+ * Validate one report. Returns { report, errors }; report is null when the
+ * kind or message is missing.
+ */
+export function validateErrorReport(data) {
+  const errors = {};
+
+  if (!ERROR_KINDS.includes(data.kind)) {
+    errors.kind = 'invalid';
+  }
+  if (typeof data.message !== 'string' || data.message.trim() === '') {
+    errors.message = 'required';
+  }
+  if (Object.keys(errors).length > 0) {
+    return { report: null, errors };
+  }
+
+  const page = typeof data.page === 'string' && data.page.startsWith('/') ? scrubUrl(data.page).slice(0, 200) : undefined;
+  return {
+    report: {
+      kind: data.kind,
+      message: cleanString(data.message, ErrorReporterConfig.maxMessageLength),
+      stack: cleanString(data.stack, ErrorReporterConfig.maxStackLength),
+      source: typeof data.source === 'string' ? scrubUrl(data.source).slice(0, 500) : undefined,
+      line: cleanPosition(data.line),
+      column: cleanPosition(data.column),
+      page,
+      language: data.language === 'ar' ? 'ar' : 'en',
+      userAgent: typeof data.userAgent === 'string' ? data.userAgent.slice(0, 300) : undefined,
+      timestamp: typeof data.timestamp === 'string' ? data.timestamp.slice(0, 30) : undefined,
+      breadcrumbs: cleanBreadcrumbs(data.breadcrumbs)
+    },
+    errors
+  };
+}
+
+/**
+ * @param {Request} request
+ * @param {{ store: object }} context
+ */
+export const handleErrors = withErrorHandling(async (request, { store }) => {
+  if (request.method !== 'POST') {
+    return methodNotAllowed(['POST']);
+  }
+
+  const data = await readJson(request);
+  const { report, errors } = validateErrorReport(data);
+
+  if (!report) {
+    return failure(422, 'Invalid error report', errors);
+  }
+
+  await store.put(ERRORS_COLLECTION, crypto.randomUUID(), {
+    ...report,
+    receivedAt: new Date().toISOString()
+  });
+
+  return success('Error recorded', {}, 202);
+});
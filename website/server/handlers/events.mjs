@@ -0,0 +1,67 @@
+// AFHAM Website - POST /api/events
+// First-party analytics collector. Takes the batches siteAnalytics sends
+// (assets/js/analytics.js), including navigator.sendBeacon posts on pagehide,
+// and stores the events that match the shared event catalog. Batches are
+// kept for 12 months, as the privacy policy says.
+
+import Analytics from '../../assets/js/analytics.js';
+import { HttpError, methodNotAllowed, readJson, success, withErrorHandling } from '../lib/http.mjs';
+
+const { validateAnalyticsEvent } = Analytics;
+
+export const EVENTS_COLLECTION = 'events';
+export const MAX_EVENTS_PER_BATCH = 50;
+export const EVENTS_RETENTION = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Rebuild an event from its catalog type, keeping only declared properties.
+ * Returns null for anything the catalog rejects.
+ */
+export function normalizeEvent(raw, receivedAt) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  let event;
+  try {
+    event = validateAnalyticsEvent(raw.type, raw.props || {});
+  } catch (error) {
+    return null;
+  }
+
+  const timestamp = new Date(raw.timestamp);
+  return {
+    ...event,
+    page: typeof raw.page === 'string' && raw.page.startsWith('/') ? raw.page.slice(0, 200) : '/',
+    language: raw.language === 'ar' ? 'ar' : 'en',
+    timestamp: Number.isNaN(timestamp.getTime()) ? receivedAt : timestamp.toISOString(),
+    receivedAt
+  };
+}
+
+/**
+ * Store one batch of analytics events.
+ *
+ * @param {Request} request
+ * @param {{ store: object }} context
+ */
+export const handleEvents = withErrorHandling(async (request, { store }) => {
+  if (request.method !== 'POST') {
+    return methodNotAllowed(['POST']);
+  }
+
+  const { events } = await readJson(request);
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new HttpError(422, 'No events to record', { events: 'required' });
+  }
+  if (events.length > MAX_EVENTS_PER_BATCH) {
+    throw new HttpError(413, `At most ${MAX_EVENTS_PER_BATCH} events per batch`, { events: 'too_many' });
+  }
+
+  const receivedAt = new Date().toISOString();
+  const accepted = events.map(event => normalizeEvent(event, receivedAt)).filter(Boolean);
+
+  if (accepted.length > 0) {
+    await store.put(EVENTS_COLLECTION, crypto.randomUUID(), { receivedAt, events: accepted }, { ttl: EVENTS_RETENTION });
+  }
+
+  return success('Events recorded', { accepted: accepted.length, rejected: events.length - accepted.length }, 202);
+});
@@ -0,0 +1,94 @@
+// AFHAM Website - /api/newsletter, /api/newsletter/confirm, /api/newsletter/unsubscribe
+
+import {
+  failure,
+  HttpError,
+  methodNotAllowed,
+  readJson,
+  success,
+  withErrorHandling
+} from '../lib/http.mjs';
+import { verifySubmission } from '../lib/anti-spam.mjs';
+import { validateNewsletterSubmission } from '../lib/submission-rules.mjs';
+import {
+  confirmSubscription,
+  requestSubscription,
+  unsubscribe
+} from '../lib/newsletter.mjs';
+
+export { SUBSCRIBER_COLLECTION as NEWSLETTER_COLLECTION } from '../lib/newsletter.mjs';
+
+export function siteUrlFor(request, context) {
+  return (context.siteUrl || new URL(request.url).origin).replace(/\/$/, '');
+}
+
+/**
+ * Start a double opt-in subscription. The response is the same whether the
+ * address is new, pending or already confirmed.
+ *
+ * @param {Request} request
+ * @param {{ store: object, mailer: object, challengeSecret: string, siteUrl?: string }} context
+ */
+export const handleNewsletter = withErrorHandling(async (request, context) => {
+  if (request.method !== 'POST') {
+    return methodNotAllowed(['POST']);
+  }
+
+  const data = await readJson(request);
+  const { submission, errors } = validateNewsletterSubmission(data);
+
+  if (Object.keys(errors).length > 0) {
+    return failure(422, 'Please enter a valid email address', errors);
+  }
+
+  await verifySubmission(context, data, { route: 'newsletter', request });
+
+  await requestSubscription({ ...context, siteUrl: siteUrlFor(request, context) }, {
+    email: submission.email,
+    language: data.language,
+    source: typeof data.source === 'string' ? data.source.slice(0, 50) : 'website'
+  });
+
+  return success('Please check your inbox to confirm your subscription', { state: 'pending' }, 202);
+});
+
+export const handleNewsletterConfirm = withErrorHandling(async (request, context) => {
+  if (request.method !== 'POST') {
+    return methodNotAllowed(['POST']);
+  }
+
+  const data = await readJson(request);
+  const record = await confirmSubscription(context, { token: data.token, language: data.language });
+
+  return success('Your subscription is confirmed', { state: record.state });
+});
+
+/**
+ * Accepts JSON from the unsubscribe page, or the RFC 8058 one-click form
+ * post mail clients send to the List-Unsubscribe URL (token in the query).
+ */
+export const handleNewsletterUnsubscribe = withErrorHandling(async (request, context) => {
+  if (request.method !== 'POST') {
+    return methodNotAllowed(['POST']);
+  }
+
+  const url = new URL(request.url);
+  const contentType = request.headers.get('Content-Type') || '';
+  let token = url.searchParams.get('token');
+  let language = url.searchParams.get('lang');
+  let source = 'list_unsubscribe';
+
+  if (contentType.includes('application/json')) {
+    const data = await readJson(request);
+    token = data.token;
+    language = data.language;
+    source = 'unsubscribe_page';
+  }
+
+  if (!token) {
+    throw new HttpError(400, 'This link is invalid', { token: 'missing' });
+  }
+
+  const record = await unsubscribe(context, { token, language, source });
+  return success('You have been unsubscribed', { state: record.state });
+});
@@ -0,0 +1,30 @@
+// AFHAM Website - POST /api/vitals
+// Stores Core Web Vitals reports sent by WebVitalsCollector when a sampled
+// page is hidden (see assets/js/web-vitals.js).
+
+import { failure, methodNotAllowed, readJson, success, withErrorHandling } from '../lib/http.mjs';
+import { validateVitalsReport, VITALS_COLLECTION } from '../lib/vitals.mjs';
+
+/**
+ * @param {Request} request
+ * @param {{ store: object }} context
+ */
+export const handleVitals = withErrorHandling(async (request, { store }) => {
+  if (request.method !== 'POST') {
+    return methodNotAllowed(['POST']);
+  }
+
+  const data = await readJson(request);
+  const { report, errors } = validateVitalsReport(data);
+
+  if (!report) {
+    return failure(422, 'Invalid vitals report', errors);
+  }
+
+  await store.put(VITALS_COLLECTION, crypto.randomUUID(), {
+    ...report,
+    receivedAt: new Date().toISOString()
+  });
+
+  return success('Vitals recorded', { accepted: report.metrics.length }, 202);
+});
@@ -0,0 +1,200 @@
+// AFHAM Website - Bot and spam protection for form submissions
+//
+// Three checks, no third-party CAPTCHA:
+//   1. Honeypot: a visually hidden "website" field humans never fill in
+//   2. Time-to-submit: the signed challenge records when the form was loaded
+//   3. Proof of work: the client must find a nonce so that
+//      SHA-256(`${challenge}:${nonce}`) starts with `difficulty` zero bits
+//
+// Rejections are stored with a reason code so we can tune the thresholds.
+
+import { HttpError } from './http.mjs';
+
+export const ANTI_SPAM_CONFIG = {
+  difficulty: 14,
+  minSubmitMs: 3000,
+  maxAgeMs: 24 * 60 * 60 * 1000
+};
+
+export const USED_CHALLENGE_COLLECTION = 'challenge-used';
+export const REJECTION_COLLECTION = 'spam-rejection';
+
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function sign(secret, payload) {
+  if (!secret) {
+    throw new Error('Challenge secret is missing (expected CHALLENGE_SECRET)');
+  }
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(payload)));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+export function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+export async function issueChallenge(secret, { now = Date.now(), difficulty = ANTI_SPAM_CONFIG.difficulty } = {}) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const payload = `${now}.${salt}.${difficulty}`;
+  return {
+    challenge: `${payload}.${await sign(secret, payload)}`,
+    difficulty
+  };
+}
+
+function reject(reason) {
+  const error = new HttpError(403, 'Submission rejected by spam protection', { antiSpam: reason });
+  error.reason = reason;
+  return error;
+}
+
+async function checkChallenge(secret, antiSpam, now) {
+  if (!antiSpam || typeof antiSpam.challenge !== 'string' || typeof antiSpam.nonce !== 'string') {
+    throw reject('challenge_missing');
+  }
+
+  const parts = antiSpam.challenge.split('.');
+  if (parts.length !== 4) {
+    throw reject('challenge_invalid');
+  }
+
+  const [issuedAt, salt, difficulty, signature] = parts;
+  const expected = await sign(secret, `${issuedAt}.${salt}.${difficulty}`);
+  if (!timingSafeEqual(signature, expected)) {
+    throw reject('challenge_invalid');
+  }
+
+  const age = now - Number(issuedAt);
+  if (age > ANTI_SPAM_CONFIG.maxAgeMs) {
+    throw reject('challenge_expired');
+  }
+  if (age < ANTI_SPAM_CONFIG.minSubmitMs) {
+    throw reject('too_fast');
+  }
+
+  if (antiSpam.nonce.length > 32) {
+    throw reject('pow_invalid');
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${antiSpam.challenge}:${antiSpam.nonce}`));
+  if (leadingZeroBits(new Uint8Array(digest)) < Number(difficulty)) {
+    throw reject('pow_invalid');
+  }
+
+  return salt;
+}
+
+const SUBMISSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * The client-generated id of a queued submission, lowercased, or null when
+ * the body has none or it is not a UUID.
+ */
+export function submissionIdOf(data) {
+  return typeof data.submissionId === 'string' && SUBMISSION_ID_PATTERN.test(data.submissionId)
+    ? data.submissionId.toLowerCase()
+    : null;
+}
+
+// A replay repeats a submission on the same route that was already stored
+// under its submissionId; anything else reusing the challenge is rejected
+async function isReplay(store, used, { route, submissionId, replayCollection }) {
+  if (!replayCollection || !submissionId) return false;
+  if (used.route !== route || used.submissionId !== submissionId) return false;
+  return Boolean(await store.get(replayCollection, submissionId));
+}
+
+/**
+ * Run all checks on a parsed submission body. Throws a 403 HttpError whose
+ * `errors.antiSpam` carries the reason code; the client maps it to a
+ * localized message.
+ *
+ * Routes whose submissions the offline queue may replay pass the collection
+ * they store them in as `replayCollection`.
+ *
+ * @param {object} context - handler context ({ store, challengeSecret })
+ * @param {object} data - request body
+ * @param {{ route: string, request: Request, replayCollection?: string }} meta
+ */
+export async function verifySubmission({ store, challengeSecret }, data, { route, request, replayCollection }) {
+  const now = Date.now();
+
+  try {
+    if (typeof data.website === 'string' && data.website.trim() !== '') {
+      throw reject('honeypot');
+    }
+
+    const salt = await checkChallenge(challengeSecret, data.antiSpam, now);
+    const submissionId = submissionIdOf(data);
+
+    // A challenge is good for one submission, on any route. The used record
+    // stays under the salt alone so it cannot be spent once per route; the
+    // route it was spent on is part of what a replay has to match. The salt
+    // is claimed before anything is checked, so two requests racing with
+    // the same challenge cannot both pass (on KV this is best-effort, see
+    // createKVStore). Past maxAgeMs the challenge is rejected as expired
+    // anyway.
+    const claimed = await store.create(USED_CHALLENGE_COLLECTION, salt, {
+      usedAt: new Date(now).toISOString(),
+      route,
+      submissionId
+    }, { ttl: ANTI_SPAM_CONFIG.maxAgeMs });
+    if (!claimed) {
+      const used = await store.get(USED_CHALLENGE_COLLECTION, salt);
+      if (!used || !(await isReplay(store, used, { route, submissionId, replayCollection }))) {
+        throw reject('challenge_reused');
+      }
+    }
+  } catch (error) {
+    if (error.reason) {
+      await logRejection(store, { reason: error.reason, route, request, now });
+    }
+    throw error;
+  }
+}
+
+async function logRejection(store, { reason, route, request, now }) {
+  const entry = {
+    reason,
+    route,
+    at: new Date(now).toISOString(),
+    userAgent: request.headers.get('User-Agent') || '',
+    country: request.headers.get('CF-IPCountry') || ''
+  };
+
+  console.warn('Spam protection rejected submission:', reason, route);
+  try {
+    await store.put(REJECTION_COLLECTION, crypto.randomUUID(), entry);
+  } catch (error) {
+    console.error('Could not log spam rejection:', error);
+  }
+}
@@ -0,0 +1,87 @@
+// AFHAM Website - HTTP helpers shared by Pages Functions and the Node dev server
+
+/**
+ * Build a JSON response in the `{ success, message, errors }` shape the
+ * site's forms expect.
+ */
+export function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      ...headers
+    }
+  });
+}
+
+export function success(message, extra = {}, status = 200) {
+  return jsonResponse(status, { success: true, message, ...extra });
+}
+
+export function failure(status, message, errors = {}) {
+  return jsonResponse(status, { success: false, message, errors });
+}
+
+/**
+ * Error raised by handlers when a request cannot be processed. Carries the
+ * HTTP status and optional per-field errors for the response body.
+ */
+export class HttpError extends Error {
+  constructor(status, message, errors = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Parse a JSON object body, rejecting anything that is not a plain object.
+ */
+export async function readJson(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (!contentType.includes('application/json')) {
+    throw new HttpError(415, 'Content-Type must be application/json');
+  }
+
+  let data;
+  try {
+    data = await request.json();
+  } catch (error) {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+
+  return data;
+}
+
+/**
+ * Wrap a handler so thrown HttpErrors (and unexpected failures) become
+ * structured JSON responses instead of runtime error pages.
+ */
+export function withErrorHandling(handler) {
+  return async (request, context) => {
+    try {
+      return await handler(request, context);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return failure(error.status, error.message, error.errors);
+      }
+
+      console.error('API error:', error);
+      return failure(500, 'Something went wrong on our side. Please try again later.');
+    }
+  };
+}
+
+export function methodNotAllowed(allowed) {
+  return jsonResponse(405, {
+    success: false,
+    message: 'Method not allowed',
+    errors: {}
+  }, { Allow: allowed.join(', ') });
+}
@@ -0,0 +1,46 @@
+// AFHAM Website - Accept-Language negotiation
+// The edge middleware and the dev server turn the browser's Accept-Language
+// header into a <meta> hint on HTML pages. The page makes the final call in
+// LanguageManager.init, where ?lang= and a stored choice take precedence.
+
+import I18nModule from '../../assets/js/i18n.js';
+
+const { I18nConfig, matchLocale } = I18nModule;
+
+/**
+ * Parse "ar-SA,ar;q=0.9,en;q=0.5" into [{ tag, q }] sorted by preference.
+ * Ranges with q=0 are dropped, as are malformed q values.
+ */
+export function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') return [];
+
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+      return { tag: tag.trim(), q, index };
+    })
+    .filter(entry => entry.tag && Number.isFinite(entry.q) && entry.q > 0 && entry.q <= 1)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag, q }) => ({ tag, q }));
+}
+
+// Best supported locale for an Accept-Language header, or null
+export function negotiateLocale(header) {
+  for (const { tag } of parseAcceptLanguage(header)) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+export function localeHintTag(locale) {
+  return `<meta name="${I18nConfig.hintMeta}" content="${locale}">`;
+}
+
+// String version for the dev server; the edge uses HTMLRewriter
+export function injectLocaleHint(html, locale) {
+  if (!locale || !html.includes('</head>')) return html;
+  return html.replace('</head>', `    ${localeHintTag(locale)}\n</head>`);
+}
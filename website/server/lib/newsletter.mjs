@@ -0,0 +1,152 @@
+// AFHAM Website - Double opt-in newsletter subscriptions
+//
+// Subscriber records move pending -> confirmed -> unsubscribed. Every change is
+// appended to the record's `history` with a timestamp and the language the
+// visitor was using, which is our proof of consent under PDPL.
+
+import { buildConfirmationEmail } from '../emails/newsletter-confirmation.mjs';
+import { HttpError } from './http.mjs';
+
+export const SUBSCRIBER_COLLECTION = 'newsletter';
+export const TOKEN_COLLECTION = 'newsletter-token';
+export const SUPPORTED_LANGUAGES = ['en', 'ar'];
+
+const DAY = 24 * 60 * 60 * 1000;
+const CONFIRM_TOKEN_TTL = 7 * DAY;
+// Expired confirm tokens are kept a while longer so a late click is told
+// the link expired rather than that it never existed
+const CONFIRM_TOKEN_RETENTION = CONFIRM_TOKEN_TTL + 30 * DAY;
+
+export function normalizeLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language) ? language : 'en';
+}
+
+function createToken() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function transition(record, state, { language, source }) {
+  const at = new Date().toISOString();
+  return {
+    ...record,
+    state,
+    language,
+    updatedAt: at,
+    history: [...(record.history || []), { state, at, language, source }]
+  };
+}
+
+/**
+ * Create (or refresh) a pending subscription and email a confirmation link.
+ * Already-confirmed subscribers are left untouched and get no email.
+ */
+export async function requestSubscription({ store, mailer, siteUrl }, { email, language, source }) {
+  const normalizedEmail = email.toLowerCase();
+  const lang = normalizeLanguage(language);
+  const existing = await store.get(SUBSCRIBER_COLLECTION, normalizedEmail);
+
+  if (existing && existing.state === 'confirmed') {
+    return existing;
+  }
+
+  const now = Date.now();
+  const confirmToken = createToken();
+  const unsubscribeToken = (existing && existing.unsubscribeToken) || createToken();
+
+  if (existing && existing.confirmToken) {
+    await store.delete(TOKEN_COLLECTION, existing.confirmToken);
+  }
+
+  const record = transition(existing || {
+    email: normalizedEmail,
+    createdAt: new Date(now).toISOString(),
+    history: []
+  }, 'pending', { language: lang, source });
+
+  record.confirmToken = confirmToken;
+  record.unsubscribeToken = unsubscribeToken;
+
+  await store.put(TOKEN_COLLECTION, confirmToken, {
+    email: normalizedEmail,
+    purpose: 'confirm',
+    expiresAt: new Date(now + CONFIRM_TOKEN_TTL).toISOString()
+  }, { ttl: CONFIRM_TOKEN_RETENTION });
+  // No TTL: the unsubscribe link lives as long as the subscriber record
+  await store.put(TOKEN_COLLECTION, unsubscribeToken, {
+    email: normalizedEmail,
+    purpose: 'unsubscribe'
+  });
+  await store.put(SUBSCRIBER_COLLECTION, normalizedEmail, record);
+
+  const confirmUrl = `${siteUrl}/newsletter?action=confirm&token=${confirmToken}&lang=${lang}`;
+  const unsubscribeUrl = `${siteUrl}/newsletter?action=unsubscribe&token=${unsubscribeToken}&lang=${lang}`;
+  const message = buildConfirmationEmail({ language: lang, confirmUrl, unsubscribeUrl });
+
+  await mailer.send({
+    to: normalizedEmail,
+    ...message,
+    headers: {
+      // RFC 8058 one-click unsubscribe for mail clients
+      'List-Unsubscribe': `<${siteUrl}/api/newsletter/unsubscribe?token=${unsubscribeToken}&lang=${lang}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+
+  return record;
+}
+
+async function resolveToken(store, token, purpose) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+    throw new HttpError(400, 'This link is invalid', { token: 'invalid' });
+  }
+
+  const entry = await store.get(TOKEN_COLLECTION, token);
+  if (!entry || entry.purpose !== purpose) {
+    throw new HttpError(404, 'This link is invalid or has already been used', { token: 'not_found' });
+  }
+
+  if (entry.expiresAt && Date.parse(entry.expiresAt) < Date.now()) {
+    await store.delete(TOKEN_COLLECTION, token);
+    throw new HttpError(410, 'This confirmation link has expired. Please subscribe again.', { token: 'expired' });
+  }
+
+  const record = await store.get(SUBSCRIBER_COLLECTION, entry.email);
+  if (!record) {
+    throw new HttpError(404, 'This link is invalid or has already been used', { token: 'not_found' });
+  }
+
+  return record;
+}
+
+export async function confirmSubscription({ store }, { token, language }) {
+  const record = await resolveToken(store, token, 'confirm');
+  const lang = language ? normalizeLanguage(language) : record.language;
+
+  const confirmed = transition(record, 'confirmed', { language: lang, source: 'confirmation_link' });
+  delete confirmed.confirmToken;
+
+  await store.put(SUBSCRIBER_COLLECTION, record.email, confirmed);
+  await store.delete(TOKEN_COLLECTION, token);
+  return confirmed;
+}
+
+// Unsubscribe tokens stay valid so the link in every email keeps working
+export async function unsubscribe({ store }, { token, language, source }) {
+  const record = await resolveToken(store, token, 'unsubscribe');
+  if (record.state === 'unsubscribed') {
+    return record;
+  }
+
+  const lang = language ? normalizeLanguage(language) : record.language;
+  const unsubscribed = transition(record, 'unsubscribed', { language: lang, source });
+
+  if (unsubscribed.confirmToken) {
+    await store.delete(TOKEN_COLLECTION, unsubscribed.confirmToken);
+    delete unsubscribed.confirmToken;
+  }
+
+  await store.put(SUBSCRIBER_COLLECTION, record.email, unsubscribed);
+  return unsubscribed;
+}
@@ -0,0 +1,88 @@
+// AFHAM Website - Server-side rules for form submissions
+// Validation itself lives in the shared schema (assets/js/form-schema.js) so
+// the API and the contact form component apply exactly the same rules.
+
+import FormSchema from '../../assets/js/form-schema.js';
+import PhiDetection from '../../assets/js/phi-detection.js';
+
+const { FormSchemas, validateForm } = FormSchema;
+const { redactPhi } = PhiDetection;
+
+export const CONTACT_FIELDS = [...Object.keys(FormSchemas.contact), 'newsletter', 'language'];
+export const INQUIRY_TYPES = FormSchemas.contact.inquiryType.oneOf;
+
+// Free-text contact fields where people paste patient details
+export const PHI_FIELDS = ['subject', 'message'];
+
+// Community programs taking applications; each has a `<program>Application` schema
+export const APPLICATION_PROGRAMS = ['academy', 'ambassador', 'partnership'];
+
+function isChecked(value) {
+  return value === true || value === 'on' || value === 'true';
+}
+
+function pick(data, fields) {
+  const result = {};
+  fields.forEach(field => {
+    const value = data[field];
+    result[field] = typeof value === 'string' ? value.trim() : value;
+  });
+  return result;
+}
+
+/**
+ * Validate a contact submission. Returns the cleaned submission and a map of
+ * field name to { key, params } errors (empty when valid).
+ */
+export function validateContactSubmission(data) {
+  const submission = pick(data, CONTACT_FIELDS);
+  const { errors } = validateForm('contact', submission);
+
+  submission.language = submission.language === 'ar' ? 'ar' : 'en';
+  submission.privacy = isChecked(submission.privacy);
+  submission.newsletter = isChecked(submission.newsletter);
+
+  return { submission, errors };
+}
+
+/**
+ * Remove likely patient details from the free-text fields, whether or not
+ * the visitor saw the form's warning. Returns the redacted submission and
+ * how many of each kind were removed ({} when nothing was).
+ */
+export function redactContactSubmission(submission) {
+  const redacted = { ...submission };
+  const counts = {};
+
+  PHI_FIELDS.forEach(field => {
+    if (typeof submission[field] !== 'string') return;
+    const result = redactPhi(submission[field]);
+    redacted[field] = result.text;
+    Object.entries(result.counts).forEach(([kind, count]) => {
+      counts[kind] = (counts[kind] || 0) + count;
+    });
+  });
+
+  return { submission: redacted, counts };
+}
+
+export function validateNewsletterSubmission(data) {
+  const submission = pick(data, Object.keys(FormSchemas.newsletter));
+  const { errors } = validateForm('newsletter', submission);
+  return { submission, errors };
+}
+
+/**
+ * Validate an application to one of APPLICATION_PROGRAMS. Same result shape
+ * as validateContactSubmission.
+ */
+export function validateApplicationSubmission(program, data) {
+  const schema = `${program}Application`;
+  const submission = pick(data, [...Object.keys(FormSchemas[schema]), 'language']);
+  const { errors } = validateForm(schema, submission);
+
+  submission.language = submission.language === 'ar' ? 'ar' : 'en';
+  submission.privacy = isChecked(submission.privacy);
+
+  return { submission, errors };
+}
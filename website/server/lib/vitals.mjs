@@ -0,0 +1,118 @@
+// AFHAM Website - Core Web Vitals records
+// Validation for /api/vitals reports and the p75 summary behind
+// scripts/vitals-report.mjs. Thresholds and ratings come from the client
+// collector (assets/js/web-vitals.js) so both sides agree on "poor".
+
+import WebVitals from '../../assets/js/web-vitals.js';
+
+const { VitalsConfig, percentile, rateMetric } = WebVitals;
+
+export const VITALS_COLLECTION = 'vitals';
+
+const METRIC_NAMES = Object.keys(VitalsConfig.thresholds);
+// Anything beyond these is a broken measurement, not a slow page
+const MAX_VALUES = { LCP: 120000, CLS: 100, INP: 60000, FCP: 120000, TTFB: 120000 };
+const MAX_ATTRIBUTION_KEYS = 5;
+const VIEW_ID_PATTERN = /^[\w-]{8,64}$/;
+
+function cleanAttribution(attribution) {
+  if (!attribution || typeof attribution !== 'object' || Array.isArray(attribution)) return {};
+
+  const clean = {};
+  Object.entries(attribution).slice(0, MAX_ATTRIBUTION_KEYS).forEach(([key, value]) => {
+    if (typeof value === 'string') {
+      clean[key.slice(0, 40)] = value.slice(0, 200);
+    } else if (typeof value === 'number' && Number.isFinite(value)) {
+      clean[key.slice(0, 40)] = value;
+    }
+  });
+  return clean;
+}
+
+function cleanMetric(metric) {
+  if (!metric || !METRIC_NAMES.includes(metric.name)) return null;
+  const { name, value } = metric;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_VALUES[name]) return null;
+
+  // Ratings are recomputed rather than trusted
+  return { name, value, rating: rateMetric(name, value), attribution: cleanAttribution(metric.attribution) };
+}
+
+/**
+ * Validate one report from WebVitalsCollector. Returns { report, errors };
+ * metrics that fail validation are dropped rather than failing the report.
+ */
+export function validateVitalsReport(data) {
+  const errors = {};
+
+  if (typeof data.page !== 'string' || !data.page.startsWith('/')) {
+    errors.page = 'invalid';
+  }
+  if (!Array.isArray(data.metrics) || data.metrics.length === 0) {
+    errors.metrics = 'required';
+  }
+  if (Object.keys(errors).length > 0) {
+    return { report: null, errors };
+  }
+
+  const metrics = data.metrics.slice(0, METRIC_NAMES.length).map(cleanMetric).filter(Boolean);
+  if (metrics.length === 0) {
+    return { report: null, errors: { metrics: 'invalid' } };
+  }
+
+  return {
+    report: {
+      viewId: typeof data.viewId === 'string' && VIEW_ID_PATTERN.test(data.viewId) ? data.viewId : null,
+      page: data.page.slice(0, 200),
+      language: data.language === 'ar' ? 'ar' : 'en',
+      dir: data.dir === 'rtl' ? 'rtl' : 'ltr',
+      navigationType: typeof data.navigationType === 'string' ? data.navigationType.slice(0, 20) : 'navigate',
+      metrics
+    },
+    errors
+  };
+}
+
+// One sample per page view and metric: the last one reported. A view
+// reports again each time it is hidden, with CLS, INP and LCP grown since.
+// Reports without a view id stand on their own.
+function latestSamples(records) {
+  const latest = new Map();
+  const byArrival = records
+    .map((record, index) => ({ record, index }))
+    .sort((a, b) => (a.record.receivedAt || '').localeCompare(b.record.receivedAt || '') || a.index - b.index);
+
+  byArrival.forEach(({ record, index }) => {
+    const view = record.viewId || `report:${index}`;
+    record.metrics.forEach(metric => {
+      latest.set(`${view}\u0000${metric.name}`, { record, metric });
+    });
+  });
+
+  return [...latest.values()];
+}
+
+/**
+ * p75 of every metric per page and language. Rows are ordered by page, then
+ * metric, so each Arabic value sits next to its English counterpart.
+ */
+export function summarizeVitals(records) {
+  const groups = new Map();
+
+  latestSamples(records).forEach(({ record, metric }) => {
+    const key = `${record.page}\u0000${record.language}\u0000${metric.name}`;
+    if (!groups.has(key)) {
+      groups.set(key, { page: record.page, language: record.language, metric: metric.name, values: [] });
+    }
+    groups.get(key).values.push(metric.value);
+  });
+
+  return [...groups.values()]
+    .map(({ values, ...group }) => {
+      const p75 = percentile(values, 75);
+      return { ...group, count: values.length, p75, rating: rateMetric(group.metric, p75) };
+    })
+    .sort((a, b) => a.page.localeCompare(b.page) ||
+      METRIC_NAMES.indexOf(a.metric) - METRIC_NAMES.indexOf(b.metric) ||
+      a.language.localeCompare(b.language));
+}
@@ -0,0 +1,16 @@
+// AFHAM Website - File mailer for local development and tests
+// Writes each message to <dir>/<timestamp>-<to>.json instead of sending it.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export function createFileMailer(dir) {
+  return {
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${encodeURIComponent(message.to)}.json`);
+      await writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { id: path.basename(file) };
+    }
+  };
+}
@@ -0,0 +1,27 @@
+// AFHAM Website - Transactional email over HTTP for production
+// POSTs { from, to, subject, text, html, headers } as JSON to a mail relay.
+
+export function createHttpMailer({ endpoint, token, from }) {
+  if (!endpoint) {
+    throw new Error('Mail relay endpoint is missing (expected MAIL_API_URL)');
+  }
+
+  return {
+    async send(message) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ from, ...message })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Mail relay responded with ${response.status}`);
+      }
+
+      return response.json().catch(() => ({}));
+    }
+  };
+}
@@ -0,0 +1,12 @@
+// AFHAM Website - In-memory mailer (tests and throwaway dev runs)
+
+export function createMemoryMailer() {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: String(sent.length) };
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// AFHAM Website - API route table
+// Pages Functions under functions/api mirror these paths one file per route,
+// except applications/[program].js, which serves every program.
+
+import { handleApplication } from './handlers/applications.mjs';
+import { handleChallenge } from './handlers/challenge.mjs';
+import { handleContact } from './handlers/contact.mjs';
+import { handleErrors } from './handlers/errors.mjs';
+import { handleEvents } from './handlers/events.mjs';
+import {
+  handleNewsletter,
+  handleNewsletterConfirm,
+  handleNewsletterUnsubscribe
+} from './handlers/newsletter.mjs';
+import { handleVitals } from './handlers/vitals.mjs';
+import { APPLICATION_PROGRAMS } from './lib/submission-rules.mjs';
+
+export const apiRoutes = {
+  ...Object.fromEntries(APPLICATION_PROGRAMS.map(program => [`/api/applications/${program}`, handleApplication])),
+  '/api/challenge': handleChallenge,
+  '/api/contact': handleContact,
+  '/api/errors': handleErrors,
+  '/api/events': handleEvents,
+  '/api/newsletter': handleNewsletter,
+  '/api/newsletter/confirm': handleNewsletterConfirm,
+  '/api/newsletter/unsubscribe': handleNewsletterUnsubscribe,
+  '/api/vitals': handleVitals
+};
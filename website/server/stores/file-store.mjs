@@ -0,0 +1,63 @@
+// AFHAM Website - File-backed submission store for local development
+// Each record is written to <dir>/<collection>/<id>.json. The `ttl` option
+// of put() and create() is ignored: development data is thrown away by hand.
+// `create()` writes only files that do not exist yet, so it is atomic.
+
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+function recordPath(dir, collection, id) {
+  return path.join(dir, encodeURIComponent(collection), `${encodeURIComponent(id)}.json`);
+}
+
+export function createFileStore(dir) {
+  return {
+    async get(collection, id) {
+      try {
+        return JSON.parse(await readFile(recordPath(dir, collection, id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async put(collection, id, record) {
+      const file = recordPath(dir, collection, id);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify(record, null, 2));
+      return record;
+    },
+
+    async create(collection, id, record) {
+      const file = recordPath(dir, collection, id);
+      await mkdir(path.dirname(file), { recursive: true });
+      try {
+        await writeFile(file, JSON.stringify(record, null, 2), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') return false;
+        throw error;
+      }
+    },
+
+    async delete(collection, id) {
+      await rm(recordPath(dir, collection, id), { force: true });
+    },
+
+    async list(collection) {
+      const collectionDir = path.join(dir, encodeURIComponent(collection));
+      let files;
+      try {
+        files = await readdir(collectionDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const records = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(async file => JSON.parse(await readFile(path.join(collectionDir, file), 'utf8'))));
+      return records;
+    }
+  };
+}
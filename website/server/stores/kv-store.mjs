@@ -0,0 +1,53 @@
+// AFHAM Website - Cloudflare KV submission store for production
+// Records are stored under "<collection>:<id>" keys in a single namespace.
+// `put(..., { ttl })` lets KV delete a record by itself after ttl ms.
+// KV has no conditional write, so `create()` is only best-effort: two
+// requests racing on the same id within KV's propagation window can both
+// see it free and both succeed.
+
+export function createKVStore(namespace) {
+  if (!namespace) {
+    throw new Error('KV namespace binding is missing (expected AFHAM_SUBMISSIONS)');
+  }
+
+  const key = (collection, id) => `${collection}:${id}`;
+
+  // KV counts in seconds and expires nothing sooner than a minute
+  const expirationTtl = ttl => Math.max(60, Math.ceil(ttl / 1000));
+
+  return {
+    async get(collection, id) {
+      return namespace.get(key(collection, id), { type: 'json' });
+    },
+
+    async put(collection, id, record, { ttl } = {}) {
+      const options = ttl ? { expirationTtl: expirationTtl(ttl) } : undefined;
+      await namespace.put(key(collection, id), JSON.stringify(record), options);
+      return record;
+    },
+
+    async create(collection, id, record, options) {
+      if (await namespace.get(key(collection, id))) return false;
+      await this.put(collection, id, record, options);
+      return true;
+    },
+
+    async delete(collection, id) {
+      await namespace.delete(key(collection, id));
+    },
+
+    async list(collection) {
+      const records = [];
+      let cursor;
+
+      do {
+        const page = await namespace.list({ prefix: `${collection}:`, cursor });
+        const values = await Promise.all(page.keys.map(({ name }) => namespace.get(name, { type: 'json' })));
+        records.push(...values.filter(Boolean));
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+
+      return records;
+    }
+  };
+}
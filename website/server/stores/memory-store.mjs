@@ -0,0 +1,39 @@
+// AFHAM Website - In-memory submission store (tests and throwaway dev runs)
+// Honors `put(..., { ttl })` like the KV store, so expiry can be tested.
+// `create()` stores a record only under an id that is free and reports
+// whether it did; the check and the write happen in one step.
+
+export function createMemoryStore() {
+  const collections = new Map();
+  const bucket = collection => {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
+  const live = entry => entry && (entry.expiresAt === null || entry.expiresAt > Date.now());
+
+  return {
+    async get(collection, id) {
+      const entry = bucket(collection).get(id);
+      return live(entry) ? structuredClone(entry.record) : null;
+    },
+
+    async put(collection, id, record, { ttl } = {}) {
+      bucket(collection).set(id, { record: structuredClone(record), expiresAt: ttl ? Date.now() + ttl : null });
+      return record;
+    },
+
+    async create(collection, id, record, { ttl } = {}) {
+      if (live(bucket(collection).get(id))) return false;
+      await this.put(collection, id, record, { ttl });
+      return true;
+    },
+
+    async delete(collection, id) {
+      bucket(collection).delete(id);
+    },
+
+    async list(collection) {
+      return [...bucket(collection).values()].filter(live).map(entry => structuredClone(entry.record));
+    }
+  };
+}
@@ -0,0 +1,197 @@
+// AFHAM Website - Service Worker
+// Precaches the site shell so pages open offline, serves pages
+// stale-while-revalidate, falls back to an offline variant of 404.html for
+// pages never visited, and replays the offline contact submission queue via
+// Background Sync.
+//
+// deploy/cloudflare-deploy.sh stamps BUILD_ID on every deploy. The changed
+// bytes make browsers install the new worker, which waits until the page
+// accepts the update prompt (see registerServiceWorker in main.js).
+
+importScripts('/assets/js/proof-of-work.js', '/assets/js/submission-queue.js');
+
+const BUILD_ID = 'dev';
+const SHELL_CACHE = `afham-shell-${BUILD_ID}`;
+const RUNTIME_CACHE = `afham-runtime-${BUILD_ID}`;
+const OFFLINE_PAGE = '/404.html';
+
+// The page shell in both languages: Arabic and English share the same HTML
+// and differ only in the catalog LanguageManager loads
+const SHELL_URLS = [
+  '/',
+  OFFLINE_PAGE,
+  '/manifest.webmanifest',
+  '/assets/css/main.css',
+  '/assets/css/demo.css',
+  '/assets/css/playground.css',
+  '/assets/js/error-reporter.js',
+  '/assets/js/i18n.js',
+  '/assets/js/locale-format.js',
+  '/assets/js/search-text.js',
+  '/assets/js/site-search.js',
+  '/assets/js/consent.js',
+  '/assets/js/analytics.js',
+  '/assets/js/web-vitals.js',
+  '/assets/js/notifications.js',
+  '/assets/js/components.js',
+  '/assets/js/main.js',
+  '/assets/js/document-analysis.js',
+  '/assets/js/fhir-validation.js',
+  '/assets/js/submission-queue.js',
+  '/assets/i18n/en.json',
+  '/assets/i18n/ar.json'
+];
+
+// Third-party stylesheets; their font files are cached on first use
+const SHELL_CROSS_ORIGIN_URLS = [
+  'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Tajawal:wght@300;400;500;700&display=swap',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+
+// Immutable, versioned URLs: no need to revalidate
+const CACHE_FIRST_ORIGINS = ['https://fonts.gstatic.com', 'https://cdnjs.cloudflare.com'];
+// Font CSS differs by browser and may change behind the same URL
+const REVALIDATED_ORIGINS = ['https://fonts.googleapis.com'];
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  // Bypass the HTTP cache: /assets/* is served as immutable
+  await cache.addAll(SHELL_URLS.map(url => new Request(url, { cache: 'reload' })));
+
+  // A blocked CDN must not keep the site from working offline
+  await Promise.all(SHELL_CROSS_ORIGIN_URLS.map(url =>
+    cache.add(new Request(url, { mode: 'cors' })).catch(error => {
+      console.warn(`Could not precache ${url}:`, error);
+    })
+  ));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, RUNTIME_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('afham-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+function isCacheable(response) {
+  return response && (response.ok || response.type === 'opaque');
+}
+
+/**
+ * Answer from the cache when possible and refresh the cached copy in the
+ * background. Resolves with null when there is neither a cached copy nor a
+ * network. `ignoreSearch` lets /?lang=ar reuse the cached /.
+ */
+async function staleWhileRevalidate(event, { ignoreSearch = false } = {}) {
+  const { request } = event;
+  const cached = await caches.match(request, { ignoreSearch });
+
+  const refresh = fetch(request)
+    .then(async response => {
+      if (isCacheable(response)) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return refresh;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// The cached 404 page, flagged so main.js shows its offline wording instead
+async function offlinePage() {
+  const cached = await caches.match(OFFLINE_PAGE);
+  if (!cached) return Response.error();
+
+  const html = (await cached.text()).replace(
+    '<head>',
+    '<head>\n    <meta name="afham-offline" content="true">'
+  );
+  return new Response(html, {
+    status: 503,
+    statusText: 'Offline',
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+async function handleNavigation(event) {
+  const response = await staleWhileRevalidate(event, { ignoreSearch: true });
+  return response || offlinePage();
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // API responses are never served from cache; sw.js must always be fresh
+    if (url.pathname.startsWith('/api/') || url.pathname === '/sw.js') return;
+
+    if (request.mode === 'navigate') {
+      event.respondWith(handleNavigation(event));
+    } else {
+      event.respondWith(staleWhileRevalidate(event).then(response => response || Response.error()));
+    }
+    return;
+  }
+
+  if (CACHE_FIRST_ORIGINS.includes(url.origin)) {
+    event.respondWith(cacheFirst(request));
+  } else if (REVALIDATED_ORIGINS.includes(url.origin)) {
+    event.respondWith(staleWhileRevalidate(event).then(response => response || Response.error()));
+  }
+});
+
+async function replaySubmissionQueue() {
+  const queue = new SubmissionQueue();
+  const summary = await queue.replay();
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => {
+    client.postMessage({ type: 'submission-queue-updated', summary });
+  });
+
+  // Rejecting tells the browser to schedule another sync attempt
+  if (summary.pending > 0) {
+    throw new Error(`${summary.pending} submission(s) still pending`);
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SUBMISSION_QUEUE_SYNC_TAG) {
+    event.waitUntil(replaySubmissionQueue());
+  }
+});
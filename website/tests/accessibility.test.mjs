@@ -0,0 +1,85 @@
+// Automated WCAG 2.1 A/AA checks (axe-core) on the pages with the most
+// interactive markup, in both languages, with their components mounted.
+// Colour contrast needs real layout and rendering, which jsdom doesn't have;
+// it is checked in the browser.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { afterEach, describe, it } from 'node:test';
+import path from 'node:path';
+import { toDiscussionsFeed } from '../scripts/build-discussions-feed.mjs';
+import { SITE_ROOT, jsonResponse, loadPage, useGlobals } from './helpers/page.mjs';
+
+const require = createRequire(import.meta.url);
+const AXE_SOURCE = readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+
+const PAGES = ['index.html', 'contact.html', 'community/index.html'];
+
+const AXE_OPTIONS = {
+  runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+  rules: { 'color-contrast': { enabled: false } }
+};
+
+function describeViolations(violations) {
+  return violations
+    .map(violation => `${violation.id}: ${violation.help}\n` +
+      violation.nodes.map(node => `  ${node.target.join(' ')}`).join('\n'))
+    .join('\n');
+}
+
+// Static data the components fetch; the discussions feed is built from the fixture
+const DISCUSSIONS = toDiscussionsFeed(JSON.parse(readFileSync(path.join(SITE_ROOT, 'tests/fixtures/github-discussions.json'), 'utf8')));
+
+function respond(url) {
+  if (url === '/community/events.json') {
+    return new Response(readFileSync(path.join(SITE_ROOT, url)), { status: 200 });
+  }
+  if (url === '/community/discussions.json') return jsonResponse(DISCUSSIONS);
+  return null;
+}
+
+describe('accessibility', () => {
+  let page;
+  let registry;
+  let restore;
+
+  afterEach(() => {
+    registry.stop();
+    restore();
+    page.close();
+  });
+
+  PAGES.forEach(file => {
+    ['en', 'ar'].forEach(language => {
+      it(`${file} in ${language === 'en' ? 'English' : 'Arabic'} has no WCAG A/AA violations`, async () => {
+        page = await loadPage(file, { storage: { 'afham-language': language }, respond });
+        restore = useGlobals(page);
+        const languageChanged = new Promise(resolve => {
+          page.document.addEventListener('languageChanged', resolve, { once: true });
+        });
+        new page.site.LanguageManager();
+        await languageChanged;
+
+        const { AFHAMWebsite, ComponentConfig, ComponentRegistry, notifications } = page.site;
+        registry = new ComponentRegistry({
+          language: AFHAMWebsite.language,
+          rtl: AFHAMWebsite.rtl,
+          calendar: 'gregorian',
+          reducedMotion: false,
+          analytics: { track() {} },
+          notifications
+        }, {
+          load: name => import(`../assets/js/components/${ComponentConfig.modules[name]}`)
+        });
+        await registry.start();
+
+        page.evaluate(AXE_SOURCE);
+        const results = await page.window.axe.run(page.document, AXE_OPTIONS);
+
+        assert.ok(results.passes.length > 0, 'axe ran its checks');
+        assert.equal(results.violations.length, 0, describeViolations(results.violations));
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// Site analytics (analytics.js): the event catalog, holding events until the
+// visitor answers the consent banner (consent.js), and keeping whatever a
+// listener or provider throws away from the code that tracked the event.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { loadPage } from './helpers/page.mjs';
+
+describe('SiteAnalytics', () => {
+  let page;
+  let analytics;
+  let provider;
+
+  beforeEach(async () => {
+    page = await loadPage('index.html');
+    analytics = new page.site.SiteAnalytics();
+    provider = { name: 'test', requiresConsent: true, send: mock.fn() };
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    page.close();
+  });
+
+  // Events come from the page's realm; copy them over before comparing
+  const sent = () => provider.send.mock.calls.flatMap(call => call.arguments[0].map(event => [event.type, { ...event.props }]));
+
+  it('keeps to the catalog and drops what it does not declare', () => {
+    const event = analytics.track('contactSubmitted', { inquiry_type: 'technical', organization: 'Riyadh Care', has_organization: true });
+
+    assert.deepEqual({ ...event.props }, { inquiry_type: 'technical', has_organization: true });
+    assert.equal(event.page, '/');
+    assert.equal(analytics.track('newsletterSignup', { source: 42 }), null);
+    assert.equal(analytics.track('formFilled'), null);
+    assert.deepEqual(console.warn.mock.calls.map(call => call.arguments[0]), [
+      'newsletterSignup.source must be a string',
+      'Unknown analytics event: formFilled'
+    ]);
+  });
+
+  it('holds events until analytics is allowed, then sends them', () => {
+    const consent = new page.site.ConsentManager();
+    analytics.configure({ providers: [provider], consent });
+
+    analytics.track('languageSwitch', { language: 'ar', rtl: true });
+    assert.equal(provider.send.mock.callCount(), 0);
+
+    consent.acceptAll();
+    assert.deepEqual(sent(), [['languageSwitch', { language: 'ar', rtl: true }]]);
+  });
+
+  it('forgets held events when analytics is declined', () => {
+    const consent = new page.site.ConsentManager();
+    analytics.configure({ providers: [provider], consent });
+
+    analytics.track('search', { query_length: 6, results: 3 });
+    consent.rejectAll();
+    analytics.track('search', { query_length: 4, results: 0 });
+    analytics.flush();
+
+    assert.equal(provider.send.mock.callCount(), 0);
+    assert.equal(analytics.pending.length, 0);
+  });
+
+  it('reports a failing listener and carries on', () => {
+    const report = mock.method(page.site.errorReporter, 'captureException', () => null);
+    const failure = new page.window.Error('listener broke');
+    const seen = [];
+    analytics.on('demoAnalyzed', () => {
+      throw failure;
+    });
+    analytics.on('*', event => seen.push(event.type));
+    const devSink = { name: 'console', requiresConsent: false, send: mock.fn() };
+    analytics.configure({ providers: [devSink] });
+
+    const event = analytics.track('demoAnalyzed', { source: 'sample', entities: 12 });
+
+    assert.equal(event.type, 'demoAnalyzed');
+    assert.deepEqual(seen, ['demoAnalyzed']);
+    assert.equal(devSink.send.mock.callCount(), 1);
+    assert.equal(report.mock.calls[0].arguments[0], failure);
+  });
+
+  it('reports a provider that fails to send held events', () => {
+    const report = mock.method(page.site.errorReporter, 'captureException', () => null);
+    const failure = new page.window.Error('network down');
+    const broken = { name: 'broken', requiresConsent: true, send: () => { throw failure; } };
+    const consent = new page.site.ConsentManager();
+    analytics.configure({ providers: [broken, provider], consent });
+
+    analytics.track('languageSwitch', { language: 'ar', rtl: true });
+    consent.acceptAll();
+
+    assert.deepEqual(sent(), [['languageSwitch', { language: 'ar', rtl: true }]]);
+    assert.equal(report.mock.calls[0].arguments[0], failure);
+  });
+});
@@ -0,0 +1,144 @@
+// Spam protection shared by the form handlers (server/lib/anti-spam.mjs):
+// the signed proof-of-work challenge and the one-submission-per-challenge
+// rule, with the single exception of an offline-queue replay.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { CONTACT_COLLECTION, handleContact } from '../server/handlers/contact.mjs';
+import { handleNewsletter } from '../server/handlers/newsletter.mjs';
+import { REJECTION_COLLECTION, USED_CHALLENGE_COLLECTION } from '../server/lib/anti-spam.mjs';
+import { createContext, jsonRequest, solvedChallenge } from './helpers/api.mjs';
+
+const MESSAGE = {
+  firstName: 'Sara',
+  lastName: 'Alharbi',
+  email: 'sara@example.com',
+  inquiryType: 'technical',
+  subject: 'Scanned referrals',
+  message: 'Can AFHAM read scanned referral letters in Arabic?',
+  privacy: true,
+  language: 'en'
+};
+const SUBMISSION_ID = '3f2c8a61-7d4e-4b0a-9c15-2e8f6a1d0b37';
+
+describe('verifySubmission', () => {
+  let context;
+
+  beforeEach(() => {
+    context = createContext();
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const contact = body => handleContact(jsonRequest('/api/contact', body), context);
+  const newsletter = body => handleNewsletter(jsonRequest('/api/newsletter', body), context);
+  const reason = async response => (await response.json()).errors.antiSpam;
+
+  it('accepts a solved challenge once', async () => {
+    const antiSpam = await solvedChallenge();
+
+    assert.equal((await newsletter({ email: 'sara@example.com', antiSpam })).status, 202);
+    const again = await newsletter({ email: 'sara@example.com', antiSpam });
+
+    assert.equal(again.status, 403);
+    assert.equal(await reason(again), 'challenge_reused');
+    assert.equal(context.mailer.sent.length, 1);
+    assert.deepEqual((await context.store.list(REJECTION_COLLECTION)).map(entry => [entry.reason, entry.route]),
+      [['challenge_reused', 'newsletter']]);
+  });
+
+  it('lets only one of two simultaneous submissions spend a challenge', async () => {
+    const antiSpam = await solvedChallenge();
+    // Reads take a round trip, as they do against real storage
+    const { get } = context.store;
+    context.store.get = async (...args) => {
+      const record = await get(...args);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return record;
+    };
+
+    const responses = await Promise.all([
+      newsletter({ email: 'sara@example.com', antiSpam }),
+      newsletter({ email: 'omar@example.com', antiSpam })
+    ]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [202, 403]);
+    assert.equal(context.mailer.sent.length, 1);
+  });
+
+  it('rejects missing, forged, fresh and unsolved challenges', async () => {
+    const antiSpam = await solvedChallenge();
+    const [issuedAt, salt, , signature] = antiSpam.challenge.split('.');
+
+    assert.equal(await reason(await contact(MESSAGE)), 'challenge_missing');
+    assert.equal(await reason(await contact({
+      ...MESSAGE,
+      antiSpam: { ...antiSpam, challenge: [issuedAt, salt, 0, signature].join('.') }
+    })), 'challenge_invalid');
+    assert.equal(await reason(await contact({ ...MESSAGE, antiSpam: await solvedChallenge({ issuedAgo: 0 }) })), 'too_fast');
+    assert.equal(await reason(await contact({
+      ...MESSAGE,
+      antiSpam: await solvedChallenge({ issuedAgo: 25 * 60 * 60 * 1000 })
+    })), 'challenge_expired');
+    assert.equal(await reason(await contact({ ...MESSAGE, antiSpam: { ...antiSpam, nonce: 'x'.repeat(33) } })), 'pow_invalid');
+    assert.equal(await reason(await contact({ ...MESSAGE, website: 'https://spam.example' })), 'honeypot');
+  });
+
+  it('lets the offline queue replay a stored contact message', async () => {
+    const body = { ...MESSAGE, submissionId: SUBMISSION_ID.toUpperCase(), antiSpam: await solvedChallenge() };
+
+    assert.equal((await contact(body)).status, 201);
+    const replay = await contact(body);
+
+    assert.equal(replay.status, 201);
+    assert.deepEqual((await context.store.list(CONTACT_COLLECTION)).map(record => record.id), [SUBMISSION_ID]);
+  });
+
+  it('rejects reuse without the id of the stored message', async () => {
+    const antiSpam = await solvedChallenge();
+    assert.equal((await contact({ ...MESSAGE, submissionId: SUBMISSION_ID, antiSpam })).status, 201);
+
+    for (const submissionId of [undefined, '9b1d4e72-1c3a-4f5e-8d6b-7a2c0e9f1b48', 'x']) {
+      const response = await contact({ ...MESSAGE, submissionId, antiSpam });
+      assert.equal(response.status, 403, `submissionId ${submissionId}`);
+      assert.equal(await reason(response), 'challenge_reused');
+    }
+    assert.equal((await context.store.list(CONTACT_COLLECTION)).length, 1);
+  });
+
+  it('never lets a non-UUID id through, even on the first reuse', async () => {
+    const antiSpam = await solvedChallenge();
+    assert.equal((await contact({ ...MESSAGE, submissionId: 'x', antiSpam })).status, 201);
+
+    const response = await contact({ ...MESSAGE, submissionId: 'x', antiSpam });
+    assert.equal(response.status, 403);
+    assert.equal(await reason(response), 'challenge_reused');
+  });
+
+  it('rejects a replay whose first attempt was never stored', async () => {
+    const antiSpam = await solvedChallenge();
+    await context.store.put(USED_CHALLENGE_COLLECTION, antiSpam.challenge.split('.')[1], {
+      usedAt: new Date().toISOString(),
+      route: 'contact',
+      submissionId: SUBMISSION_ID
+    });
+
+    const response = await contact({ ...MESSAGE, submissionId: SUBMISSION_ID, antiSpam });
+    assert.equal(await reason(response), 'challenge_reused');
+  });
+
+  it('does not carry a challenge from one route to another', async () => {
+    const antiSpam = await solvedChallenge();
+    assert.equal((await contact({ ...MESSAGE, submissionId: SUBMISSION_ID, antiSpam })).status, 201);
+
+    const response = await newsletter({ email: 'sara@example.com', submissionId: SUBMISSION_ID, antiSpam });
+    assert.equal(response.status, 403);
+    assert.equal(await reason(response), 'challenge_reused');
+    assert.equal(context.mailer.sent.length, 0);
+
+    const other = await solvedChallenge();
+    assert.equal((await newsletter({ email: 'sara@example.com', submissionId: SUBMISSION_ID, antiSpam: other })).status, 202);
+    assert.equal(await reason(await contact({ ...MESSAGE, submissionId: SUBMISSION_ID, antiSpam: other })), 'challenge_reused');
+  });
+});
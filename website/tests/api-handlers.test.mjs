@@ -0,0 +1,281 @@
+// The shared API handlers (server/handlers) and the two ways they are served:
+// Cloudflare Pages Functions (functions/api) and the Node dev server. Status
+// codes, validation errors and what happens when storage or email fails.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { onRequest as pagesChallenge } from '../functions/api/challenge.js';
+import { onRequest as pagesContact } from '../functions/api/contact.js';
+import { onRequest as pagesNewsletter } from '../functions/api/newsletter/index.js';
+import { createDevServer } from '../server/dev-server.mjs';
+import { handleApplication } from '../server/handlers/applications.mjs';
+import { handleChallenge } from '../server/handlers/challenge.mjs';
+import { CONTACT_COLLECTION, handleContact } from '../server/handlers/contact.mjs';
+import { handleErrors } from '../server/handlers/errors.mjs';
+import { EVENTS_COLLECTION, EVENTS_RETENTION, handleEvents } from '../server/handlers/events.mjs';
+import { handleNewsletter } from '../server/handlers/newsletter.mjs';
+import { handleVitals } from '../server/handlers/vitals.mjs';
+import { createContext, jsonRequest, SITE_URL, solvedChallenge } from './helpers/api.mjs';
+
+const MESSAGE = {
+  firstName: 'Sara',
+  lastName: 'Alharbi',
+  email: 'sara@example.com',
+  inquiryType: 'technical',
+  subject: 'Scanned referrals',
+  message: 'Can AFHAM read scanned referral letters in Arabic?',
+  privacy: true,
+  language: 'en'
+};
+
+const INTERNAL_ERROR = 'Something went wrong on our side. Please try again later.';
+
+describe('API handlers', () => {
+  let context;
+
+  beforeEach(() => {
+    context = createContext();
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  const body = response => response.json();
+
+  it('allow only their method', async () => {
+    const handlers = [
+      [handleContact, '/api/contact', 'POST'],
+      [handleNewsletter, '/api/newsletter', 'POST'],
+      [handleApplication, '/api/applications/academy', 'POST'],
+      [handleEvents, '/api/events', 'POST'],
+      [handleErrors, '/api/errors', 'POST'],
+      [handleVitals, '/api/vitals', 'POST'],
+      [handleChallenge, '/api/challenge', 'GET']
+    ];
+
+    for (const [handler, pathname, allowed] of handlers) {
+      const method = allowed === 'GET' ? 'POST' : 'GET';
+      const response = await handler(jsonRequest(pathname, {}, { method }), context);
+      assert.equal(response.status, 405, pathname);
+      assert.equal(response.headers.get('Allow'), allowed, pathname);
+    }
+  });
+
+  it('accept only JSON objects', async () => {
+    const post = (text, contentType = 'application/json') => handleContact(new Request(`${SITE_URL}/api/contact`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: text
+    }), context);
+
+    assert.equal((await post('firstName=Sara', 'application/x-www-form-urlencoded')).status, 415);
+    assert.equal((await post('{"firstName":')).status, 400);
+    assert.deepEqual(await body(await post('[]')), {
+      success: false,
+      message: 'Request body must be a JSON object',
+      errors: {}
+    });
+  });
+
+  it('answer invalid contact messages with field errors and store nothing', async () => {
+    const response = await handleContact(jsonRequest('/api/contact', {
+      ...MESSAGE,
+      email: 'sara@',
+      inquiryType: 'partnership',
+      message: 'Hi'
+    }), context);
+
+    assert.equal(response.status, 422);
+    assert.deepEqual((await body(response)).errors, {
+      email: { key: 'email', params: {} },
+      organization: { key: 'requiredFor', params: { reason: 'partnership' } },
+      message: { key: 'minLength', params: { min: 10 } }
+    });
+    assert.deepEqual(await context.store.list(CONTACT_COLLECTION), []);
+  });
+
+  it('store a valid contact message and answer 201 with its id', async () => {
+    const response = await handleContact(jsonRequest('/api/contact', { ...MESSAGE, antiSpam: await solvedChallenge() }), context);
+    const { id } = await body(response);
+
+    assert.equal(response.status, 201);
+    const record = await context.store.get(CONTACT_COLLECTION, id);
+    assert.equal(record.email, 'sara@example.com');
+    assert.equal(record.newsletter, false);
+    assert.equal(context.mailer.sent.length, 0);
+  });
+
+  it('answer 500 without details when the store fails', async () => {
+    context.store.put = async () => {
+      throw new Error('KV write failed: quota exceeded');
+    };
+
+    const response = await handleContact(jsonRequest('/api/contact', { ...MESSAGE, antiSpam: await solvedChallenge() }), context);
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(await body(response), { success: false, message: INTERNAL_ERROR, errors: {} });
+    assert.equal(console.error.mock.calls[0].arguments[1].message, 'KV write failed: quota exceeded');
+  });
+
+  it('answer 500 when the confirmation email cannot be sent', async () => {
+    context.mailer.send = async () => {
+      throw new Error('Mail relay responded with 502');
+    };
+
+    const response = await handleNewsletter(jsonRequest('/api/newsletter', {
+      email: 'sara@example.com',
+      antiSpam: await solvedChallenge()
+    }), context);
+
+    assert.equal(response.status, 500);
+    assert.equal((await body(response)).message, INTERNAL_ERROR);
+  });
+
+  it('keep the contact message when only the newsletter email fails', async () => {
+    context.mailer.send = async () => {
+      throw new Error('Mail relay responded with 502');
+    };
+
+    const response = await handleContact(jsonRequest('/api/contact', {
+      ...MESSAGE,
+      newsletter: 'on',
+      antiSpam: await solvedChallenge()
+    }), context);
+
+    assert.equal(response.status, 500);
+    assert.equal((await context.store.list(CONTACT_COLLECTION)).length, 1);
+  });
+
+  it('issue challenges on GET /api/challenge', async () => {
+    const response = await handleChallenge(jsonRequest('/api/challenge', null, { method: 'GET' }), context);
+    const { challenge, difficulty } = await body(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(challenge.split('.').length, 4);
+    assert.equal(difficulty, 14);
+  });
+
+  it('validate analytics, error and vitals reports', async () => {
+    const events = await handleEvents(jsonRequest('/api/events', { events: [] }), context);
+    assert.equal(events.status, 422);
+    const tooMany = await handleEvents(jsonRequest('/api/events', { events: new Array(51).fill({}) }), context);
+    assert.equal(tooMany.status, 413);
+
+    const errors = await handleErrors(jsonRequest('/api/errors', { kind: 'oops' }), context);
+    assert.deepEqual((await body(errors)).errors, { kind: 'invalid', message: 'required' });
+
+    const vitals = await handleVitals(jsonRequest('/api/vitals', { page: '/', metrics: [{ name: 'LCP', value: -1 }] }), context);
+    assert.equal(vitals.status, 422);
+    assert.deepEqual((await body(vitals)).errors, { metrics: 'invalid' });
+  });
+
+  it('keep only catalog properties of analytics events, for 12 months', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const response = await handleEvents(jsonRequest('/api/events', {
+      events: [{
+        type: 'contactSubmitted',
+        props: { inquiry_type: 'business', organization: 'Riyadh Care Hospital', has_organization: true },
+        page: '/contact',
+        language: 'ar'
+      }]
+    }), context);
+
+    assert.equal(response.status, 202);
+    const [batch] = await context.store.list(EVENTS_COLLECTION);
+    assert.deepEqual(batch.events[0].props, { inquiry_type: 'business', has_organization: true });
+
+    mock.timers.tick(EVENTS_RETENTION + 1000);
+    assert.deepEqual(await context.store.list(EVENTS_COLLECTION), []);
+  });
+});
+
+describe('Pages Functions', () => {
+  let kv;
+  let env;
+
+  beforeEach(() => {
+    kv = new Map();
+    env = {
+      AFHAM_SUBMISSIONS: {
+        async get(key) {
+          return kv.has(key) ? JSON.parse(kv.get(key)) : null;
+        },
+        async put(key, value) {
+          kv.set(key, value);
+        },
+        async delete(key) {
+          kv.delete(key);
+        },
+        async list({ prefix }) {
+          return { keys: [...kv.keys()].filter(key => key.startsWith(prefix)).map(name => ({ name })), list_complete: true };
+        }
+      },
+      MAIL_API_URL: 'https://mail.example/send',
+      CHALLENGE_SECRET: 'pages-secret',
+      SITE_URL: 'https://afham.brainsait.io'
+    };
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('serve the handlers with KV and the environment', async () => {
+    const challenge = await pagesChallenge({ request: jsonRequest('/api/challenge', null, { method: 'GET' }), env });
+    assert.equal(challenge.status, 200);
+
+    const invalid = await pagesContact({ request: jsonRequest('/api/contact', { ...MESSAGE, email: '' }), env });
+    assert.equal(invalid.status, 422);
+
+    // Signed with the test secret, not CHALLENGE_SECRET
+    const forged = await pagesNewsletter({
+      request: jsonRequest('/api/newsletter', { email: 'sara@example.com', antiSpam: await solvedChallenge() }),
+      env
+    });
+    assert.equal(forged.status, 403);
+    assert.deepEqual([...kv.keys()].map(key => key.split(':')[0]), ['spam-rejection']);
+  });
+});
+
+describe('dev server', () => {
+  let server;
+  let origin;
+  let context;
+
+  beforeEach(async () => {
+    context = createContext();
+    server = createDevServer(context);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  it('routes API paths to the handlers, with or without a trailing slash', async () => {
+    const challenge = await fetch(`${origin}/api/challenge/`);
+    assert.equal(challenge.status, 200);
+    assert.equal(challenge.headers.get('Cache-Control'), 'no-store');
+
+    const contact = await fetch(`${origin}/api/contact`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...MESSAGE, antiSpam: await solvedChallenge() })
+    });
+    assert.equal(contact.status, 201);
+    assert.equal((await context.store.list(CONTACT_COLLECTION)).length, 1);
+  });
+
+  it('serves pages with the language hint and the 404 page for the rest', async () => {
+    const home = await fetch(`${origin}/`, { headers: { 'Accept-Language': 'ar-SA,ar;q=0.9' } });
+    assert.equal(home.status, 200);
+    assert.equal(home.headers.get('Vary'), 'Accept-Language');
+    assert.match(await home.text(), /<meta name="afham-accept-language" content="ar">/);
+
+    const missing = await fetch(`${origin}/server/env.mjs`);
+    assert.equal(missing.status, 404);
+    assert.match(missing.headers.get('Content-Type'), /^text\/html/);
+  });
+});
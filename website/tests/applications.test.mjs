@@ -0,0 +1,377 @@
+// Program applications on the community page: the multi-step wizard
+// (components/form-wizard.js) as used by components/application-wizard.js,
+// and the /api/applications/<program> handler.
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { handleApplication } from '../server/handlers/applications.mjs';
+import { createMemoryStore } from '../server/stores/memory-store.mjs';
+import { jsonResponse, loadPage, useGlobals, waitFor } from './helpers/page.mjs';
+
+const TODAY = Date.parse('2026-10-19T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+const APPLICANT = {
+  firstName: 'Noura',
+  lastName: 'Alqahtani',
+  email: 'noura@example.com',
+  organization: 'Riyadh Care Hospital',
+  jobTitle: 'Head of Health Informatics'
+};
+const MOTIVATION = 'We want to digitize scanned referrals and submit them straight to NPHIES.';
+
+describe('ApplicationWizardComponent', () => {
+  let page;
+  let restore;
+  let component;
+  let context;
+  let section;
+  let form;
+  let api;
+
+  async function mountWizard({ respond, storage, url } = {}) {
+    api = respond || (() => null);
+    page = await loadPage('community/index.html', {
+      url,
+      storage,
+      respond: (requestUrl, init) => {
+        // No proof of work in tests: the guard gives up and sends no token
+        if (requestUrl === '/api/challenge') return jsonResponse({ success: false, message: 'Unavailable' }, 503);
+        if (requestUrl === '/community/discussions.json') return null;
+        return api(requestUrl, init);
+      }
+    });
+    restore = useGlobals(page);
+    await page.site.i18n.load('en');
+    mock.method(console, 'error', () => {});
+
+    const { default: ApplicationWizardComponent } = await import('../assets/js/components/application-wizard.js');
+    section = page.document.querySelector('[data-component="application-wizard"]');
+    context = {
+      language: 'en',
+      analytics: { track: mock.fn() },
+      notifications: page.site.notifications
+    };
+    component = new ApplicationWizardComponent(section, context);
+    component.mount();
+    form = page.document.getElementById('applicationForm');
+  }
+
+  afterEach(() => {
+    component.unmount();
+    mock.timers.reset();
+    mock.restoreAll();
+    restore();
+    page.close();
+  });
+
+  const panel = () => section.querySelector('.program-application');
+  const activeStep = () => form.querySelector('fieldset.active').dataset.step;
+  const progress = () => [...section.querySelectorAll('.wizard-progress-step')].map(item => item.textContent);
+  const visible = selector => !section.querySelector(selector).closest('[hidden]');
+
+  function apply(program) {
+    section.querySelector(`[data-apply="${program}"]`).click();
+  }
+
+  // Typing, as far as the wizard's listeners can tell
+  function fill(values) {
+    Object.entries(values).forEach(([name, value]) => {
+      const field = form.elements.namedItem(name);
+      if (field.type === 'checkbox') field.checked = Boolean(value);
+      else field.value = value;
+      field.dispatchEvent(new page.window.Event(field.tagName === 'SELECT' || field.type === 'checkbox' ? 'change' : 'input', { bubbles: true }));
+    });
+  }
+
+  function errorText(name) {
+    const error = form.elements.namedItem(name).parentNode.querySelector('.field-error');
+    return error ? error.textContent : null;
+  }
+
+  function next() {
+    form.querySelector('[data-wizard-next]').click();
+  }
+
+  async function submit() {
+    const button = form.querySelector('button[type="submit"]');
+    form.dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+    await waitFor(() => !button.disabled);
+  }
+
+  function completePartnership() {
+    apply('partnership');
+    fill(APPLICANT);
+    next();
+    fill({ facilityType: 'hospital', nphiesStatus: 'onboarded', nphiesProviderId: 'PR-10234' });
+    next();
+    fill({ motivation: MOTIVATION });
+    next();
+  }
+
+  describe('steps', () => {
+    it('opens the program\'s application from its card', async () => {
+      await mountWizard();
+      assert.equal(panel().hidden, true);
+
+      apply('academy');
+
+      assert.equal(panel().hidden, false);
+      assert.equal(section.querySelector('.program-application-title').textContent, 'Apply to the Healthcare AI Academy');
+      assert.equal(form.elements.namedItem('program').value, 'academy');
+      assert.deepEqual(progress(), ['About you', 'Your learning goals', 'Why you\'re applying', 'Review and submit']);
+      assert.equal(activeStep(), 'applicant');
+      assert.equal(page.document.activeElement, section.querySelector('.program-application-title'));
+    });
+
+    it('only moves on once the step is valid', async () => {
+      await mountWizard();
+      apply('ambassador');
+
+      next();
+      assert.equal(activeStep(), 'applicant');
+      ['firstName', 'lastName', 'email', 'jobTitle'].forEach(name => {
+        assert.equal(errorText(name), 'This field is required', name);
+      });
+      assert.equal(errorText('phone'), null);
+      assert.equal(page.document.activeElement, form.elements.namedItem('firstName'));
+
+      fill(APPLICANT);
+      next();
+      assert.equal(activeStep(), 'developer');
+      assert.equal(page.document.activeElement.textContent, 'Your developer profile');
+      assert.equal(section.querySelector('[aria-current="step"]').textContent, 'Your developer profile');
+      assert.ok(section.querySelector('.wizard-progress-step').classList.contains('complete'));
+
+      fill({ githubProfile: 'github.com/noura', developerFocus: 'ios' });
+      next();
+      assert.equal(errorText('githubProfile'), 'Please enter a full web address, starting with https://');
+
+      form.querySelector('[data-wizard-back]').click();
+      assert.equal(activeStep(), 'applicant');
+    });
+
+    it('asks hospitals about their facility and NPHIES onboarding', async () => {
+      await mountWizard();
+      apply('partnership');
+
+      assert.deepEqual(progress(), ['About you', 'Your facility', 'Why you\'re applying', 'Review and submit']);
+      const organizationLabel = [...form.querySelector('label[for="applicationOrganization"]').children].filter(span => !span.hidden);
+      assert.deepEqual(organizationLabel.map(span => span.textContent), ['Facility name *']);
+
+      fill(APPLICANT);
+      next();
+      assert.equal(activeStep(), 'facility');
+      assert.equal(visible('#applicationNphiesProviderId'), false);
+
+      fill({ facilityType: 'hospital', nphiesStatus: 'onboarded' });
+      assert.equal(visible('#applicationNphiesProviderId'), true);
+      next();
+      assert.equal(errorText('nphiesProviderId'), 'This field is required for facilities already on NPHIES');
+
+      fill({ nphiesStatus: 'not-started' });
+      assert.equal(visible('#applicationNphiesProviderId'), false);
+      next();
+      assert.equal(activeStep(), 'statement');
+    });
+
+    it('requires the facility name from partners only', async () => {
+      await mountWizard();
+      apply('partnership');
+      fill({ ...APPLICANT, organization: '' });
+      next();
+      assert.equal(errorText('organization'), 'This field is required');
+
+      apply('academy');
+      fill({ ...APPLICANT, organization: '' });
+      next();
+      assert.equal(activeStep(), 'learning');
+    });
+
+    it('shows what will be sent on the review step', async () => {
+      await mountWizard();
+      completePartnership();
+
+      assert.equal(activeStep(), 'review');
+      const sections = [...section.querySelectorAll('.wizard-review-step')];
+      assert.deepEqual(sections.map(item => item.querySelector('h4').textContent), ['About you', 'Your facility', 'Why you\'re applying']);
+
+      const facility = Object.fromEntries([...sections[1].querySelectorAll('dt')]
+        .map(term => [term.textContent, term.nextElementSibling.textContent]));
+      assert.deepEqual(facility, {
+        'Facility type': 'Hospital',
+        'NPHIES onboarding status': 'Already live on NPHIES',
+        'NPHIES provider ID': 'PR-10234'
+      });
+      assert.equal(sections[0].querySelector('dt').textContent, 'First name');
+
+      sections[1].querySelector('[data-wizard-edit]').click();
+      assert.equal(activeStep(), 'facility');
+    });
+  });
+
+  describe('drafts', () => {
+    it('saves progress as the visitor types, without consent or the spam trap', async () => {
+      await mountWizard();
+      mock.timers.enable({ apis: ['Date'], now: TODAY });
+      apply('partnership');
+      fill(APPLICANT);
+      next();
+      fill({ website: 'spam', privacy: true });
+
+      const draft = JSON.parse(page.window.localStorage.getItem('afham-application-partnership'));
+      assert.equal(draft.savedAt, TODAY);
+      assert.equal(draft.step, 'facility');
+      assert.equal(draft.values.email, APPLICANT.email);
+      assert.equal('privacy' in draft.values, false);
+      assert.equal('website' in draft.values, false);
+    });
+
+    it('picks up a draft where it was left', async () => {
+      await mountWizard({
+        storage: {
+          'afham-application-partnership': {
+            savedAt: TODAY - 5 * MINUTE,
+            step: 'facility',
+            values: { ...APPLICANT, program: 'academy', nphiesStatus: 'onboarded' }
+          }
+        }
+      });
+      mock.timers.enable({ apis: ['Date'], now: TODAY });
+      apply('partnership');
+
+      assert.equal(activeStep(), 'facility');
+      assert.equal(form.elements.namedItem('program').value, 'partnership');
+      assert.equal(form.elements.namedItem('firstName').value, 'Noura');
+      assert.equal(visible('#applicationNphiesProviderId'), true);
+      assert.equal(section.querySelector('.wizard-draft-notice').hidden, false);
+      assert.equal(section.querySelector('.wizard-draft-message').textContent, 'We restored the draft you saved 5 minutes ago.');
+
+      section.querySelector('[data-wizard-discard]').click();
+      assert.equal(activeStep(), 'applicant');
+      assert.equal(form.elements.namedItem('firstName').value, '');
+      assert.equal(section.querySelector('.wizard-draft-notice').hidden, true);
+      assert.equal(page.window.localStorage.getItem('afham-application-partnership'), null);
+    });
+
+    it('keeps one draft per program', async () => {
+      await mountWizard();
+      apply('academy');
+      fill({ firstName: 'Noura' });
+      apply('ambassador');
+
+      assert.equal(form.elements.namedItem('firstName').value, '');
+      apply('academy');
+      assert.equal(form.elements.namedItem('firstName').value, 'Noura');
+    });
+
+    it('opens the application named in the address', async () => {
+      await mountWizard({ url: 'https://afham.brainsait.io/community/#apply-ambassador' });
+      assert.equal(panel().hidden, false);
+      assert.equal(form.elements.namedItem('program').value, 'ambassador');
+    });
+  });
+
+  describe('submission', () => {
+    it('posts the visible answers to the program\'s endpoint', async () => {
+      await mountWizard({ respond: () => jsonResponse({ success: true, message: 'Application received', id: 'a1' }, 201) });
+      completePartnership();
+      fill({ privacy: true });
+
+      await submit();
+
+      const [request] = page.requests.filter(item => item.url === '/api/applications/partnership');
+      assert.deepEqual(JSON.parse(request.body), {
+        program: 'partnership',
+        ...APPLICANT,
+        phone: '',
+        facilityType: 'hospital',
+        nphiesStatus: 'onboarded',
+        nphiesProviderId: 'PR-10234',
+        motivation: MOTIVATION,
+        privacy: true,
+        website: '',
+        language: 'en',
+        antiSpam: null
+      });
+      assert.equal(form.hidden, true);
+      assert.equal(section.querySelector('.program-application .form-success').hidden, false);
+      assert.equal(page.window.localStorage.getItem('afham-application-partnership'), null);
+      assert.deepEqual(context.analytics.track.mock.calls[0].arguments, ['applicationSubmitted', { program: 'partnership' }]);
+    });
+
+    it('needs consent before sending', async () => {
+      await mountWizard();
+      completePartnership();
+
+      await submit();
+
+      assert.equal(errorText('privacy'), 'You must agree to the Privacy Policy');
+      assert.equal(page.requests.filter(item => item.url.startsWith('/api/applications')).length, 0);
+    });
+
+    it('keeps the spam-protection token until the application goes out', async () => {
+      await mountWizard({ respond: () => jsonResponse({ success: true, message: 'Application received', id: 'a1' }, 201) });
+      const reset = mock.method(component.guard, 'reset', () => {});
+      mock.method(component.guard, 'token', async () => ({ challenge: 'solved', nonce: '1' }));
+      completePartnership();
+
+      await submit();
+      assert.equal(reset.mock.calls.length, 0, 'missing consent does not spend it');
+
+      fill({ privacy: true });
+      await submit();
+      const [request] = page.requests.filter(item => item.url === '/api/applications/partnership');
+      assert.deepEqual(JSON.parse(request.body).antiSpam, { challenge: 'solved', nonce: '1' });
+      assert.equal(reset.mock.calls.length, 1);
+    });
+
+    it('takes the visitor back to fields the server rejected', async () => {
+      await mountWizard({
+        respond: () => jsonResponse({
+          success: false,
+          message: 'Please fix the validation errors',
+          errors: { email: { key: 'email' } }
+        }, 422)
+      });
+      completePartnership();
+      fill({ privacy: true });
+
+      await submit();
+
+      assert.equal(activeStep(), 'applicant');
+      assert.equal(errorText('email'), 'Please enter a valid email address');
+      assert.equal(form.hidden, false);
+      assert.ok(page.window.localStorage.getItem('afham-application-partnership'));
+    });
+  });
+});
+
+describe('POST /api/applications/<program>', () => {
+  function post(program, body) {
+    return handleApplication(new Request(`https://afham.brainsait.io/api/applications/${program}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), { store: createMemoryStore(), challengeSecret: 'test-secret' });
+  }
+
+  it('knows only the community programs', async () => {
+    const response = await post('internship', {});
+    assert.equal(response.status, 404);
+  });
+
+  it('validates against the program\'s schema', async () => {
+    const response = await post('partnership', {
+      ...APPLICANT,
+      facilityType: 'hospital',
+      nphiesStatus: 'onboarded',
+      motivation: MOTIVATION
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(Object.keys(body.errors).sort(), ['nphiesProviderId', 'privacy']);
+    assert.deepEqual(body.errors.nphiesProviderId, { key: 'requiredFor', params: { reason: 'onboarded' } });
+  });
+});
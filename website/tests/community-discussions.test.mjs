@@ -0,0 +1,179 @@
+// Featured discussions: the feed built from GitHub's GraphQL response
+// (scripts/build-discussions-feed.mjs) and the discussions component on the
+// community page, with its category filter and cache.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { excerpt, toDiscussionsFeed } from '../scripts/build-discussions-feed.mjs';
+import { SITE_ROOT, jsonResponse, loadPage, useGlobals } from './helpers/page.mjs';
+
+const RESPONSE = JSON.parse(readFileSync(path.join(SITE_ROOT, 'tests/fixtures/github-discussions.json'), 'utf8'));
+const TODAY = Date.parse('2026-10-19T12:00:00Z');
+const FEED = toDiscussionsFeed(RESPONSE, { generatedAt: TODAY });
+const MINUTE = 60 * 1000;
+
+describe('discussions feed', () => {
+  it('keeps the site\'s categories, most recently active first', () => {
+    assert.deepEqual(FEED.discussions.map(discussion => [discussion.number, discussion.category]),
+      [[152, 'nphies'], [149, 'arabic-nlp'], [147, 'fhir'], [140, 'ios']]);
+    assert.equal(FEED.url, 'https://github.com/brainsait/afham/discussions');
+    assert.equal(FEED.generatedAt, '2026-10-19T12:00:00.000Z');
+  });
+
+  it('records answers only where a category takes them', () => {
+    const answered = Object.fromEntries(FEED.discussions.map(discussion => [discussion.number, discussion.answered]));
+    assert.deepEqual(answered, { 152: true, 149: false, 147: true, 140: null });
+  });
+
+  it('counts replies and stands in for deleted accounts', () => {
+    const ios = FEED.discussions.find(discussion => discussion.number === 140);
+    assert.equal(ios.replies, 4);
+    assert.equal(ios.upvotes, 1);
+    assert.equal(ios.author.login, 'ghost');
+  });
+
+  it('cuts long bodies at a word', () => {
+    const fhir = FEED.discussions.find(discussion => discussion.number === 147);
+    assert.ok(fhir.excerpt.length <= 181);
+    assert.ok(fhir.excerpt.endsWith('…'));
+    assert.equal(excerpt('Two\n\nparagraphs'), 'Two paragraphs');
+  });
+
+  it('fails on GraphQL errors', () => {
+    assert.throws(() => toDiscussionsFeed({ errors: [{ message: 'Bad credentials' }] }), /Bad credentials/);
+    assert.throws(() => toDiscussionsFeed({ data: { repository: null } }), /repository not found/);
+  });
+});
+
+describe('DiscussionsComponent', () => {
+  let page;
+  let restore;
+  let component;
+  let context;
+  let section;
+
+  async function mountDiscussions({ respond, storage } = {}) {
+    page = await loadPage('community/index.html', {
+      storage,
+      respond: respond || (url => url === '/community/discussions.json' ? jsonResponse(FEED) : null)
+    });
+    restore = useGlobals(page);
+    await page.site.i18n.load('en');
+
+    const { default: DiscussionsComponent } = await import('../assets/js/components/discussions.js');
+    section = page.document.getElementById('discussions');
+    context = { language: 'en', calendar: 'gregorian', analytics: { track: mock.fn() } };
+    component = new DiscussionsComponent(section, context);
+    await component.mount();
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: TODAY });
+  });
+
+  afterEach(() => {
+    component.unmount();
+    mock.timers.reset();
+    mock.restoreAll();
+    restore();
+    page.close();
+  });
+
+  const titles = () => [...section.querySelectorAll('.discussion-card h3')].map(h3 => h3.textContent);
+  const filters = () => [...section.querySelectorAll('.discussion-filter')];
+  const feedRequests = () => page.requests.filter(request => request.url === '/community/discussions.json').length;
+
+  it('shows category, answer, replies and when each discussion was last active', async () => {
+    await mountDiscussions();
+
+    assert.equal(titles().length, 4);
+    const [nphies] = section.querySelectorAll('.discussion-card');
+    assert.equal(nphies.querySelector('.discussion-tag').textContent, 'NPHIES');
+    assert.equal(nphies.querySelector('.discussion-answer').textContent, 'Answered');
+    assert.match(nphies.querySelector('.discussion-stats').textContent, /9 replies/);
+    assert.equal(nphies.querySelector('.discussion-time').textContent, '3 hours ago');
+    assert.equal(nphies.querySelector('.discussion-link').href, 'https://github.com/brainsait/afham/discussions/152');
+
+    // No answer badge outside Q&A categories, no avatar for deleted accounts
+    const ios = section.querySelectorAll('.discussion-card')[3];
+    assert.equal(ios.querySelector('.discussion-answer'), null);
+    assert.equal(ios.querySelector('img'), null);
+    assert.equal(ios.querySelector('.discussion-time').textContent, '4 weeks ago');
+
+    assert.equal(section.querySelector('.discussions-status').textContent, 'Showing 4 discussions');
+  });
+
+  it('filters by category', async () => {
+    await mountDiscussions();
+
+    assert.deepEqual(filters().map(button => button.textContent), ['All', 'FHIR', 'NPHIES', 'Arabic NLP', 'iOS']);
+    assert.equal(section.querySelector('.discussion-filters').hidden, false);
+
+    filters()[1].click();
+
+    assert.deepEqual(titles(), ['FHIR R4 DocumentReference or Binary for extracted PDFs?']);
+    assert.deepEqual(filters().map(button => button.getAttribute('aria-pressed')), ['false', 'true', 'false', 'false', 'false']);
+    assert.equal(section.querySelector('.discussions-status').textContent, 'Showing 1 discussion');
+    assert.deepEqual(context.analytics.track.mock.calls[0].arguments, ['discussionFilter', { category: 'fhir' }]);
+
+    filters()[0].click();
+    assert.equal(titles().length, 4);
+  });
+
+  it('renders again in Arabic', async () => {
+    await mountDiscussions();
+    await page.site.i18n.setLocale('ar');
+    context.language = 'ar';
+    component.onLanguageChange({ language: 'ar', rtl: true });
+
+    const [nphies, arabicNlp] = section.querySelectorAll('.discussion-card');
+    assert.equal(nphies.querySelector('.discussion-tag').textContent, 'نفيس');
+    assert.equal(nphies.querySelector('.discussion-time').textContent, 'قبل ٣ ساعات');
+    assert.equal(arabicNlp.querySelector('.discussion-answer').textContent, 'بانتظار إجابة');
+    assert.equal(filters()[0].textContent, 'الكل');
+  });
+
+  it('serves a fresh cached feed without fetching it again', async () => {
+    await mountDiscussions({
+      storage: { 'afham-discussions': { savedAt: TODAY - 10 * MINUTE, feed: FEED } }
+    });
+
+    assert.equal(feedRequests(), 0);
+    assert.equal(titles().length, 4);
+  });
+
+  it('shows a stale cached feed, then the new one', async () => {
+    const stale = { ...FEED, discussions: FEED.discussions.slice(0, 1) };
+    await mountDiscussions({
+      storage: { 'afham-discussions': { savedAt: TODAY - 60 * MINUTE, feed: stale } }
+    });
+
+    assert.equal(feedRequests(), 1);
+    assert.equal(titles().length, 4);
+    const cached = JSON.parse(page.window.localStorage.getItem('afham-discussions'));
+    assert.equal(cached.savedAt, TODAY);
+    assert.equal(cached.feed.discussions.length, 4);
+  });
+
+  it('keeps a stale copy when the feed cannot be loaded', async () => {
+    mock.method(console, 'warn', () => {});
+    await mountDiscussions({
+      respond: () => null,
+      storage: { 'afham-discussions': { savedAt: TODAY - 60 * MINUTE, feed: FEED } }
+    });
+
+    assert.equal(titles().length, 4);
+    assert.equal(section.querySelector('.discussions-status').textContent, 'Showing 4 discussions');
+  });
+
+  it('says so when there is nothing to show', async () => {
+    mock.method(console, 'warn', () => {});
+    await mountDiscussions({ respond: () => null });
+
+    assert.equal(section.querySelector('.discussions-status').textContent, page.site.t('community.discussions.loadFailed'));
+    assert.equal(section.querySelector('.discussion-card'), null);
+    assert.equal(section.querySelector('.discussion-filters').hidden, true);
+  });
+});
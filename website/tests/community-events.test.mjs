@@ -0,0 +1,216 @@
+// Community events: splitting into upcoming and past, calendar exports
+// (community.js) and the events component on the community page.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { SITE_ROOT, jsonResponse, loadPage, useGlobals } from './helpers/page.mjs';
+
+// A visitor outside Saudi Arabia, so both local and Riyadh times show
+process.env.TZ = 'Europe/London';
+
+const EVENTS = JSON.parse(readFileSync(path.join(SITE_ROOT, 'community/events.json'), 'utf8')).events;
+const TODAY = Date.parse('2026-10-19T12:00:00Z');
+const byId = id => EVENTS.find(event => event.id === id);
+
+describe('community events data', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage('community/index.html');
+  });
+
+  afterEach(() => page.close());
+
+  it('splits events into upcoming, soonest first, and past, latest first', () => {
+    const { upcoming, past } = page.site.splitEvents(EVENTS, TODAY);
+
+    assert.deepEqual(Array.from(upcoming, event => event.id),
+      ['nphies-claims-clinic-2026', 'arabic-ocr-office-hours-2026', 'saudi-health-ai-conference-2026']);
+    assert.deepEqual(Array.from(past, event => event.id),
+      ['saudi-health-ai-conference-2025', 'fhir-integration-workshop-2025', 'healthcare-ai-webinar-2025']);
+  });
+
+  it('keeps an event upcoming while it is happening', () => {
+    const clinic = byId('nphies-claims-clinic-2026');
+    const during = Date.parse('2026-11-12T13:30:00Z');
+
+    assert.equal(page.site.eventStatus(clinic, during), 'live');
+    assert.equal(page.site.splitEvents(EVENTS, during).upcoming[0].id, clinic.id);
+    assert.equal(page.site.eventStatus(clinic, Date.parse('2026-11-12T14:00:00Z')), 'past');
+  });
+
+  it('leaves out entries it cannot show', () => {
+    const broken = [{ id: 'no-title', start: '2026-11-01T10:00:00+03:00' }, { id: 'bad-date', title: { en: 'x' }, start: 'soon' }];
+    const { upcoming, past } = page.site.splitEvents([...broken, byId('nphies-claims-clinic-2026')], TODAY);
+
+    assert.equal(upcoming.length + past.length, 1);
+  });
+
+  it('writes an iCalendar file in UTC', () => {
+    const ics = page.site.eventToICS(byId('saudi-health-ai-conference-2026'), { now: new Date(TODAY) });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('UID:saudi-health-ai-conference-2026@afham.brainsait.io'));
+    assert.ok(lines.includes('DTSTAMP:20261019T120000Z'));
+    assert.ok(lines.includes('DTSTART:20261208T060000Z'));
+    assert.ok(lines.includes('DTEND:20261209T140000Z'));
+    assert.ok(lines.includes('SUMMARY:Saudi Health AI Conference 2026'));
+    assert.ok(lines.includes('LOCATION:Riyadh Front Exhibition & Conference Center'));
+    // Folded at 75 octets
+    assert.match(ics, /\r\nDESCRIPTION:Meet the AFHAM team at our booth and join the live demo of docu\r\n ment analysis/);
+  });
+
+  it('escapes iCalendar text and folds long Arabic lines by octets', () => {
+    const event = {
+      ...byId('nphies-claims-clinic-2026'),
+      location: { en: 'Hall 3; Room 2, West Wing', ar: 'عبر الإنترنت' }
+    };
+    const english = page.site.eventToICS(event);
+    assert.match(english, /\r\nLOCATION:Hall 3\\; Room 2\\, West Wing\r\n/);
+
+    const arabic = page.site.eventToICS(event, { language: 'ar' });
+    assert.match(arabic, /\r\nSUMMARY:عيادة مطالبات نفيس\r\n/);
+    arabic.split('\r\n').forEach(line => {
+      assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `${Buffer.byteLength(line, 'utf8')} octets: ${line}`);
+    });
+    // Unfolding gives back the original description
+    const unfolded = arabic.replace(/\r\n /g, '');
+    assert.ok(unfolded.includes(`DESCRIPTION:${event.description.ar.replace(/,/g, '\\,')}\\n\\n${event.registrationUrl}`));
+  });
+
+  it('links to Google Calendar and Outlook with the event filled in', () => {
+    const event = byId('arabic-ocr-office-hours-2026');
+
+    const google = new URL(page.site.googleCalendarUrl(event, 'ar'));
+    assert.equal(google.origin + google.pathname, 'https://calendar.google.com/calendar/render');
+    assert.equal(google.searchParams.get('action'), 'TEMPLATE');
+    assert.equal(google.searchParams.get('text'), event.title.ar);
+    assert.equal(google.searchParams.get('dates'), '20261126T160000Z/20261126T170000Z');
+
+    const outlook = new URL(page.site.outlookCalendarUrl(event));
+    assert.equal(outlook.searchParams.get('subject'), event.title.en);
+    assert.equal(outlook.searchParams.get('startdt'), '2026-11-26T16:00:00.000Z');
+    assert.equal(outlook.searchParams.get('enddt'), '2026-11-26T17:00:00.000Z');
+    assert.equal(outlook.searchParams.get('location'), 'Online');
+  });
+});
+
+describe('EventsComponent', () => {
+  let page;
+  let restore;
+  let component;
+  let context;
+  let section;
+
+  async function mountEvents({ respond } = {}) {
+    page = await loadPage('community/index.html', {
+      respond: respond || (url => url === '/community/events.json' ? jsonResponse({ version: 1, events: EVENTS }) : null)
+    });
+    restore = useGlobals(page);
+    await page.site.i18n.load('en');
+
+    const { default: EventsComponent } = await import('../assets/js/components/events.js');
+    section = page.document.getElementById('events');
+    context = { language: 'en', calendar: 'gregorian', analytics: { track: mock.fn() } };
+    component = new EventsComponent(section, context);
+    await component.mount();
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: TODAY });
+  });
+
+  afterEach(() => {
+    component.unmount();
+    mock.timers.reset();
+    mock.restoreAll();
+    restore();
+    page.close();
+  });
+
+  const titles = list => [...section.querySelectorAll(`[data-events="${list}"] .event-card h3`)].map(h3 => h3.textContent);
+  const card = id => page.document.getElementById(`event-${id}`);
+
+  it('lists upcoming and past events', async () => {
+    await mountEvents();
+
+    assert.deepEqual(titles('upcoming'), ['NPHIES Claims Clinic', 'Arabic OCR Office Hours', 'Saudi Health AI Conference 2026']);
+    assert.deepEqual(titles('past'), ['Saudi Health AI Conference 2025', 'Developer Workshop: FHIR Integration', 'AFHAM Healthcare AI Webinar']);
+    assert.equal(section.querySelector('.events-status').hidden, true);
+  });
+
+  it('counts down and shows the visitor\'s time next to Riyadh time', async () => {
+    await mountEvents();
+    const clinic = card('nphies-claims-clinic-2026');
+
+    assert.equal(clinic.querySelector('.event-countdown').textContent, 'Starts in 24 days, 1 hour');
+    // Intl puts narrow and thin spaces around times and ranges
+    const times = [...clinic.querySelectorAll('.event-time')].map(time => time.textContent.replace(/\s/g, ' '));
+    assert.deepEqual(times, ['Your time:Nov 12, 2026, 1:00 – 2:00 PM GMT', 'Riyadh time:Nov 12, 2026, 4:00 – 5:00 PM GMT+3']);
+    assert.equal(clinic.querySelector('.event-date .day').textContent, '12');
+  });
+
+  it('offers calendar downloads and links for upcoming events', async () => {
+    await mountEvents();
+    const links = card('nphies-claims-clinic-2026').querySelectorAll('[data-calendar-export]');
+
+    assert.deepEqual([...links].map(link => link.dataset.calendarExport), ['ics', 'google', 'outlook']);
+    const [ics, google] = links;
+    assert.equal(ics.getAttribute('download'), 'nphies-claims-clinic-2026.ics');
+    assert.match(decodeURIComponent(ics.href.replace(/^data:text\/calendar;charset=utf-8,/, '')), /^BEGIN:VCALENDAR\r\n/);
+    assert.equal(google.target, '_blank');
+    assert.equal(card('nphies-claims-clinic-2026').querySelector('.btn-primary').href, byId('nphies-claims-clinic-2026').registrationUrl);
+
+    google.click();
+    assert.deepEqual(context.analytics.track.mock.calls[0].arguments,
+      ['calendarExport', { event_id: 'nphies-claims-clinic-2026', calendar: 'google' }]);
+  });
+
+  it('links past events to their recordings', async () => {
+    await mountEvents();
+
+    const webinar = card('healthcare-ai-webinar-2025');
+    assert.equal(webinar.querySelector('a').href, byId('healthcare-ai-webinar-2025').recordingUrl);
+    assert.equal(webinar.querySelector('.event-countdown'), null);
+    assert.equal(webinar.querySelector('[data-calendar-export]'), null);
+    assert.equal(card('saudi-health-ai-conference-2025').querySelector('.event-no-recording').textContent, 'No recording available');
+  });
+
+  it('renders again in Arabic', async () => {
+    await mountEvents();
+    await page.site.i18n.setLocale('ar');
+    context.language = 'ar';
+    component.onLanguageChange({ language: 'ar', rtl: true });
+
+    const clinic = card('nphies-claims-clinic-2026');
+    assert.equal(clinic.querySelector('h3').textContent, 'عيادة مطالبات نفيس');
+    assert.equal(clinic.querySelector('.event-countdown').textContent, 'تبدأ خلال ٢٤ يومًا وساعة');
+    assert.match(clinic.querySelector('.event-date .day').textContent, /^[٠-٩]+$/);
+    assert.match(clinic.querySelector('.event-details').textContent, /العربية/);
+  });
+
+  it('moves an event along as it starts and ends', async () => {
+    await mountEvents();
+
+    // 24 days later, a minute after the clinic started
+    mock.timers.tick(Date.parse('2026-11-12T13:01:00Z') - TODAY);
+    const clinic = card('nphies-claims-clinic-2026');
+    assert.equal(clinic.querySelector('.event-countdown').textContent, 'Happening now');
+    assert.ok(clinic.classList.contains('event-live'));
+
+    mock.timers.tick(60 * 60 * 1000);
+    assert.equal(titles('past')[0], 'NPHIES Claims Clinic');
+    assert.equal(titles('upcoming')[0], 'Arabic OCR Office Hours');
+  });
+
+  it('says so when the events cannot be loaded', async () => {
+    mock.method(console, 'warn', () => {});
+    await mountEvents({ respond: () => null });
+
+    assert.equal(section.querySelector('.events-status').textContent, page.site.t('community.events.loadFailed'));
+    assert.equal(section.querySelector('.event-card'), null);
+  });
+});
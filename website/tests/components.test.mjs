@@ -0,0 +1,62 @@
+// The component registry (components.js): mounting data-component elements
+// as they come and go, and forwarding language changes until stopped.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { loadPage } from './helpers/page.mjs';
+
+describe('ComponentRegistry', () => {
+  let page;
+  let registry;
+  let seen;
+
+  beforeEach(async () => {
+    page = await loadPage('index.html');
+    seen = [];
+    class Probe {
+      mount() {
+        seen.push('mount');
+      }
+
+      unmount() {
+        seen.push('unmount');
+      }
+
+      onLanguageChange({ language }) {
+        seen.push(language);
+      }
+    }
+
+    page.document.body.insertAdjacentHTML('beforeend', '<div data-component="probe"></div>');
+    registry = new page.site.ComponentRegistry({}, {
+      modules: { probe: 'probe.js' },
+      load: () => ({ default: Probe })
+    });
+    await registry.start();
+  });
+
+  afterEach(() => {
+    registry.stop();
+    page.close();
+  });
+
+  const changeLanguage = language => page.document.dispatchEvent(new page.window.CustomEvent('languageChanged', {
+    detail: { language, rtl: language === 'ar' }
+  }));
+
+  it('forwards language changes until stopped', () => {
+    changeLanguage('ar');
+    registry.stop();
+    changeLanguage('en');
+
+    assert.deepEqual(seen, ['mount', 'ar', 'unmount']);
+  });
+
+  it('listens once however often it is restarted', async () => {
+    registry.stop();
+    await registry.start();
+    changeLanguage('ar');
+
+    assert.deepEqual(seen, ['mount', 'unmount', 'mount', 'ar']);
+  });
+});
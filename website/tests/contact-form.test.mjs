@@ -0,0 +1,455 @@
+// The contact page's forms: validation messages in both languages, phone
+// formatting, the character counter and submission to a mocked API.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { jsonResponse, loadPage, useGlobals, waitFor } from './helpers/page.mjs';
+
+const VALID_MESSAGE = {
+  firstName: 'Sara',
+  lastName: 'Alharbi',
+  email: 'sara@example.com',
+  inquiryType: 'technical',
+  subject: 'Arabic OCR',
+  message: 'Scanned referrals come out garbled.'
+};
+
+describe('ContactFormComponent', () => {
+  let page;
+  let restore;
+  let component;
+  let context;
+  let form;
+  let api;
+
+  async function mountForm({ respond, maxLength } = {}) {
+    api = respond || (() => null);
+    page = await loadPage('contact.html', {
+      respond: (url, init) => {
+        // No proof of work in tests: the guard gives up and sends no token
+        if (url === '/api/challenge') return jsonResponse({ success: false, message: 'Unavailable' }, 503);
+        return api(url, init);
+      }
+    });
+    restore = useGlobals(page);
+    await page.site.i18n.load('en');
+    // Failed submissions are logged as well as shown
+    mock.method(console, 'error', () => {});
+
+    const { default: ContactFormComponent } = await import('../assets/js/components/contact-form.js');
+    if (maxLength) page.document.getElementById('message').setAttribute('maxlength', String(maxLength));
+
+    context = {
+      language: 'en',
+      analytics: { track: mock.fn() },
+      notifications: page.site.notifications
+    };
+    component = new ContactFormComponent(page.document.querySelector('[data-component="contact-form"]'), context);
+    component.mount();
+    form = page.document.getElementById('contactForm');
+  }
+
+  afterEach(() => {
+    component.unmount();
+    mock.restoreAll();
+    restore();
+    page.close();
+  });
+
+  function fill(values) {
+    Object.entries(values).forEach(([name, value]) => {
+      const field = form.elements.namedItem(name);
+      if (field.type === 'checkbox') field.checked = Boolean(value);
+      else field.value = value;
+    });
+  }
+
+  function errorText(name) {
+    const error = form.elements.namedItem(name).parentNode.querySelector('.field-error');
+    return error ? error.textContent : null;
+  }
+
+  function toasts(type) {
+    return [...page.document.querySelectorAll(`.toast-${type} .toast-message`)].map(message => message.textContent);
+  }
+
+  // Submit the way the browser does and wait for the button to come back
+  async function submit() {
+    const button = form.querySelector('button[type="submit"]');
+    form.dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+    await waitFor(() => !button.disabled);
+  }
+
+  describe('validation', () => {
+    beforeEach(() => mountForm());
+
+    it('flags every missing required field', async () => {
+      await submit();
+
+      ['firstName', 'lastName', 'email', 'inquiryType', 'subject', 'message'].forEach(name => {
+        assert.equal(errorText(name), 'This field is required', name);
+      });
+      const email = form.elements.namedItem('email');
+      assert.equal(email.getAttribute('aria-invalid'), 'true');
+      assert.equal(email.getAttribute('aria-describedby'), 'email-error');
+      assert.deepEqual(toasts('error'), ['Please fix the highlighted fields and try again']);
+      assert.equal(page.requests.filter(request => request.url === '/api/contact').length, 0);
+    });
+
+    it('checks a field when it loses focus and clears the error on input', () => {
+      const email = form.elements.namedItem('email');
+      email.value = 'sara@';
+      email.dispatchEvent(new page.window.Event('blur'));
+      assert.equal(errorText('email'), 'Please enter a valid email address');
+
+      email.dispatchEvent(new page.window.Event('input'));
+      assert.equal(errorText('email'), null);
+      assert.equal(email.hasAttribute('aria-invalid'), false);
+    });
+
+    it('stops listening once unmounted', () => {
+      const email = form.elements.namedItem('email');
+      const phone = form.elements.namedItem('phone');
+      component.unmount();
+
+      email.value = 'sara@';
+      email.dispatchEvent(new page.window.Event('blur'));
+      email.dispatchEvent(new page.window.Event('focus'));
+      phone.value = '0501234567';
+      phone.dispatchEvent(new page.window.Event('input'));
+
+      assert.equal(errorText('email'), null);
+      assert.equal(email.parentNode.classList.contains('focused'), false);
+      assert.equal(phone.value, '0501234567');
+    });
+
+    it('requires an organization only for partnerships', async () => {
+      fill({ ...VALID_MESSAGE, inquiryType: 'partnership', privacy: true });
+      await submit();
+
+      assert.match(errorText('organization'), /^This field is required for /);
+      assert.equal(errorText('email'), null);
+    });
+
+    it('shows the errors in Arabic after a language switch', async () => {
+      fill({ email: 'not-an-email' });
+      await submit();
+
+      context.language = 'ar';
+      component.onLanguageChange({ language: 'ar', rtl: true });
+
+      assert.equal(errorText('firstName'), 'هذا الحقل مطلوب');
+      assert.equal(errorText('email'), 'يرجى إدخال عنوان بريد إلكتروني صالح');
+    });
+  });
+
+  describe('formatPhoneNumber', () => {
+    beforeEach(() => mountForm());
+
+    function typePhone(value) {
+      const phone = form.elements.namedItem('phone');
+      phone.value = value;
+      phone.dispatchEvent(new page.window.Event('input'));
+      return phone.value;
+    }
+
+    it('groups Saudi numbers after the country code', () => {
+      assert.equal(typePhone('966501234567'), '+966 50 123 4567');
+      assert.equal(typePhone('+966 50-123-4567'), '+966 50 123 4567');
+    });
+
+    it('groups other ten-digit numbers in threes and four', () => {
+      assert.equal(typePhone('(555) 123-4567'), '555 123 4567');
+    });
+
+    it('keeps only the digits of short numbers', () => {
+      assert.equal(typePhone('12-34'), '1234');
+    });
+  });
+
+  describe('CharacterCounter', () => {
+    it('counts towards maxlength and warns past 90%', async () => {
+      await mountForm({ maxLength: 100 });
+      const message = form.elements.namedItem('message');
+      const counter = message.parentNode.querySelector('.character-counter');
+      assert.equal(counter.textContent, '0/100');
+
+      message.value = 'x'.repeat(90);
+      message.dispatchEvent(new page.window.Event('input'));
+      assert.equal(counter.textContent, '90/100');
+      assert.ok(!counter.classList.contains('warning'));
+
+      message.value = 'x'.repeat(91);
+      message.dispatchEvent(new page.window.Event('input'));
+      assert.ok(counter.classList.contains('warning'));
+    });
+
+    it('goes away on unmount and comes back once on remount', async () => {
+      await mountForm({ maxLength: 100 });
+      component.unmount();
+      assert.equal(page.document.querySelectorAll('.character-counter').length, 0);
+
+      // The registry builds a new component for every mount
+      const { default: ContactFormComponent } = await import('../assets/js/components/contact-form.js');
+      component = new ContactFormComponent(page.document.querySelector('[data-component="contact-form"]'), context);
+      component.mount();
+      assert.equal(page.document.querySelectorAll('.character-counter').length, 1);
+    });
+
+    it('leaves textareas without maxlength alone', async () => {
+      await mountForm();
+      assert.equal(page.document.querySelector('.character-counter'), null);
+    });
+  });
+
+  describe('submission', () => {
+    it('posts the message and shows the success view', async () => {
+      await mountForm({ respond: () => jsonResponse({ success: true, message: 'Message sent' }) });
+      fill({ ...VALID_MESSAGE, phone: '+966 50 123 4567', privacy: true });
+
+      await submit();
+
+      const [request] = page.requests.filter(item => item.url === '/api/contact');
+      assert.equal(request.method, 'POST');
+      assert.equal(request.init.headers['Content-Type'], 'application/json');
+      const body = JSON.parse(request.body);
+      assert.deepEqual(
+        { ...body, submissionId: typeof body.submissionId },
+        {
+          ...VALID_MESSAGE,
+          phone: '+966 50 123 4567',
+          organization: '',
+          privacy: 'on',
+          website: '',
+          language: 'en',
+          submissionId: 'string',
+          antiSpam: null
+        }
+      );
+
+      assert.equal(form.style.display, 'none');
+      assert.equal(page.document.getElementById('formSuccess').style.display, 'block');
+      assert.equal(form.elements.namedItem('firstName').value, '', 'the form is reset');
+
+      const [event, properties] = context.analytics.track.mock.calls[0].arguments;
+      assert.equal(event, 'contactSubmitted');
+      assert.deepEqual(properties, { inquiry_type: 'technical', has_organization: false });
+
+      // "Send another message" brings the form back
+      page.document.querySelector('[data-contact-reset]').click();
+      assert.equal(form.style.display, 'block');
+    });
+
+    it('shows field errors the server sends back', async () => {
+      await mountForm({
+        respond: () => jsonResponse({
+          success: false,
+          message: 'Validation failed',
+          errors: { email: { key: 'email' } }
+        }, 422)
+      });
+      fill({ ...VALID_MESSAGE, privacy: true });
+
+      await submit();
+
+      assert.equal(errorText('email'), 'Please enter a valid email address');
+      assert.deepEqual(toasts('error'), ['Please enter a valid email address']);
+      assert.notEqual(form.style.display, 'none');
+      assert.equal(context.analytics.track.mock.callCount(), 0);
+    });
+
+    it('reports a server it cannot reach', async () => {
+      await mountForm({
+        respond: () => {
+          throw new TypeError('Failed to fetch');
+        }
+      });
+      fill({ ...VALID_MESSAGE, privacy: true });
+
+      await submit();
+
+      assert.deepEqual(toasts('error'), [page.site.t('contact.errors.network')]);
+      assert.equal(form.elements.namedItem('firstName').value, 'Sara', 'nothing typed is lost');
+    });
+  });
+
+  describe('patient information', () => {
+    const PHI_MESSAGE = 'Patient: Khalid Al-Otaibi, national ID 1056789124, cannot see his report.';
+
+    const warning = () => page.document.querySelector('[data-phi-warning]');
+    const marks = () => [...warning().querySelectorAll('mark')].map(mark => [mark.dataset.phiKind, mark.textContent]);
+    const contactRequests = () => page.requests.filter(request => request.url === '/api/contact');
+
+    beforeEach(() => mountForm({ respond: () => jsonResponse({ success: true, message: 'Message sent' }) }));
+
+    it('stops the first submit and shows what looks like PHI', async () => {
+      fill({ ...VALID_MESSAGE, subject: 'Report for MRN: KFH-00482913', message: PHI_MESSAGE, privacy: true });
+      await submit();
+
+      assert.equal(contactRequests().length, 0);
+      assert.equal(warning().hidden, false);
+      assert.equal(page.document.activeElement, warning());
+      assert.deepEqual(marks(), [
+        ['mrn', 'KFH-00482913'],
+        ['patientName', 'Khalid Al-Otaibi'],
+        ['nationalId', '1056789124']
+      ]);
+      assert.equal(warning().querySelector('[data-phi-summary]').textContent,
+        'We found 3 details that look like patient information:');
+      assert.deepEqual([...warning().querySelectorAll('[data-phi-kinds] li')].map(item => item.textContent),
+        ['Patient name', 'National ID', 'Medical record number']);
+      assert.equal(errorText('phiAcknowledged'), 'Please remove the patient details, or confirm that they may be sent with them removed');
+      assert.deepEqual(context.analytics.track.mock.calls[0].arguments, ['phiWarningShown', { matches: 3 }]);
+    });
+
+    it('sends once the visitor acknowledges the warning', async () => {
+      fill({ ...VALID_MESSAGE, message: PHI_MESSAGE, privacy: true });
+      await submit();
+      fill({ phiAcknowledged: true });
+      await submit();
+
+      assert.equal(contactRequests().length, 1);
+      assert.equal(JSON.parse(contactRequests()[0].body).message, PHI_MESSAGE);
+      assert.equal(warning().hidden, true, 'the reset form starts over');
+    });
+
+    it('asks again when other details turn up', async () => {
+      fill({ ...VALID_MESSAGE, message: PHI_MESSAGE, privacy: true });
+      await submit();
+      fill({ phiAcknowledged: true });
+
+      const message = form.elements.namedItem('message');
+      message.value = `${PHI_MESSAGE} Call him on 0551234567.`;
+      message.dispatchEvent(new page.window.Event('input'));
+      assert.equal(form.elements.namedItem('phiAcknowledged').checked, false);
+      assert.deepEqual(marks().at(-1), ['phone', '0551234567']);
+
+      await submit();
+      assert.equal(contactRequests().length, 0);
+    });
+
+    it('keeps the spam-protection token until the message goes out', async () => {
+      const reset = mock.method(component.contactGuard, 'reset', () => {});
+      mock.method(component.contactGuard, 'token', async () => ({ challenge: 'solved', nonce: '1' }));
+
+      await submit();
+      fill({ ...VALID_MESSAGE, message: PHI_MESSAGE, privacy: true });
+      await submit();
+      assert.equal(reset.mock.calls.length, 0, 'neither an invalid form nor the warning spends it');
+
+      fill({ phiAcknowledged: true });
+      await submit();
+      assert.deepEqual(JSON.parse(contactRequests()[0].body).antiSpam, { challenge: 'solved', nonce: '1' });
+      assert.equal(reset.mock.calls.length, 1);
+    });
+
+    it('goes away when the details are removed', async () => {
+      fill({ ...VALID_MESSAGE, message: PHI_MESSAGE, privacy: true });
+      await submit();
+
+      const message = form.elements.namedItem('message');
+      message.value = 'A patient cannot see their report.';
+      message.dispatchEvent(new page.window.Event('input'));
+      assert.equal(warning().hidden, true);
+
+      await submit();
+      assert.equal(contactRequests().length, 1);
+    });
+
+    it('warns in Arabic about Arabic details', async () => {
+      await page.site.i18n.setLocale('ar');
+      page.site.i18n.translatePage(page.document);
+      context.language = 'ar';
+      fill({ ...VALID_MESSAGE, message: 'اسم المريضة: نورة القحطاني، رقم الإقامة ٢٤٥٦٧٨٩٠١١', privacy: true });
+      await submit();
+
+      assert.deepEqual(marks(), [['patientName', 'نورة القحطاني'], ['iqama', '٢٤٥٦٧٨٩٠١١']]);
+      assert.equal(warning().querySelector('h4').textContent.trim(), 'قد تحتوي هذه الرسالة على معلومات مريض');
+      assert.equal(warning().querySelector('[data-phi-summary]').textContent, 'وجدنا معلومتين تبدوان من بيانات المرضى:');
+      assert.equal(errorText('phiAcknowledged'), 'يرجى حذف بيانات المريض، أو تأكيد الإرسال مع إزالتها');
+    });
+  });
+});
+
+describe('NewsletterFormComponent', () => {
+  let page;
+  let restore;
+  let component;
+  let context;
+  let form;
+
+  beforeEach(async () => {
+    page = await loadPage('contact.html', {
+      respond: (url) => {
+        if (url === '/api/newsletter') return jsonResponse({ success: true, message: 'Check your inbox' });
+        return jsonResponse({ success: false, message: 'Unavailable' }, 503);
+      }
+    });
+    restore = useGlobals(page);
+    await page.site.i18n.load('en');
+    mock.method(console, 'error', () => {});
+
+    const { default: NewsletterFormComponent } = await import('../assets/js/components/newsletter-form.js');
+    form = page.document.getElementById('newsletterForm');
+    context = { language: 'en', analytics: { track: mock.fn() }, notifications: page.site.notifications };
+    component = new NewsletterFormComponent(form, context);
+    component.mount();
+  });
+
+  afterEach(() => {
+    component.unmount();
+    mock.restoreAll();
+    restore();
+    page.close();
+  });
+
+  async function submit() {
+    const button = form.querySelector('button[type="submit"]');
+    form.dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+    await waitFor(() => !button.disabled);
+  }
+
+  it('subscribes with the form source and asks to confirm by email', async () => {
+    form.elements.namedItem('email').value = ' sara@example.com ';
+
+    await submit();
+
+    const [request] = page.requests.filter(item => item.url === '/api/newsletter');
+    assert.deepEqual(JSON.parse(request.body), {
+      email: 'sara@example.com',
+      language: 'en',
+      source: 'contact_page',
+      website: '',
+      antiSpam: null
+    });
+    assert.deepEqual([...page.document.querySelectorAll('.toast-success .toast-message')].map(el => el.textContent),
+      [page.site.t('contact.newsletter.pending')]);
+    assert.equal(form.elements.namedItem('email').value, '');
+    assert.deepEqual(context.analytics.track.mock.calls[0].arguments, ['newsletterSignup', { source: 'contact_page' }]);
+  });
+
+  it('rejects an invalid address without calling the API', async () => {
+    form.elements.namedItem('email').value = 'sara';
+
+    await submit();
+
+    assert.equal(page.requests.some(item => item.url === '/api/newsletter'), false);
+    assert.equal(page.document.querySelector('.toast-error .toast-message').textContent,
+      'Please enter a valid email address');
+  });
+
+  it('keeps the spam-protection token until the address goes out', async () => {
+    const reset = mock.method(component.guard, 'reset', () => {});
+    mock.method(component.guard, 'token', async () => ({ challenge: 'solved', nonce: '1' }));
+
+    form.elements.namedItem('email').value = 'sara';
+    await submit();
+    assert.equal(reset.mock.calls.length, 0, 'an invalid address does not spend it');
+
+    form.elements.namedItem('email').value = 'sara@example.com';
+    await submit();
+    const [request] = page.requests.filter(item => item.url === '/api/newsletter');
+    assert.deepEqual(JSON.parse(request.body).antiSpam, { challenge: 'solved', nonce: '1' });
+    assert.equal(reset.mock.calls.length, 1);
+  });
+});
@@ -0,0 +1,315 @@
+// The landing page's document analysis demo: the rule-based tagger
+// (document-analysis.js) and the component that shows its results for the
+// bundled samples and for files read in the page.
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import DocumentAnalysis from '../assets/js/document-analysis.js';
+import { loadPage, useGlobals, waitFor } from './helpers/page.mjs';
+
+const {
+  DocumentAnalysisSamples,
+  extractPdfText,
+  isValidSaudiId,
+  maskIdentifier,
+  summarizeEntities,
+  tagMedicalEntities,
+  textDirection
+} = DocumentAnalysis;
+
+const tagged = text => tagMedicalEntities(text).map(entity => [entity.type, entity.text]);
+
+describe('tagMedicalEntities', () => {
+  it('finds medications with their doses', () => {
+    const [metformin, lantus] = tagMedicalEntities('Metformin 500 mg twice daily and Lantus at night');
+    assert.deepEqual(metformin.value, { name: 'metformin', dose: '500 mg' });
+    assert.equal(metformin.text, 'Metformin 500 mg');
+    assert.deepEqual(lantus.value, { name: 'insulin glargine', dose: null });
+  });
+
+  it('prefers the longest diagnosis and a code written next to it', () => {
+    const [diagnosis] = tagMedicalEntities('Type 2 diabetes mellitus (E11.9), controlled');
+    assert.equal(diagnosis.text, 'Type 2 diabetes mellitus (E11.9)');
+    assert.deepEqual(diagnosis.value, { name: 'type 2 diabetes mellitus', icd10: 'E11.9' });
+
+    assert.deepEqual(tagMedicalEntities('Asthma')[0].value, { name: 'asthma', icd10: 'J45' });
+    assert.deepEqual(tagMedicalEntities('ICD-10: J45.909')[0].value, { name: null, icd10: 'J45.909' });
+  });
+
+  it('reads vital signs, but not every pair of numbers', () => {
+    assert.deepEqual(tagged('BP 150/95, HR 104 bpm, Temp 38.6 °C, SpO2 91%, RR 24/min'), [
+      ['vital', 'BP 150/95'],
+      ['vital', 'HR 104 bpm'],
+      ['vital', 'Temp 38.6 °C'],
+      ['vital', 'SpO2 91%'],
+      ['vital', 'RR 24/min']
+    ]);
+    assert.deepEqual(tagged('Take 1/2 tablet; rooms 12/14'), []);
+  });
+
+  it('tells Hijri dates from Gregorian ones', () => {
+    const dates = tagMedicalEntities('Seen 2026-09-28, 02/10/2026, 16 October 2026 and 21/03/1448 هـ')
+      .map(entity => [entity.text, entity.value.calendar]);
+    assert.deepEqual(dates, [
+      ['2026-09-28', 'gregorian'],
+      ['02/10/2026', 'gregorian'],
+      ['16 October 2026', 'gregorian'],
+      ['21/03/1448 هـ', 'hijri']
+    ]);
+  });
+
+  it('only takes ten-digit numbers that pass the ID check digit', () => {
+    assert.equal(isValidSaudiId('1056789124'), true);
+    assert.equal(isValidSaudiId('1056789125'), false);
+    assert.equal(isValidSaudiId('3056789124'), false);
+
+    assert.deepEqual(tagMedicalEntities('ID 1056789124, Iqama 2456789011, ref 1056789125')
+      .map(entity => entity.value.kind), ['nationalId', 'iqama']);
+  });
+
+  it('needs a label before a medical record number', () => {
+    assert.deepEqual(tagged('MRN: KFH-00482913, invoice 00482913'), [['identifier', 'KFH-00482913']]);
+  });
+
+  it('handles Arabic text, prefixes and Arabic-Indic digits', () => {
+    const entities = tagMedicalEntities('وارتفاع ضغط الدم، ضغط الدم ١٦٠/١٠٠ ملم زئبق، ميتفورمين ١٠٠٠ ملغ، رقم الإقامة ٢٤٥٦٧٨٩٠١١');
+    assert.deepEqual(entities.map(entity => [entity.type, entity.text]), [
+      ['diagnosis', 'ارتفاع ضغط الدم'],
+      ['vital', 'ضغط الدم ١٦٠/١٠٠ ملم زئبق'],
+      ['medication', 'ميتفورمين ١٠٠٠ ملغ'],
+      ['identifier', '٢٤٥٦٧٨٩٠١١']
+    ]);
+    assert.deepEqual(entities[1].value, { kind: 'bloodPressure', reading: '160/100', unit: 'mmHg' });
+    assert.equal(entities[3].value.kind, 'iqama');
+  });
+});
+
+describe('summarizeEntities', () => {
+  it('lists each finding once, identifiers masked', () => {
+    const summary = summarizeEntities(tagMedicalEntities('Metformin 500 mg. Metformin 500 mg. National ID 1056789124'));
+    assert.equal(summary.medication.length, 1);
+    assert.deepEqual(summary.identifier, [{ kind: 'nationalId', masked: '••••••9124' }]);
+    assert.deepEqual(summary.date, []);
+    assert.equal(maskIdentifier('KFH-00482913'), '••••••••2913');
+  });
+
+  it('finds something of every kind in both samples', () => {
+    DocumentAnalysisSamples.forEach(sample => {
+      const summary = summarizeEntities(tagMedicalEntities(sample.text));
+      Object.entries(summary).forEach(([type, items]) => assert.ok(items.length > 0, `${sample.id}: ${type}`));
+      assert.equal(textDirection(sample.text), sample.language === 'ar' ? 'rtl' : 'ltr');
+    });
+  });
+});
+
+describe('extractPdfText', () => {
+  it('keeps lines and pages apart and stops at maxPages', async () => {
+    const pages = [
+      [{ str: 'Metformin', hasEOL: false }, { str: ' 500 mg', hasEOL: true }, { str: 'BP 150/95', hasEOL: false }],
+      [],
+      [{ str: 'Page three', hasEOL: false }]
+    ];
+    const pdf = {
+      numPages: pages.length,
+      getPage: async number => ({ getTextContent: async () => ({ items: pages[number - 1] }) })
+    };
+
+    assert.equal(await extractPdfText(pdf), 'Metformin 500 mg\nBP 150/95\n\nPage three');
+    assert.equal(await extractPdfText(pdf, { maxPages: 1 }), 'Metformin 500 mg\nBP 150/95');
+  });
+});
+
+describe('DocumentDemoComponent', () => {
+  let page;
+  let restore;
+  let component;
+  let context;
+  let section;
+
+  async function mountDemo() {
+    page = await loadPage('index.html');
+    restore = useGlobals(page);
+    await page.site.i18n.load('en');
+
+    const { default: DocumentDemoComponent } = await import('../assets/js/components/document-demo.js');
+    section = page.document.getElementById('demo');
+    context = { language: 'en', analytics: { track: mock.fn() } };
+    component = new DocumentDemoComponent(section, context);
+    component.mount();
+  }
+
+  afterEach(() => {
+    component.unmount();
+    mock.restoreAll();
+    restore();
+    page.close();
+  });
+
+  const status = () => section.querySelector('.demo-status').textContent;
+  const marks = () => [...section.querySelectorAll('[data-demo-document] mark')];
+  const summaryGroups = () => [...section.querySelectorAll('.demo-summary-group')]
+    .map(group => [group.querySelector('h4').textContent, [...group.querySelectorAll('li')].map(li => li.textContent)]);
+
+  // What the file input hands over when the visitor picks a file
+  function pick(file) {
+    const input = section.querySelector('[data-demo-file]');
+    Object.defineProperty(input, 'files', { value: [file], configurable: true });
+    input.dispatchEvent(new page.window.Event('change'));
+  }
+
+  it('shows a PHI disclaimer and the sample documents', async () => {
+    await mountDemo();
+
+    assert.match(section.querySelector('.demo-disclaimer').textContent, /Demo only\..*nothing you open here is uploaded/s);
+    assert.deepEqual([...section.querySelectorAll('[data-sample]')].map(button => button.textContent),
+      ['English discharge summary', 'Arabic referral letter']);
+  });
+
+  it('highlights a sample and sums it up', async () => {
+    await mountDemo();
+    section.querySelector('[data-sample="discharge-en"]').click();
+
+    const medication = marks().find(mark => mark.dataset.entity === 'medication');
+    assert.equal(medication.textContent, 'Amoxicillin 1 g');
+    assert.equal(medication.title, 'Medication');
+    assert.equal(section.querySelector('[data-demo-document]').textContent, DocumentAnalysisSamples[0].text);
+    assert.equal(section.querySelector('[data-demo-document]').getAttribute('dir'), 'ltr');
+    assert.equal(section.querySelector('[data-sample="discharge-en"]').getAttribute('aria-pressed'), 'true');
+
+    const summary = Object.fromEntries(summaryGroups());
+    assert.deepEqual(summary['Diagnoses (3)'], [
+      'Pneumonia (J18.9)',
+      'Type 2 diabetes mellitus (E11.9)',
+      'Hypertension (I10)'
+    ]);
+    assert.ok(summary['Vital signs (5)'].includes('Blood pressure 150/95 mmHg'));
+    assert.deepEqual(summary['Identifiers (2)'], ['Medical record number ••••••••2913', 'National ID ••••••9124']);
+    assert.equal(status(), `Found ${marks().length} entities`);
+    assert.deepEqual(context.analytics.track.mock.calls[0].arguments, ['demoAnalyzed', { source: 'sample', entities: marks().length }]);
+  });
+
+  it('summarizes in Arabic after a language switch', async () => {
+    await mountDemo();
+    section.querySelector('[data-sample="referral-ar"]').click();
+    assert.equal(section.querySelector('[data-demo-document]').getAttribute('dir'), 'rtl');
+
+    // What LanguageManager does: catalog-bound text first, then the components
+    await page.site.i18n.setLocale('ar');
+    page.site.i18n.translatePage(page.document);
+    context.language = 'ar';
+    component.onLanguageChange({ language: 'ar', rtl: true });
+
+    const summary = Object.fromEntries(summaryGroups());
+    assert.ok(summary['الأدوية (4)'].includes('ميتفورمين 1000 ملغ'));
+    assert.deepEqual(summary['التواريخ (2)'], ['٢١/٠٣/١٤٤٨ هـ (هجري)', '3 سبتمبر 2026']);
+    assert.equal(marks()[0].title, 'رقم تعريفي');
+  });
+
+  it('reads a PDF in the page with pdf.js', async () => {
+    await mountDemo();
+    const getDocument = mock.fn(() => ({
+      promise: Promise.resolve({
+        numPages: 1,
+        getPage: async () => ({
+          getTextContent: async () => ({ items: [{ str: 'Diagnosis: asthma. Salbutamol 100 mcg as needed.', hasEOL: false }] })
+        }),
+        destroy: mock.fn()
+      })
+    }));
+    component.loadPdfjs = async () => ({ getDocument });
+
+    pick(new page.window.File(['%PDF-1.7'], 'referral.pdf', { type: 'application/pdf' }));
+    await waitFor(() => marks().length > 0);
+
+    assert.deepEqual(marks().map(mark => mark.textContent), ['asthma', 'Salbutamol 100 mcg']);
+    assert.equal(getDocument.mock.calls[0].arguments[0].isEvalSupported, false);
+    assert.ok(getDocument.mock.calls[0].arguments[0].data instanceof Uint8Array);
+    // The file itself was never sent anywhere
+    assert.deepEqual(page.requests.filter(request => request.method === 'POST'), []);
+    assert.deepEqual(context.analytics.track.mock.calls[0].arguments, ['demoAnalyzed', { source: 'pdf', entities: 2 }]);
+  });
+
+  it('says when a PDF is a scan without text', async () => {
+    await mountDemo();
+    component.loadPdfjs = async () => ({
+      getDocument: () => ({
+        promise: Promise.resolve({
+          numPages: 1,
+          getPage: async () => ({ getTextContent: async () => ({ items: [] }) }),
+          destroy() {}
+        })
+      })
+    });
+
+    pick(new page.window.File(['%PDF-1.7'], 'scan.pdf', { type: 'application/pdf' }));
+    await waitFor(() => /no selectable text/.test(status()));
+    assert.equal(marks().length, 0);
+  });
+
+  // tesseract.js as the component uses it: one worker per image
+  function fakeTesseract(text) {
+    const worker = {
+      recognize: mock.fn(async () => ({ data: { text } })),
+      terminate: mock.fn(async () => {})
+    };
+    return {
+      worker,
+      OEM: { LSTM_ONLY: 1 },
+      createWorker: mock.fn(async () => worker)
+    };
+  }
+
+  it('recognizes the text of an image and tags it', async () => {
+    await mountDemo();
+    const tesseract = fakeTesseract('التشخيص: الربو. سالبوتامول 100 ميكروغرام عند اللزوم');
+    component.loadTesseract = async () => tesseract;
+    const image = new page.window.File(['not really a png'], 'lab.png', { type: 'image/png' });
+
+    pick(image);
+    assert.match(status(), /^Recognizing the text in lab\.png on this device/);
+    await waitFor(() => marks().length > 0);
+
+    assert.deepEqual(marks().map(mark => mark.dataset.entity), ['diagnosis', 'medication']);
+    assert.equal(section.querySelector('[data-demo-document]').getAttribute('dir'), 'rtl');
+    const [languages, , options] = tesseract.createWorker.mock.calls[0].arguments;
+    assert.deepEqual([...languages], ['ara', 'eng']);
+    assert.equal(options.workerPath, page.site.DocumentAnalysisConfig.tesseractWorkerUrl);
+    assert.equal(tesseract.worker.recognize.mock.calls[0].arguments[0], image);
+    assert.equal(tesseract.worker.terminate.mock.callCount(), 1);
+    assert.deepEqual(page.requests.filter(request => request.method === 'POST'), []);
+    assert.deepEqual(context.analytics.track.mock.calls[0].arguments, ['demoAnalyzed', { source: 'image', entities: 2 }]);
+  });
+
+  it('says when an image has no text or cannot be read', async () => {
+    await mountDemo();
+    const blank = fakeTesseract('  \n');
+    component.loadTesseract = async () => blank;
+
+    pick(new page.window.File(['x'], 'blank.jpg', { type: 'image/jpeg' }));
+    await waitFor(() => /^No text was recognized/.test(status()));
+    assert.equal(blank.worker.terminate.mock.callCount(), 1);
+
+    mock.method(console, 'warn', () => {});
+    component.loadTesseract = async () => {
+      throw new TypeError('Failed to fetch dynamically imported module');
+    };
+    pick(new page.window.File(['x'], 'lab.png', { type: 'image/png' }));
+    await waitFor(() => /^The text in this image could not be recognized/.test(status()));
+    assert.equal(section.querySelector('.demo-status').dataset.state, 'error');
+    assert.equal(context.analytics.track.mock.callCount(), 0);
+  });
+
+  it('turns away large and unsupported files', async () => {
+    await mountDemo();
+    const large = new page.window.File(['x'], 'huge.pdf', { type: 'application/pdf' });
+    Object.defineProperty(large, 'size', { value: 11 * 1024 * 1024 });
+
+    pick(large);
+    await waitFor(() => status() !== '');
+    assert.equal(status(), 'Please choose a file smaller than 10 MB.');
+
+    pick(new page.window.File(['x'], 'notes.docx', { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }));
+    assert.equal(status(), 'Please choose a PDF or an image.');
+    assert.equal(section.querySelector('.demo-status').dataset.state, 'error');
+  });
+});
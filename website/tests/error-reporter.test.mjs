@@ -0,0 +1,93 @@
+// Client error reports (error-reporter.js): the error always goes out,
+// scrubbed; where it happened and what led to it only with the visitor's
+// analytics consent. Then what /api/errors keeps of a report.
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { ERRORS_COLLECTION, handleErrors } from '../server/handlers/errors.mjs';
+import { createContext, jsonRequest } from './helpers/api.mjs';
+import { loadPage } from './helpers/page.mjs';
+
+const consentRecord = analytics => ({
+  version: 1,
+  timestamp: '2026-10-19T09:00:00.000Z',
+  categories: { essential: true, analytics, marketing: false }
+});
+
+describe('ErrorReporter', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  async function reporterWith(storage) {
+    page = await loadPage('contact.html', { storage });
+    const { errorReporter, ConsentManager } = page.site;
+    return errorReporter.configure({ consent: new ConsentManager() });
+  }
+
+  // jsdom's Blob has no text(); FileReader reads it
+  const readBlob = blob => new Promise(resolve => {
+    const reader = new page.window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+  const sentReports = () => Promise.all(page.beacons
+    .filter(beacon => beacon.url === '/api/errors')
+    .map(async beacon => JSON.parse(await readBlob(beacon.body))));
+
+  it('sends only the scrubbed error until the visitor has chosen', async () => {
+    const reporter = await reporterWith();
+
+    reporter.captureException(new page.window.Error('Lookup failed for sara@example.com'));
+
+    const [report] = await sentReports();
+    assert.equal(report.message, 'Lookup failed for [redacted]');
+    assert.equal(report.kind, 'error');
+    assert.equal(report.language, 'en');
+    assert.deepEqual(['page', 'userAgent', 'breadcrumbs'].filter(key => key in report), []);
+  });
+
+  it('leaves the visit out when analytics was declined', async () => {
+    const reporter = await reporterWith({ 'afham-consent': consentRecord(false) });
+
+    reporter.captureException(new page.window.Error('Lookup failed'));
+
+    const [report] = await sentReports();
+    assert.equal(report.page, undefined);
+    assert.equal(report.breadcrumbs, undefined);
+  });
+
+  it('adds the page, user agent and breadcrumbs once analytics is allowed', async () => {
+    const reporter = await reporterWith({ 'afham-consent': consentRecord(true) });
+    reporter.addBreadcrumb('form', 'submit #contactForm');
+
+    reporter.captureException(new page.window.Error('Lookup failed'));
+
+    const [report] = await sentReports();
+    assert.equal(report.page, '/contact');
+    assert.equal(report.userAgent, page.window.navigator.userAgent);
+    assert.deepEqual(report.breadcrumbs.map(crumb => [crumb.category, crumb.message]), [
+      ['navigation', '/contact'],
+      ['form', 'submit #contactForm']
+    ]);
+  });
+});
+
+describe('POST /api/errors', () => {
+  it('stores a report without a page as it came, scrubbed again', async () => {
+    const context = createContext();
+
+    const response = await handleErrors(jsonRequest('/api/errors', {
+      kind: 'unhandledrejection',
+      message: 'Request for patient 1234567890 failed',
+      language: 'ar'
+    }), context);
+
+    assert.equal(response.status, 202);
+    const [stored] = await context.store.list(ERRORS_COLLECTION);
+    assert.equal(stored.message, 'Request for patient [redacted] failed');
+    assert.equal(stored.page, undefined);
+    assert.equal(stored.userAgent, undefined);
+    assert.deepEqual(stored.breadcrumbs, []);
+  });
+});
@@ -0,0 +1,266 @@
+// The NPHIES bundle playground in the Healthcare section: the rule checks
+// (fhir-validation.js) and the component that lists their issues.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import FhirValidation from '../assets/js/fhir-validation.js';
+import { loadPage, useGlobals, waitFor } from './helpers/page.mjs';
+
+// Values made in the page, compared with values made here
+const plain = value => JSON.parse(JSON.stringify(value));
+const sampleText = (page, id) => JSON.stringify(page.site.NphiesSampleBundles.find(sample => sample.id === id).bundle, null, 2);
+
+describe('validateNphiesBundle', () => {
+  let page;
+  let validate;
+  let claim;
+
+  beforeEach(async () => {
+    page = await loadPage('index.html');
+    validate = text => plain(page.site.validateNphiesBundle(text));
+    claim = JSON.parse(sampleText(page, 'claim'));
+  });
+
+  afterEach(() => page.close());
+
+  const withClaim = change => {
+    const bundle = structuredClone(claim);
+    change(bundle.entry[1].resource, bundle);
+    return JSON.stringify(bundle, null, 2);
+  };
+  const issues = text => validate(text).issues.map(issue => [issue.severity, issue.code, issue.pointer]);
+
+  it('passes the sample claim', () => {
+    assert.deepEqual(validate(sampleText(page, 'claim')), { valid: true, bundle: claim, issues: [] });
+  });
+
+  it('points at where the JSON stops making sense', () => {
+    const result = validate('{\n  "resourceType": "Bundle",\n  "entry": [1, 2,]\n}');
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.issues, [{
+      severity: 'error',
+      code: 'invalidJson',
+      pointer: null,
+      params: { line: 3, column: 18 },
+      start: 47,
+      end: 48,
+      line: 3,
+      column: 18
+    }]);
+  });
+
+  it('reports missing elements at the object that lacks them', () => {
+    const text = withClaim(resource => {
+      delete resource.patient;
+      delete resource.insurance[0].coverage;
+    });
+    const result = validate(text);
+
+    assert.deepEqual(result.issues.map(issue => [issue.code, issue.pointer, issue.params.element]), [
+      ['required', '/entry/1/resource', 'Claim.patient'],
+      ['required', '/entry/1/resource/insurance/0', 'Claim.insurance.coverage']
+    ]);
+    const [missingPatient] = result.issues;
+    assert.match(text.slice(missingPatient.start, missingPatient.end), /^\{\n\s+"resourceType": "Claim"[\s\S]*\}$/);
+  });
+
+  it('checks cardinality, codes and code systems', () => {
+    const text = withClaim(resource => {
+      resource.use = ['claim'];
+      resource.status = 'final';
+      resource.priority.coding[0].code = 'urgent';
+      resource.diagnosis[0].diagnosisCodeableConcept.coding[0].system = 'http://hl7.org/fhir/sid/icd-10';
+      resource.item = resource.item[0];
+    });
+
+    assert.deepEqual(issues(text), [
+      ['error', 'invalidCode', '/entry/1/resource/status'],
+      ['error', 'notSingle', '/entry/1/resource/use'],
+      ['error', 'invalidCode', '/entry/1/resource/priority/coding/0/code'],
+      ['error', 'codeSystem', '/entry/1/resource/diagnosis/0/diagnosisCodeableConcept'],
+      ['error', 'notList', '/entry/1/resource/item']
+    ]);
+  });
+
+  it('checks Saudi national ID and Iqama numbers', () => {
+    const text = withClaim((resource, bundle) => {
+      bundle.entry[2].resource.identifier = [
+        { system: 'http://nphies.sa/identifier/nationalid', value: '1056789125' },
+        { system: 'http://nphies.sa/identifier/iqama', value: '1056789124' },
+        { system: 'http://nphies.sa/identifier/iqama', value: '2456789011' }
+      ];
+    });
+
+    assert.deepEqual(validate(text).issues.map(issue => [issue.code, issue.pointer, issue.params.value]), [
+      ['nationalIdFormat', '/entry/2/resource/identifier/0/value', '1056789125'],
+      ['iqamaFormat', '/entry/2/resource/identifier/1/value', '1056789124']
+    ]);
+  });
+
+  it('checks the same IDs outside the page', () => {
+    const bundle = structuredClone(FhirValidation.NphiesSampleBundles.find(sample => sample.id === 'claim').bundle);
+    bundle.entry[2].resource.identifier = [{ system: 'http://nphies.sa/identifier/nationalid', value: '1056789125' }];
+
+    const { issues: found } = FhirValidation.validateNphiesBundle(JSON.stringify(bundle));
+    assert.deepEqual(found.map(issue => issue.code), ['nationalIdFormat']);
+  });
+
+  it('follows references inside the bundle', () => {
+    const text = withClaim(resource => {
+      resource.insurer = { reference: 'urn:uuid:not-here' };
+      resource.provider = { reference: 'urn:uuid:8f3a9c21-patient' };
+      resource.insurance[0].coverage = { identifier: { system: 'http://payer.example.sa/memberid', value: 'TAW-3391027' } };
+    });
+
+    assert.deepEqual(issues(text), [
+      ['warning', 'unresolvedReference', '/entry/1/resource/insurer/reference'],
+      ['error', 'referenceType', '/entry/1/resource/provider/reference']
+    ]);
+  });
+
+  it('checks the message as a whole', () => {
+    const text = withClaim((resource, bundle) => {
+      bundle.type = 'collection';
+      bundle.entry.reverse();
+      bundle.entry.push({ fullUrl: 'urn:uuid:practitioner', resource: { resourceType: 'Practitioner' } });
+      delete bundle.entry[0].resource.meta;
+    });
+
+    assert.deepEqual(issues(text), [
+      ['error', 'invalidCode', '/type'],
+      ['warning', 'profile', '/entry/0/resource'],
+      ['information', 'unsupportedResource', '/entry/6/resource']
+    ]);
+    assert.deepEqual(issues(text.replace('"collection"', '"message"')).map(([, code]) => code),
+      ['messageHeaderFirst', 'profile', 'unsupportedResource']);
+    assert.deepEqual(issues('[]'), [['error', 'notBundle', '']]);
+  });
+
+  it('finds the mistakes in the eligibility sample', () => {
+    const result = validate(sampleText(page, 'eligibility'));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.issues.map(issue => issue.code), [
+      'invalidDateTime',
+      'required',
+      'invalidCode',
+      'iqamaFormat',
+      'invalidCode',
+      'profile',
+      'codeSystem',
+      'unresolvedReference'
+    ]);
+  });
+});
+
+describe('FhirPlaygroundComponent', () => {
+  let page;
+  let restore;
+  let component;
+  let context;
+  let section;
+
+  beforeEach(async () => {
+    page = await loadPage('index.html');
+    restore = useGlobals(page);
+    await page.site.i18n.load('en');
+
+    const { default: FhirPlaygroundComponent } = await import('../assets/js/components/fhir-playground.js');
+    section = page.document.getElementById('nphies-playground');
+    context = { language: 'en', analytics: { track: mock.fn() } };
+    component = new FhirPlaygroundComponent(section, context);
+    component.mount();
+  });
+
+  afterEach(() => {
+    component.unmount();
+    mock.restoreAll();
+    restore();
+    page.close();
+  });
+
+  const editor = () => section.querySelector('[data-playground-editor]');
+  const status = () => section.querySelector('.playground-status').textContent;
+  const issueButtons = () => [...section.querySelectorAll('[data-issue]')];
+  const messages = () => [...section.querySelectorAll('.playground-issue-message')].map(message => message.textContent);
+
+  it('loads and passes the sample claim', () => {
+    section.querySelector('[data-sample="claim"]').click();
+
+    assert.equal(editor().value, sampleText(page, 'claim'));
+    assert.equal(status(), 'The bundle passes every check');
+    assert.equal(issueButtons().length, 0);
+    assert.deepEqual(context.analytics.track.mock.calls[0].arguments,
+      ['playgroundValidated', { source: 'sample', valid: true, errors: 0, warnings: 0 }]);
+  });
+
+  it('lists the issues of the eligibility sample', () => {
+    section.querySelector('[data-sample="eligibility"]').click();
+
+    assert.equal(status(), '6 errors, 2 warnings to look at');
+    assert.equal(messages()[3], 'Patient.identifier: 2456789012 is not a valid Iqama number (10 digits starting with 2, with a valid check digit).');
+    const [first] = issueButtons();
+    assert.equal(first.querySelector('.playground-issue-severity').textContent, 'Error');
+    assert.equal(first.querySelector('.playground-issue-pointer').textContent, '/timestamp');
+    assert.equal(first.querySelector('.playground-issue-location').textContent, 'Line 10, column 16');
+    assert.equal(first.closest('li').className, 'playground-issue playground-issue-error');
+  });
+
+  it('selects an issue in the editor', () => {
+    section.querySelector('[data-sample="eligibility"]').click();
+    const iqama = issueButtons()[3];
+    iqama.click();
+
+    const { value, selectionStart, selectionEnd } = editor();
+    assert.equal(value.slice(selectionStart, selectionEnd), '"2456789012"');
+    assert.equal(page.document.activeElement, editor());
+    assert.equal(iqama.getAttribute('aria-current'), 'true');
+    assert.equal(issueButtons()[0].getAttribute('aria-current'), 'false');
+  });
+
+  it('does not select stale offsets after an edit', () => {
+    section.querySelector('[data-sample="eligibility"]').click();
+    editor().value = `\n${editor().value}`;
+    issueButtons()[0].click();
+
+    assert.equal(status(), 'The bundle has changed since it was checked. Validate again to update the issues.');
+    assert.equal(editor().selectionStart, editor().selectionEnd);
+  });
+
+  it('validates what was typed, also with Ctrl+Enter', () => {
+    editor().value = '{"resourceType": "Bundle", "type": "message", }';
+    section.querySelector('[data-playground-validate]').click();
+    assert.deepEqual(messages(), ['This is not valid JSON (line 1, column 47).']);
+    assert.equal(section.querySelector('.playground-issue-pointer').textContent, '');
+
+    editor().value = '';
+    editor().dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true, bubbles: true }));
+    assert.equal(status(), 'Paste a bundle or pick a sample first.');
+    assert.equal(issueButtons().length, 0);
+  });
+
+  it('reads a bundle from a file', async () => {
+    const input = section.querySelector('[data-playground-file]');
+    const file = new page.window.File([sampleText(page, 'claim')], 'claim.json', { type: 'application/json' });
+    Object.defineProperty(input, 'files', { value: [file], configurable: true });
+    input.dispatchEvent(new page.window.Event('change'));
+
+    await waitFor(() => status() !== '');
+    assert.equal(status(), 'The bundle passes every check');
+    assert.equal(context.analytics.track.mock.calls[0].arguments[1].source, 'file');
+    assert.deepEqual(page.requests.filter(request => request.method === 'POST'), []);
+  });
+
+  it('translates the issues on a language switch', async () => {
+    section.querySelector('[data-sample="eligibility"]').click();
+
+    await page.site.i18n.setLocale('ar');
+    context.language = 'ar';
+    component.onLanguageChange({ language: 'ar', rtl: true });
+
+    assert.equal(status(), '6 أخطاء، وتحذيران بحاجة إلى مراجعة');
+    assert.equal(messages()[1], 'العنصر CoverageEligibilityRequest.insurer إلزامي.');
+    assert.equal(section.querySelector('.playground-issue-pointer').getAttribute('dir'), 'ltr');
+  });
+});
@@ -0,0 +1,41 @@
+// AFHAM Website - Helpers for calling the shared API handlers in tests
+// Handlers take a Request and a context; these build both the way the Pages
+// Functions and the dev server do, with an in-memory store and mailer.
+
+import ProofOfWork from '../../assets/js/proof-of-work.js';
+import { issueChallenge } from '../../server/lib/anti-spam.mjs';
+import { createMemoryMailer } from '../../server/mailers/memory-mailer.mjs';
+import { createMemoryStore } from '../../server/stores/memory-store.mjs';
+
+export const CHALLENGE_SECRET = 'test-secret';
+export const SITE_URL = 'https://afham.brainsait.io';
+
+export function createContext(overrides = {}) {
+  return {
+    store: createMemoryStore(),
+    mailer: createMemoryMailer(),
+    challengeSecret: CHALLENGE_SECRET,
+    siteUrl: SITE_URL,
+    ...overrides
+  };
+}
+
+/**
+ * A solved anti-spam token, issued long enough ago to pass the
+ * time-to-submit check. Difficulty 1 keeps the proof of work instant.
+ */
+export async function solvedChallenge({ issuedAgo = 5000 } = {}) {
+  const { challenge, difficulty } = await issueChallenge(CHALLENGE_SECRET, {
+    now: Date.now() - issuedAgo,
+    difficulty: 1
+  });
+  return { challenge, nonce: await ProofOfWork.solveProofOfWork(challenge, difficulty) };
+}
+
+export function jsonRequest(pathname, body, { method = 'POST', headers = {} } = {}) {
+  return new Request(`${SITE_URL}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: method === 'GET' ? undefined : JSON.stringify(body)
+  });
+}
@@ -0,0 +1,202 @@
+// AFHAM Website - jsdom page harness for the test suite
+// Loads one of the real pages into jsdom and runs the site scripts it lists,
+// in page order, the way a browser shares one global scope between classic
+// scripts. DOMContentLoaded has already fired by then, so main.js doesn't
+// bootstrap: each test builds the managers it needs from `site`, which
+// collects everything the scripts export through module.exports.
+//
+// Network access goes through a recording fetch: catalogs are read from disk,
+// the search index is built from the pages (it is a build artifact and not
+// checked in), everything else is answered by the test's
+// `respond(url, init)` or gets a 404.
+
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { buildSearchIndex } from '../../scripts/build-search-index.mjs';
+
+export const SITE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Browser globals the ES module components reach for, besides site exports
+const DOM_GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'FormData', 'FileReader', 'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'AbortController',
+  'IntersectionObserver', 'MutationObserver', 'requestAnimationFrame', 'fetch'
+];
+
+let searchIndex = null;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * IntersectionObserver stand-in: jsdom has no layout, so tests decide what
+ * is visible with FakeIntersectionObserver.reveal(element).
+ */
+class FakeIntersectionObserver {
+  constructor(callback, options = {}) {
+    this.callback = callback;
+    this.options = options;
+    this.elements = new Set();
+    FakeIntersectionObserver.instances.add(this);
+  }
+
+  observe(element) {
+    this.elements.add(element);
+  }
+
+  unobserve(element) {
+    this.elements.delete(element);
+  }
+
+  disconnect() {
+    this.elements.clear();
+    FakeIntersectionObserver.instances.delete(this);
+  }
+
+  static reveal(element) {
+    [...FakeIntersectionObserver.instances]
+      .filter(observer => observer.elements.has(element))
+      .forEach(observer => observer.callback([{ target: element, isIntersecting: true }], observer));
+  }
+}
+FakeIntersectionObserver.instances = new Set();
+
+/**
+ * @param {string} page path under website/, e.g. 'contact.html'
+ * @param {object} [options]
+ * @param {string} [options.url] page URL; defaults to the page's own path
+ * @param {object} [options.storage] localStorage entries to start with
+ * @param {boolean} [options.reducedMotion] what prefers-reduced-motion reports
+ * @param {function} [options.respond] (url, init) -> Response for API calls
+ */
+export async function loadPage(page, options = {}) {
+  const html = readFileSync(path.join(SITE_ROOT, page), 'utf8');
+  const pathname = '/' + page.replace(/index\.html$/, '').replace(/\.html$/, '');
+
+  // Keep jsdom's "not implemented" noise (navigation, scrolling) out of the output
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  virtualConsole.on('jsdomError', error => {
+    if (!/^Not implemented/.test(error.message)) console.error(error);
+  });
+
+  const dom = new JSDOM(html, {
+    url: options.url || `https://afham.brainsait.io${pathname}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+
+  await new Promise(resolve => {
+    if (window.document.readyState !== 'loading') resolve();
+    else window.document.addEventListener('DOMContentLoaded', resolve, { once: true });
+  });
+
+  Object.entries(options.storage || {}).forEach(([key, value]) => {
+    window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+
+  const requests = [];
+  const beacons = [];
+  const respond = options.respond || (() => null);
+
+  window.fetch = async (input, init = {}) => {
+    const url = new URL(String(input), window.location.href);
+    requests.push({ url: url.pathname + url.search, method: init.method || 'GET', body: init.body, init });
+
+    if (/^\/assets\/i18n\/[a-z]+\.json$/.test(url.pathname)) {
+      return new Response(readFileSync(path.join(SITE_ROOT, url.pathname)), { status: 200 });
+    }
+    if (url.pathname === '/assets/search-index.json') {
+      searchIndex = searchIndex || buildSearchIndex();
+      return jsonResponse(await searchIndex);
+    }
+
+    const response = await respond(url.pathname, init);
+    return response || jsonResponse({ success: false, message: 'Not found' }, 404);
+  };
+  window.navigator.sendBeacon = (url, body) => {
+    beacons.push({ url, body });
+    return true;
+  };
+  window.matchMedia = query => ({
+    matches: query.includes('prefers-reduced-motion') && Boolean(options.reducedMotion),
+    media: query,
+    addEventListener() {},
+    removeEventListener() {}
+  });
+  window.IntersectionObserver = FakeIntersectionObserver;
+  window.scrollTo = () => {};
+  window.Element.prototype.scrollIntoView = function () {};
+
+  const site = {};
+  const context = dom.getInternalVMContext();
+  [...window.document.querySelectorAll('script[src^="/assets/js/"]')].forEach(script => {
+    const file = path.join(SITE_ROOT, script.getAttribute('src'));
+    // Pages may reference scripts that don't exist yet; the error reporter
+    // logs those in the browser
+    if (!existsSync(file)) return;
+
+    window.module = { exports: {} };
+    new vm.Script(readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+    Object.assign(site, window.module.exports);
+  });
+  delete window.module;
+
+  return {
+    dom,
+    window,
+    document: window.document,
+    site,
+    requests,
+    beacons,
+    IntersectionObserver: FakeIntersectionObserver,
+    // Value of a top-level binding in the page, including const and class
+    evaluate: code => vm.runInContext(code, context),
+    close: () => window.close()
+  };
+}
+
+/**
+ * Point Node's globals at a loaded page, so ES module components imported
+ * by the test see the page's document, exports and stubs. Returns a
+ * function that restores the previous globals.
+ */
+export function useGlobals(page) {
+  const previous = new Map();
+  const define = (name, value) => {
+    previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  };
+
+  DOM_GLOBALS.forEach(name => define(name, page.window[name]));
+  Object.entries(page.site).forEach(([name, value]) => define(name, value));
+
+  return () => {
+    previous.forEach((descriptor, name) => {
+      if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+      else delete globalThis[name];
+    });
+  };
+}
+
+// Let pending promise callbacks and zero-delay timers run
+export function settle(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll until `condition()` holds, for work started by DOM events
+export async function waitFor(condition, timeout = 2000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for the page');
+    await settle(10);
+  }
+}
+
+export { jsonResponse };
@@ -0,0 +1,90 @@
+// Translation catalogs (i18n.js): ICU-style formatting with all six Arabic
+// plural categories, locale resolution, and the shipped catalogs agreeing
+// with each other.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import I18nModule from '../assets/js/i18n.js';
+import { SITE_ROOT } from './helpers/page.mjs';
+
+const { formatMessage, resolveLocale } = I18nModule;
+
+const catalog = locale => JSON.parse(readFileSync(path.join(SITE_ROOT, 'assets/i18n', `${locale}.json`), 'utf8'));
+
+// Dot paths of every string in a catalog
+function keysOf(value, prefix = '') {
+  if (typeof value === 'string') return [prefix];
+  return Object.entries(value).flatMap(([key, child]) => keysOf(child, prefix ? `${prefix}.${key}` : key));
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((value, part) => value[part], messages);
+}
+
+describe('formatMessage', () => {
+  const RESULTS = '{count, plural, =0 {No results} one {# result} other {# results}}';
+
+  it('fills placeholders and leaves unknown ones visible', () => {
+    assert.equal(formatMessage('Hello {name}', { name: 'Sara' }), 'Hello Sara');
+    assert.equal(formatMessage('Hello {name}', {}), 'Hello {name}');
+  });
+
+  it('prefers an exact match, then the CLDR category', () => {
+    assert.equal(formatMessage(RESULTS, { count: 0 }), 'No results');
+    assert.equal(formatMessage(RESULTS, { count: 1 }), '1 result');
+    assert.equal(formatMessage(RESULTS, { count: 1200 }), '1,200 results');
+  });
+
+  it('uses all six Arabic plural categories', () => {
+    const message = catalog('ar').contact.queue.title;
+    const number = count => new Intl.NumberFormat('ar').format(count);
+
+    assert.deepEqual([0, 1, 2, 3, 11, 100].map(count => formatMessage(message, { count }, 'ar')), [
+      'لا توجد رسائل بانتظار الإرسال',
+      'رسالة واحدة بانتظار الإرسال',
+      'رسالتان بانتظار الإرسال',
+      `${number(3)} رسائل بانتظار الإرسال`,
+      `${number(11)} رسالة بانتظار الإرسال`,
+      `${number(100)} رسالة بانتظار الإرسال`
+    ]);
+  });
+
+  it('formats select branches and the placeholders nested in them', () => {
+    const message = '{role, select, doctor {Dr. {name}} other {{name}}}';
+
+    assert.equal(formatMessage(message, { role: 'doctor', name: 'Sara' }), 'Dr. Sara');
+    assert.equal(formatMessage(message, { role: 'visitor', name: 'Sara' }), 'Sara');
+  });
+});
+
+describe('resolveLocale', () => {
+  it('takes ?lang=, then the saved choice, the browser and the edge hint', () => {
+    assert.deepEqual(resolveLocale({ query: 'AR', stored: 'en' }), { locale: 'ar', source: 'query' });
+    assert.deepEqual(resolveLocale({ query: 'fr', stored: 'ar-SA' }), { locale: 'ar', source: 'stored' });
+    assert.deepEqual(resolveLocale({ languages: ['fr-FR', 'en_GB'], hint: 'ar' }), { locale: 'en', source: 'browser' });
+    assert.deepEqual(resolveLocale({ languages: ['fr'], hint: 'ar' }), { locale: 'ar', source: 'edge' });
+    assert.deepEqual(resolveLocale(), { locale: 'en', source: 'default' });
+  });
+});
+
+describe('catalogs', () => {
+  const en = catalog('en');
+  const ar = catalog('ar');
+
+  it('translate the same keys', () => {
+    assert.deepEqual(keysOf(ar).sort(), keysOf(en).sort());
+  });
+
+  it('give every plural an other branch and every Arabic plural the dual', () => {
+    const plurals = (messages, locale) => keysOf(messages)
+      .filter(key => lookup(messages, key).includes(', plural,'))
+      .map(key => [locale, key, lookup(messages, key)]);
+
+    for (const [locale, key, message] of [...plurals(en, 'en'), ...plurals(ar, 'ar')]) {
+      assert.match(message, /\bother \{/, `${locale}: ${key}`);
+      if (locale === 'ar') assert.match(message, /\btwo \{/, `${locale}: ${key}`);
+    }
+  });
+});
@@ -0,0 +1,94 @@
+// LanguageManager: detection, switching to Arabic RTL and back, and what a
+// switch updates (bilingual markup, catalog strings, metadata, storage).
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { loadPage } from './helpers/page.mjs';
+
+// The constructor applies the detected language; wait until the page shows it
+async function createLanguageManager(page) {
+  const ready = new Promise(resolve => page.document.addEventListener('languageChanged', resolve, { once: true }));
+  const manager = new page.site.LanguageManager();
+  await ready;
+  return manager;
+}
+
+describe('LanguageManager', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('starts in English, left to right, for an English browser', async () => {
+    page = await loadPage('index.html');
+    const manager = await createLanguageManager(page);
+
+    const html = page.document.documentElement;
+    assert.equal(manager.currentLanguage, 'en');
+    assert.equal(html.getAttribute('lang'), 'en');
+    assert.equal(html.getAttribute('dir'), 'ltr');
+    assert.equal(page.window.localStorage.getItem('afham-language'), null, 'detection is not saved');
+  });
+
+  it('switches the page to Arabic and right to left', async () => {
+    page = await loadPage('index.html');
+    const manager = await createLanguageManager(page);
+    const changes = [];
+    page.document.addEventListener('languageChanged', e => changes.push(e.detail));
+
+    await manager.setLanguage('ar');
+
+    const { document } = page;
+    assert.equal(document.documentElement.getAttribute('lang'), 'ar');
+    assert.equal(document.documentElement.getAttribute('dir'), 'rtl');
+    assert.ok(document.body.classList.contains('rtl'));
+    assert.equal(page.site.AFHAMWebsite.rtl, true);
+
+    // data-en/data-ar markup and catalog-backed [data-i18n] text
+    assert.equal(document.querySelector('a.nav-link[href="#features"]').textContent, 'المميزات');
+    assert.equal(document.title, 'أفهم - فهم المستندات بالذكاء الاصطناعي | BrainSAIT');
+
+    assert.ok(document.getElementById('lang-ar').classList.contains('active'));
+    assert.ok(!document.getElementById('lang-en').classList.contains('active'));
+    assert.equal(document.querySelector('meta[property="og:locale"]').getAttribute('content'), 'ar_SA');
+    assert.match(document.querySelector('link[hreflang="ar"]').href, /\?lang=ar$/);
+    assert.equal(page.window.localStorage.getItem('afham-language'), 'ar');
+    assert.deepEqual(changes.map(detail => ({ ...detail })), [{ language: 'ar', rtl: true }]);
+  });
+
+  it('switches back to English with the language buttons', async () => {
+    page = await loadPage('index.html', { storage: { 'afham-language': 'ar' } });
+    const manager = await createLanguageManager(page);
+    assert.equal(manager.currentLanguage, 'ar');
+
+    const switched = new Promise(resolve => page.document.addEventListener('languageChanged', resolve, { once: true }));
+    page.document.getElementById('lang-en').click();
+    await switched;
+
+    assert.equal(page.document.documentElement.getAttribute('dir'), 'ltr');
+    assert.ok(!page.document.body.classList.contains('rtl'));
+    assert.equal(page.document.querySelector('a.nav-link[href="#features"]').textContent, 'Features');
+    assert.equal(page.window.localStorage.getItem('afham-language'), 'en');
+  });
+
+  it('takes ?lang= over a saved preference and saves it', async () => {
+    page = await loadPage('index.html', {
+      url: 'https://afham.brainsait.io/?lang=ar',
+      storage: { 'afham-language': 'en' }
+    });
+    const manager = await createLanguageManager(page);
+
+    assert.equal(manager.currentLanguage, 'ar');
+    assert.equal(page.document.documentElement.getAttribute('dir'), 'rtl');
+    assert.equal(page.window.localStorage.getItem('afham-language'), 'ar');
+  });
+
+  it('ignores unsupported languages', async () => {
+    page = await loadPage('index.html');
+    const manager = await createLanguageManager(page);
+
+    await manager.setLanguage('fr');
+
+    assert.equal(manager.currentLanguage, 'en');
+    assert.equal(page.document.documentElement.getAttribute('lang'), 'en');
+  });
+});
@@ -0,0 +1,154 @@
+// NavigationManager (mobile menu, active link, hiding on scroll),
+// AnimationManager's fade-ins and the counter component.
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { loadPage, useGlobals } from './helpers/page.mjs';
+
+describe('NavigationManager', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('opens and closes the mobile menu', async () => {
+    page = await loadPage('index.html');
+    new page.site.NavigationManager();
+    const { document } = page;
+    const hamburger = document.querySelector('.hamburger');
+    const menu = document.querySelector('.nav-menu');
+
+    hamburger.click();
+    assert.ok(menu.classList.contains('active'));
+    assert.ok(hamburger.classList.contains('active'));
+    assert.ok(document.body.classList.contains('menu-open'));
+
+    // Following a link closes it
+    document.querySelector('.nav-link[href="#features"]').click();
+    assert.ok(!menu.classList.contains('active'));
+    assert.ok(!document.body.classList.contains('menu-open'));
+
+    // So does a click anywhere outside the navbar
+    hamburger.click();
+    document.querySelector('footer').click();
+    assert.ok(!menu.classList.contains('active'));
+    assert.ok(!hamburger.classList.contains('active'));
+  });
+
+  it('marks the link to the current section of the site', async () => {
+    page = await loadPage('index.html', { url: 'https://afham.brainsait.io/community/events' });
+    new page.site.NavigationManager();
+
+    const active = [...page.document.querySelectorAll('.nav-link.active')].map(link => link.getAttribute('href'));
+    assert.deepEqual(active, ['/community']);
+  });
+
+  it('hides the navbar while scrolling down and shows it scrolling up', async () => {
+    page = await loadPage('index.html');
+    const navigation = new page.site.NavigationManager();
+    const navbar = page.document.querySelector('.navbar');
+    const scrollTo = y => {
+      Object.defineProperty(page.window, 'scrollY', { value: y, configurable: true });
+      navigation.handleScroll();
+    };
+
+    scrollTo(400);
+    assert.ok(navbar.classList.contains('scrolled'));
+    assert.ok(navbar.classList.contains('hidden'));
+
+    scrollTo(300);
+    assert.ok(!navbar.classList.contains('hidden'));
+
+    scrollTo(0);
+    assert.ok(!navbar.classList.contains('scrolled'));
+  });
+});
+
+describe('AnimationManager', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('fades cards in as they scroll into view', async () => {
+    page = await loadPage('index.html');
+    new page.site.AnimationManager();
+    const [first, second] = page.document.querySelectorAll('.feature-card');
+
+    page.IntersectionObserver.reveal(first);
+
+    assert.ok(first.classList.contains('fade-in-up'));
+    assert.ok(!second.classList.contains('fade-in-up'));
+  });
+
+  it('leaves cards alone for visitors who prefer reduced motion', async () => {
+    page = await loadPage('index.html');
+    page.site.AFHAMWebsite.animations.reducedMotion = true;
+    const manager = new page.site.AnimationManager();
+    const card = page.document.querySelector('.feature-card');
+
+    page.IntersectionObserver.reveal(card);
+
+    assert.equal(manager.observers.size, 0);
+    assert.ok(!card.classList.contains('fade-in-up'));
+  });
+});
+
+describe('CounterComponent', () => {
+  let page;
+  let restore;
+
+  afterEach(() => {
+    mock.timers.reset();
+    restore();
+    page.close();
+  });
+
+  async function mountCounter(options = {}) {
+    page = await loadPage('index.html', options);
+    restore = useGlobals(page);
+    const { default: CounterComponent } = await import('../assets/js/components/counter.js');
+    const element = page.document.querySelector('.stat-number[data-component="counter"]');
+    const context = { language: 'en', reducedMotion: Boolean(options.reducedMotion) };
+    const counter = new CounterComponent(element, context);
+    counter.mount();
+    return { counter, element, context };
+  }
+
+  it('counts up to the stat once it is visible', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const { element } = await mountCounter();
+    assert.equal(element.textContent, '99.5%');
+
+    page.IntersectionObserver.reveal(element);
+    mock.timers.tick(1000);
+    const halfway = parseFloat(element.textContent);
+    assert.ok(halfway > 0 && halfway < 99.5, `halfway shows ${element.textContent}`);
+
+    mock.timers.tick(1000);
+    assert.equal(element.textContent, '99.5%');
+  });
+
+  it('counts in Arabic digits after a language switch', async () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    const { counter, element, context } = await mountCounter();
+
+    page.IntersectionObserver.reveal(element);
+    mock.timers.tick(500);
+    context.language = 'ar';
+    counter.onLanguageChange({ language: 'ar', rtl: true });
+    assert.match(element.textContent, /^[٠-٩]/);
+
+    // Ends on what LocaleFormatManager would show for the Arabic page
+    mock.timers.tick(1500);
+    const expected = page.document.createElement('span');
+    expected.textContent = '99.5%';
+    page.site.renderLocalizedNumber(expected, 'ar');
+    assert.equal(element.textContent, expected.textContent);
+  });
+
+  it('shows the final value straight away with reduced motion', async () => {
+    const { counter, element } = await mountCounter({ reducedMotion: true });
+
+    assert.equal(counter.observer, null);
+    assert.equal(element.textContent, '99.5%');
+  });
+});
@@ -0,0 +1,162 @@
+// Double opt-in newsletter subscriptions (server/lib/newsletter.mjs) through
+// the /api/newsletter handlers: pending -> confirmed -> unsubscribed, with
+// every step in the record's history.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import {
+  handleNewsletter,
+  handleNewsletterConfirm,
+  handleNewsletterUnsubscribe,
+  NEWSLETTER_COLLECTION
+} from '../server/handlers/newsletter.mjs';
+import { USED_CHALLENGE_COLLECTION } from '../server/lib/anti-spam.mjs';
+import { TOKEN_COLLECTION } from '../server/lib/newsletter.mjs';
+import { createKVStore } from '../server/stores/kv-store.mjs';
+import { createContext, jsonRequest, solvedChallenge, SITE_URL } from './helpers/api.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+const EMAIL = 'Sara@Example.com';
+
+describe('newsletter double opt-in', () => {
+  let context;
+
+  beforeEach(() => {
+    context = createContext();
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  async function subscribe(body = {}) {
+    return handleNewsletter(jsonRequest('/api/newsletter', {
+      email: EMAIL,
+      antiSpam: await solvedChallenge(),
+      ...body
+    }), context);
+  }
+  const confirm = body => handleNewsletterConfirm(jsonRequest('/api/newsletter/confirm', body), context);
+  const subscriber = () => context.store.get(NEWSLETTER_COLLECTION, 'sara@example.com');
+  const history = async () => (await subscriber()).history.map(({ state, language, source }) => [state, language, source]);
+
+  it('starts pending and emails a confirmation link in the visitor\'s language', async () => {
+    const response = await subscribe({ language: 'ar', source: 'footer' });
+
+    assert.equal(response.status, 202);
+    assert.deepEqual(await response.json(), {
+      success: true,
+      message: 'Please check your inbox to confirm your subscription',
+      state: 'pending'
+    });
+
+    const record = await subscriber();
+    assert.equal(record.state, 'pending');
+    assert.equal(record.language, 'ar');
+    assert.deepEqual(await history(), [['pending', 'ar', 'footer']]);
+
+    const [email] = context.mailer.sent;
+    assert.equal(email.to, 'sara@example.com');
+    assert.equal(email.subject, 'أكّدوا اشتراككم في النشرة الإخبارية لأفهم | Confirm your AFHAM newsletter subscription');
+    assert.ok(email.text.includes(`${SITE_URL}/newsletter?action=confirm&token=${record.confirmToken}&lang=ar`));
+    assert.equal(email.headers['List-Unsubscribe'],
+      `<${SITE_URL}/api/newsletter/unsubscribe?token=${record.unsubscribeToken}&lang=ar>`);
+  });
+
+  it('confirms once, then unsubscribes, keeping every step', async () => {
+    await subscribe({ language: 'en' });
+    const { confirmToken, unsubscribeToken } = await subscriber();
+
+    const confirmed = await confirm({ token: confirmToken, language: 'ar' });
+    assert.equal(confirmed.status, 200);
+    assert.equal((await confirmed.json()).state, 'confirmed');
+    assert.equal((await subscriber()).confirmToken, undefined);
+
+    const again = await confirm({ token: confirmToken });
+    assert.equal(again.status, 404);
+    assert.deepEqual((await again.json()).errors, { token: 'not_found' });
+
+    const unsubscribed = await handleNewsletterUnsubscribe(new Request(
+      `${SITE_URL}/api/newsletter/unsubscribe?token=${unsubscribeToken}&lang=en`,
+      { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'List-Unsubscribe=One-Click' }
+    ), context);
+    assert.equal(unsubscribed.status, 200);
+
+    assert.equal((await subscriber()).state, 'unsubscribed');
+    assert.deepEqual(await history(), [
+      ['pending', 'en', 'website'],
+      ['confirmed', 'ar', 'confirmation_link'],
+      ['unsubscribed', 'en', 'list_unsubscribe']
+    ]);
+  });
+
+  it('leaves confirmed subscribers alone and sends no second email', async () => {
+    await subscribe();
+    await confirm({ token: (await subscriber()).confirmToken });
+
+    assert.equal((await subscribe()).status, 202);
+    assert.equal((await subscriber()).state, 'confirmed');
+    assert.equal(context.mailer.sent.length, 1);
+  });
+
+  it('replaces the confirmation link when a pending visitor subscribes again', async () => {
+    await subscribe();
+    const first = await subscriber();
+    await subscribe({ language: 'ar' });
+    const second = await subscriber();
+
+    assert.notEqual(second.confirmToken, first.confirmToken);
+    assert.equal(second.unsubscribeToken, first.unsubscribeToken);
+    assert.equal((await confirm({ token: first.confirmToken })).status, 404);
+    assert.equal((await confirm({ token: second.confirmToken })).status, 200);
+  });
+
+  it('expires the confirmation link after 7 days', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    await subscribe();
+    const { confirmToken } = await subscriber();
+
+    mock.timers.tick(7 * DAY + 1000);
+    const response = await confirm({ token: confirmToken });
+
+    assert.equal(response.status, 410);
+    assert.deepEqual((await response.json()).errors, { token: 'expired' });
+    assert.equal(await context.store.get(TOKEN_COLLECTION, confirmToken), null);
+    assert.equal((await subscriber()).state, 'pending');
+  });
+
+  it('turns away malformed tokens', async () => {
+    const response = await confirm({ token: '../../etc/passwd' });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual((await response.json()).errors, { token: 'invalid' });
+    const missing = await handleNewsletterUnsubscribe(jsonRequest('/api/newsletter/unsubscribe', {}), context);
+    assert.equal(missing.status, 400);
+  });
+});
+
+describe('newsletter storage lifetimes', () => {
+  it('lets KV drop confirm tokens and used challenges, never unsubscribe tokens', async () => {
+    const writes = [];
+    const namespace = {
+      async get() {
+        return null;
+      },
+      async put(key, value, options) {
+        writes.push([key.split(':')[0], options ? options.expirationTtl : null]);
+      }
+    };
+    const context = createContext({ store: createKVStore(namespace) });
+
+    const response = await handleNewsletter(jsonRequest('/api/newsletter', {
+      email: EMAIL,
+      antiSpam: await solvedChallenge()
+    }), context);
+
+    assert.equal(response.status, 202);
+    assert.deepEqual(writes, [
+      [USED_CHALLENGE_COLLECTION, DAY / 1000],
+      [TOKEN_COLLECTION, 37 * DAY / 1000],
+      [TOKEN_COLLECTION, null],
+      [NEWSLETTER_COLLECTION, null]
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+// Patient details in contact messages: the detector (phi-detection.js) the
+// form warns with, and the redaction POST /api/contact applies before storing.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { CONTACT_COLLECTION, handleContact } from '../server/handlers/contact.mjs';
+import { createContext, jsonRequest, solvedChallenge } from './helpers/api.mjs';
+import { loadPage } from './helpers/page.mjs';
+
+// Values made in the page, compared with values made here
+const plain = value => JSON.parse(JSON.stringify(value));
+
+describe('detectPhi', () => {
+  let page;
+  let detect;
+
+  beforeEach(async () => {
+    page = await loadPage('contact.html');
+    detect = text => plain(page.site.detectPhi(text)).map(match => [match.kind, match.text]);
+  });
+
+  afterEach(() => page.close());
+
+  it('finds Saudi IDs only when the check digit is right', () => {
+    assert.deepEqual(detect('National ID 1056789124, Iqama 2456789011'), [
+      ['nationalId', '1056789124'],
+      ['iqama', '2456789011']
+    ]);
+    assert.deepEqual(detect('Order 1056789125 and invoice 2456789012'), []);
+  });
+
+  it('finds record numbers, birth dates and phone numbers', () => {
+    assert.deepEqual(detect('MRN: KFH-00482913, DOB 12/04/1985, seen 14/09/2026. Call 050 123 4567 or +966 11 234 5678.'), [
+      ['mrn', 'KFH-00482913'],
+      ['dateOfBirth', '12/04/1985'],
+      ['phone', '050 123 4567'],
+      ['phone', '+966 11 234 5678']
+    ]);
+  });
+
+  it('finds names after patient cues in English and Arabic', () => {
+    assert.deepEqual(detect('Patient: Khalid Al-Otaibi'), [['patientName', 'Khalid Al-Otaibi']]);
+    assert.deepEqual(detect('the patient named Sara bint Ali was discharged'), [['patientName', 'Sara bint Ali']]);
+    assert.deepEqual(detect('اسم المريض: محمد عبدالله العتيبي، تاريخ الميلاد ٠٣/٠٧/١٩٩٠'), [
+      ['patientName', 'محمد عبدالله العتيبي'],
+      ['dateOfBirth', '٠٣/٠٧/١٩٩٠']
+    ]);
+  });
+
+  it('leaves ordinary questions alone', () => {
+    assert.deepEqual(detect('The patient: stable. Can AFHAM read patient names from scanned referrals?'), []);
+    assert.deepEqual(detect('المريض يعاني من صعوبة في قراءة التقارير'), []);
+  });
+
+  it('redacts with placeholders and counts', () => {
+    assert.deepEqual(plain(page.site.redactPhi('Patient: Khalid Al-Otaibi, ID 1056789124, mobile 0551234567')), {
+      text: 'Patient: [patient name removed], ID [national ID removed], mobile [phone number removed]',
+      counts: { patientName: 1, nationalId: 1, phone: 1 }
+    });
+  });
+});
+
+describe('POST /api/contact', () => {
+  const MESSAGE = {
+    firstName: 'Sara',
+    lastName: 'Alharbi',
+    email: 'sara@example.com',
+    inquiryType: 'technical',
+    subject: 'Question about MRN: KFH-00482913',
+    message: 'Patient: Khalid Al-Otaibi, Iqama 2456789011, cannot open his discharge summary.',
+    privacy: true,
+    language: 'en'
+  };
+
+  async function post(body, context) {
+    return handleContact(jsonRequest('/api/contact', { ...body, antiSpam: await solvedChallenge() }), context);
+  }
+
+  it('stores the message with patient details removed', async () => {
+    const context = createContext();
+    const response = await post(MESSAGE, context);
+    assert.equal(response.status, 201);
+
+    const [record] = await context.store.list(CONTACT_COLLECTION);
+    assert.equal(record.subject, 'Question about MRN: [medical record number removed]');
+    assert.equal(record.message, 'Patient: [patient name removed], Iqama [Iqama number removed], cannot open his discharge summary.');
+    assert.deepEqual(record.phiRedacted, { mrn: 1, patientName: 1, iqama: 1 });
+    assert.equal(record.email, 'sara@example.com', 'only the free-text fields are redacted');
+  });
+
+  it('stores clean messages as sent', async () => {
+    const context = createContext();
+    await post({ ...MESSAGE, subject: 'Pricing', message: 'How is AFHAM priced for a 200-bed hospital?' }, context);
+
+    const [record] = await context.store.list(CONTACT_COLLECTION);
+    assert.equal(record.message, 'How is AFHAM priced for a 200-bed hospital?');
+    assert.deepEqual(record.phiRedacted, {});
+  });
+});
@@ -0,0 +1,65 @@
+// Search text processing (search-text.js): normalization that keeps the way
+// back to the original text, the light Arabic stemmer and typo tolerance.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import SearchText from '../assets/js/search-text.js';
+
+const { findMatchRanges, matchToken, normalizeSearchText, parseSearchQuery, stemArabic, tokenizeSearchText } = SearchText;
+
+const term = query => parseSearchQuery(query)[0];
+const token = text => tokenizeSearchText(text)[0];
+
+describe('normalizeSearchText', () => {
+  it('drops tashkeel, unifies hamza forms and maps back to the original', () => {
+    const { text, map } = normalizeSearchText('أَحْمَد ١٢');
+
+    assert.equal(text, 'احمد 12');
+    assert.deepEqual(map, [0, 2, 4, 6, 7, 8, 9]);
+  });
+
+  it('folds Latin accents and case', () => {
+    assert.equal(normalizeSearchText('Médecin ÉTÉ').text, 'medecin ete');
+  });
+});
+
+describe('tokenizeSearchText', () => {
+  it('stems Arabic tokens and keeps their original offsets', () => {
+    assert.deepEqual(tokenizeSearchText('والمستشفيات Clinic'), [
+      { token: 'والمستشفيات', stem: 'مستشفي', start: 0, end: 11 },
+      { token: 'clinic', stem: 'clinic', start: 12, end: 18 }
+    ]);
+  });
+
+  it('keeps trailing tashkeel inside the word', () => {
+    const text = 'في الرِّياضِ';
+    const { start, end } = tokenizeSearchText(text)[1];
+
+    assert.equal(text.slice(start, end), 'الرِّياضِ');
+  });
+
+  it('never stems below three letters', () => {
+    assert.equal(stemArabic('الدم'), 'الدم');
+    assert.equal(stemArabic('بالتقارير'), 'تقارير');
+  });
+});
+
+describe('matchToken', () => {
+  it('scores exact, stem, prefix and fuzzy matches in that order', () => {
+    assert.equal(matchToken(term('office'), token('Office')), 1);
+    assert.equal(matchToken(term('التقارير'), token('بالتقارير')), 0.85);
+    assert.equal(matchToken(term('offi'), token('office'), { allowPrefix: true }), 0.8);
+    assert.equal(matchToken(term('ofice'), token('office')), 0.6);
+  });
+
+  it('allows no typos in short words', () => {
+    assert.equal(matchToken(term('nph'), token('nhp')), 0);
+  });
+});
+
+describe('findMatchRanges', () => {
+  it('finds every term in the original text, merged and in order', () => {
+    assert.deepEqual(findMatchRanges('زورونا في الرِّياض', parseSearchQuery('الرياض')), [[10, 18]]);
+    assert.deepEqual(findMatchRanges('Claims and eligibility', parseSearchQuery('eligibility claims')), [[0, 6], [11, 22]]);
+  });
+});
@@ -0,0 +1,223 @@
+// Site search: ranking (site-search.js) and the search component's listbox,
+// keyboard handling, escaping of what is typed and analytics.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { loadPage, useGlobals } from './helpers/page.mjs';
+
+const INDEX = {
+  version: 1,
+  pages: [
+    { url: '/', title: { en: 'AFHAM', ar: 'أفهم' } },
+    { url: '/contact', title: { en: 'Contact Us', ar: 'اتصل بنا' } }
+  ],
+  sections: [
+    { p: 0, id: 'features', t: { en: 'Features' }, b: { en: 'Medical document analysis with NPHIES support.' } },
+    { p: 0, id: 'nphies-integration', t: { en: 'NPHIES Integration', ar: 'التكامل مع نفيس' }, b: { en: 'Claims and eligibility.' } },
+    { p: 1, id: 'office', t: { en: 'Our Office', ar: 'مكتبنا' }, b: { en: 'Visit us in Riyadh.', ar: 'زورونا في الرياض.' } }
+  ]
+};
+
+// Results come from the page's realm; copy them over before comparing
+const urls = results => Array.from(results, result => result.url);
+
+describe('rankSearchResults', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage('index.html');
+  });
+
+  afterEach(() => page.close());
+
+  it('ranks heading matches above body matches', () => {
+    const results = page.site.rankSearchResults(INDEX, 'nphies');
+
+    assert.deepEqual(urls(results), ['/#nphies-integration', '/#features']);
+    assert.deepEqual(Array.from(results[0].titleRanges, range => [...range]), [[0, 6]]);
+  });
+
+  it('requires every term and tolerates typos', () => {
+    assert.deepEqual(urls(page.site.rankSearchResults(INDEX, 'nphies riyadh')), []);
+    assert.deepEqual(urls(page.site.rankSearchResults(INDEX, 'riyadh ofice')), ['/contact#office']);
+  });
+
+  it('matches Arabic without hamza and shows Arabic text when it exists', () => {
+    const [result] = page.site.rankSearchResults(INDEX, 'الرياض', 'ar');
+
+    assert.equal(result.title, 'مكتبنا');
+    assert.equal(result.pageTitle, 'اتصل بنا');
+    assert.match(result.snippet, /الرياض/);
+    // Page titles count too: both sections of the home page
+    assert.deepEqual(urls(page.site.rankSearchResults(INDEX, 'افهم', 'ar')), ['/#features', '/#nphies-integration']);
+  });
+
+  it('searches the built site index', async () => {
+    const index = await (await page.window.fetch('/assets/search-index.json')).json();
+    const [first] = page.site.rankSearchResults(index, 'protect privacy');
+
+    assert.equal(first.url, '/community#protect-privacy');
+  });
+});
+
+describe('revealSectionFromHash', () => {
+  it('scrolls to the section the fragment names', async () => {
+    const page = await loadPage('index.html', { url: 'https://afham.brainsait.io/#nphies-playground' });
+    const target = page.document.getElementById('nphies-playground');
+    target.scrollIntoView = mock.fn();
+
+    page.site.revealSectionFromHash();
+
+    assert.equal(target.scrollIntoView.mock.calls.length, 1);
+    page.close();
+  });
+
+  it('shrugs off a fragment that is not valid percent-encoding', async () => {
+    const page = await loadPage('index.html', { url: 'https://afham.brainsait.io/#%E0' });
+
+    assert.doesNotThrow(() => page.site.revealSectionFromHash());
+    page.close();
+  });
+});
+
+describe('SearchComponent', () => {
+  let page;
+  let restore;
+  let search;
+  let input;
+  let track;
+
+  beforeEach(async () => {
+    page = await loadPage('index.html');
+    restore = useGlobals(page);
+    await page.site.i18n.load('en');
+
+    page.document.querySelector('.nav-container').insertAdjacentHTML('beforeend',
+      '<div class="search-box"><input type="search" id="docs-search"></div>');
+    input = page.document.getElementById('docs-search');
+
+    const { default: SearchComponent } = await import('../assets/js/components/search.js');
+    track = mock.fn();
+    search = new SearchComponent(input, { language: 'en', analytics: { track } });
+    search.mount();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    search.unmount();
+    restore();
+    page.close();
+  });
+
+  async function type(query) {
+    input.value = query;
+    await search.performSearch(query);
+  }
+
+  function key(name) {
+    input.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true }));
+  }
+
+  it('sets the input up as a combobox', () => {
+    assert.equal(input.getAttribute('role'), 'combobox');
+    assert.equal(input.getAttribute('aria-controls'), 'docs-search-results');
+    assert.equal(input.getAttribute('aria-label'), page.site.t('search.label'));
+    assert.equal(page.document.getElementById('docs-search-results').getAttribute('role'), 'listbox');
+  });
+
+  it('gives each search box its own listbox', async () => {
+    page.document.querySelector('.nav-container').insertAdjacentHTML('beforeend',
+      '<div class="search-box"><input type="search"></div>');
+    const { default: SearchComponent } = await import('../assets/js/components/search.js');
+    const other = new SearchComponent(page.document.querySelector('.search-box:last-child input'), { language: 'en', analytics: { track } });
+    other.mount();
+
+    const listId = other.searchInput.getAttribute('aria-controls');
+    assert.match(listId, /^search-\d+-results$/);
+    assert.equal(page.document.getElementById(listId), other.searchResults);
+    assert.equal(page.document.getElementById('docs-search-results'), search.searchResults);
+    other.unmount();
+  });
+
+  it('stops listening once unmounted', async () => {
+    search.unmount();
+    const update = mock.method(search, 'update');
+
+    input.dispatchEvent(new page.window.Event('input'));
+    input.dispatchEvent(new page.window.Event('focus'));
+    key('ArrowDown');
+
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(input.hasAttribute('aria-activedescendant'), false);
+  });
+
+  it('lists results as options and announces how many', async () => {
+    await type('nphies');
+
+    const options = page.document.querySelectorAll('#docs-search-results [role="option"]');
+    assert.ok(options.length > 0);
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+    assert.equal(page.document.querySelector('.search-status').textContent,
+      page.site.t('search.resultCount', { count: options.length }));
+    assert.match(options[0].querySelector('mark').textContent, /nphies/i);
+  });
+
+  it('shows markup in a query as text', async () => {
+    const query = '<img src=x onerror="window.hacked = true">';
+    await type(query);
+
+    const list = page.document.getElementById('docs-search-results');
+    assert.equal(list.querySelector('img'), null);
+    assert.equal(list.querySelector('.search-empty').textContent, page.site.t('search.noResults', { query }));
+    assert.equal(page.window.hacked, undefined);
+  });
+
+  it('moves through options with the arrow keys and closes on Escape', async () => {
+    await type('afham');
+
+    key('ArrowDown');
+    assert.equal(input.getAttribute('aria-activedescendant'), 'docs-search-results-option-0');
+    assert.equal(page.document.getElementById('docs-search-results-option-0').getAttribute('aria-selected'), 'true');
+
+    key('ArrowUp');
+    const last = search.options.length - 1;
+    assert.equal(input.getAttribute('aria-activedescendant'), `docs-search-results-option-${last}`);
+
+    key('Escape');
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+    assert.equal(input.hasAttribute('aria-activedescendant'), false);
+    assert.equal(input.value, 'afham');
+
+    // A second Escape clears the query
+    key('Escape');
+    assert.equal(input.value, '');
+  });
+
+  it('tracks a settled query once, then the chosen result', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    await type('nph');
+    await type('nphies');
+    mock.timers.tick(1000);
+
+    assert.equal(track.mock.callCount(), 1);
+    const [event, properties] = track.mock.calls[0].arguments;
+    assert.equal(event, 'search');
+    assert.deepEqual({ ...properties }, { query_length: 6, results: search.options.length });
+
+    key('ArrowDown');
+    key('Enter');
+    assert.equal(track.mock.calls[1].arguments[0], 'searchResultSelected');
+    assert.deepEqual({ ...track.mock.calls[1].arguments[1] }, { query_length: 6, position: 1 });
+    assert.equal(page.window.localStorage.getItem('afham-recent-searches'), '["nphies"]');
+  });
+
+  it('offers recent searches while the input is empty', async () => {
+    page.window.localStorage.setItem('afham-recent-searches', JSON.stringify(['nphies', 'arabic ocr']));
+
+    search.update();
+
+    const titles = [...page.document.querySelectorAll('.search-option-recent')].map(option => option.textContent);
+    assert.deepEqual(titles, ['nphies', 'arabic ocr']);
+    assert.equal(page.document.querySelector('.search-group-label').textContent, page.site.t('search.recent'));
+  });
+});
@@ -0,0 +1,89 @@
+// The service worker's install step (sw.js): cache.addAll rejects as soon as
+// one shell URL is missing, and then the worker never activates. The worker
+// runs here against the files on disk the way the site serves them.
+
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { describe, it, mock } from 'node:test';
+import { SITE_ROOT } from './helpers/page.mjs';
+
+const ORIGIN = 'https://afham.brainsait.io';
+
+function filePathFor(url) {
+  const { pathname } = new URL(url);
+  return path.join(SITE_ROOT, pathname === '/' ? 'index.html' : pathname);
+}
+
+function loadServiceWorker() {
+  const listeners = {};
+  const cached = [];
+
+  const cache = {
+    async addAll(requests) {
+      const missing = requests.filter(request => !existsSync(filePathFor(request.url)));
+      if (missing.length > 0) {
+        throw new TypeError(`Failed to fetch ${missing.map(request => new URL(request.url).pathname).join(', ')}`);
+      }
+      cached.push(...requests.map(request => new URL(request.url).pathname));
+    },
+    // Third-party stylesheets: no network in tests
+    async add() {
+      throw new TypeError('Failed to fetch');
+    }
+  };
+
+  const context = vm.createContext({
+    console: { warn: mock.fn(), log: console.log, error: console.error },
+    URL,
+    Response,
+    Request: class extends Request {
+      constructor(url, init) {
+        super(new URL(url, ORIGIN), init);
+      }
+    },
+    importScripts() {},
+    caches: { open: async () => cache },
+    self: {
+      location: new URL(ORIGIN),
+      addEventListener(type, listener) {
+        listeners[type] = listener;
+      }
+    }
+  });
+  vm.runInContext(readFileSync(path.join(SITE_ROOT, 'sw.js'), 'utf8'), context, { filename: 'sw.js' });
+
+  return {
+    cached,
+    install() {
+      let installing;
+      listeners.install({ waitUntil: promise => { installing = promise; } });
+      return installing;
+    }
+  };
+}
+
+describe('service worker install', () => {
+  it('precaches a shell that exists', async () => {
+    const worker = loadServiceWorker();
+
+    await worker.install();
+
+    assert.ok(worker.cached.includes('/'));
+    assert.ok(worker.cached.includes('/404.html'));
+    assert.ok(worker.cached.includes('/assets/css/main.css'));
+  });
+
+  it('loads every script and stylesheet of the home page from the shell', async () => {
+    const worker = loadServiceWorker();
+    await worker.install();
+
+    const html = readFileSync(path.join(SITE_ROOT, 'index.html'), 'utf8');
+    const local = [...html.matchAll(/<(?:script[^>]*\ssrc|link[^>]*rel="stylesheet"[^>]*\shref)="(\/[^"]+)"/g)]
+      .map(([, url]) => url)
+      .filter(url => !url.startsWith('//'));
+
+    assert.deepEqual(local.filter(url => !worker.cached.includes(url)), []);
+  });
+});
@@ -0,0 +1,151 @@
+// The offline outbox (submission-queue.js) replaying contact messages
+// against the real /api/contact handler. IndexedDB is swapped for a Map;
+// what is under test is what gets sent and how each answer is filed.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import ProofOfWork from '../assets/js/proof-of-work.js';
+import SubmissionQueueModule from '../assets/js/submission-queue.js';
+import { CONTACT_COLLECTION, handleContact } from '../server/handlers/contact.mjs';
+import { issueChallenge } from '../server/lib/anti-spam.mjs';
+import { CHALLENGE_SECRET, createContext, jsonRequest, solvedChallenge } from './helpers/api.mjs';
+
+const { SubmissionQueue, SubmissionQueueConfig } = SubmissionQueueModule;
+
+const MESSAGE = {
+  firstName: 'Sara',
+  lastName: 'Alharbi',
+  email: 'sara@example.com',
+  inquiryType: 'technical',
+  subject: 'Scanned referrals',
+  message: 'Can AFHAM read scanned referral letters in Arabic?',
+  privacy: true,
+  language: 'en',
+  submissionId: '3f2c8a61-7d4e-4b0a-9c15-2e8f6a1d0b37'
+};
+
+class MemoryQueue extends SubmissionQueue {
+  constructor(options) {
+    super(options);
+    this.items = new Map();
+  }
+
+  isSupported() {
+    return true;
+  }
+
+  async enqueue(endpoint, payload, meta = {}) {
+    const item = {
+      id: payload.submissionId,
+      endpoint,
+      payload,
+      meta,
+      status: 'pending',
+      attempts: 0,
+      createdAt: this.now(),
+      nextAttemptAt: this.now(),
+      lastError: null
+    };
+    this.items.set(item.id, item);
+    return item;
+  }
+
+  async getAll() {
+    return [...this.items.values()];
+  }
+
+  async claim(id) {
+    const item = this.items.get(id);
+    return item && item.status === 'pending' ? { ...item, status: 'sending' } : null;
+  }
+
+  async update(item) {
+    this.items.set(item.id, item);
+  }
+
+  async remove(id) {
+    this.items.delete(id);
+  }
+}
+
+describe('SubmissionQueue replay', () => {
+  let context;
+  let queue;
+  let sleep;
+  let issued;
+
+  beforeEach(() => {
+    context = createContext();
+    issued = 0;
+    sleep = mock.fn(async () => {});
+    mock.method(console, 'warn', () => {});
+
+    queue = new MemoryQueue({
+      solve: ProofOfWork.solveProofOfWork,
+      sleep,
+      fetch: async (url, init = {}) => {
+        if (url === SubmissionQueueConfig.challengeEndpoint) {
+          issued++;
+          // Backdated so the real handler's time-to-submit check passes
+          // without the test sleeping through the minimum age
+          const { challenge, difficulty } = await issueChallenge(CHALLENGE_SECRET, { now: Date.now() - 5000, difficulty: 1 });
+          return Response.json({ success: true, challenge, difficulty });
+        }
+        return handleContact(new Request(`https://afham.brainsait.io${url}`, init), context);
+      }
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('sends a message written offline with a fresh challenge', async () => {
+    await queue.enqueue('/api/contact', { ...MESSAGE, antiSpam: null });
+
+    assert.deepEqual(await queue.replay(), { sent: 1, failed: 0, pending: 0 });
+    assert.equal(issued, 1);
+    assert.equal(sleep.mock.calls.length, 1);
+    assert.ok(sleep.mock.calls[0].arguments[0] > SubmissionQueueConfig.challengeMinAge - 1000);
+    assert.deepEqual((await context.store.list(CONTACT_COLLECTION)).map(record => record.id), [MESSAGE.submissionId]);
+  });
+
+  it('replaces a spent token instead of resending it', async () => {
+    const antiSpam = await solvedChallenge();
+    // Spent on another message before the queued one goes out
+    await handleContact(jsonRequest('/api/contact', { ...MESSAGE, submissionId: undefined, antiSpam }), context);
+    await queue.enqueue('/api/contact', { ...MESSAGE, antiSpam });
+
+    assert.deepEqual(await queue.replay(), { sent: 1, failed: 0, pending: 0 });
+    assert.equal((await context.store.list(CONTACT_COLLECTION)).length, 2);
+  });
+
+  it('keeps retrying when the challenge cannot be had or goes stale', async () => {
+    const fetch = queue.fetch;
+    queue.fetch = async url => {
+      if (url === SubmissionQueueConfig.challengeEndpoint) {
+        return Response.json({ success: false, message: 'Unavailable' }, { status: 503 });
+      }
+      return fetch(url);
+    };
+    await queue.enqueue('/api/contact', MESSAGE);
+
+    assert.deepEqual(await queue.replay(), { sent: 0, failed: 0, pending: 1 });
+
+    queue.fetch = async url => url === SubmissionQueueConfig.challengeEndpoint
+      ? fetch(url)
+      : Response.json({ success: false, message: 'Rejected', errors: { antiSpam: 'challenge_expired' } }, { status: 403 });
+
+    assert.deepEqual(await queue.replay(), { sent: 0, failed: 0, pending: 1 });
+    assert.equal(queue.items.get(MESSAGE.submissionId).attempts, 2);
+  });
+
+  it('gives up on answers a new challenge cannot change', async () => {
+    await queue.enqueue('/api/contact', { ...MESSAGE, email: 'not an address' });
+    await queue.enqueue('/api/contact', { ...MESSAGE, submissionId: '9b1d4e72-1c3a-4f5e-8d6b-7a2c0e9f1b48', website: 'spam' });
+
+    assert.deepEqual(await queue.replay(), { sent: 0, failed: 2, pending: 0 });
+    assert.deepEqual((await queue.getAll()).map(item => item.lastError), [
+      'Please fix the validation errors',
+      'Submission rejected by spam protection'
+    ]);
+  });
+});
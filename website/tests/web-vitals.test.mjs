@@ -0,0 +1,97 @@
+// Core Web Vitals: what WebVitalsCollector (web-vitals.js) sends when the
+// page is hidden, and the p75 summary built from what /api/vitals stored.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { handleVitals } from '../server/handlers/vitals.mjs';
+import { summarizeVitals, VITALS_COLLECTION } from '../server/lib/vitals.mjs';
+import { createContext, jsonRequest } from './helpers/api.mjs';
+import { loadPage } from './helpers/page.mjs';
+
+describe('WebVitalsCollector reports', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage('index.html');
+  });
+
+  afterEach(() => page.close());
+
+  // jsdom's Blob has no text(); FileReader reads it
+  const readBlob = blob => new Promise(resolve => {
+    const reader = new page.window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+  const reports = () => Promise.all(page.beacons
+    .filter(beacon => beacon.url === '/api/vitals')
+    .map(async beacon => JSON.parse(await readBlob(beacon.body))));
+
+  it('sends what changed, under one view id per page view', async () => {
+    const collector = new page.site.WebVitalsCollector({ sampled: true });
+
+    collector.record('LCP', 1800);
+    collector.record('INP', 120);
+    collector.report();
+    collector.report();
+    collector.record('INP', 340);
+    collector.report();
+
+    const sent = await reports();
+    const [first, second] = sent;
+    assert.equal(sent.length, 2, 'nothing new, nothing sent');
+    assert.match(first.viewId, /^[\w-]{8,64}$/);
+    assert.equal(second.viewId, first.viewId);
+    assert.deepEqual(first.metrics.map(metric => metric.name), ['LCP', 'INP']);
+    assert.deepEqual(second.metrics.map(metric => [metric.name, metric.value]), [['INP', 340]]);
+    assert.notEqual(new page.site.WebVitalsCollector().viewId, first.viewId);
+  });
+});
+
+describe('summarizeVitals', () => {
+  const report = (viewId, metrics, receivedAt) => ({
+    viewId,
+    page: '/',
+    language: 'en',
+    dir: 'ltr',
+    metrics: Object.entries(metrics).map(([name, value]) => ({ name, value })),
+    receivedAt
+  });
+  const p75 = (rows, metric) => rows.find(row => row.metric === metric);
+
+  it('counts each page view once, at its last value', async () => {
+    const context = createContext();
+    const post = body => handleVitals(jsonRequest('/api/vitals', body), context);
+
+    assert.equal((await post({ viewId: 'view-0001', page: '/', metrics: [{ name: 'CLS', value: 0.02 }, { name: 'LCP', value: 1200 }] })).status, 202);
+    await post({ viewId: 'view-0001', page: '/', metrics: [{ name: 'CLS', value: 0.3 }] });
+    await post({ viewId: 'view-0002', page: '/', metrics: [{ name: 'CLS', value: 0.05 }] });
+
+    const rows = summarizeVitals(await context.store.list(VITALS_COLLECTION));
+    assert.deepEqual(p75(rows, 'CLS'), { page: '/', language: 'en', metric: 'CLS', count: 2, p75: 0.3, rating: 'poor' });
+    assert.equal(p75(rows, 'LCP').count, 1);
+  });
+
+  it('orders by arrival, not by how the store lists records', () => {
+    const rows = summarizeVitals([
+      report('view-0001', { INP: 90 }, '2026-10-19T10:00:05.000Z'),
+      report('view-0001', { INP: 600 }, '2026-10-19T10:00:01.000Z')
+    ]);
+
+    assert.deepEqual([p75(rows, 'INP').count, p75(rows, 'INP').p75], [1, 90]);
+  });
+
+  it('keeps reports without a view id apart', () => {
+    const rows = summarizeVitals([report(undefined, { LCP: 1000 }), report(undefined, { LCP: 5000 })]);
+
+    assert.equal(p75(rows, 'LCP').count, 2);
+  });
+
+  it('drops view ids that are not ids', async () => {
+    const context = createContext();
+    await handleVitals(jsonRequest('/api/vitals', { viewId: '<script>', page: '/', metrics: [{ name: 'LCP', value: 900 }] }), context);
+
+    const [record] = await context.store.list(VITALS_COLLECTION);
+    assert.equal(record.viewId, null);
+  });
+});